@@ -0,0 +1,343 @@
+import crypto from 'crypto';
+import { queueWorkflow, createWorkflowId } from './job-processor.js';
+import { getWorkflow, listWorkflows, serializeWorkflow } from './workflow-registry.js';
+import { listJobs, listDeadLetterJobs, requeueJob } from './job-queue.js';
+import { loadCheckpoint } from './checkpoint-store.js';
+import { resolveRoute } from './routing-config.js';
+import { resolvePipeline } from './pipeline-config.js';
+import { normalizeGithubRepo } from './command-parser.js';
+import { checkCallbackUrl } from './notifiers.js';
+import { createLogger } from './logger.js';
+
+/**
+ * REST API - start and inspect workflows from CI, scripts and internal tools
+ *
+ *   POST /api/rca               { description, repo, branch, project, callbackUrl, slackChannel, slackTeamId, dryRun }
+ *   GET  /api/workflows/:id     status, step timings, Jira key, RCA result and test cases
+ *   GET  /api/workflows         ?status=&repo=&channel=&limit=
+ *   GET  /api/jobs/dead-letter  jobs that failed their last attempt (admin clients)
+ *   POST /api/jobs/:id/requeue  put a dead-lettered job back on the queue (admin clients)
+ *
+ * Requests need `Authorization: Bearer <token>`. API_TOKENS lists the accepted tokens as
+ * comma-separated `name:token` pairs; the name is recorded as the workflow's requester.
+ * API_ADMIN_CLIENTS names the clients that may manage the job queue.
+ * A client only sees the workflows it started - Slack reports and other clients' requests stay private.
+ * Without API_TOKENS the API is off. Workflows run through the same job queue as Slack reports;
+ * progress is POSTed to `callbackUrl` and, with `slackChannel` (a channel of the routing config), shown in a Slack status message.
+ * Callback URLs must point at a public host, or at one of API_CALLBACK_HOSTS.
+ */
+
+const MAX_LIST_LIMIT = 100;
+
+const log = createLogger('api');
+
+/**
+ * Parse API_TOKENS (`name:token,name:token`; a bare token is named after its position)
+ */
+function parseApiTokens(value = '') {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+      const separator = entry.indexOf(':');
+      return separator > 0
+        ? { name: entry.slice(0, separator), token: entry.slice(separator + 1) }
+        : { name: `client-${index + 1}`, token: entry };
+    });
+}
+
+const API_TOKENS = parseApiTokens(process.env.API_TOKENS);
+const API_ADMIN_CLIENTS = (process.env.API_ADMIN_CLIENTS || '').split(',').map(name => name.trim()).filter(Boolean);
+
+/**
+ * Compare two secrets in constant time
+ */
+function secretsMatch(a, b) {
+  const digestA = crypto.createHash('sha256').update(a).digest();
+  const digestB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+}
+
+/**
+ * Middleware: require a bearer token from API_TOKENS and set req.apiClient to its name
+ */
+export function requireApiToken(req, res, next) {
+  if (API_TOKENS.length === 0) {
+    return res.status(404).json({ error: 'The REST API is disabled - set API_TOKENS to enable it' });
+  }
+
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  const client = match && API_TOKENS.find(({ token }) => secretsMatch(token, match[1]));
+  if (!client) {
+    return res.status(401).json({ error: 'Missing or invalid API token' });
+  }
+
+  req.apiClient = client.name;
+  next();
+}
+
+/**
+ * Middleware (after requireApiToken): only clients listed in API_ADMIN_CLIENTS
+ */
+export function requireApiAdmin(req, res, next) {
+  if (!API_ADMIN_CLIENTS.includes(req.apiClient)) {
+    return res.status(403).json({ error: 'This API token may not manage the job queue - add its name to API_ADMIN_CLIENTS' });
+  }
+  next();
+}
+
+/**
+ * Validate a POST /api/rca body
+ * Returns { request } (a workflow request for queueWorkflow) or { errors }
+ */
+async function parseRCARequest(body, apiClient) {
+  const { description, repo, branch, project, callbackUrl, slackChannel, slackTeamId, dryRun = false } = body || {};
+  const errors = [];
+
+  if (typeof description !== 'string' || description.trim().length < 3) {
+    errors.push('"description" is required (at least 3 characters)');
+  }
+  if (repo !== undefined && (typeof repo !== 'string' || !normalizeGithubRepo(repo))) {
+    errors.push('"repo" must be owner/repo or a GitHub URL');
+  }
+  if (branch !== undefined && (typeof branch !== 'string' || !branch.trim())) {
+    errors.push('"branch" must be a non-empty string');
+  }
+  if (project !== undefined && (typeof project !== 'string' || !/^[A-Z][A-Z0-9_]+$/.test(project.toUpperCase()))) {
+    errors.push('"project" must be a Jira project key such as PROJ');
+  }
+  if (callbackUrl !== undefined) {
+    // Only public hosts (or API_CALLBACK_HOSTS) - workflow data must not be POSTed to internal services
+    const problem = typeof callbackUrl === 'string' ? await checkCallbackUrl(callbackUrl) : 'callback URL must be a string';
+    if (problem) errors.push(`"callbackUrl" is not allowed: ${problem}`);
+  }
+  if (slackChannel !== undefined && (typeof slackChannel !== 'string' || !/^[CGD][A-Z0-9]+$/.test(slackChannel))) {
+    errors.push('"slackChannel" must be a Slack channel ID such as C0123456789');
+  }
+  if (slackTeamId !== undefined && (typeof slackTeamId !== 'string' || !/^T[A-Z0-9]+$/.test(slackTeamId))) {
+    errors.push('"slackTeamId" must be a Slack workspace ID such as T0123456789');
+  }
+  if (typeof dryRun !== 'boolean') {
+    errors.push('"dryRun" must be true or false');
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  // The channel's routing config applies as it does for reports posted there
+  const route = resolveRoute(slackChannel || null);
+  if (slackChannel && !route.route) {
+    errors.push('"slackChannel" must be a channel of the routing config');
+  }
+  const githubRepo = repo ? normalizeGithubRepo(repo) : route.repo;
+  if (!githubRepo) {
+    errors.push('"repo" is required - no default repository is configured');
+  }
+  if (!resolvePipeline(route.pipeline)) {
+    errors.push(`the channel's pipeline "${route.pipeline}" is not defined in the pipeline config`);
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const notifiers = [];
+  if (callbackUrl) notifiers.push({ type: 'callback', url: callbackUrl });
+  if (slackChannel) notifiers.push({ type: 'slack' });
+
+  return {
+    request: {
+      source: 'api',
+      user: null,
+      teamId: slackTeamId || null,
+      channel: slackChannel || null,
+      ts: null,
+      text: description.trim(),
+      requestedBy: getApiRequester(apiClient),
+      githubRepo,
+      issueDescription: description.trim(),
+      attachments: [],
+      options: {
+        ...(branch && { branch: branch.trim() }),
+        ...(project && { projectKey: project.toUpperCase() }),
+        dryRun,
+      },
+      notifiers,
+    },
+  };
+}
+
+/**
+ * JSON view of a workflow that is still waiting in the job queue
+ */
+function serializeQueuedJob(job) {
+  const { payload } = job;
+  return {
+    id: job.checkpoint.workflowId || job.id,
+    status: 'queued',
+    source: payload.source || 'slack',
+    requestedBy: payload.requestedBy || payload.user || null,
+    channel: payload.channel || null,
+    githubRepo: payload.githubRepo,
+    issueDescription: payload.issueDescription,
+    attempt: job.attempts + 1,
+    queuedAt: job.createdAt,
+  };
+}
+
+/**
+ * JSON view of a workflow known only from its checkpoint (e.g. after a restart)
+ * Step timings are not part of checkpoints - only which steps finished
+ */
+function serializeCheckpoint(checkpoint) {
+  const { request = {}, steps = {} } = checkpoint;
+  return {
+    id: checkpoint.workflowId,
+    status: checkpoint.status || 'interrupted',
+    source: request.source || 'slack',
+    requestedBy: request.requestedBy || request.user || null,
+    channel: checkpoint.channel || null,
+    githubRepo: request.githubRepo || null,
+    issueDescription: request.issueDescription || null,
+    issueKey: checkpoint.issueKey,
+    startedAt: checkpoint.createdAt,
+    updatedAt: checkpoint.updatedAt,
+    finishedSteps: Object.keys(steps),
+    usage: checkpoint.usage ? { total: checkpoint.usage.total, steps: checkpoint.usage.steps } : null,
+    rcaResult: steps.rca?.output || null,
+    testCasesResult: steps.test_cases?.output || null,
+  };
+}
+
+/**
+ * JSON view of a dead-lettered job - what failed and why, without the payload (it carries the Slack report)
+ */
+function serializeDeadLetterJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    workflowId: job.checkpoint.workflowId || job.payload.workflowId || null,
+    source: job.payload.source || null,
+    githubRepo: job.payload.githubRepo || null,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    lastError: job.lastError,
+    createdAt: job.createdAt,
+    deadLetteredAt: job.deadLetteredAt,
+  };
+}
+
+/**
+ * POST /api/rca - queue a workflow
+ */
+export async function createRCAHandler(req, res) {
+  try {
+    const { request, errors } = await parseRCARequest(req.body, req.apiClient);
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid request', details: errors });
+    }
+
+    const workflowId = createWorkflowId();
+    const job = await queueWorkflow(request, { workflowId });
+    log.info('RCA requested over the API', { workflowId, client: req.apiClient, githubRepo: request.githubRepo });
+    return res.status(202).json({
+      workflowId,
+      jobId: job.id,
+      status: 'queued',
+      url: `/api/workflows/${workflowId}`,
+    });
+  } catch (error) {
+    log.error('Create RCA request failed', { error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * The requester recorded on the workflows a client starts
+ */
+function getApiRequester(apiClient) {
+  return `api:${apiClient}`;
+}
+
+/**
+ * Whether a serialized workflow was started by the API client
+ */
+function isClientWorkflow(entry, apiClient) {
+  return entry.source === 'api' && entry.requestedBy === getApiRequester(apiClient);
+}
+
+/**
+ * GET /api/workflows/:id - one workflow: running or finished, waiting in the queue, or from its checkpoint
+ */
+export async function getWorkflowHandler(req, res) {
+  try {
+    const workflowId = req.params.id;
+    const workflow = getWorkflow(workflowId);
+    const job = workflow ? null : listJobs({ state: 'queued' }).find(candidate => candidate.checkpoint.workflowId === workflowId);
+    const checkpoint = workflow || job ? null : await loadCheckpoint(workflowId);
+    const entry = (workflow && serializeWorkflow(workflow)) || (job && serializeQueuedJob(job)) || (checkpoint && serializeCheckpoint(checkpoint));
+
+    // Other clients' workflows are reported as missing, not forbidden
+    if (entry && isClientWorkflow(entry, req.apiClient)) {
+      return res.json(entry);
+    }
+
+    return res.status(404).json({ error: `Workflow ${workflowId} not found` });
+  } catch (error) {
+    log.error('Get workflow request failed', { error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * GET /api/workflows - the client's recent workflows, newest first, without the RCA and test case results
+ * Filters: status (queued | running | completed | failed | cancelled), repo, channel, limit
+ */
+export async function listWorkflowsHandler(req, res) {
+  try {
+    const { status = null, repo = null, channel = null } = req.query;
+    const requestedBy = getApiRequester(req.apiClient);
+    const limit = Math.min(Math.max(parseInt(req.query.limit || '20', 10) || 20, 1), MAX_LIST_LIMIT);
+    const githubRepo = repo ? normalizeGithubRepo(repo) : null;
+    if (repo && !githubRepo) {
+      return res.status(400).json({ error: '"repo" must be owner/repo or a GitHub URL' });
+    }
+
+    // Jobs waiting for a retry or resume are listed with their workflow instead
+    const queued = status && status !== 'queued' ? [] : listJobs({ state: 'queued' })
+      .map(serializeQueuedJob)
+      .filter(job => !getWorkflow(job.id))
+      .filter(job => isClientWorkflow(job, req.apiClient) && (!githubRepo || job.githubRepo === githubRepo) && (!channel || job.channel === channel));
+    const workflows = status === 'queued' ? [] : listWorkflows({ status, source: 'api', requestedBy, githubRepo, channel, limit })
+      .map(workflow => serializeWorkflow(workflow, { details: false }));
+
+    return res.json({ workflows: [...queued, ...workflows].slice(0, limit) });
+  } catch (error) {
+    log.error('List workflows request failed', { error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * GET /api/jobs/dead-letter - jobs that failed their last attempt, newest first
+ */
+export function listDeadLetterJobsHandler(req, res) {
+  return res.json({ jobs: listDeadLetterJobs().map(serializeDeadLetterJob) });
+}
+
+/**
+ * POST /api/jobs/:id/requeue - run a dead-lettered job again with a fresh set of attempts
+ */
+export async function requeueJobHandler(req, res) {
+  try {
+    const job = await requeueJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: `No dead-lettered job ${req.params.id}` });
+    }
+    log.info('Dead-lettered job re-queued over the API', { jobId: job.id, type: job.type, client: req.apiClient });
+    return res.json({ id: job.id, type: job.type, state: job.state });
+  } catch (error) {
+    log.error('Requeue job request failed', { error });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+}
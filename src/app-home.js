@@ -0,0 +1,43 @@
+import { getSlackClient } from './slack-service.js';
+import { buildAppHomeView, buildWorkflowDetailsModal } from './slack-blocks.js';
+import { listWorkflows, getWorkflow } from './workflow-registry.js';
+import { createLogger } from './logger.js';
+
+// Number of workflows listed on a user's Home tab
+const APP_HOME_WORKFLOW_LIMIT = parseInt(process.env.APP_HOME_WORKFLOW_LIMIT || '15', 10);
+
+const log = createLogger('app-home');
+
+/**
+ * Publish the App Home tab for a user with their recent and in-flight workflows (non-blocking)
+ */
+export async function publishAppHome(userId, teamId) {
+  if (!userId) return;
+
+  try {
+    const workflows = listWorkflows({ user: userId, teamId, limit: APP_HOME_WORKFLOW_LIMIT });
+    await getSlackClient(teamId).views.publish({
+      user_id: userId,
+      view: buildAppHomeView(workflows),
+    });
+  } catch (slackError) {
+    log.warn('Failed to publish App Home (non-blocking)', { userId, error: slackError.message });
+  }
+}
+
+/**
+ * Open the details modal for a workflow
+ * Returns an error message for the user, or null when the modal was opened
+ */
+export async function openWorkflowDetails(workflowId, triggerId, teamId) {
+  const workflow = getWorkflow(workflowId);
+  if (!workflow) {
+    return `Workflow \`${workflowId}\` is no longer available.`;
+  }
+
+  await getSlackClient(teamId).views.open({
+    trigger_id: triggerId,
+    view: buildWorkflowDetailsModal(workflow),
+  });
+  return null;
+}
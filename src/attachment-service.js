@@ -0,0 +1,286 @@
+import fetch from 'node-fetch';
+import zlib from 'zlib';
+import path from 'path';
+import { getSlackBotToken } from './slack-service.js';
+import { createLogger } from './logger.js';
+import { trackRequest } from './metrics.js';
+
+// Largest Slack file that is downloaded (bytes, compressed size for gzip)
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES || String(10 * 1024 * 1024), 10);
+// Characters of text kept per attachment after decompression and parsing
+const ATTACHMENT_MAX_CHARS = parseInt(process.env.ATTACHMENT_MAX_CHARS || '500000', 10);
+// Characters per attachment shown in the RCA system prompt
+const ATTACHMENT_PREVIEW_CHARS = parseInt(process.env.ATTACHMENT_PREVIEW_CHARS || '1500', 10);
+const MAX_ATTACHMENTS = 10;
+const MAX_LINES_PER_READ = 500;
+
+const log = createLogger('attachments');
+
+const KINDS_BY_EXTENSION = {
+  '.log': 'log',
+  '.txt': 'text',
+  '.json': 'json',
+  '.har': 'har',
+};
+
+// Lines worth showing first in a preview
+const NOTABLE_LINE_PATTERN = /error|exception|fatal|fail|traceback|panic|timeout|refused|denied|\b[45]\d\d\b/i;
+
+/**
+ * Work out how a Slack file should be read, or null if it is not text-like
+ * Returns { kind: 'log' | 'text' | 'json' | 'har', gzipped }
+ */
+function getAttachmentKind(file) {
+  const name = (file.name || '').toLowerCase();
+  const mimetype = file.mimetype || '';
+  const gzipped = name.endsWith('.gz') || mimetype === 'application/gzip' || mimetype === 'application/x-gzip';
+  const extension = path.extname(gzipped ? name.replace(/\.gz$/, '') : name);
+
+  if (KINDS_BY_EXTENSION[extension]) {
+    return { kind: KINDS_BY_EXTENSION[extension], gzipped };
+  }
+  if (gzipped) {
+    // Unknown content inside the archive - read it as text and let the binary check decide
+    return { kind: 'text', gzipped };
+  }
+  if (mimetype.startsWith('text/') || mimetype === 'application/json') {
+    return { kind: mimetype === 'application/json' ? 'json' : 'text', gzipped };
+  }
+  return null;
+}
+
+/**
+ * Decompress gzip data, stopping once maxBytes of output have been produced
+ * Returns { buffer, truncated }
+ */
+function gunzipCapped(buffer, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const gunzip = zlib.createGunzip();
+    const chunks = [];
+    let total = 0;
+    let done = false;
+
+    const finish = (truncated) => {
+      if (done) return;
+      done = true;
+      resolve({ buffer: Buffer.concat(chunks).subarray(0, maxBytes), truncated });
+    };
+
+    gunzip.on('data', (chunk) => {
+      chunks.push(chunk);
+      total += chunk.length;
+      if (total >= maxBytes) {
+        finish(true);
+        gunzip.destroy();
+      }
+    });
+    gunzip.on('end', () => finish(false));
+    gunzip.on('error', (error) => {
+      if (!done) reject(error);
+    });
+    gunzip.end(buffer);
+  });
+}
+
+/**
+ * Summarize a HAR file as one line per request, with bodies of failed requests
+ */
+function summarizeHar(har) {
+  const entries = har?.log?.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error('not a HAR file (missing log.entries)');
+  }
+
+  const failed = entries.filter(entry => !entry.response?.status || entry.response.status >= 400);
+  const lines = [`HAR: ${entries.length} request(s), ${failed.length} failed`];
+
+  entries.forEach((entry, index) => {
+    const { request = {}, response = {} } = entry;
+    lines.push(`${index + 1}. ${entry.startedDateTime || ''} ${request.method} ${request.url} -> ${response.status || 'no response'} ${response.statusText || ''} (${Math.round(entry.time || 0)}ms)`);
+
+    if (!response.status || response.status >= 400) {
+      if (request.postData?.text) {
+        lines.push(`   request body: ${request.postData.text.substring(0, 500)}`);
+      }
+      if (response.content?.text) {
+        lines.push(`   response body: ${response.content.text.substring(0, 1000)}`);
+      }
+    }
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Turn downloaded text into the form offered to the agent (pretty JSON, HAR summary)
+ * Falls back to the raw text when the content does not parse
+ */
+function parseAttachmentText(text, kind) {
+  if (kind !== 'json' && kind !== 'har') {
+    return { kind, content: text };
+  }
+
+  try {
+    const parsed = JSON.parse(text);
+    if (kind === 'har' || parsed?.log?.entries) {
+      return { kind: 'har', content: summarizeHar(parsed) };
+    }
+    return { kind, content: JSON.stringify(parsed, null, 2) };
+  } catch (error) {
+    return { kind: 'text', content: text, note: `could not be parsed as ${kind.toUpperCase()} (${error.message}), read as text` };
+  }
+}
+
+/**
+ * Cap text at ATTACHMENT_MAX_CHARS - logs keep their end (the most recent lines), other files their start
+ */
+function capText(text, kind) {
+  if (text.length <= ATTACHMENT_MAX_CHARS) {
+    return { content: text, truncated: false };
+  }
+  if (kind === 'log') {
+    return {
+      content: `[... first ${text.length - ATTACHMENT_MAX_CHARS} characters omitted ...]\n${text.slice(-ATTACHMENT_MAX_CHARS)}`,
+      truncated: true,
+    };
+  }
+  return {
+    content: `${text.slice(0, ATTACHMENT_MAX_CHARS)}\n[... last ${text.length - ATTACHMENT_MAX_CHARS} characters omitted ...]`,
+    truncated: true,
+  };
+}
+
+/**
+ * Download and parse one text-like Slack file
+ */
+async function loadTextAttachment(file, { kind, gzipped }, teamId) {
+  if (file.size && file.size > ATTACHMENT_MAX_BYTES) {
+    throw new Error(`file is ${file.size} bytes, larger than ATTACHMENT_MAX_BYTES (${ATTACHMENT_MAX_BYTES})`);
+  }
+
+  const response = await trackRequest('slack', 'files.download', () => fetch(file.url_private_download || file.url_private, {
+    headers: { Authorization: `Bearer ${getSlackBotToken(teamId)}` },
+    size: ATTACHMENT_MAX_BYTES,
+  }));
+  if (!response.ok) {
+    throw new Error(`download failed: ${response.status}`);
+  }
+
+  let buffer = Buffer.from(await response.arrayBuffer());
+  let truncated = false;
+  if (gzipped) {
+    // A text character is at most 4 bytes - no point decompressing more than the text cap
+    ({ buffer, truncated } = await gunzipCapped(buffer, ATTACHMENT_MAX_CHARS * 4));
+  }
+
+  const text = buffer.toString('utf-8');
+  if (text.includes('\u0000')) {
+    throw new Error('content is binary');
+  }
+
+  const parsed = parseAttachmentText(text, kind);
+  const capped = capText(parsed.content, parsed.kind);
+  log.info('Read attachment', { file: file.name, kind: parsed.kind, bytes: buffer.length, truncated: truncated || capped.truncated });
+
+  return {
+    name: file.name,
+    kind: parsed.kind,
+    bytes: buffer.length,
+    truncated: truncated || capped.truncated,
+    note: parsed.note || null,
+    // Only the lines are kept - the agent reads attachments line by line
+    lines: capped.content.split('\n'),
+  };
+}
+
+/**
+ * Download the text-like Slack files (.log, .txt, .json, .har, gzip) for the RCA
+ * Files that are not text, too large or fail to download are skipped with a log line
+ */
+export async function loadTextAttachments(files = [], teamId = null) {
+  const candidates = files
+    .map(file => ({ file, kind: getAttachmentKind(file) }))
+    .filter(({ kind }) => kind)
+    .slice(0, MAX_ATTACHMENTS);
+
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  log.info('Reading text attachments for the RCA', { count: candidates.length });
+  const attachments = [];
+  for (const { file, kind } of candidates) {
+    try {
+      attachments.push(await loadTextAttachment(file, kind, teamId));
+    } catch (error) {
+      log.warn('Skipping attachment', { file: file.name, error: error.message });
+    }
+  }
+  return attachments;
+}
+
+/**
+ * Build a short preview of an attachment: notable lines (errors, failures) first, else the first lines
+ */
+function buildPreview(attachment) {
+  const notable = attachment.lines
+    .map((line, index) => ({ line, number: index + 1 }))
+    .filter(({ line }) => NOTABLE_LINE_PATTERN.test(line));
+  const selected = notable.length > 0 ? notable : attachment.lines.slice(0, 40).map((line, index) => ({ line, number: index + 1 }));
+
+  let preview = '';
+  for (const { line, number } of selected) {
+    const entry = `${number}: ${line.substring(0, 300)}\n`;
+    if (preview.length + entry.length > ATTACHMENT_PREVIEW_CHARS) break;
+    preview += entry;
+  }
+  return preview.trimEnd();
+}
+
+/**
+ * Describe the attachments for the RCA system prompt (name, size and a preview of each)
+ */
+export function describeAttachmentsForPrompt(attachments) {
+  return attachments.map(attachment => {
+    const details = [`${attachment.kind}`, `${attachment.lines.length} lines`];
+    if (attachment.truncated) details.push('truncated');
+    if (attachment.note) details.push(attachment.note);
+    return `- \`${attachment.name}\` (${details.join(', ')})\n\`\`\`\n${buildPreview(attachment).replace(/```/g, "'''")}\n\`\`\``;
+  }).join('\n');
+}
+
+/**
+ * Read lines from an attachment for the read_attachment tool
+ * Either a window of lines (start_line, line_count) or the lines containing `pattern`: plain text,
+ * case-insensitive, with | between alternatives. The pattern comes from the model, so it is never
+ * compiled as a regular expression.
+ */
+export function readAttachment(attachments, { name, start_line: startLine = 1, line_count: lineCount = 200, pattern }) {
+  const attachment = attachments.find(candidate => candidate.name === name);
+  if (!attachment) {
+    throw new Error(`No attachment named "${name}". Available: ${attachments.map(candidate => candidate.name).join(', ')}`);
+  }
+
+  const numbered = attachment.lines.map((line, index) => ({ line, number: index + 1 }));
+  let selected;
+  const terms = String(pattern || '').toLowerCase().split('|').map(term => term.trim()).filter(Boolean);
+  if (terms.length > 0) {
+    selected = numbered
+      .filter(({ line }) => {
+        const lowerLine = line.toLowerCase();
+        return terms.some(term => lowerLine.includes(term));
+      })
+      .slice(0, MAX_LINES_PER_READ);
+  } else {
+    const start = Math.max(1, startLine);
+    selected = numbered.slice(start - 1, start - 1 + Math.min(lineCount, MAX_LINES_PER_READ));
+  }
+
+  return {
+    name: attachment.name,
+    kind: attachment.kind,
+    total_lines: attachment.lines.length,
+    truncated: attachment.truncated,
+    lines: selected.map(({ line, number }) => `${number}: ${line.substring(0, 1000)}`).join('\n'),
+  };
+}
@@ -0,0 +1,197 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+/**
+ * Workflow checkpoints - the request and each finished step's output, saved under the workflow id
+ *
+ * A retried or resumed workflow loads its checkpoint and skips the steps that already finished,
+ * reusing their output (the Jira key, the RCA) instead of redoing them. One JSON file per
+ * workflow in CHECKPOINT_DIR (tmp file + rename); files older than CHECKPOINT_TTL_DAYS are removed.
+ *
+ * Checkpoint: { workflowId, request, issueKey, channel, threadTs, status, createdAt, updatedAt,
+ *               steps: { [stepName]: { output, savedAt } } }
+ */
+
+const CHECKPOINT_DIR = process.env.CHECKPOINT_DIR || path.join(process.cwd(), 'data', 'checkpoints');
+const CHECKPOINT_TTL_MS = parseInt(process.env.CHECKPOINT_TTL_DAYS || '30', 10) * 24 * 60 * 60 * 1000;
+
+const log = createLogger('checkpoints');
+
+// Writes are serialized through a promise chain so concurrent step saves do not overwrite each other
+let queue = Promise.resolve();
+
+/**
+ * Run a checkpoint read-modify-write after the ones before it
+ */
+function serialize(operation) {
+  const result = queue.then(operation);
+  // Keep the chain alive even if one write fails
+  queue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * File of a workflow's checkpoint
+ */
+function checkpointPath(workflowId) {
+  return path.join(CHECKPOINT_DIR, `${path.basename(workflowId)}.json`);
+}
+
+/**
+ * Read a checkpoint file, or null if there is none
+ */
+async function readCheckpoint(workflowId) {
+  try {
+    return JSON.parse(await fs.readFile(checkpointPath(workflowId), 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.warn('Checkpoint could not be read, ignoring it', { workflowId, error: error.message });
+    }
+    return null;
+  }
+}
+
+/**
+ * Write a checkpoint file (tmp file + rename)
+ */
+async function writeCheckpoint(checkpoint) {
+  await fs.mkdir(CHECKPOINT_DIR, { recursive: true });
+  const filePath = checkpointPath(checkpoint.workflowId);
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(checkpoint));
+  await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Read every checkpoint, removing the expired ones on the way
+ */
+async function readAllCheckpoints() {
+  let files = [];
+  try {
+    files = (await fs.readdir(CHECKPOINT_DIR)).filter(file => file.endsWith('.json'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const now = Date.now();
+  const checkpoints = [];
+  for (const file of files) {
+    const checkpoint = await readCheckpoint(file.replace(/\.json$/, ''));
+    if (!checkpoint) continue;
+    if (now - checkpoint.updatedAt > CHECKPOINT_TTL_MS) {
+      await fs.rm(path.join(CHECKPOINT_DIR, file), { force: true });
+      continue;
+    }
+    checkpoints.push(checkpoint);
+  }
+  return checkpoints.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Save what a workflow was started with, so it can be resumed after a restart
+ * Request: the workflow request (see runWorkflow in job-processor) with the messageTs and threadTs of its status message
+ * An existing checkpoint keeps its step outputs
+ */
+export function saveWorkflowRequest(workflowId, request) {
+  return serialize(async () => {
+    const now = Date.now();
+    const checkpoint = await readCheckpoint(workflowId) || { workflowId, issueKey: null, status: null, steps: {}, createdAt: now };
+    await writeCheckpoint({
+      ...checkpoint,
+      request,
+      channel: request.channel,
+      threadTs: request.threadTs,
+      updatedAt: now,
+    });
+  });
+}
+
+/**
+ * Save the output of a finished step
+ */
+export function saveStepOutput(workflowId, stepName, output = {}) {
+  return serialize(async () => {
+    const checkpoint = await readCheckpoint(workflowId);
+    if (!checkpoint) {
+      log.warn('No checkpoint to save the step in', { workflowId, step: stepName });
+      return;
+    }
+    const now = Date.now();
+    checkpoint.steps[stepName] = { output, savedAt: now };
+    if (stepName === 'ticket' && output.issueKey) {
+      checkpoint.issueKey = output.issueKey;
+    }
+    checkpoint.updatedAt = now;
+    await writeCheckpoint(checkpoint);
+  });
+}
+
+/**
+ * Record how the workflow last finished (completed, failed or cancelled)
+ */
+export function saveWorkflowStatus(workflowId, status) {
+  return serialize(async () => {
+    const checkpoint = await readCheckpoint(workflowId);
+    if (!checkpoint) return;
+    checkpoint.status = status;
+    checkpoint.updatedAt = Date.now();
+    await writeCheckpoint(checkpoint);
+  });
+}
+
+/**
+ * Save the LLM token and cost counters of a workflow (usage-tracker), so retries and resumes keep counting
+ */
+export function saveWorkflowUsage(workflowId, usage) {
+  return serialize(async () => {
+    const checkpoint = await readCheckpoint(workflowId);
+    if (!checkpoint) return;
+    checkpoint.usage = usage;
+    checkpoint.updatedAt = Date.now();
+    await writeCheckpoint(checkpoint);
+  });
+}
+
+/**
+ * Forget the saved output of steps that have to run again (e.g. before a re-run of the RCA)
+ */
+export function clearStepOutputs(workflowId, stepNames) {
+  return serialize(async () => {
+    const checkpoint = await readCheckpoint(workflowId);
+    if (!checkpoint) return;
+    for (const stepName of stepNames) {
+      delete checkpoint.steps[stepName];
+    }
+    checkpoint.updatedAt = Date.now();
+    await writeCheckpoint(checkpoint);
+  });
+}
+
+/**
+ * Load a workflow's checkpoint, or null if it has none
+ */
+export async function loadCheckpoint(workflowId) {
+  return serialize(() => readCheckpoint(workflowId));
+}
+
+/**
+ * Find a checkpoint by workflow id or Jira key (the newest workflow for that key)
+ */
+export async function findCheckpoint(reference) {
+  if (!reference) return null;
+  const byId = await loadCheckpoint(reference);
+  if (byId) return byId;
+
+  const issueKey = reference.toUpperCase();
+  return (await serialize(readAllCheckpoints)).find(checkpoint => checkpoint.issueKey === issueKey) || null;
+}
+
+/**
+ * Find the newest checkpoint of a workflow that replied in a Slack thread
+ */
+export async function findCheckpointForThread(channel, threadTs) {
+  if (!channel || !threadTs) return null;
+  return (await serialize(readAllCheckpoints))
+    .find(checkpoint => checkpoint.channel === channel && checkpoint.threadTs === threadTs) || null;
+}
@@ -0,0 +1,318 @@
+import { JIRA_PRIORITIES } from './slack-blocks.js';
+
+/**
+ * Command grammar for bot mentions and the `/rca` slash command
+ *
+ *   @bot [rca] [repo:owner/repo] [branch:name] [priority:high] [project:KEY] [assignee:@someone] <description>
+ *   @bot help
+ *   @bot status [workflow-id | JIRA-KEY]
+ *   @bot rerun <JIRA-KEY | workflow-id>
+ *   @bot cancel [workflow-id | JIRA-KEY]
+ *   @bot resume [workflow-id | JIRA-KEY]
+ *
+ * Options can appear anywhere in the message; other `word:value` text (localhost:3000, code:ECONNRESET)
+ * stays in the description unless the word looks like a mistyped option (proj:OPS, repository:org/api).
+ * A GitHub URL in the description is used as the repo.
+ */
+
+// `key:value` options of a mention, mapped to workflow options (see runWorkflow)
+const MENTION_OPTIONS = {
+  repo: 'repo',
+  branch: 'branch',
+  priority: 'priority',
+  project: 'projectKey',
+  assignee: 'assignee',
+};
+
+// Leading words that only introduce the description, and the same words left dangling where a URL was removed
+const LEADING_VERBS = /^(rca|analyze|analyse|check|review|look at|examine)\b[:,]?\s*/i;
+const TRAILING_VERBS = /\s*\b(analyze|analyse|check|review|look at|examine)[\s.,;:!?]*$/i;
+
+// Workflow ids (workflow-1712345678901-9f86d081, or workflow-1712345678901 from older versions) and Jira keys (OPS-123)
+const WORKFLOW_REFERENCE = /^(workflow-\d+(?:-[0-9a-f]{8})?|[A-Za-z][A-Za-z0-9_]+-\d+)$/;
+
+// An option token: a known key, colon, value (not a URL such as http://)
+const OPTION_TOKEN = new RegExp(`(^|\\s)(${Object.keys(MENTION_OPTIONS).join('|')}):(?!\\/\\/)(\\S+)(?=\\s|$)`, 'g');
+
+// A token shaped like an option: lowercase word key, colon, value that is not a URL (http://) or a port/time (:3000)
+const OPTION_SHAPED_TOKEN = /(^|\s)([a-z][a-z_-]*):(?!\/\/)(?!\d+(?=\s|$))(\S+)(?=\s|$)/g;
+
+// GitHub URLs, plain or in Slack's <url|label> link format
+const GITHUB_URL = /<?(?:https?:\/\/)?(?:www\.)?github\.com\/([\w\-.]+)\/([\w\-.]+?)(?:\.git)?(?:[/?#][^\s|>]*)?(?:\|[^>]*)?>?(?=[\s.,;:!?)]|$)/i;
+
+export const MENTION_HELP_TEXT = [
+  '*Start a root cause analysis*',
+  '`@bot [rca] <description> [repo:owner/repo] [branch:name] [priority:high] [project:KEY] [assignee:@someone]`',
+  'Repo and project default to the channel\'s routing config. A GitHub URL in the description works too.',
+  '',
+  '*Other commands*',
+  '`@bot status [workflow-id | JIRA-KEY]` - progress of a workflow (this thread\'s, or your latest in this channel)',
+  '`@bot rerun <JIRA-KEY | workflow-id>` - re-run the RCA of a finished workflow',
+  '`@bot cancel [workflow-id | JIRA-KEY]` - stop a running workflow (also aborts the RCA mid-analysis)',
+  '`@bot resume [workflow-id | JIRA-KEY]` - continue a failed or cancelled workflow from the step that did not finish, keeping its Jira ticket',
+  '`@bot help` - show this message',
+].join('\n');
+
+/**
+ * Normalize a repository reference (URL, github.com/owner/repo or owner/repo) to a GitHub URL
+ */
+export function normalizeGithubRepo(value) {
+  if (!value) return null;
+
+  const match = value
+    .replace(/^<|>$/g, '')
+    .replace(/\|.*$/, '')
+    .match(/^(?:https?:\/\/)?(?:www\.)?(?:github\.com\/)?([\w\-\.]+)\/([\w\-\.]+?)(?:\.git)?\/?$/i);
+  if (!match) return null;
+
+  return `https://github.com/${match[1]}/${match[2]}`;
+}
+
+/**
+ * Extract a GitHub repository URL and the issue description from free-form message text
+ * Only full GitHub URLs count as a repo - `and/or` or `v1/users` in the text are left alone
+ * Returns { githubRepo: string|null, issueDescription: string }
+ */
+export function extractIssueAndRepo(text) {
+  if (!text) return { githubRepo: null, issueDescription: '' };
+
+  let { githubRepo, issueDescription } = splitRepoAndDescription(text);
+
+  // If issue description is empty or just whitespace, use a default
+  if (issueDescription.length < 3) {
+    issueDescription = githubRepo
+      ? `Analyze repository: ${githubRepo}`
+      : 'Issue reported from Slack';
+  }
+
+  return { githubRepo, issueDescription };
+}
+
+/**
+ * Take the GitHub URL out of message text and clean up the rest
+ * Returns { githubRepo: string|null, issueDescription } - the description may be empty
+ */
+function splitRepoAndDescription(text) {
+  // Remove bot mention from text
+  let issueDescription = text.replace(/<@[A-Z0-9]+>/g, '').trim();
+
+  let githubRepo = null;
+  const match = issueDescription.match(GITHUB_URL);
+  if (match) {
+    githubRepo = `https://github.com/${match[1]}/${match[2]}`;
+    issueDescription = issueDescription.replace(GITHUB_URL, '');
+  }
+
+  return { githubRepo, issueDescription: cleanDescription(issueDescription) };
+}
+
+/**
+ * Collapse whitespace and drop leading words like "analyze" or "rca"
+ */
+function cleanDescription(text) {
+  let description = text.replace(/\s+/g, ' ').trim();
+  while (LEADING_VERBS.test(description)) {
+    description = description.replace(LEADING_VERBS, '');
+  }
+  return description
+    .replace(TRAILING_VERBS, '')
+    .replace(/^[\s.,;:-]+|[\s,;:-]+$/g, '')
+    .trim();
+}
+
+/**
+ * Validate one `key:value` mention option
+ * Returns { value } or { error }
+ */
+function parseMentionOption(key, value) {
+  if (key === 'repo') {
+    const githubRepo = normalizeGithubRepo(value);
+    return githubRepo
+      ? { value: githubRepo }
+      : { error: `\`${value}\` is not a valid GitHub repository. Use \`repo:owner/repo\` or \`repo:https://github.com/owner/repo\`` };
+  }
+
+  if (key === 'priority') {
+    const priority = JIRA_PRIORITIES.find(name => name.toLowerCase() === value.toLowerCase());
+    return priority
+      ? { value: priority }
+      : { error: `\`${value}\` is not a Jira priority. Use one of: ${JIRA_PRIORITIES.map(name => name.toLowerCase()).join(', ')}` };
+  }
+
+  if (key === 'assignee') {
+    // Slack sends the mention as <@U123> (or <@U123|name>)
+    const match = value.match(/^<@([A-Z0-9]+)(?:\|[^>]*)?>$/);
+    return match
+      ? { value: match[1] }
+      : { error: `\`${value}\` is not a Slack user. Use \`assignee:@someone\`` };
+  }
+
+  if (key === 'project') {
+    const projectKey = value.toUpperCase();
+    return /^[A-Z][A-Z0-9_]+$/.test(projectKey)
+      ? { value: projectKey }
+      : { error: `\`${value}\` is not a Jira project key. Use something like \`project:OPS\`` };
+  }
+
+  return { value };
+}
+
+/**
+ * Known option a mistyped key most likely meant (proj -> project, repository -> repo, brnach -> branch)
+ * Returns the option name, or null when the key does not look like an option at all (code, localhost)
+ */
+function suggestMentionOption(key) {
+  const name = key.toLowerCase();
+  if (name.length < 3) return null;
+
+  return Object.keys(MENTION_OPTIONS).find(option =>
+    option.startsWith(name)
+    || name.startsWith(option)
+    || (name.length >= 4 && editDistance(name, option) <= 2)
+  ) || null;
+}
+
+/**
+ * Levenshtein distance between two short strings
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Parse the text of a bot mention into a command
+ * Returns one of:
+ * - { command: 'help' }
+ * - { command: 'status' | 'rerun' | 'cancel' | 'resume', target: string|null }
+ * - { command: 'rca', githubRepo, issueDescription, options: { branch, priority, projectKey, assignee } }
+ *   (issueDescription is empty for a bare mention or one that only carries options, e.g. in a thread)
+ * - { error } for mistyped options and invalid option values
+ */
+export function parseMentionCommand(text) {
+  // Drop mentions, except the value of an option such as assignee:<@U123>
+  const cleanText = (text || '').replace(/(^|[^:])<@[A-Z0-9]+(?:\|[^>]*)?>/g, '$1').trim();
+  const tokens = cleanText.split(/\s+/).filter(Boolean);
+  const [first = '', second, ...rest] = tokens;
+  const subcommand = first.toLowerCase();
+
+  // Subcommands only match their exact shape, so "status page is down" is still a report
+  if (subcommand === 'help' && tokens.length === 1) {
+    return { command: 'help' };
+  }
+  if (['status', 'cancel', 'resume'].includes(subcommand) && rest.length === 0 && (!second || WORKFLOW_REFERENCE.test(second))) {
+    return { command: subcommand, target: second || null };
+  }
+  if (subcommand === 'rerun' && rest.length === 0 && second && WORKFLOW_REFERENCE.test(second)) {
+    return { command: 'rerun', target: second };
+  }
+  if (subcommand === 'rerun') {
+    return { error: 'Usage: `@bot rerun <JIRA-KEY | workflow-id>`' };
+  }
+
+  for (const [, , key] of cleanText.matchAll(OPTION_SHAPED_TOKEN)) {
+    const suggestion = !MENTION_OPTIONS[key] && suggestMentionOption(key);
+    if (suggestion) {
+      return {
+        error: `Unknown option \`${key}:\` - did you mean \`${suggestion}:\`? Supported options: ${Object.keys(MENTION_OPTIONS).map(name => `\`${name}:\``).join(', ')}. Say \`@bot help\` for usage.`,
+      };
+    }
+  }
+
+  const options = {};
+  let repoOption = null;
+  for (const [, , key, value] of cleanText.matchAll(OPTION_TOKEN)) {
+    const parsed = parseMentionOption(key, value);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    if (key === 'repo') {
+      repoOption = parsed.value;
+    } else {
+      options[MENTION_OPTIONS[key]] = parsed.value;
+    }
+  }
+
+  const { githubRepo, issueDescription } = splitRepoAndDescription(cleanText.replace(OPTION_TOKEN, '$1'));
+  return {
+    command: 'rca',
+    githubRepo: repoOption || githubRepo,
+    issueDescription,
+    options,
+  };
+}
+
+/**
+ * Parse `/rca` slash command text: `<description> [github-url] [--repo X] [--branch X] [--project X] [--dry-run]`
+ * Returns { githubRepo, issueDescription, options, error }
+ */
+export function parseSlashCommandText(text) {
+  const tokens = (text || '').trim().split(/\s+/).filter(Boolean);
+  const valueFlags = { '--repo': 'repo', '--branch': 'branch', '--project': 'projectKey' };
+  const options = { dryRun: false };
+  const words = [];
+  let repoFlag = null;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (!token.startsWith('--')) {
+      words.push(token);
+      continue;
+    }
+
+    const [flag, inlineValue] = token.split(/=(.*)/s);
+    if (flag === '--dry-run') {
+      options.dryRun = true;
+      continue;
+    }
+
+    if (!valueFlags[flag]) {
+      return { error: `Unknown option \`${flag}\`. Supported options: --repo, --branch, --project, --dry-run` };
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : tokens[++i];
+    if (!value || value.startsWith('--')) {
+      return { error: `Option \`${flag}\` requires a value` };
+    }
+
+    if (valueFlags[flag] === 'repo') {
+      repoFlag = value;
+    } else {
+      options[valueFlags[flag]] = value;
+    }
+  }
+
+  let githubRepo = null;
+  if (repoFlag) {
+    githubRepo = normalizeGithubRepo(repoFlag);
+    if (!githubRepo) {
+      return { error: `\`${repoFlag}\` is not a valid GitHub repository. Use owner/repo or https://github.com/owner/repo` };
+    }
+  } else if (words.length > 1 && /github\.com\//i.test(words[words.length - 1])) {
+    // Optional trailing GitHub URL: `/rca <description> https://github.com/owner/repo`
+    // (a bare owner/repo is too easily part of the description, e.g. "and/or" - that needs --repo)
+    githubRepo = normalizeGithubRepo(words[words.length - 1]);
+    if (githubRepo) {
+      words.pop();
+    }
+  }
+
+  const issueDescription = words.join(' ').trim();
+  if (issueDescription.length < 3) {
+    return { error: 'Please describe the issue. Usage: `/rca <description> [github-url] [--repo owner/repo] [--branch name] [--project KEY] [--dry-run]`' };
+  }
+
+  return { githubRepo, issueDescription, options };
+}
@@ -0,0 +1,140 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+/**
+ * Deduplication store for Slack event deliveries
+ *
+ * Slack retries events that are not acknowledged in time (X-Slack-Retry-Num) and can
+ * deliver the same message more than once. Keys are claimed with a TTL; a second claim
+ * of the same key within the TTL is reported as a duplicate.
+ *
+ * Backends are selected with DEDUP_STORE (memory | file). Other backends (e.g. SQLite)
+ * can be plugged in with registerDedupBackend(name, factory), where the factory returns
+ * an object with `async claim(key, ttlMs)`.
+ */
+
+const DEDUP_TTL_MS = parseInt(process.env.DEDUP_TTL_SECONDS || '3600', 10) * 1000;
+const DEDUP_STORE_PATH = process.env.DEDUP_STORE_PATH || path.join(process.cwd(), 'data', 'dedup.json');
+
+const log = createLogger('dedup');
+
+/**
+ * Remove expired keys from a key -> expiresAt map
+ */
+function sweepExpired(entries, now = Date.now()) {
+  for (const [key, expiresAt] of entries) {
+    if (expiresAt <= now) {
+      entries.delete(key);
+    }
+  }
+}
+
+/**
+ * In-memory backend (lost on restart)
+ */
+function createMemoryDedupStore() {
+  const entries = new Map();
+
+  return {
+    async claim(key, ttlMs = DEDUP_TTL_MS) {
+      const now = Date.now();
+      sweepExpired(entries, now);
+      if (entries.has(key)) {
+        return false;
+      }
+      entries.set(key, now + ttlMs);
+      return true;
+    },
+  };
+}
+
+/**
+ * File backend - keys survive restarts, writes are serialized through a promise chain
+ */
+function createFileDedupStore({ filePath = DEDUP_STORE_PATH } = {}) {
+  let entries = null;
+  let queue = Promise.resolve();
+
+  const load = async () => {
+    if (entries) return;
+    try {
+      const json = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+      entries = new Map(Object.entries(json));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn('Dedup store could not be read, starting empty', { path: filePath, error: error.message });
+      }
+      entries = new Map();
+    }
+  };
+
+  const save = async () => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(Object.fromEntries(entries)));
+    await fs.rename(tmpPath, filePath);
+  };
+
+  return {
+    claim(key, ttlMs = DEDUP_TTL_MS) {
+      const result = queue.then(async () => {
+        await load();
+        const now = Date.now();
+        sweepExpired(entries, now);
+        if (entries.has(key)) {
+          return false;
+        }
+        entries.set(key, now + ttlMs);
+        await save();
+        return true;
+      });
+      // Keep the chain alive even if one write fails
+      queue = result.catch(() => {});
+      return result;
+    },
+  };
+}
+
+const backends = {
+  memory: createMemoryDedupStore,
+  file: createFileDedupStore,
+};
+
+let store = null;
+
+/**
+ * Register an additional dedup backend, selectable with DEDUP_STORE=<name>
+ */
+export function registerDedupBackend(name, factory) {
+  backends[name] = factory;
+}
+
+/**
+ * Get the configured dedup store (created on first use)
+ */
+export function getDedupStore() {
+  if (!store) {
+    const backendName = process.env.DEDUP_STORE || 'memory';
+    const factory = backends[backendName];
+    if (!factory) {
+      throw new Error(`Unknown DEDUP_STORE backend: ${backendName} (available: ${Object.keys(backends).join(', ')})`);
+    }
+    store = factory();
+    log.info('Dedup store ready', { backend: backendName, ttlSeconds: DEDUP_TTL_MS / 1000 });
+  }
+  return store;
+}
+
+/**
+ * Claim a set of keys identifying one delivery; returns true only if none was seen before
+ * Every key is claimed so later deliveries match on any of them
+ */
+export async function claimFirstDelivery(keys, ttlMs = DEDUP_TTL_MS) {
+  const dedupStore = getDedupStore();
+  const results = [];
+  for (const key of keys) {
+    results.push(await dedupStore.claim(key, ttlMs));
+  }
+  return results.every(Boolean);
+}
@@ -0,0 +1,201 @@
+import { searchRecentSlackTickets } from './jira-service.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Duplicate ticket detection
+ *
+ * Before the ticket step creates a Jira ticket, recent open `slack-generated` tickets of the same
+ * project are compared with the new report on three signals:
+ *   - text: cosine similarity of the report and the ticket's title and summary
+ *   - stack trace: same exception class and frames in the same repository files
+ *   - files: overlap of the file search results with the ticket's Relevant Files section
+ * The signals that both sides have are weighted into one score; the best ticket at or above
+ * DUPLICATE_THRESHOLD is a likely duplicate.
+ */
+
+// How far back tickets are searched (days)
+const DUPLICATE_LOOKBACK_DAYS = parseInt(process.env.DUPLICATE_LOOKBACK_DAYS || '14', 10);
+// Score (0-1) from which a ticket counts as a likely duplicate
+const DUPLICATE_THRESHOLD = parseFloat(process.env.DUPLICATE_THRESHOLD || '0.5');
+const MAX_CANDIDATES = 50;
+// Frames per trace that make up its signature - the frames closest to the error
+const SIGNATURE_FRAMES = 5;
+const SIGNATURE_FILES = 10;
+
+const SIGNAL_WEIGHTS = { text: 0.5, stackTrace: 0.3, files: 0.2 };
+
+const log = createLogger('duplicates');
+
+// Words that say nothing about which bug a report is about
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'has', 'have', 'was', 'were', 'with',
+  'this', 'that', 'from', 'when', 'what', 'which', 'they', 'them', 'then', 'there', 'their', 'been', 'being', 'into',
+  'after', 'before', 'again', 'also', 'just', 'only', 'some', 'than', 'too', 'very', 'does', 'did', 'doing', 'our',
+  'out', 'get', 'got', 'getting', 'its', 'it\'s', 'now', 'see', 'seems', 'still', 'should', 'would', 'could', 'will',
+  'issue', 'issues', 'problem', 'bug', 'reported', 'slack', 'please', 'help', 'analyze', 'github', 'com', 'https', 'http',
+]);
+
+// Sections createJiraTicket appends to the description - not part of the report itself
+const TICKET_SECTION_PATTERN = /^## (Acceptance Criteria|Slack Thread|Stack Traces|Relevant Files|Screenshots)\s*$/m;
+
+/**
+ * Split text into lowercase words, leaving out stop words and short tokens
+ */
+function tokenize(text = '') {
+  return (text.toLowerCase().match(/[a-z0-9_]+/g) || [])
+    .filter(word => word.length >= 3 && !STOP_WORDS.has(word) && !/^\d+$/.test(word));
+}
+
+/**
+ * Cosine similarity of two texts by word counts (0-1)
+ */
+function textSimilarity(a, b) {
+  const countWords = words => words.reduce((counts, word) => counts.set(word, (counts.get(word) || 0) + 1), new Map());
+  const countsA = countWords(tokenize(a));
+  const countsB = countWords(tokenize(b));
+  if (countsA.size === 0 || countsB.size === 0) {
+    return 0;
+  }
+
+  let dot = 0;
+  for (const [word, count] of countsA) {
+    dot += count * (countsB.get(word) || 0);
+  }
+  const norm = counts => Math.sqrt([...counts.values()].reduce((sum, count) => sum + count * count, 0));
+  return dot / (norm(countsA) * norm(countsB));
+}
+
+/**
+ * Exception classes and repository files of the frames closest to the error
+ * Built from parsed traces (stack-trace-parser), or from the Stack Traces section of an existing ticket
+ */
+function traceSignature(traces) {
+  return {
+    exceptions: new Set(traces.map(trace => trace.exception).filter(Boolean)),
+    files: new Set(traces.flatMap(trace => trace.frames.filter(frame => frame.path).slice(0, SIGNATURE_FRAMES).map(frame => frame.path))),
+  };
+}
+
+/**
+ * Read the stack traces formatStackTraces wrote into a ticket description back into { exception, frames }
+ */
+function parseTicketTraces(description) {
+  const section = getTicketSection(description, 'Stack Traces');
+  const traces = [];
+  for (const line of section.split('\n')) {
+    const heading = line.match(/^(Stack trace|\S+?)(?::\s.*)? \[\w+\]\s*$/);
+    if (heading) {
+      traces.push({ exception: heading[1] === 'Stack trace' ? null : heading[1], frames: [] });
+      continue;
+    }
+    // "  at path:line in fn" - frames outside the repo carry "(library)" or "(not in repo)"
+    const frame = line.match(/^\s*at (\S+):\d+(?: in .+)?$/);
+    if (frame && traces.length > 0) {
+      traces[traces.length - 1].frames.push({ path: frame[1] });
+    }
+  }
+  return traces;
+}
+
+/**
+ * Text of one ## section of a ticket description (empty when the ticket has none)
+ */
+function getTicketSection(description, heading) {
+  const start = description.indexOf(`## ${heading}\n`);
+  if (start === -1) {
+    return '';
+  }
+  const body = description.slice(start + heading.length + 4);
+  const next = body.search(/^## /m);
+  return next === -1 ? body : body.slice(0, next);
+}
+
+/**
+ * Files listed in the Relevant Files section of a ticket description
+ */
+function parseTicketFiles(description) {
+  return new Set(
+    getTicketSection(description, 'Relevant Files')
+      .split('\n')
+      .map(line => line.replace(/^-\s*/, '').replace(/`/g, '').trim())
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Share of the smaller set found in the other one (0-1)
+ */
+function overlap(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+  const shared = [...a].filter(item => b.has(item)).length;
+  return shared / Math.min(a.size, b.size);
+}
+
+/**
+ * Score a ticket against the report
+ * Returns { score, reasons } - reasons say what matched, for the Slack thread
+ */
+function scoreTicket(report, ticket) {
+  const reportText = report.text;
+  const ticketText = `${ticket.summary}\n${ticket.description.split(TICKET_SECTION_PATTERN)[0]}`;
+  const signals = { text: textSimilarity(reportText, ticketText) };
+  const reasons = [`${Math.round(signals.text * 100)}% similar text`];
+
+  const ticketTrace = traceSignature(parseTicketTraces(ticket.description));
+  const hasReportTrace = report.trace.exceptions.size > 0 || report.trace.files.size > 0;
+  const hasTicketTrace = ticketTrace.exceptions.size > 0 || ticketTrace.files.size > 0;
+  if (hasReportTrace && hasTicketTrace) {
+    const sameException = [...report.trace.exceptions].find(exception => ticketTrace.exceptions.has(exception));
+    const sharedFrames = [...report.trace.files].filter(file => ticketTrace.files.has(file));
+    signals.stackTrace = (sameException ? 0.5 : 0) + (sharedFrames.length > 0 ? 0.5 : 0);
+    if (sameException || sharedFrames.length > 0) {
+      const parts = [sameException, sharedFrames.length > 0 && `frames in ${sharedFrames.slice(0, 2).join(', ')}`].filter(Boolean);
+      reasons.push(`matching stack trace (${parts.join(', ')})`);
+    }
+  }
+
+  const ticketFiles = parseTicketFiles(ticket.description);
+  if (report.files.size > 0 && ticketFiles.size > 0) {
+    signals.files = overlap(report.files, ticketFiles);
+    const shared = [...report.files].filter(file => ticketFiles.has(file)).length;
+    if (shared > 0) {
+      reasons.push(`${shared} of ${Math.min(report.files.size, ticketFiles.size)} relevant files in common`);
+    }
+  }
+
+  // Only the signals both sides have count
+  const weights = Object.keys(signals).reduce((sum, signal) => sum + SIGNAL_WEIGHTS[signal], 0);
+  const score = Object.entries(signals).reduce((sum, [signal, value]) => sum + SIGNAL_WEIGHTS[signal] * value, 0) / weights;
+  return { score, reasons };
+}
+
+/**
+ * Find the recent Jira ticket the report most likely duplicates
+ * Report: { projectKey, issueDescription, messageText, stackTraces, relevantFiles }
+ * Returns { key, url, summary, status, score, reasons }, or null when no ticket reaches DUPLICATE_THRESHOLD
+ */
+export async function findDuplicateTicket({ projectKey, issueDescription, messageText, stackTraces = [], relevantFiles = [] }) {
+  const tickets = await searchRecentSlackTickets({ projectKey, days: DUPLICATE_LOOKBACK_DAYS, maxResults: MAX_CANDIDATES });
+  if (tickets.length === 0) {
+    return null;
+  }
+
+  const report = {
+    text: [issueDescription, messageText !== issueDescription ? messageText : ''].filter(Boolean).join('\n'),
+    trace: traceSignature(stackTraces),
+    files: new Set((relevantFiles || []).slice(0, SIGNATURE_FILES)),
+  };
+
+  let best = null;
+  for (const ticket of tickets) {
+    const { score, reasons } = scoreTicket(report, ticket);
+    if (!best || score > best.score) {
+      best = { key: ticket.key, url: ticket.url, summary: ticket.summary, status: ticket.status, score, reasons };
+    }
+  }
+
+  log.info('Closest ticket', { issueKey: best.key, score: Number(best.score.toFixed(2)), threshold: DUPLICATE_THRESHOLD, reasons: best.reasons.join(', ') });
+  return best.score >= DUPLICATE_THRESHOLD ? best : null;
+}
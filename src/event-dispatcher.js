@@ -0,0 +1,606 @@
+import { queueWorkflow, buildSlackRequest, rerunRCA, regenerateTestCases, cancelWorkflow, resumeWorkflow, decideDuplicate } from './job-processor.js';
+import { generateJiraTitleAndSummary } from './jira-service.js';
+import { buildTicketDraftLoadingModal, buildTicketDraftModal, buildWorkflowStatusText, TICKET_MODAL_CALLBACK_ID } from './slack-blocks.js';
+import { getThreadContext, fetchMessage, getSlackClient, getBotIdentity, getMentionedUsers } from './slack-service.js';
+import { claimFirstDelivery } from './dedup-store.js';
+import { resolveRoute } from './routing-config.js';
+import { publishAppHome, openWorkflowDetails } from './app-home.js';
+import { deleteInstallation } from './installation-store.js';
+import { findWorkflow, listWorkflows } from './workflow-registry.js';
+import { parseMentionCommand, extractIssueAndRepo, normalizeGithubRepo, parseSlashCommandText, MENTION_HELP_TEXT } from './command-parser.js';
+import { findCheckpointForThread } from './checkpoint-store.js';
+import { createLogger, withLogContext } from './logger.js';
+
+/**
+ * Transport-independent Slack dispatcher
+ *
+ * Events API bodies, slash commands and interaction payloads are handled the same way
+ * whether they arrive over the HTTP webhook (webhook.js) or Socket Mode (socket-mode.js).
+ * Each dispatch function returns the acknowledgment body; long-running work continues
+ * in the background.
+ */
+
+const TICKET_SHORTCUT_CALLBACK_ID = 'create_rca_ticket';
+// Emoji that starts a workflow on the message it is added to (name without colons)
+const TRIGGER_REACTION = (process.env.SLACK_TRIGGER_REACTION || 'rca').replace(/:/g, '');
+const REACTION_DEDUP_TTL_MS = parseInt(process.env.SLACK_REACTION_DEDUP_TTL_SECONDS || '604800', 10) * 1000;
+const JIRA_ISSUE_TYPES = (process.env.JIRA_ISSUE_TYPES || 'Bug,Task,Story')
+  .split(',')
+  .map(type => type.trim())
+  .filter(Boolean);
+
+const log = createLogger('slack-events');
+
+/**
+ * Reply in the thread of the message that mentioned the bot (non-blocking)
+ */
+async function replyInThread(event, text) {
+  try {
+    await getSlackClient(event.team).chat.postMessage({
+      channel: event.channel,
+      thread_ts: event.thread_ts || event.ts,
+      text,
+    });
+  } catch (slackError) {
+    log.warn('Failed to post Slack reply (non-blocking)', { error: slackError.message });
+  }
+}
+
+/**
+ * Find the workflow a subcommand refers to: the given workflow id or Jira key,
+ * else the workflow running in this thread, else the user's latest in this channel
+ */
+function findWorkflowForCommand(target, event) {
+  if (target) {
+    return findWorkflow(target);
+  }
+  const channelWorkflows = listWorkflows({ teamId: event.team, limit: 200 })
+    .filter(workflow => workflow.channel === event.channel);
+  return (event.thread_ts && channelWorkflows.find(workflow => workflow.threadTs === event.thread_ts))
+    || channelWorkflows.find(workflow => workflow.user === event.user)
+    || null;
+}
+
+/**
+ * Mention subcommands that act on a workflow (`@bot status`, `rerun`, `cancel`)
+ * Each returns the reply text
+ */
+const workflowSubcommands = {
+  status: async (workflow) => buildWorkflowStatusText(workflow),
+  rerun: async (workflow, event) => {
+    const errorMessage = await rerunRCA(workflow.id, event.user);
+    return errorMessage ? `⚠️ ${errorMessage}` : `🔁 Re-running the RCA for ${workflow.issueKey || `\`${workflow.id}\``}`;
+  },
+  cancel: async (workflow, event) => {
+    const errorMessage = await cancelWorkflow(workflow.id, event.user);
+    return errorMessage ? `⚠️ ${errorMessage}` : `🛑 Cancelling ${workflow.issueKey || `\`${workflow.id}\``}`;
+  },
+};
+
+/**
+ * Run a mention subcommand and reply with its result
+ */
+async function handleMentionSubcommand({ command, target }, event) {
+  log.info('Mention subcommand', { command, target });
+
+  if (command === 'help') {
+    await replyInThread(event, MENTION_HELP_TEXT);
+    return;
+  }
+
+  // Resume also works after a restart, from the workflow's saved checkpoint
+  if (command === 'resume') {
+    const reference = target
+      || findWorkflowForCommand(null, event)?.id
+      || (await findCheckpointForThread(event.channel, event.thread_ts))?.workflowId;
+    if (!reference) {
+      await replyInThread(event, '⚠️ No workflow found in this thread or channel to resume. Use `@bot resume <JIRA-KEY | workflow-id>`.');
+      return;
+    }
+    const errorMessage = await resumeWorkflow(reference, event.user);
+    await replyInThread(event, errorMessage ? `⚠️ ${errorMessage}` : `▶️ Resuming \`${reference}\` from the first step that did not finish`);
+    return;
+  }
+
+  const workflow = findWorkflowForCommand(target, event);
+  const reply = workflow
+    ? await workflowSubcommands[command](workflow, event)
+    : `⚠️ ${target ? `No workflow found for \`${target}\`` : 'No workflow found in this thread or channel'}. Workflows are only kept until the bot restarts.`;
+  await replyInThread(event, reply);
+}
+
+/**
+ * Work out who reported the issue and who should watch the ticket (Slack user ids)
+ * The reporter is the author of the reported message; whoever triggered the bot and anyone @mentioned watch
+ */
+async function getTicketPeople(event, reportedMessage, threadContext) {
+  const reporter = reportedMessage?.user || event.user;
+  let mentioned = threadContext?.mentionedUsers;
+  if (!mentioned) {
+    const bot = await getBotIdentity(event.team).catch(() => ({}));
+    mentioned = getMentionedUsers([reportedMessage?.text, event.text], [bot.userId]);
+  }
+
+  const watchers = [event.user, ...mentioned].filter(userId => userId && userId !== reporter);
+  return { reporter, watchers: [...new Set(watchers)] };
+}
+
+/**
+ * Handle an app_mention event: run a subcommand, or collect context and start the workflow
+ */
+async function handleAppMention(event) {
+  log.info('App mention received', { ts: event.ts, threadTs: event.thread_ts, chars: (event.text || '').length });
+  log.debug('Mention text', { text: event.text });
+
+  const command = parseMentionCommand(event.text);
+  if (command.error) {
+    log.warn('Invalid mention command', { reason: command.error });
+    await replyInThread(event, `⚠️ ${command.error}`);
+    return;
+  }
+
+  if (command.command !== 'rca') {
+    await handleMentionSubcommand(command, event);
+    return;
+  }
+
+  // Check if this is a thread reply and collect the whole thread as context
+  const threadContext = await getThreadContext(event);
+  const inThreadReply = threadContext && threadContext.parentMessage.ts !== event.ts;
+
+  let request = command;
+  let attachments = [];
+  let reportedMessage = null;
+  
+  if (threadContext) {
+    log.info('Bot mentioned in thread - using the thread as context', { messages: threadContext.messageCount });
+    if (inThreadReply) {
+      // Parent message describes the issue, the mention may add details and options of its own
+      reportedMessage = threadContext.parentMessage;
+      const parent = extractIssueAndRepo(threadContext.parentMessage.text);
+      request = {
+        githubRepo: command.githubRepo || parent.githubRepo,
+        issueDescription: [parent.issueDescription, command.issueDescription].filter(Boolean).join(' '),
+        options: command.options,
+      };
+    }
+    log.debug('Parent message', { text: threadContext.parentMessage.text });
+    // Get attachments from every message in the thread
+    attachments = threadContext.files;
+  } else {
+    // Get attachments from current message
+    attachments = event.files || [];
+  }
+
+  if (!request.issueDescription) {
+    await replyInThread(event, `⚠️ Please describe the issue.\n\n${MENTION_HELP_TEXT}`);
+    return;
+  }
+
+  const people = await getTicketPeople(event, reportedMessage, threadContext);
+  startWorkflowFromMessage(event, { ...request, options: { ...request.options, ...people } }, attachments, threadContext);
+}
+
+/**
+ * Start the workflow for a parsed request ({ githubRepo, issueDescription, options })
+ * `slackEvent.ts` is the thread the workflow replies in
+ */
+function startWorkflowFromMessage(slackEvent, { githubRepo, issueDescription, options = {} }, attachments, threadContext) {
+  // Log attachments if present
+  if (attachments.length > 0) {
+    log.info('Found attachments', { count: attachments.length, files: attachments.map(file => `${file.name} (${file.mimetype || 'unknown'})`).join(', ') });
+  }
+  
+  // Check if repo is provided in message or configured for the channel
+  // The routing config falls back to GITHUB_REPO / BACKEND_REPO_URL
+  const routeRepo = resolveRoute(slackEvent.channel).repo;
+  const finalRepo = githubRepo || routeRepo;
+  
+  log.info('Request parsed', { repoInMessage: githubRepo, repoFromRouting: routeRepo, githubRepo: finalRepo || 'MISSING', options });
+  log.debug('Issue extracted', { issueDescription });
+  
+  // Log if repo is missing
+  if (!finalRepo) {
+    log.warn('GitHub repository not provided', { inMessage: !!githubRepo, inRoutingConfig: !!routeRepo });
+  } else if (!githubRepo && routeRepo) {
+    log.info('Using GitHub repository from routing config');
+  }
+  
+  if (!finalRepo) {
+    // Reply to user that they need to provide a GitHub repo
+    // This will be handled asynchronously
+    enqueueWorkflow(slackEvent, null, issueDescription, attachments);
+  } else {
+    // Process the event asynchronously with both repo and issue
+    enqueueWorkflow(slackEvent, finalRepo, issueDescription, attachments, {
+      ...options,
+      threadContext: threadContext?.transcript || null,
+    });
+  }
+}
+
+/**
+ * Queue a workflow on the durable job queue (see buildSlackRequest for the arguments)
+ * The job is persisted before it runs, so it survives a restart
+ */
+function enqueueWorkflow(slackEvent, githubRepo, issueDescription, attachments = [], options = {}) {
+  return queueWorkflow(buildSlackRequest(slackEvent, githubRepo, issueDescription, attachments, options)).catch(err => {
+    log.error('Failed to queue workflow', { error: err });
+  });
+}
+
+/**
+ * Handle a reaction_added event: the trigger emoji on any message starts the workflow on that message
+ */
+async function handleReactionAdded(event) {
+  const { item } = event;
+  if (event.reaction !== TRIGGER_REACTION || item?.type !== 'message') {
+    return;
+  }
+
+  log.info('Trigger reaction received', { reaction: event.reaction, ts: item.ts });
+
+  const message = await fetchMessage(item.channel, item.ts, event.team);
+  if (!message) {
+    log.warn('Message not found - cannot start workflow', { ts: item.ts });
+    return;
+  }
+
+  // Several people adding the emoji (or removing and re-adding it) must not start a second run.
+  // Claimed once the message is fetched, so a failed fetch does not block the next reaction
+  if (!await claimFirstDelivery([`reaction:${item.channel}:${item.ts}`], REACTION_DEDUP_TTL_MS)) {
+    log.info('Message was already triggered by reaction - ignoring', { ts: item.ts });
+    return;
+  }
+  log.debug('Message text', { text: message.text });
+
+  // Reply in the message's thread (or start one on a top-level message)
+  const slackEvent = {
+    type: 'reaction_added',
+    user: event.user,
+    team: event.team,
+    channel: item.channel,
+    ts: message.thread_ts || message.ts,
+    thread_ts: message.thread_ts,
+    text: message.text || '',
+  };
+
+  const threadContext = await getThreadContext({ ...slackEvent, ts: message.ts });
+  const attachments = threadContext ? threadContext.files : (message.files || []);
+
+  const people = await getTicketPeople(slackEvent, message, threadContext);
+  startWorkflowFromMessage(slackEvent, { ...extractIssueAndRepo(message.text), options: people }, attachments, threadContext);
+}
+
+/**
+ * Handle app_home_opened: publish the user's Home tab with their workflows
+ */
+async function handleAppHomeOpened(event) {
+  if (event.tab !== 'home') {
+    return;
+  }
+
+  log.info('App Home opened');
+  await publishAppHome(event.user, event.team);
+}
+
+/**
+ * Handle app_uninstalled / tokens_revoked: forget the workspace's bot token
+ */
+async function handleUninstall(event) {
+  if (event.type === 'tokens_revoked' && !(event.tokens?.bot || []).length) {
+    return;
+  }
+
+  if (await deleteInstallation(event.team)) {
+    log.info('Installation removed', { teamId: event.team });
+  }
+}
+
+/**
+ * Event handlers by event type - anything else is acknowledged and ignored
+ */
+const eventHandlers = {
+  app_mention: handleAppMention,
+  reaction_added: handleReactionAdded,
+  app_home_opened: handleAppHomeOpened,
+  app_uninstalled: handleUninstall,
+  tokens_revoked: handleUninstall,
+};
+
+/**
+ * Check an event delivery against the dedup store (keyed on event_id and client_msg_id)
+ * `delivery` carries Slack's retry info: { retryNum, retryReason }
+ */
+async function isFirstDelivery(body, { retryNum, retryReason } = {}) {
+  const event = body.event || {};
+  const keys = [
+    body.event_id && `event:${body.event_id}`,
+    event.client_msg_id && `msg:${event.client_msg_id}`,
+  ].filter(Boolean);
+
+  try {
+    if (await claimFirstDelivery(keys)) {
+      if (retryNum) {
+        log.info('Slack retry for an event not seen before - processing', { retryNum, retryReason });
+      }
+      return true;
+    }
+  } catch (error) {
+    // A broken store must not drop events - worst case we process a duplicate
+    log.error('Dedup store error (processing event anyway)', { error: error.message });
+    return true;
+  }
+
+  log.info('Duplicate Slack delivery ignored', { keys: keys.join(', '), retryNum, retryReason });
+  return false;
+}
+
+/**
+ * Dispatch an Events API body (event_callback) to its event handler
+ * The handler runs in the background; the returned body is the acknowledgment
+ */
+export async function dispatchEvent(body, delivery = {}) {
+  if (body?.type !== 'event_callback') {
+    log.info('Unknown event type', { type: body?.type });
+    return { ok: true };
+  }
+
+  const event = body.event;
+  const eventHandler = eventHandlers[event.type];
+  if (!eventHandler) {
+    log.info('Ignoring unhandled event type', { type: event.type });
+    return { ok: true };
+  }
+
+  // Slack retries deliveries that were not acknowledged in time - process each event once
+  if (!await isFirstDelivery(body, delivery)) {
+    return { ok: true };
+  }
+
+  // `team` is the workspace whose token handles the event - in shared channels
+  // event.team can be the author's workspace instead
+  // Acknowledge immediately (Slack requires a response within 3 seconds), process in the background
+  // Everything the handler logs carries the event type, channel and user
+  const context = { event: event.type, channel: event.channel || event.item?.channel, user: event.user };
+  withLogContext(context, () => eventHandler({ ...event, team: body.team_id || event.team })).catch(err => {
+    log.error('Event handler failed', { ...context, error: err });
+  });
+  return { ok: true };
+}
+
+/**
+ * Dispatch a slash command (`/rca <description> [github-url]`) and start the workflow
+ * Returns the acknowledgment body (an ephemeral reply)
+ */
+export async function dispatchSlashCommand(fields) {
+  const { command, text, user_id: userId, channel_id: channelId, team_id: teamId } = fields || {};
+
+  log.info('Slash command received', { command, channel: channelId, user: userId, chars: (text || '').length });
+  log.debug('Slash command text', { text });
+
+  const parsed = parseSlashCommandText(text);
+  if (parsed.error) {
+    log.warn('Invalid slash command', { reason: parsed.error });
+    return { response_type: 'ephemeral', text: `⚠️ ${parsed.error}` };
+  }
+
+  const finalRepo = parsed.githubRepo || resolveRoute(channelId).repo;
+
+  log.info('Request parsed', { repoInCommand: parsed.githubRepo, githubRepo: finalRepo || 'MISSING', options: parsed.options });
+  log.debug('Issue extracted', { issueDescription: parsed.issueDescription });
+
+  // Slash commands have no message to thread under - the workflow posts a root message
+  const slackEvent = {
+    type: 'slash_command',
+    user: userId,
+    channel: channelId,
+    team: teamId,
+    text: text || '',
+  };
+
+  enqueueWorkflow(slackEvent, finalRepo, parsed.issueDescription, [], parsed.options);
+
+  // The acknowledgment is shown to the user as an ephemeral reply
+  const dryRunNote = parsed.options.dryRun ? ' (dry run - no Jira ticket will be created)' : '';
+  return {
+    response_type: 'ephemeral',
+    text: `🔍 Starting RCA for: ${parsed.issueDescription}${dryRunNote}`,
+  };
+}
+
+/**
+ * Workflow operations triggered by the status message buttons (keyed by action_id)
+ * Each operation returns an error message for the user, or null on success
+ */
+const blockActionHandlers = {
+  rerun_rca: rerunRCA,
+  regenerate_test_cases: regenerateTestCases,
+  cancel_workflow: cancelWorkflow,
+  resume_workflow: resumeWorkflow,
+  duplicate_comment: (workflowId, userId) => decideDuplicate(workflowId, userId, 'comment'),
+  duplicate_link: (workflowId, userId) => decideDuplicate(workflowId, userId, 'link'),
+  duplicate_create: (workflowId, userId) => decideDuplicate(workflowId, userId, 'create'),
+  // URL button - Slack opens the link, nothing to do server-side
+  open_jira: async () => null,
+  view_workflow_details: (workflowId, userId, payload) => openWorkflowDetails(workflowId, payload.trigger_id, getPayloadTeamId(payload)),
+};
+
+/**
+ * Get the workspace an interaction payload came from
+ */
+function getPayloadTeamId(payload) {
+  return payload.team?.id || payload.user?.team_id || null;
+}
+
+/**
+ * Dispatch a block_actions payload to the matching workflow operation
+ */
+async function handleBlockActions(payload) {
+  const userId = payload.user?.id;
+  const channel = payload.channel?.id || payload.container?.channel_id;
+  const teamId = getPayloadTeamId(payload);
+
+  for (const action of payload.actions || []) {
+    const handler = blockActionHandlers[action.action_id];
+    if (!handler) {
+      log.info('Ignoring unknown block action', { action: action.action_id });
+      continue;
+    }
+
+    log.info('Block action', { action: action.action_id, value: action.value, user: userId });
+    const errorMessage = await handler(action.value, userId, payload);
+    if (errorMessage && userId) {
+      try {
+        const slackClient = getSlackClient(teamId);
+        if (channel) {
+          await slackClient.chat.postEphemeral({ channel, user: userId, text: `⚠️ ${errorMessage}` });
+        } else {
+          // Actions from the App Home tab have no channel - reply in the app's DM
+          await slackClient.chat.postMessage({ channel: userId, text: `⚠️ ${errorMessage}` });
+        }
+      } catch (slackError) {
+        log.warn('Failed to post ephemeral message (non-blocking)', { error: slackError.message });
+      }
+    }
+  }
+}
+
+/**
+ * Open the ticket draft modal for the "Create RCA ticket" message shortcut
+ */
+async function openTicketDraftModal(payload) {
+  const message = payload.message || {};
+  const channel = payload.channel?.id;
+  const slackClient = getSlackClient(getPayloadTeamId(payload));
+
+  // trigger_id expires after 3 seconds - open a placeholder first, then fill in the LLM draft
+  const opened = await slackClient.views.open({
+    trigger_id: payload.trigger_id,
+    view: buildTicketDraftLoadingModal(),
+  });
+
+  const { githubRepo, issueDescription } = extractIssueAndRepo(message.text);
+  const route = resolveRoute(channel);
+  log.info('Drafting ticket', { ts: message.ts, channel });
+  const draft = await generateJiraTitleAndSummary(issueDescription);
+
+  await slackClient.views.update({
+    view_id: opened.view.id,
+    hash: opened.view.hash,
+    view: buildTicketDraftModal({
+      draft,
+      githubRepo: githubRepo || route.repo,
+      projectKey: route.jiraProject,
+      issueType: route.issueType,
+      issueTypes: JIRA_ISSUE_TYPES,
+      priority: null,
+      metadata: {
+        channel,
+        messageTs: message.ts,
+        threadTs: message.thread_ts || message.ts,
+      },
+    }),
+  });
+}
+
+/**
+ * Handle the ticket draft modal submission
+ * Returns a response_action body for validation errors, or null to close the modal
+ */
+function handleTicketDraftSubmission(payload) {
+  const values = payload.view.state?.values || {};
+  const inputValue = (blockId) => (values[blockId]?.value?.value || '').trim();
+  const selectedValue = (blockId) => values[blockId]?.value?.selected_option?.value || null;
+
+  const githubRepo = normalizeGithubRepo(inputValue('repo'));
+  if (!githubRepo) {
+    return {
+      response_action: 'errors',
+      errors: { repo: 'Enter a GitHub repository as owner/repo or https://github.com/owner/repo' },
+    };
+  }
+
+  const projectKey = inputValue('project').toUpperCase();
+  if (!/^[A-Z][A-Z0-9_]+$/.test(projectKey)) {
+    return {
+      response_action: 'errors',
+      errors: { project: 'Enter a Jira project key such as PROJ' },
+    };
+  }
+
+  const draft = {
+    title: inputValue('title'),
+    summary: inputValue('summary'),
+    acceptanceCriteria: inputValue('acceptance_criteria'),
+  };
+  const options = {
+    projectKey,
+    issueType: selectedValue('issue_type'),
+    priority: selectedValue('priority'),
+    draft,
+  };
+  const metadata = JSON.parse(payload.view.private_metadata || '{}');
+  const userId = payload.user?.id;
+
+  log.info('Ticket draft submitted', { user: userId, title: draft.title });
+  startReviewedTicketWorkflow(metadata, userId, getPayloadTeamId(payload), githubRepo, options).catch(err => {
+    log.error('Failed to start reviewed ticket workflow', { error: err });
+  });
+
+  return null;
+}
+
+/**
+ * Start the RCA workflow for a message whose ticket draft was reviewed in the modal
+ */
+async function startReviewedTicketWorkflow({ channel, messageTs, threadTs }, userId, teamId, githubRepo, options) {
+  // Re-fetch the message so its attachments travel with the ticket
+  const message = await fetchMessage(channel, messageTs, teamId);
+  const { issueDescription } = extractIssueAndRepo(message?.text || options.draft.summary);
+
+  const slackEvent = {
+    type: 'message_action',
+    user: userId,
+    team: teamId,
+    channel,
+    ts: threadTs,
+    text: message?.text || '',
+  };
+
+  const reporter = message?.user || userId;
+  await enqueueWorkflow(slackEvent, githubRepo, issueDescription, message?.files || [], {
+    ...options,
+    reporter,
+    watchers: reporter !== userId ? [userId] : [],
+  });
+}
+
+/**
+ * Dispatch an interaction payload (status message buttons, message shortcut and ticket draft modal)
+ * Returns the acknowledgment body, or null for an empty acknowledgment
+ */
+export async function dispatchInteraction(payload) {
+  log.info('Received Slack interaction', {
+    type: payload.type,
+    user: payload.user?.id,
+    actions: (payload.actions || []).map(action => action.action_id).join(', ') || undefined,
+  });
+
+  if (payload.type === 'block_actions') {
+    handleBlockActions(payload).catch(err => {
+      log.error('Failed to handle block actions', { error: err });
+    });
+  } else if (payload.type === 'message_action' && payload.callback_id === TICKET_SHORTCUT_CALLBACK_ID) {
+    openTicketDraftModal(payload).catch(err => {
+      log.error('Failed to open ticket draft modal', { error: err });
+    });
+  } else if (payload.type === 'view_submission' && payload.view?.callback_id === TICKET_MODAL_CALLBACK_ID) {
+    // Validation errors must be returned in the acknowledgment itself
+    return handleTicketDraftSubmission(payload);
+  } else {
+    log.info('Ignoring unsupported interaction type', { type: payload.type });
+  }
+
+  return null;
+}
@@ -1,25 +1,181 @@
-import { exec } from 'child_process';
+import { exec, execFile } from 'child_process';
 import { promisify } from 'util';
+import crypto from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
+import { createLogger } from './logger.js';
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+const log = createLogger('github');
 
 // Repository path (cloned during Docker build)
 const REPO_PATH = process.env.GITHUB_REPO_PATH || '/app/repo';
+// Shallow clones of the repos and branches that are not the build-time clone, one directory per repo and branch
+const CHECKOUTS_PATH = process.env.REPO_CHECKOUTS_PATH || path.join(process.cwd(), 'data', 'repos');
+const GIT_TIMEOUT_MS = parseInt(process.env.GIT_CHECKOUT_TIMEOUT_SECONDS || '300', 10) * 1000;
+// Token for cloning private repositories (the build-time clone carries its own in its origin URL)
+const GIT_CLONE_TOKEN = process.env.GIT_CLONE_TOKEN || null;
+
+// Branch names passed to git: no leading dash (would read as an option) and no `..`
+const BRANCH_NAME = /^(?!-)(?!.*\.\.)[\w.\/-]+$/;
+// owner/repo of a GitHub URL (https or ssh, with or without credentials and .git)
+const GITHUB_REPO_NAME = /github\.com[/:]([\w.-]+)\/([\w.-]+?)(?:\.git)?\/?$/i;
+
+// Checkout directory -> promise of the clone or update in progress, so concurrent workflows share it
+const checkoutsInProgress = new Map();
+let clonedRepository = null;
 
 /**
  * Check if repository exists (cloned during Docker build)
  */
-async function checkRepositoryExists() {
+async function checkRepositoryExists(repoPath) {
   try {
-    await fs.access(REPO_PATH);
+    await fs.access(repoPath);
     return true;
   } catch {
     return false;
   }
 }
 
+/**
+ * Run git with arguments (no shell); credentials in the output are masked
+ */
+async function git(args, cwd = undefined) {
+  try {
+    const { stdout } = await execFileAsync('git', args, {
+      cwd,
+      timeout: GIT_TIMEOUT_MS,
+      maxBuffer: 10 * 1024 * 1024,
+      // A private repo without a token fails instead of waiting for a password
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0' },
+    });
+    return stdout.trim();
+  } catch (error) {
+    const message = (error.stderr || error.message || '').trim().split('\n').pop();
+    throw new Error(message.replace(/\/\/[^@/\s]+@/g, '//***@'));
+  }
+}
+
+/**
+ * owner/repo (lower case) of a GitHub URL, or null
+ */
+function getGithubRepoName(url) {
+  const match = (url || '').match(GITHUB_REPO_NAME);
+  // `.` and `..` would point the checkout directory elsewhere
+  if (!match || [match[1], match[2]].some(part => /^\.+$/.test(part))) return null;
+  return `${match[1]}/${match[2]}`.toLowerCase();
+}
+
+/**
+ * Origin URL, repository (owner/repo) and branch of the build-time clone, read once from its git metadata
+ * The repository falls back to GITHUB_REPO / BACKEND_REPO_URL when the origin is not a GitHub URL
+ */
+async function getClonedRepository() {
+  if (!clonedRepository) {
+    clonedRepository = Promise.all([
+      git(['remote', 'get-url', 'origin'], REPO_PATH),
+      git(['rev-parse', '--abbrev-ref', 'HEAD'], REPO_PATH),
+    ]).then(([url, branch]) => ({
+      url,
+      name: getGithubRepoName(url) || getGithubRepoName(process.env.GITHUB_REPO || process.env.BACKEND_REPO_URL),
+      branch,
+    }));
+    // A missing clone is looked at again on the next call
+    clonedRepository.catch(() => { clonedRepository = null; });
+  }
+  return clonedRepository;
+}
+
+/**
+ * Directory a workflow's file search and agents read: `branch` of `githubRepo` checked out
+ * The build-time clone serves its own repository and branch (or no branch). Other repositories
+ * and branches are shallow-cloned under CHECKOUTS_PATH, or updated to the branch head when an
+ * earlier workflow cloned them. Throws when the checkout fails, so the workflow fails instead
+ * of reading the wrong code.
+ */
+export async function prepareCheckout(githubRepo, branch = null) {
+  const repoName = getGithubRepoName(githubRepo);
+  if (!repoName) {
+    throw new Error(`${githubRepo} is not a GitHub repository`);
+  }
+  if (branch && !BRANCH_NAME.test(branch)) {
+    throw new Error(`\`${branch}\` is not a valid branch name`);
+  }
+
+  const cloned = await getClonedRepository().catch((error) => {
+    log.warn('No git clone at the repository path, checking out every repository', { repository: REPO_PATH, error: error.message });
+    return null;
+  });
+  const isClonedRepo = repoName === cloned?.name;
+  if (isClonedRepo && (!branch || branch === cloned.branch)) {
+    return REPO_PATH;
+  }
+
+  // The build-time clone's origin already has its credentials; other repos use GIT_CLONE_TOKEN
+  const url = isClonedRepo
+    ? cloned.url
+    : `https://${GIT_CLONE_TOKEN ? `${GIT_CLONE_TOKEN}@` : ''}github.com/${repoName}.git`;
+  const checkoutPath = path.join(
+    CHECKOUTS_PATH,
+    ...repoName.split('/'),
+    branch ? branch.replace(/[^\w.-]/g, char => `%${char.charCodeAt(0).toString(16)}`) : '@default',
+  );
+  if (!checkoutsInProgress.has(checkoutPath)) {
+    const checkout = checkoutBranch(url, branch, checkoutPath)
+      .finally(() => checkoutsInProgress.delete(checkoutPath));
+    checkoutsInProgress.set(checkoutPath, checkout);
+  }
+  try {
+    await checkoutsInProgress.get(checkoutPath);
+  } catch (error) {
+    throw new Error(`Could not check out ${branch ? `branch ${branch} of ` : ''}${githubRepo}: ${error.message}`);
+  }
+  return checkoutPath;
+}
+
+/**
+ * Shallow-clone `branch` (null: the default branch) into `checkoutPath`, or move an existing clone to the branch head
+ */
+async function checkoutBranch(url, branch, checkoutPath) {
+  const checkoutStart = Date.now();
+  const exists = await fs.access(path.join(checkoutPath, '.git')).then(() => true, () => false);
+
+  if (exists) {
+    await git(['fetch', '--depth', '1', 'origin', branch || 'HEAD'], checkoutPath);
+    await git(['reset', '--hard', 'FETCH_HEAD'], checkoutPath);
+    // Agents run commands in the checkout - drop whatever they left behind
+    await git(['clean', '-fdx'], checkoutPath);
+    log.info('Updated checkout', { branch: branch || 'default', path: checkoutPath, durationMs: Date.now() - checkoutStart });
+    return;
+  }
+
+  // Clone next to the target and rename, so a failed clone never leaves a half-written checkout
+  await fs.mkdir(path.dirname(checkoutPath), { recursive: true });
+  const tempPath = `${checkoutPath}.tmp-${crypto.randomUUID().slice(0, 8)}`;
+  try {
+    await git(['clone', '--depth', '1', '--single-branch', ...(branch ? ['--branch', branch] : []), url, tempPath]);
+    await fs.rename(tempPath, checkoutPath);
+  } catch (error) {
+    await fs.rm(tempPath, { recursive: true, force: true });
+    throw error;
+  }
+  log.info('Cloned checkout', { branch: branch || 'default', path: checkoutPath, durationMs: Date.now() - checkoutStart });
+}
+
+/**
+ * Resolve a path inside a checkout, refusing anything outside it
+ */
+function resolveInRepo(repoPath, target) {
+  const resolvedPath = path.resolve(repoPath, target);
+  const repoResolved = path.resolve(repoPath);
+  if (resolvedPath !== repoResolved && !resolvedPath.startsWith(repoResolved + path.sep)) {
+    return null;
+  }
+  return resolvedPath;
+}
+
 /**
  * Extract keywords from issue description for grep search
  */
@@ -48,40 +204,35 @@ function extractKeywords(issueDescription) {
 }
 
 /**
- * Use grep to find relevant files based on keywords
+ * Use grep to find relevant files based on keywords (in the checkout at `repoPath`, see prepareCheckout)
  */
-export async function findRelevantFilesWithGrep(issueDescription, workflowId = 'unknown') {
-  console.log(`\n   [${workflowId}] ========================================`);
-  console.log(`   [${workflowId}] 🔍 FILE SEARCH - Starting`);
-  console.log(`   [${workflowId}] ========================================`);
-  console.log(`   [${workflowId}] Repository Path: ${REPO_PATH}`);
-  console.log(`   [${workflowId}] Issue Description: ${issueDescription}`);
+export async function findRelevantFilesWithGrep(issueDescription, repoPath = REPO_PATH) {
+  log.info('File search started', { repository: repoPath });
+  log.debug('Issue description', { issueDescription });
   
-  const repoExists = await checkRepositoryExists();
+  const repoExists = await checkRepositoryExists(repoPath);
   if (!repoExists) {
-    console.error(`   [${workflowId}] ❌ Repository does not exist at ${REPO_PATH}`);
-    throw new Error(`Repository not found at ${REPO_PATH}. Please ensure GITHUB_REPO is set during Docker build.`);
+    log.error('Repository does not exist', { repository: repoPath });
+    throw new Error(`Repository not found at ${repoPath}. Please ensure GITHUB_REPO is set during Docker build.`);
   }
-  console.log(`   [${workflowId}] ✅ Repository exists at ${REPO_PATH}`);
   
   // Verify repository has files
   try {
-    const entries = await fs.readdir(REPO_PATH);
-    console.log(`   [${workflowId}] 📁 Repository has ${entries.length} top-level items`);
-    console.log(`   [${workflowId}] Top-level items: ${entries.slice(0, 10).join(', ')}${entries.length > 10 ? '...' : ''}`);
+    const entries = await fs.readdir(repoPath);
+    log.debug('Repository top-level items', { count: entries.length, items: entries.slice(0, 10).join(', ') });
     if (entries.length === 0) {
-      throw new Error(`Repository at ${REPO_PATH} appears to be empty`);
+      throw new Error(`Repository at ${repoPath} appears to be empty`);
     }
   } catch (error) {
-    console.error(`   [${workflowId}] ❌ Error reading repository: ${error.message}`);
-    throw new Error(`Cannot read repository at ${REPO_PATH}: ${error.message}`);
+    log.error('Failed to read repository', { repository: repoPath, error: error.message });
+    throw new Error(`Cannot read repository at ${repoPath}: ${error.message}`);
   }
   
   const keywords = extractKeywords(issueDescription);
-  console.log(`   [${workflowId}] Extracted keywords: ${keywords.slice(0, 10).join(', ')}`);
+  log.info('Extracted keywords', { count: keywords.length, keywords: keywords.slice(0, 10).join(', ') });
   
   if (keywords.length === 0) {
-    console.log(`   [${workflowId}] No keywords found, will search all code files`);
+    log.info('No keywords found, will search all code files');
     // If no keywords, return first 50 code files
     const codeExtensions = [
       '.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.cpp', '.c', '.h',
@@ -90,17 +241,17 @@ export async function findRelevantFilesWithGrep(issueDescription, workflowId = '
       '.vue', '.svelte', '.dart', '.lua', '.sql', '.md'
     ];
     const extensionArgs = codeExtensions.map(ext => `-name "*${ext}"`).join(' -o ');
-    const findCommand = `find ${REPO_PATH} -type f \\( ${extensionArgs} \\) ! -path "*/node_modules/*" ! -path "*/.git/*" ! -path "*/dist/*" ! -path "*/build/*" ! -path "*/.next/*" ! -path "*/.cache/*" 2>/dev/null | head -50`;
+    const findCommand = `find "${repoPath}" -type f \\( ${extensionArgs} \\) ! -path "*/node_modules/*" ! -path "*/.git/*" ! -path "*/dist/*" ! -path "*/build/*" ! -path "*/.next/*" ! -path "*/.cache/*" 2>/dev/null | head -50`;
     try {
       const { stdout } = await execAsync(findCommand, { maxBuffer: 10 * 1024 * 1024 });
       const files = stdout
         .split('\n')
         .filter(line => line.trim())
-        .map(file => path.relative(REPO_PATH, file.trim()));
-      console.log(`   [${workflowId}] Found ${files.length} code files (no keywords, using all)`);
+        .map(file => path.relative(repoPath, file.trim()));
+      log.info('Found code files (no keywords, using all)', { count: files.length });
       return files;
     } catch (error) {
-      console.warn(`   [${workflowId}] Error finding files: ${error.message}`);
+      log.warn('Failed to find code files', { error: error.message });
       return [];
     }
   }
@@ -121,10 +272,9 @@ export async function findRelevantFilesWithGrep(issueDescription, workflowId = '
       // Build include patterns for grep (Alpine grep doesn't support --include with braces)
       // Use find + grep combination for better compatibility
       const extensionArgs = codeExtensions.map(ext => `-name "*${ext}"`).join(' -o ');
-      const findCommand = `find ${REPO_PATH} -type f \\( ${extensionArgs} \\) ! -path "*/node_modules/*" ! -path "*/.git/*" ! -path "*/dist/*" ! -path "*/build/*" ! -path "*/.next/*" ! -path "*/.cache/*" 2>/dev/null | head -100`;
+      const findCommand = `find "${repoPath}" -type f \\( ${extensionArgs} \\) ! -path "*/node_modules/*" ! -path "*/.git/*" ! -path "*/dist/*" ! -path "*/build/*" ! -path "*/.next/*" ! -path "*/.cache/*" 2>/dev/null | head -100`;
       
-      console.log(`   [${workflowId}] 🔎 Searching for keyword: "${keyword}"`);
-      console.log(`   [${workflowId}] Running find command to locate code files...`);
+      log.debug('Searching for keyword', { keyword });
       
       const { stdout: findOutput } = await execAsync(findCommand, {
         maxBuffer: 10 * 1024 * 1024
@@ -135,26 +285,19 @@ export async function findRelevantFilesWithGrep(issueDescription, workflowId = '
         .filter(line => line.trim())
         .map(file => file.trim());
       
-      console.log(`   [${workflowId}] Found ${allCodeFiles.length} total code files in repository`);
-      if (allCodeFiles.length > 0) {
-        console.log(`   [${workflowId}] Sample files: ${allCodeFiles.slice(0, 5).map(f => path.relative(REPO_PATH, f)).join(', ')}`);
-      }
-      
       if (allCodeFiles.length === 0) {
-        console.log(`   [${workflowId}] ⚠️ No code files found in repository`);
+        log.warn('No code files found in repository', { repository: repoPath });
         continue;
       }
       
       // Now grep through these files for the keyword
-      console.log(`   [${workflowId}] 🔍 Grepping for "${keyword}" in ${Math.min(allCodeFiles.length, 100)} files...`);
+      log.debug('Grepping for keyword', { keyword, files: Math.min(allCodeFiles.length, 100) });
       const filesWithKeyword = [];
       for (const filePath of allCodeFiles.slice(0, 100)) { // Limit to first 100 files for performance
         try {
           const grepCommand = `grep -l "${keyword}" "${filePath}" 2>/dev/null`;
           await execAsync(grepCommand, { timeout: 2000 });
           filesWithKeyword.push(filePath);
-          const relativePath = path.relative(REPO_PATH, filePath);
-          console.log(`   [${workflowId}]   ✅ Found in: ${relativePath}`);
         } catch (error) {
           // grep returns non-zero if no match, which is fine
           if (error.code !== 1) {
@@ -164,19 +307,16 @@ export async function findRelevantFilesWithGrep(issueDescription, workflowId = '
       }
       
       const relativeFiles = filesWithKeyword
-        .map(file => path.relative(REPO_PATH, file));
+        .map(file => path.relative(repoPath, file));
       
       relativeFiles.forEach(file => relevantFiles.add(file));
       
-      console.log(`   [${workflowId}] ✅ Keyword "${keyword}" found in ${relativeFiles.length} files`);
-      if (relativeFiles.length > 0) {
-        console.log(`   [${workflowId}] Files: ${relativeFiles.slice(0, 10).join(', ')}${relativeFiles.length > 10 ? '...' : ''}`);
-      }
+      log.debug('Keyword search finished', { keyword, matches: relativeFiles.length, files: relativeFiles.slice(0, 10).join(', ') });
     } catch (error) {
       // If find fails, try simpler grep approach
-      console.warn(`   [${workflowId}] Find command failed, trying simple grep: ${error.message}`);
+      log.warn('Find command failed, trying simple grep', { keyword, error: error.message });
       try {
-        const simpleGrepCommand = `grep -ril "${keyword}" ${REPO_PATH} --include="*.js" --include="*.jsx" --include="*.ts" --include="*.tsx" --include="*.py" --include="*.rb" --include="*.java" 2>/dev/null | head -20`;
+        const simpleGrepCommand = `grep -ril "${keyword}" "${repoPath}" --include="*.js" --include="*.jsx" --include="*.ts" --include="*.tsx" --include="*.py" --include="*.rb" --include="*.java" 2>/dev/null | head -20`;
         const { stdout } = await execAsync(simpleGrepCommand, {
           maxBuffer: 10 * 1024 * 1024
         });
@@ -184,42 +324,52 @@ export async function findRelevantFilesWithGrep(issueDescription, workflowId = '
         const files = stdout
           .split('\n')
           .filter(line => line.trim())
-          .map(file => path.relative(REPO_PATH, file.trim()));
+          .map(file => path.relative(repoPath, file.trim()));
         
         files.forEach(file => relevantFiles.add(file));
-        console.log(`   [${workflowId}] Keyword "${keyword}" found in ${files.length} files (simple grep)`);
+        log.debug('Keyword search finished (simple grep)', { keyword, matches: files.length });
       } catch (grepError) {
         if (grepError.code !== 1) {
-          console.warn(`   [${workflowId}] Error searching for "${keyword}": ${grepError.message}`);
+          log.warn('Keyword search failed', { keyword, error: grepError.message });
         }
       }
     }
   }
   
   const fileList = Array.from(relevantFiles);
-  console.log(`\n   [${workflowId}] ========================================`);
-  console.log(`   [${workflowId}] 📊 FILE SEARCH - Results`);
-  console.log(`   [${workflowId}] ========================================`);
-  console.log(`   [${workflowId}] Total relevant files found: ${fileList.length}`);
   if (fileList.length > 0) {
-    console.log(`   [${workflowId}] Files to analyze:`);
-    fileList.slice(0, 50).forEach((file, index) => {
-      console.log(`   [${workflowId}]   ${index + 1}. ${file}`);
-    });
-    if (fileList.length > 50) {
-      console.log(`   [${workflowId}]   ... and ${fileList.length - 50} more (limited to 50)`);
-    }
+    log.info('File search finished', { relevantFiles: fileList.length, kept: Math.min(fileList.length, 50) });
+    log.debug('Files to analyze', { files: fileList.slice(0, 50) });
   } else {
-    console.log(`   [${workflowId}] ⚠️ No relevant files found for analysis`);
+    log.warn('No relevant files found for analysis');
   }
-  console.log(`   [${workflowId}] ========================================\n`);
   
   // Limit to top 50 most relevant files
   return fileList.slice(0, 50);
 }
 
 /**
- * Get repository path for agent tools
+ * List every file in the repository (relative paths), skipping dependencies and build output
+ * Used to map stack trace frames to files in the checkout
+ */
+export async function listRepositoryFiles(repoPath = REPO_PATH) {
+  const findCommand = `find "${repoPath}" -type f ! -path "*/node_modules/*" ! -path "*/.git/*" ! -path "*/dist/*" ! -path "*/build/*" ! -path "*/.next/*" ! -path "*/.cache/*" ! -path "*/vendor/*" 2>/dev/null | head -50000`;
+  try {
+    const { stdout } = await execAsync(findCommand, { maxBuffer: 50 * 1024 * 1024 });
+    const files = stdout
+      .split('\n')
+      .filter(line => line.trim())
+      .map(file => path.relative(repoPath, file.trim()));
+    log.info('Listed repository files', { count: files.length });
+    return files;
+  } catch (error) {
+    log.warn('Failed to list repository files', { error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Path of the build-time clone (the checkout of workflows on its repository and branch)
  */
 export function getRepoPath() {
   return REPO_PATH;
@@ -228,45 +378,41 @@ export function getRepoPath() {
 /**
  * Read file content (used by agent tools)
  */
-export async function readFile(filePath, workflowId = 'unknown') {
+export async function readFile(filePath, repoPath = REPO_PATH) {
   try {
-    const fullPath = path.isAbsolute(filePath) ? filePath : path.join(REPO_PATH, filePath);
-    
     // Security: Ensure path is within repo
-    const resolvedPath = path.resolve(fullPath);
-    const repoResolved = path.resolve(REPO_PATH);
+    const resolvedPath = resolveInRepo(repoPath, filePath);
     
-    if (!resolvedPath.startsWith(repoResolved)) {
-      console.error(`   [${workflowId}] ❌ Security: File path outside repository: ${filePath}`);
+    if (!resolvedPath) {
+      log.error('Security: file path outside repository', { path: filePath });
       throw new Error('File path outside repository');
     }
     
-    console.log(`   [${workflowId}] 📖 Reading file: ${filePath}`);
-    console.log(`   [${workflowId}]    Full path: ${resolvedPath}`);
-    
     const content = await fs.readFile(resolvedPath, 'utf-8');
-    console.log(`   [${workflowId}]    ✅ Read successfully: ${content.length} characters`);
-    console.log(`   [${workflowId}]    First 200 chars: ${content.substring(0, 200).replace(/\n/g, '\\n')}...`);
+    log.info('Read file', { path: filePath, chars: content.length });
+    log.debug('File content', { path: filePath, content: content.substring(0, 200) });
     return content;
   } catch (error) {
-    console.error(`   [${workflowId}] ❌ Error reading file ${filePath}:`, error.message);
+    log.error('Failed to read file', { path: filePath, error: error.message });
     throw error;
   }
 }
 
 /**
  * Execute command (used by agent tools)
+ * Aborting `signal` kills the child process (workflow cancellation)
  */
-export async function executeCommand(command, workflowId = 'unknown', timeout = 10000) {
+export async function executeCommand(command, timeout = 10000, signal = null, repoPath = REPO_PATH) {
   try {
-    console.log(`   [${workflowId}] ⚙️  Executing command: ${command}`);
-    console.log(`   [${workflowId}]    Working directory: ${REPO_PATH}`);
+    log.info('Executing command', { command, cwd: repoPath });
+    const commandStart = Date.now();
     
     const { stdout, stderr } = await Promise.race([
       execAsync(command, { 
-        cwd: REPO_PATH,
+        cwd: repoPath,
         maxBuffer: 10 * 1024 * 1024,
-        timeout
+        timeout,
+        ...(signal && { signal }),
       }),
       new Promise((_, reject) => 
         setTimeout(() => reject(new Error('Command timeout')), timeout)
@@ -279,18 +425,11 @@ export async function executeCommand(command, workflowId = 'unknown', timeout =
       success: true
     };
     
-    console.log(`   [${workflowId}]    ✅ Command completed successfully`);
-    console.log(`   [${workflowId}]    stdout length: ${result.stdout.length} chars`);
-    console.log(`   [${workflowId}]    stderr length: ${result.stderr.length} chars`);
-    if (result.stdout.length > 0 && result.stdout.length < 500) {
-      console.log(`   [${workflowId}]    stdout: ${result.stdout.substring(0, 500)}`);
-    }
-    if (result.stderr.length > 0) {
-      console.log(`   [${workflowId}]    stderr: ${result.stderr.substring(0, 200)}`);
-    }
+    log.info('Command completed', { durationMs: Date.now() - commandStart, stdoutChars: result.stdout.length, stderrChars: result.stderr.length });
+    log.debug('Command output', { stdout: result.stdout.substring(0, 500), stderr: result.stderr.substring(0, 200) });
     return result;
   } catch (error) {
-    console.error(`   [${workflowId}]    ❌ Command failed: ${error.message}`);
+    log.warn('Command failed', { command, error: error.message });
     return {
       stdout: '',
       stderr: error.message,
@@ -302,37 +441,32 @@ export async function executeCommand(command, workflowId = 'unknown', timeout =
 /**
  * List directory contents (used by agent tools)
  */
-export async function listDirectory(dirPath, workflowId = 'unknown') {
+export async function listDirectory(dirPath, repoPath = REPO_PATH) {
   try {
-    const fullPath = path.isAbsolute(dirPath) ? dirPath : path.join(REPO_PATH, dirPath);
-    
     // Security: Ensure path is within repo
-    const resolvedPath = path.resolve(fullPath);
-    const repoResolved = path.resolve(REPO_PATH);
+    const resolvedPath = resolveInRepo(repoPath, dirPath);
     
-    if (!resolvedPath.startsWith(repoResolved)) {
-      console.error(`   [${workflowId}] ❌ Security: Directory path outside repository: ${dirPath}`);
+    if (!resolvedPath) {
+      log.error('Security: directory path outside repository', { path: dirPath });
       throw new Error('Directory path outside repository');
     }
     
-    console.log(`   [${workflowId}] 📂 Listing directory: ${dirPath}`);
-    console.log(`   [${workflowId}]    Full path: ${resolvedPath}`);
     
     const entries = await fs.readdir(resolvedPath, { withFileTypes: true });
     const result = entries.map(entry => ({
       name: entry.name,
       type: entry.isDirectory() ? 'directory' : 'file',
-      path: path.relative(REPO_PATH, path.join(resolvedPath, entry.name))
+      path: path.relative(repoPath, path.join(resolvedPath, entry.name))
     }));
     
-    console.log(`   [${workflowId}]    ✅ Found ${result.length} items`);
-    const dirs = result.filter(r => r.type === 'directory').map(r => r.name);
-    const files = result.filter(r => r.type === 'file').map(r => r.name);
-    console.log(`   [${workflowId}]    Directories (${dirs.length}): ${dirs.slice(0, 10).join(', ')}${dirs.length > 10 ? '...' : ''}`);
-    console.log(`   [${workflowId}]    Files (${files.length}): ${files.slice(0, 10).join(', ')}${files.length > 10 ? '...' : ''}`);
+    log.info('Listed directory', {
+      path: dirPath,
+      directories: result.filter(r => r.type === 'directory').length,
+      files: result.filter(r => r.type === 'file').length,
+    });
     return result;
   } catch (error) {
-    console.error(`   [${workflowId}] ❌ Error listing directory ${dirPath}:`, error.message);
+    log.error('Failed to list directory', { path: dirPath, error: error.message });
     throw error;
   }
 }
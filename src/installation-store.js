@@ -0,0 +1,73 @@
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+/**
+ * Slack installation store - bot tokens per workspace (team_id)
+ *
+ * Written by the OAuth v2 install flow and read whenever a Slack call is made for a team.
+ * Installations are kept in memory and persisted to INSTALLATION_STORE_PATH (tmp file + rename).
+ */
+
+const INSTALLATION_STORE_PATH = process.env.INSTALLATION_STORE_PATH || path.join(process.cwd(), 'data', 'installations.json');
+
+const log = createLogger('installations');
+
+let installations = null;
+
+/**
+ * Load installations from disk on first use
+ */
+function load() {
+  if (installations) return installations;
+
+  try {
+    installations = new Map(Object.entries(JSON.parse(fs.readFileSync(INSTALLATION_STORE_PATH, 'utf-8'))));
+    log.info('Installation store loaded', { workspaces: installations.size, path: INSTALLATION_STORE_PATH });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.warn('Installation store could not be read, starting empty', { path: INSTALLATION_STORE_PATH, error: error.message });
+    }
+    installations = new Map();
+  }
+  return installations;
+}
+
+/**
+ * Persist installations to disk
+ */
+async function save() {
+  await fs.promises.mkdir(path.dirname(INSTALLATION_STORE_PATH), { recursive: true });
+  const tmpPath = `${INSTALLATION_STORE_PATH}.tmp`;
+  await fs.promises.writeFile(tmpPath, JSON.stringify(Object.fromEntries(installations), null, 2), { mode: 0o600 });
+  await fs.promises.rename(tmpPath, INSTALLATION_STORE_PATH);
+}
+
+/**
+ * Store (or replace) the installation for a workspace
+ * Installation: { teamId, teamName, enterpriseId, appId, botToken, botUserId, scope, installedBy, installedAt }
+ */
+export async function saveInstallation(installation) {
+  load().set(installation.teamId, installation);
+  await save();
+  return installation;
+}
+
+/**
+ * Get the installation for a workspace, or null if the app was never installed there
+ */
+export function getInstallation(teamId) {
+  if (!teamId) return null;
+  return load().get(teamId) || null;
+}
+
+/**
+ * Remove a workspace's installation (app uninstalled or tokens revoked)
+ */
+export async function deleteInstallation(teamId) {
+  if (!load().delete(teamId)) {
+    return false;
+  }
+  await save();
+  return true;
+}
@@ -1,13 +1,20 @@
 import fetch from 'node-fetch';
 import FormData from 'form-data';
 import OpenAI from 'openai';
+import { getSlackBotToken } from './slack-service.js';
+import { formatStackTraces } from './stack-trace-parser.js';
+import { createLogger } from './logger.js';
+import { trackRequest } from './metrics.js';
 
 const JIRA_BASE_URL = process.env.JIRA_BASE_URL;
 const JIRA_USER = process.env.JIRA_USER || process.env.JIRA_EMAIL; // Support both JIRA_USER and JIRA_EMAIL
 const JIRA_API_TOKEN = process.env.JIRA_API_TOKEN;
 const JIRA_PROJECT_KEY = process.env.JIRA_PROJECT_KEY || 'PROJ';
 const JIRA_ISSUE_TYPE = process.env.JIRA_ISSUE_TYPE || 'Task';
-const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
+// Files from the search listed on a new ticket
+const RELEVANT_FILES_IN_TICKET = 10;
+
+const log = createLogger('jira');
 
 const jiraAuthHeader = `Basic ${Buffer.from(`${JIRA_USER}:${JIRA_API_TOKEN}`).toString('base64')}`;
 
@@ -237,22 +244,25 @@ function textToADF(text) {
 }
 
 /**
- * Get Slack message permalink
+ * Get Slack message permalink (using the bot token of the message's workspace)
  */
-async function getSlackPermalink(channel, messageTs, workflowId = 'unknown') {
-  if (!SLACK_BOT_TOKEN) {
-    console.warn(`   [${workflowId}] SLACK_BOT_TOKEN not set - cannot get permalink`);
+export async function getSlackPermalink(channel, messageTs, teamId) {
+  let slackBotToken;
+  try {
+    slackBotToken = getSlackBotToken(teamId);
+  } catch (error) {
+    log.warn('Cannot get Slack permalink', { error: error.message });
     return null;
   }
 
   try {
-    const response = await fetch(
+    const response = await trackRequest('slack', 'chat.getPermalink', () => fetch(
       `https://slack.com/api/chat.getPermalink?channel=${channel}&message_ts=${messageTs}`,
       {
         method: 'GET',
-        headers: { Authorization: `Bearer ${SLACK_BOT_TOKEN}` },
+        headers: { Authorization: `Bearer ${slackBotToken}` },
       }
-    );
+    ));
 
     const json = await response.json();
     if (json?.ok && json.permalink) {
@@ -262,7 +272,7 @@ async function getSlackPermalink(channel, messageTs, workflowId = 'unknown') {
     // Fallback: construct permalink manually
     return `https://slack.com/archives/${channel}/p${messageTs.replace('.', '')}`;
   } catch (error) {
-    console.warn(`   [${workflowId}] Failed to get Slack permalink:`, error.message);
+    log.warn('Failed to get Slack permalink', { error: error.message });
     // Fallback: construct permalink manually
     return `https://slack.com/archives/${channel}/p${messageTs.replace('.', '')}`;
   }
@@ -288,26 +298,34 @@ Respond with a JSON object in this exact format:
   "acceptance_criteria": "- Criterion 1\n- Criterion 2\n- Criterion 3"
 }`;
 
+/**
+ * Build a ticket title and summary from the report text alone, without OpenAI
+ */
+export function buildPlainTicketDraft(text) {
+  return {
+    title: text.length > 30 ? text.substring(0, 27) + '...' : text,
+    summary: `Issue: ${text}\n\nReported from Slack.`,
+    acceptanceCriteria: '- Issue is resolved\n- Solution is tested\n- Changes are documented',
+  };
+}
+
 /**
  * Generate concise Jira title and summary using OpenAI
+ * `onUsage(model, usage)` receives the token usage of the OpenAI response (usage-tracker)
  */
-async function generateJiraTitleAndSummary(text, workflowId = 'unknown') {
+export async function generateJiraTitleAndSummary(text, { onUsage = null } = {}) {
   if (!process.env.OPENAI_API_KEY) {
-    console.warn(`   [${workflowId}] OPENAI_API_KEY not set - using fallback title/summary`);
-    const fallbackTitle = text.length > 30 ? text.substring(0, 27) + '...' : text;
-    return {
-      title: fallbackTitle,
-      summary: `Issue: ${text}\n\nReported from Slack.`,
-      acceptanceCriteria: '- Issue is resolved\n- Solution is tested\n- Changes are documented',
-    };
+    log.warn('OPENAI_API_KEY not set - using fallback title/summary');
+    return buildPlainTicketDraft(text);
   }
 
   // Replace {text} placeholder with actual text
   const prompt = OPENAI_PROMPT.replace('{text}', text);
 
   try {
-    const response = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    const model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    const response = await trackRequest('openai', 'chat.completions', () => openai.chat.completions.create({
+      model,
       messages: [
         {
           role: 'system',
@@ -320,7 +338,8 @@ async function generateJiraTitleAndSummary(text, workflowId = 'unknown') {
       ],
       response_format: { type: 'json_object' },
       temperature: 0.3,
-    });
+    }));
+    onUsage?.(response.model || model, response.usage);
 
     const content = response.choices[0]?.message?.content;
     if (!content) {
@@ -338,11 +357,10 @@ async function generateJiraTitleAndSummary(text, workflowId = 'unknown') {
     // Acceptance criteria with fallback
     const acceptanceCriteria = parsed.acceptance_criteria || '- Issue is resolved\n- Solution is tested\n- Changes are documented';
 
-    console.log(`   [${workflowId}] Generated Jira title: ${title}`);
-    console.log(`   [${workflowId}] Generated acceptance criteria with ${acceptanceCriteria.split('\n').length} items`);
+    log.info('Generated Jira title and summary', { title, acceptanceCriteria: acceptanceCriteria.split('\n').length });
     return { title, summary, acceptanceCriteria };
   } catch (error) {
-    console.error(`   [${workflowId}] OpenAI API error:`, error.message);
+    log.error('Failed to generate Jira title and summary', { error: error.message });
     // Fallback to original text
     const fallbackTitle = text.length > 30 ? text.substring(0, 27) + '...' : text;
     return {
@@ -353,26 +371,230 @@ async function generateJiraTitleAndSummary(text, workflowId = 'unknown') {
   }
 }
 
+/**
+ * Convert an ADF document (Jira issue description or comment) back to plain text
+ * Headings keep their ## prefix so sections written by createJiraTicket can be found again
+ */
+export function adfToText(node) {
+  if (!node) return '';
+  if (node.type === 'text') return node.text || '';
+  if (node.type === 'hardBreak') return '\n';
+
+  const inner = (node.content || []).map(adfToText).join(node.type === 'listItem' ? ' ' : '');
+  switch (node.type) {
+    case 'heading':
+      return `${'#'.repeat(node.attrs?.level || 2)} ${inner}\n`;
+    case 'listItem':
+      return `- ${inner.trim()}\n`;
+    case 'paragraph':
+    case 'codeBlock':
+      return `${inner}\n`;
+    default:
+      return inner;
+  }
+}
+
+/**
+ * Parse a JSON response body, or null when it is not JSON
+ */
+function safeParseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * POST an issue payload to Jira and return the raw response
+ */
+function postJiraIssue(payload) {
+  return trackRequest('jira', 'issue.create', () => fetch(`${JIRA_BASE_URL}/rest/api/3/issue`, {
+    method: 'POST',
+    headers: {
+      Authorization: jiraAuthHeader,
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+    },
+    body: JSON.stringify(payload),
+  }));
+}
+
+/**
+ * Find the Jira account for an email address with user search
+ * Returns the accountId, or null when no active account matches
+ */
+export async function findJiraAccountByEmail(email) {
+  if (!JIRA_BASE_URL || !JIRA_USER || !JIRA_API_TOKEN) {
+    throw new Error('Jira credentials not configured');
+  }
+
+  const response = await trackRequest('jira', 'user.search', () => fetch(`${JIRA_BASE_URL}/rest/api/3/user/search?query=${encodeURIComponent(email)}`, {
+    headers: {
+      Authorization: jiraAuthHeader,
+      Accept: 'application/json',
+    },
+  }));
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Jira API error: ${response.status} ${response.statusText} - ${errorText}`);
+  }
+
+  const users = (await response.json()).filter(user => user.active !== false && user.accountType !== 'app');
+  // Sites that hide email addresses return matches without emailAddress - only trust a single match then
+  const account = users.find(user => user.emailAddress?.toLowerCase() === email.toLowerCase())
+    || (users.length === 1 && !users[0].emailAddress ? users[0] : null);
+  // The address itself is personal data and stays out of the logs
+  log.info('Jira account lookup', { account: account ? account.accountId : 'not found', candidates: users.length });
+  return account ? account.accountId : null;
+}
+
+/**
+ * Add a watcher to a Jira ticket
+ */
+export async function addJiraWatcher(issueKey, accountId) {
+  const response = await trackRequest('jira', 'issue.watchers', () => fetch(`${JIRA_BASE_URL}/rest/api/3/issue/${issueKey}/watchers`, {
+    method: 'POST',
+    headers: {
+      Authorization: jiraAuthHeader,
+      'Content-Type': 'application/json',
+    },
+    // The request body is the bare account id as a JSON string
+    body: JSON.stringify(accountId),
+  }));
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Jira API error: ${response.status} ${response.statusText} - ${errorText}`);
+  }
+  log.info('Added watcher', { issueKey, accountId });
+}
+
+/**
+ * Quote a value as a JQL string literal
+ */
+function jqlString(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Search open tickets created from Slack in a project during the last `days` days, newest first
+ * Returns [{ key, url, summary, description, status, created }] with the description as plain text
+ */
+export async function searchRecentSlackTickets({ projectKey, days, maxResults = 50 }) {
+  if (!JIRA_BASE_URL || !JIRA_USER || !JIRA_API_TOKEN) {
+    throw new Error('Jira credentials not configured');
+  }
+
+  const lookbackDays = Math.max(parseInt(days, 10) || 1, 1);
+  const jql = `project = ${jqlString(projectKey || JIRA_PROJECT_KEY)} AND labels = "slack-generated" AND statusCategory != Done AND created >= -${lookbackDays}d ORDER BY created DESC`;
+  const response = await trackRequest('jira', 'search', () => fetch(`${JIRA_BASE_URL}/rest/api/3/search/jql`, {
+    method: 'POST',
+    headers: {
+      Authorization: jiraAuthHeader,
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+    },
+    body: JSON.stringify({ jql, maxResults, fields: ['summary', 'description', 'status', 'created'] }),
+  }));
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Jira API error: ${response.status} ${response.statusText} - ${errorText}`);
+  }
+
+  const { issues = [] } = await response.json();
+  log.info('Found recent Slack tickets', { count: issues.length, jql });
+  return issues.map(({ key, fields = {} }) => ({
+    key,
+    url: `${JIRA_BASE_URL}/browse/${key}`,
+    summary: fields.summary || '',
+    description: adfToText(fields.description),
+    status: fields.status?.name || null,
+    created: fields.created || null,
+  }));
+}
+
+/**
+ * Link two Jira tickets (e.g. "Relates" or "Duplicate"); `inwardKey` is the ticket the link type's inward phrase describes
+ */
+export async function linkJiraIssues(inwardKey, outwardKey, linkType) {
+  const response = await trackRequest('jira', 'issueLink', () => fetch(`${JIRA_BASE_URL}/rest/api/3/issueLink`, {
+    method: 'POST',
+    headers: {
+      Authorization: jiraAuthHeader,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      type: { name: linkType },
+      inwardIssue: { key: inwardKey },
+      outwardIssue: { key: outwardKey },
+    }),
+  }));
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Jira API error: ${response.status} ${response.statusText} - ${errorText}`);
+  }
+  log.info('Linked issues', { inwardKey, outwardKey, linkType });
+}
+
+/**
+ * Add a web link (e.g. a Slack thread) to a Jira ticket
+ */
+export async function addJiraRemoteLink(issueKey, { url, title }) {
+  const response = await trackRequest('jira', 'issue.remotelink', () => fetch(`${JIRA_BASE_URL}/rest/api/3/issue/${issueKey}/remotelink`, {
+    method: 'POST',
+    headers: {
+      Authorization: jiraAuthHeader,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ object: { url, title } }),
+  }));
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Jira API error: ${response.status} ${response.statusText} - ${errorText}`);
+  }
+  log.info('Added remote link', { issueKey, url });
+}
+
 /**
  * Create a Jira ticket
+ * A reviewed `draft` ({ title, summary, acceptanceCriteria }) is used as-is instead of generating one
+ * `labels` are added to the default labels; `components` are component names
+ * `imageDescriptions` ([{ name, description }] from the vision model) are added under Screenshots
+ * `stackTraces` (from stack-trace-parser) are listed under Stack Traces
+ * `relevantFiles` (from the file search) are listed under Relevant Files - duplicate detection compares them later
+ * `people` ({ reporterName, reporterAccountId, assigneeAccountId, watcherAccountIds } from user-directory) sets
+ * reporter, assignee and watchers; a reporter Jira refuses is added as a watcher instead
+ * `onUsage` receives the token usage of the title and summary draft (see generateJiraTitleAndSummary)
  */
-export async function createJiraTicket({ summary, description, githubRepo, issueDescription, slackMessage, slackChannel, slackMessageTs }, workflowId = 'unknown') {
+export async function createJiraTicket({ summary, description, githubRepo, branch, projectKey, issueType, priority, labels = [], components = [], draft, threadContext, imageDescriptions = [], stackTraces = [], relevantFiles = [], people = {}, issueDescription, slackMessage, slackChannel, slackMessageTs, slackTeamId }, { onUsage = null } = {}) {
   if (!JIRA_BASE_URL || !JIRA_USER || !JIRA_API_TOKEN) {
     throw new Error('Jira credentials not configured');
   }
   
-  console.log(`   [${workflowId}] Creating ticket in project: ${JIRA_PROJECT_KEY}`);
-  console.log(`   [${workflowId}] Issue type: ${JIRA_ISSUE_TYPE}`);
-
-  // Generate Jira title and summary using OpenAI
-  const inputText = issueDescription || slackMessage || description || summary || 'Issue reported from Slack';
-  console.log(`   [${workflowId}] Generating Jira title and summary using OpenAI...`);
-  const { title: generatedTitle, summary: generatedSummary, acceptanceCriteria } = await generateJiraTitleAndSummary(inputText, workflowId);
+  const targetProjectKey = projectKey || JIRA_PROJECT_KEY;
+  const targetIssueType = issueType || JIRA_ISSUE_TYPE;
+  log.info('Creating ticket', { projectKey: targetProjectKey, issueType: targetIssueType, priority, components: components.join(', ') || undefined });
+
+  let ticketDraft = draft;
+  if (ticketDraft) {
+    log.info('Using reviewed ticket draft', { title: ticketDraft.title });
+  } else {
+    // Generate Jira title and summary using OpenAI
+    const inputText = issueDescription || slackMessage || description || summary || 'Issue reported from Slack';
+    log.info('Generating Jira title and summary using OpenAI');
+    ticketDraft = await generateJiraTitleAndSummary(inputText, { onUsage });
+  }
+  const { title: generatedTitle, summary: generatedSummary, acceptanceCriteria } = ticketDraft;
 
   // Get Slack permalink if channel and message timestamp are provided
   let slackPermalink = null;
   if (slackChannel && slackMessageTs) {
-    slackPermalink = await getSlackPermalink(slackChannel, slackMessageTs, workflowId);
+    slackPermalink = await getSlackPermalink(slackChannel, slackMessageTs, slackTeamId);
   }
 
   // Build description with summary, acceptance criteria, and Slack permalink
@@ -383,10 +605,34 @@ export async function createJiraTicket({ summary, description, githubRepo, issue
     fullDescription += `\n## Acceptance Criteria\n${acceptanceCriteria}`;
   }
   
+  if (branch) {
+    fullDescription += `\n**Branch:** \`${branch}\``;
+  }
+
   if (slackPermalink) {
     fullDescription += `\n**Slack Message:** [View in Slack](${slackPermalink})`;
   }
 
+  if (people.reporterName) {
+    fullDescription += `\n**Reported by:** ${people.reporterName} (Slack)`;
+  }
+
+  if (threadContext) {
+    fullDescription += `\n## Slack Thread\n\`\`\`\n${threadContext.replace(/```/g, "'''")}\n\`\`\``;
+  }
+
+  if (stackTraces.length > 0) {
+    fullDescription += `\n## Stack Traces\n\`\`\`\n${formatStackTraces(stackTraces).replace(/```/g, "'''")}\n\`\`\``;
+  }
+
+  if (relevantFiles.length > 0) {
+    fullDescription += `\n## Relevant Files\n${relevantFiles.slice(0, RELEVANT_FILES_IN_TICKET).map(file => `- \`${file}\``).join('\n')}`;
+  }
+
+  if (imageDescriptions.length > 0) {
+    fullDescription += `\n## Screenshots\n${imageDescriptions.map(({ name, description }) => `**${name}:** ${description}`).join('\n')}`;
+  }
+
   // Convert to ADF format (textToADF now handles markdown links)
   const descriptionADF = textToADF(fullDescription);
 
@@ -399,23 +645,52 @@ export async function createJiraTicket({ summary, description, githubRepo, issue
 
   const payload = {
     fields: {
-      project: { key: JIRA_PROJECT_KEY },
+      project: { key: targetProjectKey },
       summary: finalSummary,
       description: descriptionADF,
-      issuetype: { name: JIRA_ISSUE_TYPE },
-      labels: ['slack-generated', 'auto-rca', 'github-analysis'],
+      issuetype: { name: targetIssueType },
+      labels: [...new Set(['slack-generated', 'auto-rca', 'github-analysis', ...labels])],
     },
   };
 
-  const response = await fetch(`${JIRA_BASE_URL}/rest/api/3/issue`, {
-    method: 'POST',
-    headers: {
-      Authorization: jiraAuthHeader,
-      'Content-Type': 'application/json',
-      Accept: 'application/json',
-    },
-    body: JSON.stringify(payload),
-  });
+  if (priority) {
+    payload.fields.priority = { name: priority };
+  }
+
+  if (components.length > 0) {
+    payload.fields.components = components.map(name => ({ name }));
+  }
+
+  if (people.reporterAccountId) {
+    payload.fields.reporter = { id: people.reporterAccountId };
+  }
+
+  if (people.assigneeAccountId) {
+    payload.fields.assignee = { id: people.assigneeAccountId };
+  }
+
+  let response = await postJiraIssue(payload);
+  const watcherAccountIds = [...(people.watcherAccountIds || [])];
+
+  // Reporter and assignee are rejected when they are not on the create screen or the
+  // account lacks permission - create the ticket without them rather than failing
+  if (response.status === 400 && (payload.fields.reporter || payload.fields.assignee)) {
+    const errorText = await response.text();
+    const fieldErrors = safeParseJson(errorText)?.errors || {};
+    const rejected = ['reporter', 'assignee'].filter(field => payload.fields[field] && fieldErrors[field]);
+    if (rejected.length === 0) {
+      throw new Error(`Jira API error: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    for (const field of rejected) {
+      log.warn('Jira rejected a field - creating the ticket without it', { field, reason: fieldErrors[field] });
+      delete payload.fields[field];
+    }
+    if (rejected.includes('reporter')) {
+      watcherAccountIds.unshift(people.reporterAccountId);
+    }
+    response = await postJiraIssue(payload);
+  }
 
   if (!response.ok) {
     const errorText = await response.text();
@@ -423,7 +698,17 @@ export async function createJiraTicket({ summary, description, githubRepo, issue
   }
 
   const result = await response.json();
-  console.log(`   [${workflowId}] Ticket created: ${result.key}`);
+  log.info('Ticket created', { issueKey: result.key });
+
+  // Watchers are best effort - the ticket exists either way
+  for (const accountId of new Set(watcherAccountIds)) {
+    try {
+      await addJiraWatcher(result.key, accountId);
+    } catch (watcherError) {
+      log.warn('Failed to add watcher (non-blocking)', { accountId, error: watcherError.message });
+    }
+  }
+
   return {
     key: result.key,
     url: `${JIRA_BASE_URL}/browse/${result.key}`,
@@ -433,24 +718,23 @@ export async function createJiraTicket({ summary, description, githubRepo, issue
 
 /**
  * Download file from Slack and upload as attachment to Jira ticket
+ * The file is downloaded with the bot token of the workspace it was shared in
  */
-async function uploadSlackFileToJira(issueKey, slackFile, workflowId = 'unknown') {
+async function uploadSlackFileToJira(issueKey, slackFile, teamId) {
   try {
-    console.log(`   [${workflowId}] Downloading ${slackFile.name} from Slack...`);
-    
     // Download file from Slack
-    const slackResponse = await fetch(slackFile.url_private, {
+    const slackResponse = await trackRequest('slack', 'files.download', () => fetch(slackFile.url_private, {
       headers: {
-        Authorization: `Bearer ${SLACK_BOT_TOKEN}`,
+        Authorization: `Bearer ${getSlackBotToken(teamId)}`,
       },
-    });
+    }));
     
     if (!slackResponse.ok) {
       throw new Error(`Failed to download from Slack: ${slackResponse.status}`);
     }
     
     const fileBuffer = await slackResponse.buffer();
-    console.log(`   [${workflowId}] Downloaded ${fileBuffer.length} bytes`);
+    log.debug('Downloaded file from Slack', { file: slackFile.name, bytes: fileBuffer.length });
     
     // Upload to Jira
     const form = new FormData();
@@ -459,8 +743,7 @@ async function uploadSlackFileToJira(issueKey, slackFile, workflowId = 'unknown'
       contentType: slackFile.mimetype || 'application/octet-stream',
     });
     
-    console.log(`   [${workflowId}] Uploading to Jira ticket ${issueKey}...`);
-    const jiraResponse = await fetch(
+    const jiraResponse = await trackRequest('jira', 'issue.attachments', () => fetch(
       `${JIRA_BASE_URL}/rest/api/3/issue/${issueKey}/attachments`,
       {
         method: 'POST',
@@ -471,7 +754,7 @@ async function uploadSlackFileToJira(issueKey, slackFile, workflowId = 'unknown'
         },
         body: form,
       }
-    );
+    ));
     
     if (!jiraResponse.ok) {
       const errorText = await jiraResponse.text();
@@ -479,10 +762,10 @@ async function uploadSlackFileToJira(issueKey, slackFile, workflowId = 'unknown'
     }
     
     const result = await jiraResponse.json();
-    console.log(`   [${workflowId}] ✅ Uploaded ${slackFile.name} to Jira`);
+    log.info('Uploaded attachment to Jira', { issueKey, file: slackFile.name, bytes: fileBuffer.length });
     return result;
   } catch (error) {
-    console.error(`   [${workflowId}] ❌ Failed to upload ${slackFile.name}:`, error.message);
+    log.error('Failed to upload attachment to Jira', { issueKey, file: slackFile.name, error: error.message });
     return null;
   }
 }
@@ -490,43 +773,38 @@ async function uploadSlackFileToJira(issueKey, slackFile, workflowId = 'unknown'
 /**
  * Upload attachments from Slack to Jira ticket
  */
-export async function uploadAttachmentsToJira(issueKey, attachments = [], workflowId = 'unknown') {
+export async function uploadAttachmentsToJira(issueKey, attachments = [], teamId = null) {
   if (!attachments || attachments.length === 0) {
     return [];
   }
   
-  console.log(`   [${workflowId}] Uploading ${attachments.length} attachment(s) to Jira...`);
-  
   const uploadResults = [];
   for (const file of attachments) {
-    const result = await uploadSlackFileToJira(issueKey, file, workflowId);
+    const result = await uploadSlackFileToJira(issueKey, file, teamId);
     if (result) {
       uploadResults.push(result);
     }
   }
   
-  console.log(`   [${workflowId}] Successfully uploaded ${uploadResults.length}/${attachments.length} attachments`);
+  log.info('Uploaded attachments to Jira', { issueKey, uploaded: uploadResults.length, total: attachments.length });
   return uploadResults;
 }
 
 /**
  * Post a comment on a Jira ticket
  */
-export async function postJiraComment(issueKey, { text }, workflowId = 'unknown') {
+export async function postJiraComment(issueKey, { text }) {
   if (!JIRA_BASE_URL || !JIRA_USER || !JIRA_API_TOKEN) {
     throw new Error('Jira credentials not configured');
   }
   
-  console.log(`   [${workflowId}] Posting comment to ticket: ${issueKey}`);
-  console.log(`   [${workflowId}] Comment length: ${text.length} characters`);
-
   const commentADF = textToADF(text);
 
   const payload = {
     body: commentADF,
   };
 
-  const response = await fetch(`${JIRA_BASE_URL}/rest/api/3/issue/${issueKey}/comment`, {
+  const response = await trackRequest('jira', 'issue.comment', () => fetch(`${JIRA_BASE_URL}/rest/api/3/issue/${issueKey}/comment`, {
     method: 'POST',
     headers: {
       Authorization: jiraAuthHeader,
@@ -534,7 +812,7 @@ export async function postJiraComment(issueKey, { text }, workflowId = 'unknown'
       Accept: 'application/json',
     },
     body: JSON.stringify(payload),
-  });
+  }));
 
   if (!response.ok) {
     const errorText = await response.text();
@@ -542,7 +820,7 @@ export async function postJiraComment(issueKey, { text }, workflowId = 'unknown'
   }
 
   const result = await response.json();
-  console.log(`   [${workflowId}] Comment posted successfully to ${issueKey}`);
+  log.info('Comment posted', { issueKey, chars: text.length });
   return result;
 }
 
@@ -1,380 +1,1299 @@
-import { createJiraTicket, uploadAttachmentsToJira } from './jira-service.js';
-import { findRelevantFilesWithGrep } from './github-service.js';
+import crypto from 'crypto';
+import { createJiraTicket, uploadAttachmentsToJira, buildPlainTicketDraft, getSlackPermalink, linkJiraIssues, addJiraRemoteLink } from './jira-service.js';
+import { findRelevantFilesWithGrep, listRepositoryFiles, prepareCheckout } from './github-service.js';
 import { performRCA } from './rca-service.js';
+import { loadTextAttachments } from './attachment-service.js';
 import { generateTestCases } from './test-cases-service.js';
 import { postJiraComment } from './jira-service.js';
-import { WebClient } from '@slack/web-api';
+import { registerWorkflow, getWorkflow } from './workflow-registry.js';
+import { resolveRoute } from './routing-config.js';
+import { resolveUserName } from './slack-service.js';
+import { describeImages, withImageDescriptions } from './vision-service.js';
+import { parseStackTraces, mapFramesToRepo, getFrameFiles } from './stack-trace-parser.js';
+import { resolveJiraPeople } from './user-directory.js';
+import { registerJobHandler, enqueueJob, listJobs, wakeJob, isTransientError } from './job-queue.js';
+import { saveWorkflowRequest, saveStepOutput, saveWorkflowStatus, saveWorkflowUsage, clearStepOutputs, loadCheckpoint, findCheckpoint } from './checkpoint-store.js';
+import { registerPipelineStep, runPipeline } from './pipeline-runner.js';
+import { resolvePipeline } from './pipeline-config.js';
+import { notifyWorkflow } from './notifiers.js';
+import { findDuplicateTicket } from './duplicate-detector.js';
+import { createUsage, addUsage, startUsageRun, checkBudget, formatUsage } from './usage-tracker.js';
+import { createLogger, withLogContext } from './logger.js';
+import { createCounter, createHistogram } from './metrics.js';
 
-const slackClient = new WebClient(process.env.SLACK_BOT_TOKEN);
+// Job type of a queued workflow (see queueWorkflow)
+const RCA_JOB = 'rca';
+// Job type of a re-run of a finished workflow (see queueRerun)
+const RERUN_JOB = 'rerun';
+
+// Steps redone by "Re-run RCA" and "Regenerate test cases", when the workflow's pipeline has them
+const RCA_RERUN_STEPS = ['rca', 'rca_comment', 'test_cases', 'test_cases_comment'];
+const TEST_CASES_RERUN_STEPS = ['test_cases', 'test_cases_comment'];
+
+const log = createLogger('workflow');
+
+const workflowsStarted = createCounter('rca_workflows_started_total', 'Workflow runs started (run: new, retry, resume or rerun)', ['source', 'run']);
+const workflowsFinished = createCounter('rca_workflows_finished_total', 'Workflow runs finished by status (completed, failed, cancelled)', ['source', 'status']);
+const workflowDuration = createHistogram('rca_workflow_duration_seconds', 'Duration of workflow runs', ['status']);
+
+// What the ticket step does with a likely duplicate: ask in Slack, or act right away
+const DUPLICATE_POLICIES = ['ask', 'comment', 'link', 'create', 'off'];
+const DUPLICATE_ACTIONS = ['comment', 'link', 'create'];
+// Used when nobody answers in time, and when 'ask' has no Slack thread to ask in (API requests)
+const DUPLICATE_DEFAULT_ACTION = DUPLICATE_ACTIONS.includes(process.env.DUPLICATE_DEFAULT_ACTION) ? process.env.DUPLICATE_DEFAULT_ACTION : 'comment';
+const DUPLICATE_DECISION_TIMEOUT_MS = parseInt(process.env.DUPLICATE_DECISION_TIMEOUT_SECONDS || '600', 10) * 1000;
+// Link type between a new ticket created anyway and the ticket it resembles
+const DUPLICATE_LINK_TYPE = process.env.JIRA_DUPLICATE_LINK_TYPE || 'Relates';
+
+// Add the LLM tokens and cost to the RCA and test case comments on the Jira ticket
+const LLM_USAGE_JIRA_FOOTER = process.env.LLM_USAGE_JIRA_FOOTER === 'true';
 
 /**
- * Process Slack event: Read issue, analyze repo, create Jira ticket, and run RCA analysis
+ * Record a step's status with its start and end times (shown in the App Home tab)
  */
-export async function processSlackEvent(slackEvent, githubRepo, issueDescription, attachments = []) {
-  const workflowId = `workflow-${Date.now()}`;
-  const startTime = Date.now();
-  
-  console.log('\n' + '='.repeat(80));
-  console.log(`🚀 [${workflowId}] WORKFLOW STARTED - Issue received from Slack`);
-  console.log('='.repeat(80));
-  console.log(`📋 Issue Description: ${issueDescription}`);
-  console.log(`👤 Slack User: ${slackEvent.user}`);
-  console.log(`💬 Slack Channel: ${slackEvent.channel}`);
-  console.log(`⏰ Timestamp: ${new Date().toISOString()}`);
-  console.log(`📝 Full Message: ${slackEvent.text || ''}`);
-  console.log(`📎 Attachments: ${attachments.length}`);
-  console.log('-'.repeat(80));
-  
+function recordStep(workflow, stepName, status, detail = null) {
+  const previous = workflow.steps[stepName] || {};
+  const now = Date.now();
+  workflow.steps[stepName] = {
+    status,
+    detail,
+    // A running step that reports progress keeps its start time
+    startedAt: status === 'running' ? (previous.status === 'running' ? previous.startedAt : now) : previous.startedAt || null,
+    finishedAt: status === 'running' ? null : now,
+  };
+}
+
+/**
+ * Set a step's status and report the progress to the workflow's notifiers
+ */
+async function setStepStatus(workflow, stepName, status, detail = null) {
+  recordStep(workflow, stepName, status, detail);
+  await notifyWorkflow(workflow, 'update');
+}
+
+/**
+ * Mark the workflow as finished and tell the workflow's notifiers
+ */
+async function finishWorkflow(workflow, status, error = null) {
+  workflow.status = status;
+  workflow.error = error;
+  workflow.finishedAt = Date.now();
+  // Re-runs of a finished workflow are single-attempt jobs - their failures are not retried
+  workflow.job = null;
+  // Attachment text can be large - an RCA re-run downloads it again
+  workflow.textAttachments = [];
+
+  // Steps that never started will not run anymore
+  for (const { step: name } of workflow.pipelineSteps) {
+    if (!workflow.steps[name] || workflow.steps[name].status === 'pending') {
+      workflow.steps[name] = { status: status === 'cancelled' ? 'cancelled' : 'skipped', detail: null };
+    }
+  }
+
+  logUsage(workflow);
+  workflowsFinished.inc({ source: workflow.source, status });
+  workflowDuration.observe({ status }, (workflow.finishedAt - workflow.startedAt) / 1000);
+  await notifyWorkflow(workflow, 'finished');
   try {
-    const channel = slackEvent.channel;
-    const threadTs = slackEvent.ts;
-    const messageText = slackEvent.text || '';
+    await saveWorkflowStatus(workflow.id, status);
+  } catch (error) {
+    log.warn('Failed to save workflow status to its checkpoint (non-blocking)', { error: error.message });
+  }
+}
 
-    // Send initial acknowledgment to Slack (non-blocking - continue even if it fails)
-    if (!githubRepo) {
-      console.error(`❌ [${workflowId}] GitHub repository missing - cannot proceed`);
-      console.error(`   Issue: ${issueDescription}`);
-      console.error(`   Repo in message: false`);
-      console.error(`   Repo in env: ${!!(process.env.GITHUB_REPO || process.env.BACKEND_REPO_URL)}`);
-      try {
-        await slackClient.chat.postMessage({
-          channel,
-          thread_ts: threadTs,
-          text: `⚠️ GitHub repository is required but not provided.\n\nPlease provide a GitHub repository URL in your message, or set GITHUB_REPO in environment variables.\n\nExample: @bot The login button is not working. Analyze https://github.com/owner/repo`,
-        });
-      } catch (slackError) {
-        console.warn(`   [${workflowId}] Failed to post Slack message (non-blocking):`, slackError.message);
-      }
-      return;
+/**
+ * Log the workflow's LLM tokens and cost, per step and in total
+ */
+function logUsage(workflow) {
+  const { usage } = workflow;
+  if (usage.total.calls === 0) return;
+  log.info('LLM usage', {
+    ...usage.total,
+    costUsd: Number(usage.total.costUsd.toFixed(6)),
+    steps: Object.fromEntries(Object.entries(usage.steps).map(([stepName, counts]) => [stepName, formatUsage(counts)])),
+    unpricedModels: usage.unpricedModels.length > 0 ? usage.unpricedModels.join(', ') : undefined,
+  });
+}
+
+/**
+ * Usage callback for a step's OpenAI calls: adds the tokens to the step and workflow totals, saves
+ * them to the checkpoint, and stops the run once it passes a budget (the in-flight agent is aborted)
+ */
+function trackUsage(workflow, stepName) {
+  return (model, responseUsage) => {
+    if (!responseUsage) return;
+    addUsage(workflow.usage, stepName, model, responseUsage);
+    saveWorkflowUsage(workflow.id, workflow.usage).catch(error => {
+      log.warn('Failed to save LLM usage to the checkpoint (non-blocking)', { error: error.message });
+    });
+
+    const overBudget = checkBudget(workflow.usage);
+    if (overBudget && !workflow.budgetExceeded) {
+      log.warn('LLM budget exceeded - stopping the workflow', { reason: overBudget });
+      workflow.budgetExceeded = overBudget;
+      // Not retried by the job queue (transient: false)
+      workflow.abortController.abort(Object.assign(new Error(overBudget), { name: 'BudgetExceededError', transient: false }));
     }
+  };
+}
+
+/**
+ * Jira comment footer with a step's LLM usage and the workflow total so far (LLM_USAGE_JIRA_FOOTER)
+ */
+function buildUsageFooter(workflow, stepName) {
+  const counts = workflow.usage.steps[stepName];
+  if (!LLM_USAGE_JIRA_FOOTER || !counts) {
+    return '';
+  }
+  return `\n\n---\n_LLM usage: ${formatUsage(counts)} for this step; ${formatUsage(workflow.usage.total)} for the workflow so far_`;
+}
 
-    const defaultRepo = process.env.GITHUB_REPO || process.env.BACKEND_REPO_URL;
-    const repoSource = githubRepo === defaultRepo ? 'environment' : 'message';
-    console.log(`✅ [${workflowId}] GitHub repository identified`);
-    console.log(`   Repository: ${githubRepo}`);
-    console.log(`   Source: ${repoSource}`);
-    console.log(`   Issue: ${issueDescription}`);
+/**
+ * Hand a transient step failure back to the job queue, which retries the whole job with backoff
+ * Returns false when the failure is permanent or the job has no attempts left
+ */
+async function retryLater(workflow, error) {
+  const { job } = workflow;
+  if (!job || job.attempt >= job.maxAttempts || !isTransientError(error)) {
+    return false;
+  }
 
-    // Send initial acknowledgment (non-blocking)
+  log.warn('Transient failure - the job will retry', { nextAttempt: job.attempt + 1, maxAttempts: job.maxAttempts });
+  workflow.error = `${error.message} - retrying automatically (attempt ${job.attempt + 1} of ${job.maxAttempts})`;
+  await notifyWorkflow(workflow, 'update');
+  error.willRetry = true;
+  return true;
+}
+
+/**
+ * Save workflow progress on its queue job so a retry or restart can pick up where it left off
+ */
+async function saveCheckpoint(workflow, fields) {
+  if (!workflow.job) return;
+  try {
+    await workflow.job.saveCheckpoint(fields);
+  } catch (error) {
+    log.warn('Failed to save job checkpoint (non-blocking)', { error: error.message });
+  }
+}
+
+/**
+ * Save a finished step's output under the workflow id, for retries and `resume` (non-blocking)
+ */
+async function checkpointStep(workflow, stepName, output = {}) {
+  workflow.savedSteps[stepName] = { output, savedAt: Date.now() };
+  try {
+    await saveStepOutput(workflow.id, stepName, output);
+  } catch (error) {
+    log.warn('Failed to save step checkpoint (non-blocking)', { step: stepName, error: error.message });
+  }
+}
+
+/**
+ * Reuse a step's saved output from an earlier attempt instead of running it again
+ * `describe(output)` gives the step detail shown in Slack
+ * Returns the output, or null when the step has to run
+ */
+async function reuseSavedStep(workflow, stepName, describe = () => null) {
+  const saved = workflow.savedSteps[stepName];
+  if (!saved) {
+    return null;
+  }
+  log.info('Reusing the saved output of the step', { step: stepName });
+  const detail = describe(saved.output);
+  await setStepStatus(workflow, stepName, 'done', `${detail ? `${detail}, ` : ''}from checkpoint`);
+  return saved.output;
+}
+
+/**
+ * Stop the workflow between steps if a cancellation was requested or the run passed its LLM budget,
+ * and end the run without finishing the workflow when its job was parked (see parkForDuplicateDecision)
+ */
+async function stopIfCancelled(workflow) {
+  if (workflow.awaitingDuplicateDecision) {
+    return true;
+  }
+
+  if (workflow.budgetExceeded) {
+    log.warn('LLM budget exceeded - stopping workflow');
+    await finishWorkflow(workflow, 'failed', workflow.budgetExceeded);
+    return true;
+  }
+
+  if (!workflow.cancelRequested) {
+    return false;
+  }
+
+  log.info('Cancellation requested - stopping workflow', { cancelledBy: workflow.cancelRequested });
+  await finishWorkflow(workflow, 'cancelled', `Cancelled by <@${workflow.cancelRequested}>`);
+  await notifyCancelled(workflow);
+  return true;
+}
+
+/**
+ * Tell the workflow's notifiers and the Jira ticket (if one was created) that the run was cancelled (non-blocking)
+ */
+async function notifyCancelled(workflow) {
+  const userId = workflow.cancelRequested;
+  const ticketNote = workflow.issueKey ? ` The Jira ticket ${workflow.issueKey} stays open without the unfinished results.` : '';
+
+  await notifyWorkflow(workflow, 'message', { text: `🚫 RCA cancelled by <@${userId}>.${ticketNote}` });
+
+  if (workflow.issueKey && !workflow.dryRun) {
     try {
-      await slackClient.chat.postMessage({
-        channel,
-        thread_ts: threadTs,
-        text: `📋 Issue: ${issueDescription}\n🔍 Analyzing repository...\n📝 Creating Jira ticket...`,
+      const userName = await resolveUserName(userId, workflow.teamId);
+      const finishedSteps = workflow.pipelineSteps
+        .filter(({ step }) => workflow.steps[step]?.status === 'done')
+        .map(({ label }) => label);
+      await postJiraComment(workflow.issueKey, {
+        text: `Automated RCA cancelled from Slack by ${userName}.\n\nFinished steps: ${finishedSteps.join(', ') || 'none'}. Results of the unfinished steps were not posted.`,
       });
-    } catch (slackError) {
-      console.warn(`   [${workflowId}] Failed to post Slack acknowledgment (non-blocking):`, slackError.message);
-      console.warn(`   [${workflowId}] Continuing workflow without Slack notifications...`);
+    } catch (jiraError) {
+      log.warn('Failed to post cancellation to Jira (non-blocking)', { error: jiraError.message });
     }
+  }
+}
 
-    // Step 1: Find relevant files using grep based on issue keywords
-    console.log('\n' + '-'.repeat(80));
-    console.log(`📊 [${workflowId}] STEP 1: Finding Relevant Files`);
-    console.log('-'.repeat(80));
-    console.log(`   Repository: ${githubRepo}`);
-    console.log(`   Issue: ${issueDescription}`);
-    const fileSearchStart = Date.now();
-    
-    let relevantFiles = [];
-    try {
-      relevantFiles = await findRelevantFilesWithGrep(issueDescription, workflowId);
-      const fileSearchTime = ((Date.now() - fileSearchStart) / 1000).toFixed(2);
-      console.log(`✅ [${workflowId}] File search completed`);
-      console.log(`   Relevant files found: ${relevantFiles.length}`);
-      console.log(`   Search time: ${fileSearchTime}s`);
-      if (relevantFiles.length > 0) {
-        console.log(`   Sample files: ${relevantFiles.slice(0, 5).join(', ')}`);
-      }
-    } catch (error) {
-      const fileSearchTime = ((Date.now() - fileSearchStart) / 1000).toFixed(2);
-      console.error(`❌ [${workflowId}] File search failed after ${fileSearchTime}s`);
-      console.error(`   Error: ${error.message}`);
-      console.error(`   Stack: ${error.stack}`);
-      try {
-        await slackClient.chat.postMessage({
-          channel,
-          thread_ts: threadTs,
-          text: `❌ Failed to search repository: ${error.message}`,
-        });
-      } catch (slackError) {
-        console.warn(`   [${workflowId}] Failed to post Slack error message (non-blocking):`, slackError.message);
-      }
-      return;
+/**
+ * Record a step interrupted by a cancellation (or the LLM budget) and finish the workflow as cancelled (or failed)
+ * Returns false when the failure was not caused by a cancellation
+ */
+async function stopCancelledStep(workflow, stepName) {
+  if (!workflow.abortController?.signal.aborted) {
+    return false;
+  }
+  if (workflow.budgetExceeded) {
+    recordStep(workflow, stepName, 'failed', 'LLM budget exceeded');
+  } else {
+    recordStep(workflow, stepName, 'cancelled');
+  }
+  await stopIfCancelled(workflow);
+  return true;
+}
+
+/**
+ * Checkout of the workflow's branch that the file search and agents read (github-service)
+ * Prepared on first use, so pipelines without those steps never clone anything
+ */
+async function getCheckout(workflow) {
+  if (!workflow.repoPath) {
+    workflow.repoPath = await prepareCheckout(workflow.githubRepo, workflow.branch);
+  }
+  return workflow.repoPath;
+}
+
+/**
+ * Find stack traces in the report (message, thread and text attachments) and map their frames to repo files
+ */
+async function findStackTraces(workflow) {
+  const traces = parseStackTraces([
+    workflow.messageText,
+    workflow.issueDescription,
+    workflow.threadContext,
+    ...workflow.textAttachments.map(attachment => attachment.lines.join('\n')),
+  ]);
+  if (traces.length === 0) {
+    return [];
+  }
+
+  mapFramesToRepo(traces, await listRepositoryFiles(await getCheckout(workflow)));
+  const frameFiles = getFrameFiles(traces);
+  log.info('Found stack traces', {
+    traces: traces.map(trace => `${trace.exception || 'trace'} (${trace.language})`).join(', '),
+    framesInRepo: frameFiles.map(({ path, lines }) => `${path}:${lines.join(',')}`).join(', ') || 'none',
+  });
+  return traces;
+}
+
+/**
+ * Step vision: describe screenshots first so their error text and URLs feed the file search and RCA
+ */
+async function runVisionStep(workflow) {
+  const savedResult = await reuseSavedStep(workflow, 'vision', output => `${output.imageDescriptions.length} screenshots`);
+  if (savedResult) {
+    workflow.imageDescriptions = savedResult.imageDescriptions;
+    return;
+  }
+
+  if (!workflow.vision || workflow.attachments.length === 0) {
+    if (workflow.attachments.length > 0) {
+      log.info('Screenshot descriptions disabled for this channel');
     }
+    await setStepStatus(workflow, 'vision', 'skipped');
+    return;
+  }
 
-    // Step 2: Create Jira ticket with the issue description
-    console.log('\n' + '-'.repeat(80));
-    console.log(`🎫 [${workflowId}] STEP 2: Creating Jira Ticket`);
-    console.log('-'.repeat(80));
-    console.log(`   Issue: ${issueDescription}`);
-    console.log(`   Project: ${process.env.JIRA_PROJECT_KEY}`);
-    const ticketStart = Date.now();
-    
-    let issueKey = null;
-    let issueUrl = null;
-    try {
-      // Build description (attachments will be uploaded separately)
-      let description = `Issue: ${issueDescription}\n\nReported from Slack. Analyzing codebase for root cause analysis.`;
-      
-      if (attachments && attachments.length > 0) {
-        description += `\n\n**Attachments**: ${attachments.length} file(s) attached`;
-      }
-      
-      const ticketResult = await createJiraTicket({
-        summary: issueDescription.length > 200 
-          ? issueDescription.substring(0, 197) + '...' 
-          : issueDescription,
-        description,
-        githubRepo,
-        issueDescription,
-        slackMessage: messageText,
-        slackChannel: channel,
-        slackMessageTs: threadTs,
-      }, workflowId);
-      issueKey = ticketResult.key;
-      issueUrl = ticketResult.url;
-      const ticketTime = ((Date.now() - ticketStart) / 1000).toFixed(2);
-      console.log(`✅ [${workflowId}] Jira ticket created successfully`);
-      console.log(`   Ticket Key: ${issueKey}`);
-      console.log(`   Ticket URL: ${issueUrl}`);
-      console.log(`   Creation time: ${ticketTime}s`);
-      
-      // Upload attachments to Jira if present
-      if (attachments && attachments.length > 0) {
-        console.log(`\n   [${workflowId}] Uploading ${attachments.length} attachment(s) to Jira...`);
-        try {
-          await uploadAttachmentsToJira(issueKey, attachments, workflowId);
-        } catch (uploadError) {
-          console.warn(`   [${workflowId}] Failed to upload some attachments (non-blocking):`, uploadError.message);
-        }
-      }
-    } catch (error) {
-      const ticketTime = ((Date.now() - ticketStart) / 1000).toFixed(2);
-      console.error(`❌ [${workflowId}] Jira ticket creation failed after ${ticketTime}s`);
-      console.error(`   Error: ${error.message}`);
-      console.error(`   Stack: ${error.stack}`);
-      try {
-        await slackClient.chat.postMessage({
-          channel,
-          thread_ts: threadTs,
-          text: `❌ Failed to create Jira ticket: ${error.message}`,
-        });
-      } catch (slackError) {
-        console.warn(`   [${workflowId}] Failed to post Slack error message (non-blocking):`, slackError.message);
-      }
+  await setStepStatus(workflow, 'vision', 'running');
+  workflow.imageDescriptions = await describeImages(workflow.attachments, workflow.teamId, { onUsage: trackUsage(workflow, 'vision') });
+  await checkpointStep(workflow, 'vision', { imageDescriptions: workflow.imageDescriptions });
+  const count = workflow.imageDescriptions.length;
+  await setStepStatus(workflow, 'vision', count > 0 ? 'done' : 'skipped', count > 0 ? `${count} screenshots` : null);
+}
+
+/**
+ * Step search: find relevant files - stack trace frames first, then grep based on issue keywords
+ */
+async function runSearchStep(workflow) {
+  const savedSearch = await reuseSavedStep(workflow, 'search', output => `${output.relevantFiles.length} files`);
+  if (savedSearch) {
+    workflow.relevantFiles = savedSearch.relevantFiles;
+    workflow.stackTraces = savedSearch.stackTraces;
+    return;
+  }
+
+  const fileSearchStart = Date.now();
+  await setStepStatus(workflow, 'search', 'running');
+
+  workflow.stackTraces = await findStackTraces(workflow);
+  const frameFiles = getFrameFiles(workflow.stackTraces).map(({ path }) => path);
+  const grepFiles = await findRelevantFilesWithGrep(
+    withImageDescriptions(workflow.issueDescription, workflow.imageDescriptions),
+    await getCheckout(workflow),
+  );
+  workflow.relevantFiles = [...new Set([...frameFiles, ...grepFiles])].slice(0, 50);
+  log.info('File search completed', {
+    githubRepo: workflow.githubRepo,
+    relevantFiles: workflow.relevantFiles.length,
+    fromStackTraces: frameFiles.length,
+    durationMs: Date.now() - fileSearchStart,
+    sample: workflow.relevantFiles.slice(0, 5).join(', ') || undefined,
+  });
+  await checkpointStep(workflow, 'search', { relevantFiles: workflow.relevantFiles, stackTraces: workflow.stackTraces });
+  await setStepStatus(workflow, 'search', 'done', `${workflow.relevantFiles.length} files${frameFiles.length > 0 ? `, ${frameFiles.length} from stack traces` : ''}`);
+}
+
+/**
+ * Step ticket: create the Jira ticket (skipped on dry runs), then upload the report's attachments to it
+ * When a recent ticket looks like the same issue, the workflow comments on it or links to it instead
+ * Options:
+ * - llmDraft: false builds the title and summary from the report text instead of asking OpenAI
+ * - duplicates: 'ask' (buttons in Slack, the default), 'comment', 'link', 'create' (a new ticket linked to the match) or 'off'
+ */
+async function runTicketStep(workflow, { llmDraft = true, duplicates = 'ask' } = {}) {
+  if (workflow.dryRun) {
+    log.info('Dry run - skipping Jira ticket creation');
+    await setStepStatus(workflow, 'ticket', 'skipped');
+    return;
+  }
+
+  // The ticket of an earlier attempt - never create a second one
+  const savedTicket = await reuseSavedStep(workflow, 'ticket', output => output.issueKey);
+  if (savedTicket) {
+    workflow.duplicate = savedTicket.duplicate || null;
+  } else {
+    await setStepStatus(workflow, 'ticket', 'running');
+    // A run continued after waiting for the duplicate buttons brings the match with it
+    const waited = workflow.job?.checkpoint.duplicateWait || null;
+    const duplicate = waited ? waited.duplicate : duplicates === 'off' ? null : await checkForDuplicate(workflow);
+    const action = duplicate ? await decideDuplicateAction(workflow, duplicate, duplicates, waited) : 'create';
+    if (!action) {
+      // Parked until the requester decides - the next run of the job picks up here
       return;
     }
+    if (action === 'create') {
+      await createTicket(workflow, llmDraft);
+    } else {
+      await useDuplicateTicket(workflow, action);
+    }
+  }
+  await uploadReportAttachments(workflow);
+}
 
-    // Update Slack with Jira ticket link (non-blocking)
-    try {
-      await slackClient.chat.postMessage({
-        channel,
-        thread_ts: threadTs,
-        text: `✅ Jira ticket created: <${issueUrl}|${issueKey}>\n🔬 Running RCA analysis on the issue...`,
-      });
-    } catch (slackError) {
-      console.warn(`   [${workflowId}] Failed to post Slack update (non-blocking):`, slackError.message);
+/**
+ * Look for a recent ticket about the same issue (non-blocking - a failed search means a new ticket)
+ */
+async function checkForDuplicate(workflow) {
+  try {
+    return await findDuplicateTicket({
+      projectKey: workflow.projectKey,
+      issueDescription: workflow.issueDescription,
+      messageText: workflow.messageText,
+      stackTraces: workflow.stackTraces,
+      relevantFiles: workflow.relevantFiles,
+    });
+  } catch (error) {
+    log.warn('Duplicate ticket search failed (non-blocking)', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Tell the requester which ticket matched and settle what to do with it: the step's policy,
+ * or the requester's choice from the buttons on the status message when the policy is 'ask'
+ * `waited` is the job checkpoint of a run parked for the buttons: { duplicate, decision }
+ * Returns 'comment', 'link' or 'create', or null when the job was parked to wait for the buttons
+ */
+async function decideDuplicateAction(workflow, duplicate, policy, waited = null) {
+  workflow.duplicate = { ...duplicate, action: null, decidedBy: null };
+  let decision;
+  if (waited) {
+    // The click, or the default once nobody answered in time (saved, so later clicks are refused)
+    decision = waited.decision || { action: DUPLICATE_DEFAULT_ACTION, decidedBy: null };
+    if (!waited.decision) {
+      await saveCheckpoint(workflow, { duplicateWait: { ...waited, decision } });
     }
+  } else {
+    log.info('Likely duplicate ticket', { issueKey: duplicate.key, score: Number(duplicate.score.toFixed(2)), policy });
+    await notifyWorkflow(workflow, 'message', {
+      text: `🔁 This looks like a duplicate of <${duplicate.url}|${duplicate.key}>: ${duplicate.summary} (${duplicate.reasons.join(', ')}).`,
+    });
 
-    // Step 3: Perform iterative RCA analysis using AI agent
-    console.log('\n' + '-'.repeat(80));
-    console.log(`🔬 [${workflowId}] STEP 3: Performing Iterative RCA Analysis`);
-    console.log('-'.repeat(80));
-    console.log(`   Issue: ${issueDescription}`);
-    console.log(`   Relevant files: ${relevantFiles.length}`);
-    console.log(`   OpenAI Model: ${process.env.OPENAI_MODEL || 'gpt-4-turbo-preview'}`);
-    console.log(`   Max iterations: 30`);
-    const rcaStart = Date.now();
-    
-    let rcaResult = null;
-    try {
-      rcaResult = await performRCA({
-        githubRepo,
-        issueDescription,
-        slackMessage: messageText,
-        relevantFiles,
-      }, workflowId);
-      const rcaTime = ((Date.now() - rcaStart) / 1000).toFixed(2);
-      console.log(`✅ [${workflowId}] RCA analysis completed`);
-      console.log(`   Analysis time: ${rcaTime}s`);
-      console.log(`   Summary length: ${rcaResult.summary.length} characters`);
-      console.log(`   Root cause length: ${rcaResult.rootCause.length} characters`);
-      console.log(`   Recommended fix length: ${rcaResult.recommendedFix.length} characters`);
-    } catch (error) {
-      const rcaTime = ((Date.now() - rcaStart) / 1000).toFixed(2);
-      console.error(`❌ [${workflowId}] RCA analysis failed after ${rcaTime}s`);
-      console.error(`   Error: ${error.message}`);
-      console.error(`   Stack: ${error.stack}`);
-      try {
-        await slackClient.chat.postMessage({
-          channel,
-          thread_ts: threadTs,
-          text: `❌ Failed to perform RCA analysis: ${error.message}`,
-        });
-      } catch (slackError) {
-        console.warn(`   [${workflowId}] Failed to post Slack error message (non-blocking):`, slackError.message);
-      }
-      // Still post error to Jira
-      try {
-        await postJiraComment(issueKey, {
-          text: `RCA Analysis Failed: ${error.message}`,
-        }, workflowId);
-      } catch (jiraError) {
-        console.error(`   [${workflowId}] Failed to post error to Jira:`, jiraError.message);
-      }
-      return;
+    const canAsk = workflow.job && workflow.notifiers.some(({ type }) => type === 'slack');
+    if (policy === 'ask' && canAsk) {
+      await parkForDuplicateDecision(workflow, duplicate);
+      return null;
     }
+    decision = { action: policy === 'ask' ? DUPLICATE_DEFAULT_ACTION : policy, decidedBy: null };
+  }
 
-    // Step 4: Post RCA results as comment on Jira ticket
-    console.log('\n' + '-'.repeat(80));
-    console.log(`💬 [${workflowId}] STEP 4: Posting RCA Results to Jira`);
-    console.log('-'.repeat(80));
-    console.log(`   Ticket: ${issueKey}`);
-    const commentStart = Date.now();
-    
-    try {
-      // Add warning banner if RCA was incomplete
-      const warningBanner = rcaResult.incomplete 
-        ? `{panel:title=⚠️ Incomplete Analysis|borderStyle=dashed|borderColor=#ffab00|titleBGColor=#fff3cd|bgColor=#fff3cd}\n` +
-          `This RCA analysis reached the maximum iteration limit (30 iterations) and may be incomplete. ` +
-          `The findings below represent the best plausible analysis based on the investigation performed so far.\n` +
-          `{panel}\n\n`
-        : '';
-      
-      await postJiraComment(issueKey, {
-        text: `${warningBanner}## Automated RCA Analysis\n\n${rcaResult.summary}\n\n### Root Cause\n\n${rcaResult.rootCause}\n\n### Recommended Fix\n\n${rcaResult.recommendedFix}\n\n### Analysis Details\n\n${rcaResult.details}`,
-      }, workflowId);
-      const commentTime = ((Date.now() - commentStart) / 1000).toFixed(2);
-      console.log(`✅ [${workflowId}] RCA results posted to Jira${rcaResult.incomplete ? ' (incomplete)' : ''}`);
-      console.log(`   Ticket: ${issueKey}`);
-      console.log(`   Comment time: ${commentTime}s`);
-    } catch (error) {
-      const commentTime = ((Date.now() - commentStart) / 1000).toFixed(2);
-      console.error(`❌ [${workflowId}] Failed to post RCA results after ${commentTime}s`);
-      console.error(`   Error: ${error.message}`);
-      console.error(`   Stack: ${error.stack}`);
-      try {
-        await slackClient.chat.postMessage({
-          channel,
-          thread_ts: threadTs,
-          text: `⚠️ RCA analysis completed but failed to post to Jira: ${error.message}`,
-        });
-      } catch (slackError) {
-        console.warn(`   [${workflowId}] Failed to post Slack error message (non-blocking):`, slackError.message);
-      }
-      return;
+  Object.assign(workflow.duplicate, decision);
+  const chosenBy = decision.decidedBy
+    ? `<@${decision.decidedBy}> chose to`
+    : waited ? `No answer within ${Math.round(DUPLICATE_DECISION_TIMEOUT_MS / 60000)} minutes - going to` : 'Going to';
+  const outcome = {
+    comment: `comment on ${duplicate.key} instead of creating a new ticket`,
+    link: `link this thread to ${duplicate.key} instead of creating a new ticket`,
+    create: `create a new ticket, linked to ${duplicate.key}`,
+  }[decision.action];
+  log.info('Duplicate decision', { action: decision.action, decidedBy: decision.decidedBy || undefined });
+  await notifyWorkflow(workflow, 'message', { text: `${chosenBy} ${outcome}.` });
+  return decision.action;
+}
+
+/**
+ * Wait for a click on the duplicate buttons without holding a worker: the job is parked with the
+ * match in its checkpoint and this run ends after the ticket step. A click (decideDuplicate), a
+ * cancel or DUPLICATE_DECISION_TIMEOUT_SECONDS wake the job, and its next run continues from the
+ * ticket step - the steps before it are reused from their checkpoints.
+ */
+async function parkForDuplicateDecision(workflow, duplicate) {
+  const { key, url, summary, score, reasons } = duplicate;
+  workflow.job.park(DUPLICATE_DECISION_TIMEOUT_MS, { duplicateWait: { duplicate: { key, url, summary, score, reasons }, decision: null } });
+  workflow.awaitingDuplicateDecision = true;
+  // The next run reads the attachments again
+  workflow.textAttachments = [];
+  log.info('Waiting for the duplicate decision - job parked', { issueKey: key, timeoutSeconds: DUPLICATE_DECISION_TIMEOUT_MS / 1000 });
+  await setStepStatus(workflow, 'ticket', 'running', `possible duplicate of ${key} - waiting for a decision`);
+}
+
+/**
+ * The job of a workflow parked for the duplicate decision and not answered yet, or null
+ */
+function findParkedDuplicateJob(workflowId) {
+  return listJobs().find(job => job.checkpoint.workflowId === workflowId
+    && job.checkpoint.duplicateWait && !job.checkpoint.duplicateWait.decision
+    && (job.state === 'queued' || job.parkedUntil)) || null;
+}
+
+/**
+ * Make the matching ticket the workflow's ticket: comment the new report on it, or add a link to
+ * the Slack thread. The RCA and test cases are then posted to that ticket.
+ * Without a Slack thread to link (API requests, or no permalink) the report is commented instead.
+ */
+async function useDuplicateTicket(workflow, requestedAction) {
+  const { duplicate } = workflow;
+  const permalink = workflow.channel && workflow.threadTs
+    ? await getSlackPermalink(workflow.channel, workflow.threadTs, workflow.teamId)
+    : null;
+
+  const action = requestedAction === 'link' && !permalink ? 'comment' : requestedAction;
+  if (action !== requestedAction) {
+    log.info('No Slack thread to link - commenting on the ticket instead', { issueKey: duplicate.key });
+    duplicate.action = action;
+    await notifyWorkflow(workflow, 'message', { text: `No Slack thread to link to ${duplicate.key} - commented the report on it instead.` });
+  }
+
+  if (action === 'comment') {
+    const reporter = workflow.user ? await resolveUserName(workflow.user, workflow.teamId) : workflow.requestedBy;
+    await postJiraComment(duplicate.key, {
+      text: `## Reported again
+
+${workflow.issueDescription}
+
+**Reported by:** ${reporter || 'unknown'} (${workflow.source === 'api' ? 'API' : 'Slack'})${permalink ? `
+**Slack Message:** [View in Slack](${permalink})` : ''}`,
+    });
+  } else {
+    await addJiraRemoteLink(duplicate.key, { url: permalink, title: `Slack report: ${workflow.issueDescription.substring(0, 200)}` });
+  }
+
+  workflow.issueKey = duplicate.key;
+  workflow.issueUrl = duplicate.url;
+  await checkpointStep(workflow, 'ticket', { issueKey: workflow.issueKey, issueUrl: workflow.issueUrl, duplicate });
+  log.info('Using existing Jira ticket', { issueKey: duplicate.key, action });
+  await setStepStatus(workflow, 'ticket', 'done', `${action === 'comment' ? 'commented on' : 'linked to'} ${duplicate.key}`);
+}
+
+/**
+ * Link a ticket created despite a likely duplicate to the ticket it resembles (non-blocking)
+ */
+async function linkToDuplicate(workflow) {
+  try {
+    await linkJiraIssues(workflow.issueKey, workflow.duplicate.key, DUPLICATE_LINK_TYPE);
+  } catch (error) {
+    log.warn('Failed to link the ticket to its likely duplicate (non-blocking)', { issueKey: workflow.issueKey, duplicateKey: workflow.duplicate.key, error: error.message });
+  }
+}
+
+/**
+ * Create the Jira ticket of a workflow with the issue description
+ */
+async function createTicket(workflow, llmDraft) {
+  const { issueDescription, attachments, ticketRequest } = workflow;
+  const ticketStart = Date.now();
+
+  // Build description (attachments will be uploaded separately)
+  let description = `Issue: ${issueDescription}\n\nReported from Slack. Analyzing codebase for root cause analysis.`;
+
+  if (attachments && attachments.length > 0) {
+    description += `\n\n**Attachments**: ${attachments.length} file(s) attached`;
+  }
+
+  const { reporter, assignee, watchers } = ticketRequest;
+  const people = await resolveJiraPeople({ reporter, assignee, watchers }, workflow.teamId);
+
+  const ticketResult = await createJiraTicket({
+    summary: issueDescription.length > 200
+      ? issueDescription.substring(0, 197) + '...'
+      : issueDescription,
+    description,
+    githubRepo: workflow.githubRepo,
+    branch: workflow.branch,
+    projectKey: workflow.projectKey,
+    issueType: ticketRequest.issueType,
+    priority: ticketRequest.priority,
+    labels: ticketRequest.labels,
+    components: ticketRequest.components,
+    draft: ticketRequest.draft || (llmDraft ? null : buildPlainTicketDraft(issueDescription)),
+    threadContext: workflow.threadContext,
+    imageDescriptions: workflow.imageDescriptions,
+    stackTraces: workflow.stackTraces,
+    relevantFiles: workflow.relevantFiles || [],
+    people,
+    issueDescription,
+    slackMessage: workflow.messageText,
+    slackChannel: workflow.channel,
+    slackMessageTs: workflow.threadTs,
+    slackTeamId: workflow.teamId,
+  }, { onUsage: trackUsage(workflow, 'ticket') });
+  workflow.issueKey = ticketResult.key;
+  workflow.issueUrl = ticketResult.url;
+  if (workflow.duplicate) {
+    await linkToDuplicate(workflow);
+  }
+  await checkpointStep(workflow, 'ticket', { issueKey: workflow.issueKey, issueUrl: workflow.issueUrl, duplicate: workflow.duplicate });
+  log.info('Jira ticket created', { issueKey: workflow.issueKey, issueUrl: workflow.issueUrl, projectKey: workflow.projectKey, durationMs: Date.now() - ticketStart });
+  await setStepStatus(workflow, 'ticket', 'done', workflow.issueKey);
+}
+
+/**
+ * Upload attachments to Jira if present (once - a resumed workflow does not upload them again)
+ */
+async function uploadReportAttachments(workflow) {
+  const { attachments } = workflow;
+  if (attachments.length === 0 || workflow.savedSteps.attachments) {
+    return;
+  }
+
+  log.info('Uploading attachments to Jira', { issueKey: workflow.issueKey, count: attachments.length });
+  try {
+    await uploadAttachmentsToJira(workflow.issueKey, attachments, workflow.teamId);
+    await checkpointStep(workflow, 'attachments', { uploaded: attachments.map(file => file.name) });
+  } catch (uploadError) {
+    log.warn('Failed to upload some attachments (non-blocking)', { error: uploadError.message });
+  }
+}
+
+/**
+ * Step rca: perform iterative RCA analysis using AI agent
+ */
+async function runRCAStep(workflow) {
+  const savedResult = await reuseSavedStep(workflow, 'rca');
+  if (savedResult) {
+    workflow.rcaResult = savedResult;
+    return;
+  }
+
+  log.info('Starting RCA', { relevantFiles: workflow.relevantFiles.length, model: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview', maxIterations: 30 });
+  const rcaStart = Date.now();
+  await setStepStatus(workflow, 'rca', 'running');
+
+  workflow.rcaResult = await performRCA({
+    githubRepo: workflow.githubRepo,
+    branch: workflow.branch,
+    repoPath: await getCheckout(workflow),
+    issueDescription: withImageDescriptions(workflow.issueDescription, workflow.imageDescriptions),
+    threadContext: workflow.threadContext,
+    slackMessage: workflow.messageText,
+    relevantFiles: workflow.relevantFiles,
+    attachments: workflow.textAttachments,
+    stackTraces: workflow.stackTraces,
+  }, { signal: workflow.abortController.signal, onUsage: trackUsage(workflow, 'rca') });
+  const rcaTime = ((Date.now() - rcaStart) / 1000).toFixed(2);
+  log.info('RCA analysis completed', {
+    durationMs: Date.now() - rcaStart,
+    incomplete: !!workflow.rcaResult.incomplete,
+    summaryChars: workflow.rcaResult.summary.length,
+    rootCauseChars: workflow.rcaResult.rootCause.length,
+    recommendedFixChars: workflow.rcaResult.recommendedFix.length,
+    citedAttachments: workflow.rcaResult.citedAttachments?.join(', ') || undefined,
+  });
+  await checkpointStep(workflow, 'rca', workflow.rcaResult);
+  await setStepStatus(workflow, 'rca', 'done', `${rcaTime}s${workflow.rcaResult.incomplete ? ', incomplete' : ''}`);
+}
+
+/**
+ * Post a failed RCA to the Jira ticket before the workflow finishes as failed
+ */
+async function reportRCAFailure(workflow, error) {
+  if (!workflow.issueKey || workflow.dryRun) {
+    return;
+  }
+  try {
+    await postJiraComment(workflow.issueKey, {
+      text: `RCA Analysis Failed: ${error.message}`,
+    });
+  } catch (jiraError) {
+    log.error('Failed to post the RCA error to Jira', { issueKey: workflow.issueKey, error: jiraError.message });
+  }
+}
+
+/**
+ * Step rca_comment: post RCA results as comment on Jira ticket
+ */
+async function postRCAStep(workflow) {
+  const { rcaResult } = workflow;
+
+  if (await reuseSavedStep(workflow, 'rca_comment')) {
+    return;
+  }
+
+  const commentStart = Date.now();
+  await setStepStatus(workflow, 'rca_comment', 'running');
+
+  // Add warning banner if RCA was incomplete
+  const warningBanner = rcaResult.incomplete
+    ? `{panel:title=⚠️ Incomplete Analysis|borderStyle=dashed|borderColor=#ffab00|titleBGColor=#fff3cd|bgColor=#fff3cd}\n` +
+      `This RCA analysis reached the maximum iteration limit (30 iterations) and may be incomplete. ` +
+      `The findings below represent the best plausible analysis based on the investigation performed so far.\n` +
+      `{panel}\n\n`
+    : '';
+  // Attachment lines the agent cited, when it read any
+  const evidenceSection = rcaResult.evidence ? `\n\n### Evidence\n\n${rcaResult.evidence}` : '';
+
+  await postJiraComment(workflow.issueKey, {
+    text: `${warningBanner}## Automated RCA Analysis\n\n${rcaResult.summary}\n\n### Root Cause\n\n${rcaResult.rootCause}${evidenceSection}\n\n### Recommended Fix\n\n${rcaResult.recommendedFix}\n\n### Analysis Details\n\n${rcaResult.details}${buildUsageFooter(workflow, 'rca')}`,
+  });
+  log.info('RCA results posted to Jira', { issueKey: workflow.issueKey, incomplete: !!rcaResult.incomplete, durationMs: Date.now() - commentStart });
+  await checkpointStep(workflow, 'rca_comment');
+  await setStepStatus(workflow, 'rca_comment', 'done');
+}
+
+/**
+ * Step test_cases: generate test cases based on the RCA analysis (or the report alone when the pipeline has no RCA)
+ */
+async function runTestCasesStep(workflow) {
+  const savedResult = await reuseSavedStep(workflow, 'test_cases', output => `${output.testCases.length} test cases`);
+  if (savedResult) {
+    workflow.testCasesResult = savedResult;
+    return;
+  }
+
+  log.info('Starting test case generation', { relevantFiles: workflow.relevantFiles.length, model: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview', maxIterations: 20 });
+  const testCasesStart = Date.now();
+  await setStepStatus(workflow, 'test_cases', 'running');
+
+  workflow.testCasesResult = await generateTestCases({
+    rcaResult: workflow.rcaResult,
+    relevantFiles: workflow.relevantFiles,
+    githubRepo: workflow.githubRepo,
+    repoPath: await getCheckout(workflow),
+    issueDescription: withImageDescriptions(workflow.issueDescription, workflow.imageDescriptions),
+  }, { signal: workflow.abortController.signal, onUsage: trackUsage(workflow, 'test_cases') });
+  log.info('Test case generation completed', { durationMs: Date.now() - testCasesStart, testCases: workflow.testCasesResult.testCases.length });
+  log.debug('Test case summary', { summary: workflow.testCasesResult.summary });
+  await checkpointStep(workflow, 'test_cases', workflow.testCasesResult);
+  await setStepStatus(workflow, 'test_cases', 'done', `${workflow.testCasesResult.testCases.length} test cases`);
+}
+
+/**
+ * Step test_cases_comment: post test cases to Jira ticket (if any were generated)
+ */
+async function postTestCasesStep(workflow) {
+  const { testCasesResult } = workflow;
+
+  if (testCasesResult.testCases.length === 0) {
+    log.warn('No test cases generated, skipping Jira post');
+    await setStepStatus(workflow, 'test_cases_comment', 'skipped');
+    return;
+  }
+
+  if (await reuseSavedStep(workflow, 'test_cases_comment')) {
+    return;
+  }
+
+  const testCasesCommentStart = Date.now();
+  await setStepStatus(workflow, 'test_cases_comment', 'running');
+
+  await postJiraComment(workflow.issueKey, {
+    text: `${testCasesResult.fullResponse}${buildUsageFooter(workflow, 'test_cases')}`,
+  });
+  log.info('Test cases posted to Jira', { issueKey: workflow.issueKey, testCases: testCasesResult.testCases.length, durationMs: Date.now() - testCasesCommentStart });
+  await checkpointStep(workflow, 'test_cases_comment');
+  await setStepStatus(workflow, 'test_cases_comment', 'done');
+}
+
+// The existing workflow steps, run by name from the pipeline config
+registerPipelineStep('vision', {
+  label: 'Describe screenshots',
+  outputs: ['imageDescriptions'],
+  failureMessage: 'Failed to describe screenshots',
+  run: runVisionStep,
+});
+
+registerPipelineStep('search', {
+  label: 'Find relevant files',
+  optionalInputs: ['imageDescriptions'],
+  outputs: ['relevantFiles', 'stackTraces'],
+  failureMessage: 'Failed to search repository',
+  run: runSearchStep,
+});
+
+registerPipelineStep('ticket', {
+  label: 'Create Jira ticket',
+  optionalInputs: ['imageDescriptions', 'stackTraces', 'relevantFiles'],
+  outputs: ['issueKey', 'issueUrl'],
+  options: { llmDraft: 'boolean', duplicates: DUPLICATE_POLICIES },
+  failureMessage: 'Failed to create Jira ticket',
+  run: runTicketStep,
+});
+
+registerPipelineStep('rca', {
+  label: 'Root cause analysis',
+  inputs: ['relevantFiles'],
+  optionalInputs: ['imageDescriptions', 'stackTraces'],
+  outputs: ['rcaResult'],
+  failureMessage: 'Failed to perform RCA analysis',
+  run: runRCAStep,
+  onAbort: reportRCAFailure,
+});
+
+registerPipelineStep('rca_comment', {
+  label: 'Post RCA to Jira',
+  inputs: ['issueKey', 'rcaResult'],
+  failureMessage: 'RCA analysis completed but failed to post to Jira',
+  run: postRCAStep,
+});
+
+registerPipelineStep('test_cases', {
+  label: 'Generate test cases',
+  inputs: ['relevantFiles'],
+  optionalInputs: ['rcaResult', 'imageDescriptions'],
+  outputs: ['testCasesResult'],
+  onFailure: 'continue',
+  failureMessage: 'Failed to generate test cases',
+  run: runTestCasesStep,
+});
+
+registerPipelineStep('test_cases_comment', {
+  label: 'Post test cases to Jira',
+  inputs: ['issueKey', 'testCasesResult'],
+  onFailure: 'continue',
+  failureMessage: 'Failed to post test cases to Jira',
+  run: postTestCasesStep,
+});
+
+// Workflow callbacks the pipeline runner reports to
+const PIPELINE_HOOKS = { setStepStatus, stopIfCancelled, stopCancelledStep, retryLater, finishWorkflow };
+
+/**
+ * New workflow id (workflow-<timestamp>-<random>) - the random part keeps ids of workflows
+ * started in the same millisecond apart
+ */
+export function createWorkflowId() {
+  return `workflow-${Date.now()}-${crypto.randomUUID().slice(0, 8)}`;
+}
+
+/**
+ * Run a workflow: read the issue, analyze the repo, create the Jira ticket and run the RCA
+ * Transport-neutral - Slack reports and REST API requests both end up here, and progress goes to
+ * the request's notifiers (notifiers.js). The steps come from the channel's pipeline (pipeline-config).
+ * Request: { source, user, teamId, channel, ts, text, requestedBy, githubRepo, issueDescription, attachments, options, notifiers }
+ * - source: 'slack' or 'api'; user / teamId / channel / ts / text: the Slack user, workspace, channel,
+ *   thread and message of the report (null when an API request has no Slack channel)
+ * - requestedBy: who asked for it when that is not a Slack user (the API client)
+ * - notifiers: [{ type, ...settings }] that receive progress, e.g. [{ type: 'slack' }]
+ * Options: { branch, projectKey, issueType, priority, draft, threadContext, dryRun, reporter, assignee, watchers }
+ * Unset branch/projectKey/issueType fall back to the channel's routing config
+ * - draft: reviewed { title, summary, acceptanceCriteria } used for the ticket instead of the LLM draft
+ * - threadContext: transcript of the Slack thread, added to the ticket and the RCA prompt
+ * - dryRun: run the analysis without touching Jira
+ * - reporter / assignee / watchers: Slack user ids mapped to Jira accounts (reporter defaults to the triggering user)
+ * `job` is the job-queue job running this workflow; its checkpoint carries progress from an earlier attempt
+ * Returns the workflow, or null if none was started
+ */
+export async function runWorkflow(request, job = null) {
+  // A retried or resumed job keeps its workflow id and status message; finished steps come from its checkpoint
+  const workflowId = job?.checkpoint?.workflowId || createWorkflowId();
+  // Everything the workflow logs, its services included, carries the workflow id
+  return withLogContext({ workflowId }, () => executeWorkflow(request, job, workflowId));
+}
+
+/**
+ * Body of runWorkflow, run inside the workflow's log context
+ */
+async function executeWorkflow(request, job, workflowId) {
+  const { source = 'slack', user = null, teamId = null, channel = null, ts = null, text = '', requestedBy = null, githubRepo, issueDescription, attachments = [], options = {}, notifiers = [] } = request;
+  const {
+    priority = null,
+    draft = null,
+    threadContext = null,
+    dryRun = false,
+    reporter = user,
+    assignee = null,
+    watchers = [],
+  } = options;
+  const checkpoint = job?.checkpoint || {};
+  const startTime = Date.now();
+
+  // Per-channel defaults from the routing config; explicit options win
+  const route = resolveRoute(channel);
+  const branch = options.branch || route.branch;
+  const projectKey = options.projectKey || route.jiraProject;
+  const issueType = options.issueType || route.issueType;
+  const { labels, components, vision } = route;
+  const pipeline = resolvePipeline(route.pipeline);
+
+  log.info('Workflow started', {
+    source,
+    requestedBy: requestedBy || user || 'unknown',
+    channel: channel || undefined,
+    githubRepo,
+    branch: branch || 'default',
+    projectKey,
+    issueType,
+    dryRun,
+    route: route.route || 'defaults',
+    pipeline: pipeline ? pipeline.steps.map(({ step }) => step).join(',') : `${route.pipeline} (not defined)`,
+    notifiers: notifiers.map(({ type }) => type).join(',') || 'none',
+    attachments: attachments.length,
+    threadContextChars: threadContext ? threadContext.length : 0,
+  });
+  log.debug('Workflow request', { issueDescription, text });
+
+  try {
+    const messageText = text || '';
+    // Where a note goes before the workflow exists (same fields the notifiers read from a workflow)
+    const requester = { id: workflowId, teamId, channel, threadTs: ts, notifiers };
+
+    // Tell the requester (non-blocking - continue even if it fails)
+    if (!githubRepo) {
+      log.error('GitHub repository missing - cannot proceed', { repoInRoutingConfig: !!route.repo });
+      await notifyWorkflow(requester, 'message', {
+        text: `⚠️ GitHub repository is required but not provided.\n\nPlease provide a GitHub repository URL in your message, or configure a repo for this channel in the routing config (or GITHUB_REPO).\n\nExample: @bot The login button is not working. Analyze https://github.com/owner/repo`,
+      });
+      return null;
     }
 
-    // Step 5: Generate test cases based on RCA analysis
-    console.log('\n' + '-'.repeat(80));
-    console.log(`🧪 [${workflowId}] STEP 5: Generating Test Cases`);
-    console.log('-'.repeat(80));
-    console.log(`   Issue: ${issueDescription}`);
-    console.log(`   Relevant files: ${relevantFiles.length}`);
-    console.log(`   OpenAI Model: ${process.env.OPENAI_MODEL || 'gpt-4-turbo-preview'}`);
-    console.log(`   Max iterations: 20`);
-    const testCasesStart = Date.now();
-    
-    let testCasesResult = null;
-    try {
-      testCasesResult = await generateTestCases({
-        rcaResult,
-        relevantFiles,
-        githubRepo,
-        issueDescription,
-      }, workflowId);
-      const testCasesTime = ((Date.now() - testCasesStart) / 1000).toFixed(2);
-      console.log(`✅ [${workflowId}] Test case generation completed`);
-      console.log(`   Generation time: ${testCasesTime}s`);
-      console.log(`   Test cases generated: ${testCasesResult.testCases.length}`);
-      console.log(`   Summary: ${testCasesResult.summary.substring(0, 100)}...`);
-    } catch (error) {
-      const testCasesTime = ((Date.now() - testCasesStart) / 1000).toFixed(2);
-      console.error(`❌ [${workflowId}] Test case generation failed after ${testCasesTime}s`);
-      console.error(`   Error: ${error.message}`);
-      console.error(`   Stack: ${error.stack}`);
-      try {
-        await slackClient.chat.postMessage({
-          channel,
-          thread_ts: threadTs,
-          text: `⚠️ Test case generation failed: ${error.message}`,
-        });
-      } catch (slackError) {
-        console.warn(`   [${workflowId}] Failed to post Slack error message (non-blocking):`, slackError.message);
-      }
-      // Continue workflow even if test case generation fails
-      testCasesResult = null;
+    if (!pipeline) {
+      log.error('Pipeline is not in the pipeline config - cannot proceed', { pipeline: route.pipeline, route: route.route });
+      await notifyWorkflow(requester, 'message', {
+        text: `⚠️ This channel is set up to run the \`${route.pipeline}\` pipeline, which is not defined in the pipeline config. Ask an admin to add it or fix the channel's routing.`,
+      });
+      return null;
     }
 
-    // Step 6: Post test cases to Jira ticket (if generated)
-    if (testCasesResult && testCasesResult.testCases.length > 0) {
-      console.log('\n' + '-'.repeat(80));
-      console.log(`📝 [${workflowId}] STEP 6: Posting Test Cases to Jira`);
-      console.log('-'.repeat(80));
-      console.log(`   Ticket: ${issueKey}`);
-      console.log(`   Test cases: ${testCasesResult.testCases.length}`);
-      const testCasesCommentStart = Date.now();
-      
-      try {
-        await postJiraComment(issueKey, {
-          text: testCasesResult.fullResponse,
-        }, workflowId);
-        const testCasesCommentTime = ((Date.now() - testCasesCommentStart) / 1000).toFixed(2);
-        console.log(`✅ [${workflowId}] Test cases posted to Jira`);
-        console.log(`   Ticket: ${issueKey}`);
-        console.log(`   Comment time: ${testCasesCommentTime}s`);
-      } catch (error) {
-        const testCasesCommentTime = ((Date.now() - testCasesCommentStart) / 1000).toFixed(2);
-        console.error(`❌ [${workflowId}] Failed to post test cases after ${testCasesCommentTime}s`);
-        console.error(`   Error: ${error.message}`);
-        console.error(`   Stack: ${error.stack}`);
-        try {
-          await slackClient.chat.postMessage({
-            channel,
-            thread_ts: threadTs,
-            text: `⚠️ Test cases generated but failed to post to Jira: ${error.message}`,
-          });
-        } catch (slackError) {
-          console.warn(`   [${workflowId}] Failed to post Slack error message (non-blocking):`, slackError.message);
-        }
-        // Continue workflow even if posting fails
-      }
-    } else {
-      console.log(`\n   [${workflowId}] ⚠️ No test cases generated, skipping Jira post`);
+    log.info('GitHub repository identified', { githubRepo, repoSource: githubRepo === route.repo ? 'routing config' : 'message' });
+
+    const saved = checkpoint.workflowId ? await loadCheckpoint(workflowId) : null;
+    const savedSteps = saved?.steps || {};
+    if (saved) {
+      log.info('Resuming', { savedSteps: Object.keys(savedSteps).join(',') || 'none' });
+    }
+
+    const workflow = registerWorkflow({
+      id: workflowId,
+      status: 'running',
+      source,
+      user,
+      requestedBy,
+      teamId,
+      channel,
+      // Slash commands have no triggering message - the Slack notifier fills this in
+      threadTs: checkpoint.threadTs || ts,
+      messageTs: checkpoint.messageTs || null,
+      // Where progress goes: [{ type, ...settings }] (notifiers.js)
+      notifiers,
+      messageText,
+      githubRepo,
+      branch,
+      // Checkout of the branch the file search and agents read, prepared by the first step that needs it
+      repoPath: null,
+      projectKey,
+      dryRun,
+      issueDescription,
+      threadContext,
+      // Pipeline the workflow runs: its name and steps ({ step, label, onFailure, options })
+      pipeline: pipeline.name,
+      pipelineSteps: pipeline.steps,
+      // Ticket fields besides the project, and the Slack users mapped to Jira people
+      ticketRequest: { issueType, priority, labels, components, draft, reporter, assignee, watchers },
+      vision,
+      steps: {},
+      relevantFiles: null,
+      // Slack files of the report, and the text-like ones read for the RCA
+      attachments,
+      textAttachments: [],
+      // Stack traces found in the report, frames mapped to repo paths (stack-trace-parser)
+      stackTraces: [],
+      // Vision model descriptions of screenshot attachments: [{ name, description }]
+      imageDescriptions: [],
+      issueKey: savedSteps.ticket?.output.issueKey || null,
+      issueUrl: savedSteps.ticket?.output.issueUrl || null,
+      // Recent ticket the report matched: { key, url, summary, score, reasons, action, decidedBy }
+      duplicate: savedSteps.ticket?.output.duplicate || null,
+      // Set while the job is parked for the duplicate buttons (the status message shows them)
+      awaitingDuplicateDecision: false,
+      // LLM tokens and cost per step and in total (usage-tracker), kept across retries and resumes
+      usage: saved?.usage || createUsage(),
+      // Set once the run passes LLM_BUDGET_TOKENS or LLM_BUDGET_USD - the workflow stops as failed
+      budgetExceeded: null,
+      rcaResult: null,
+      testCasesResult: null,
+      error: null,
+      // A cancel requested while the job waited for its retry still applies
+      cancelRequested: getWorkflow(workflowId)?.cancelRequested || null,
+      // Aborted by cancelWorkflow - stops the RCA and test case agents mid-run
+      abortController: new AbortController(),
+      job,
+      // Step outputs saved under the workflow id (checkpoint-store) - these steps are not run again
+      savedSteps,
+      startedAt: startTime,
+      finishedAt: null,
+    });
+
+    startUsageRun(workflow.usage);
+    // A run woken from parking for the duplicate decision carries on the run counted before it
+    const run = job?.attempt > 1 ? 'retry' : saved ? 'resume' : 'new';
+    if (run === 'retry' || !checkpoint.duplicateWait) {
+      workflowsStarted.inc({ source, run });
     }
 
-    // Final success message (non-blocking)
+    // Send initial status (non-blocking)
+    await notifyWorkflow(workflow, 'started');
+    await saveCheckpoint(workflow, { workflowId, messageTs: workflow.messageTs, threadTs: workflow.threadTs });
     try {
-      const testCasesInfo = testCasesResult && testCasesResult.testCases.length > 0 
-        ? `\n🧪 Generated ${testCasesResult.testCases.length} test cases`
-        : '';
-      await slackClient.chat.postMessage({
-        channel,
-        thread_ts: threadTs,
-        text: `✅ RCA analysis completed and posted to <${issueUrl}|${issueKey}>${testCasesInfo}`,
+      // Everything needed to resume the workflow after a restart
+      await saveWorkflowRequest(workflowId, {
+        ...request,
+        messageTs: workflow.messageTs,
+        threadTs: workflow.threadTs,
       });
-    } catch (slackError) {
-      console.warn(`   [${workflowId}] Failed to post Slack success message (non-blocking):`, slackError.message);
+    } catch (error) {
+      log.warn('Failed to save workflow checkpoint (non-blocking)', { error: error.message });
     }
 
-    const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.log('\n' + '='.repeat(80));
-    console.log(`🎉 [${workflowId}] WORKFLOW COMPLETED SUCCESSFULLY`);
-    console.log('='.repeat(80));
-    console.log(`   Ticket: ${issueKey}`);
-    console.log(`   Total time: ${totalTime}s`);
-    console.log(`   Completed at: ${new Date().toISOString()}`);
-    console.log('='.repeat(80) + '\n');
+    // Cancelled while waiting for a retry
+    if (await stopIfCancelled(workflow)) return workflow;
+
+    // Logs and other text attachments are read for this run and released when it finishes
+    workflow.textAttachments = await loadTextAttachments(attachments, workflow.teamId);
+
+    if (!await runPipeline(workflow, pipeline.steps, PIPELINE_HOOKS)) return workflow;
+
+    // Final status update (non-blocking)
+    await finishWorkflow(workflow, 'completed');
+
+    log.info('Workflow completed', { issueKey: workflow.issueKey || undefined, llmUsage: formatUsage(workflow.usage.total), durationMs: Date.now() - startTime });
+    return workflow;
   } catch (error) {
-    const totalTime = ((Date.now() - startTime) / 1000).toFixed(2);
-    console.error('\n' + '='.repeat(80));
-    console.error(`💥 [${workflowId}] WORKFLOW FAILED`);
-    console.error('='.repeat(80));
-    console.error(`   Error: ${error.message}`);
-    console.error(`   Stack: ${error.stack}`);
-    console.error(`   Failed after: ${totalTime}s`);
-    console.error('='.repeat(80) + '\n');
+    if (error.willRetry) {
+      log.warn('Workflow attempt failed, handing back to the job queue for a retry', { error: error.message });
+      throw error;
+    }
+    log.error('Workflow failed', { durationMs: Date.now() - startTime, error });
     throw error;
   }
 }
 
+/**
+ * Look up a workflow that a Slack action refers to and make sure it is not busy
+ * Returns { workflow, error }
+ */
+function getIdleWorkflow(workflowId) {
+  const workflow = getWorkflow(workflowId);
+  if (!workflow) {
+    return { error: `Workflow \`${workflowId}\` is no longer available. Mention the bot again to start a new RCA.` };
+  }
+  if (workflow.status === 'running') {
+    return { error: `Workflow \`${workflowId}\` is still running. Wait for it to finish or cancel it first.` };
+  }
+  return { workflow };
+}
+
+/**
+ * Reset steps that a re-run does again, dropping their saved output so it is not reused
+ */
+async function forgetSavedSteps(workflow, stepNames) {
+  for (const name of stepNames) {
+    workflow.steps[name] = { status: 'pending', detail: null };
+    delete workflow.savedSteps[name];
+  }
+  try {
+    await clearStepOutputs(workflow.id, stepNames);
+  } catch (error) {
+    log.warn('Failed to clear saved step outputs (non-blocking)', { workflowId: workflow.id, error: error.message });
+  }
+}
+
+/**
+ * Re-run the RCA for a finished workflow and post the new results
+ * Returns an error message for the user, or null when the re-run started
+ */
+export async function rerunRCA(workflowId, userId) {
+  const { workflow, error } = getIdleWorkflow(workflowId);
+  if (error) return error;
+  if (!workflow.relevantFiles) {
+    return 'The file search for this workflow did not complete, so the RCA cannot be re-run.';
+  }
+  const steps = workflow.pipelineSteps.filter(({ step }) => RCA_RERUN_STEPS.includes(step));
+  if (!steps.some(({ step }) => step === 'rca')) {
+    return `The \`${workflow.pipeline}\` pipeline of this workflow has no RCA step.`;
+  }
+
+  log.info('RCA re-run requested', { workflowId, userId });
+  workflow.testCasesResult = null;
+  await queueRerun(workflow, 'rca', steps);
+  return null;
+}
+
+/**
+ * Regenerate test cases from the existing RCA of a finished workflow
+ * Returns an error message for the user, or null when the regeneration started
+ */
+export async function regenerateTestCases(workflowId, userId) {
+  const { workflow, error } = getIdleWorkflow(workflowId);
+  if (error) return error;
+  if (!workflow.rcaResult) {
+    return 'This workflow has no RCA result yet, so test cases cannot be generated.';
+  }
+  const steps = workflow.pipelineSteps.filter(({ step }) => TEST_CASES_RERUN_STEPS.includes(step));
+  if (!steps.some(({ step }) => step === 'test_cases')) {
+    return `The \`${workflow.pipeline}\` pipeline of this workflow does not generate test cases.`;
+  }
+
+  log.info('Test case regeneration requested', { workflowId, userId });
+  await queueRerun(workflow, 'test_cases', steps);
+  return null;
+}
+
+/**
+ * Reset a finished workflow for a re-run of `steps` and queue it
+ * Re-runs wait for a worker like new workflows and count against the repository's limit; the
+ * workflow is busy (running) from now on, so it cannot be re-run twice or resumed meanwhile
+ */
+async function queueRerun(workflow, kind, steps) {
+  workflow.status = 'running';
+  workflow.error = null;
+  workflow.cancelRequested = null;
+  workflow.finishedAt = null;
+  workflow.abortController = new AbortController();
+  workflow.budgetExceeded = null;
+  await forgetSavedSteps(workflow, steps.map(({ step }) => step));
+
+  await enqueueJob(RERUN_JOB, { workflowId: workflow.id, kind, steps: steps.map(({ step }) => step) }, {
+    // The re-run works on the workflow in memory, which a restart does not keep - no retries
+    maxAttempts: 1,
+    concurrencyKey: workflow.githubRepo,
+    fairnessKey: getFairnessKey(workflow),
+  });
+}
+
+/**
+ * Job handler for re-runs (RERUN_JOB): run the steps again on the finished workflow
+ */
+async function runRerunJob({ workflowId, kind, steps: stepNames }) {
+  const workflow = getWorkflow(workflowId);
+  if (!workflow) {
+    throw Object.assign(new Error(`Workflow ${workflowId} is no longer in memory (restarted?) - use resume instead`), { transient: false });
+  }
+  const steps = workflow.pipelineSteps.filter(({ step }) => stepNames.includes(step));
+
+  await withLogContext({ workflowId }, async () => {
+    // The run starts now, not when it was queued
+    workflow.startedAt = Date.now();
+    startUsageRun(workflow.usage);
+    workflowsStarted.inc({ source: workflow.source, run: 'rerun' });
+    await notifyWorkflow(workflow, 'started');
+    if (await stopIfCancelled(workflow)) return;
+    if (kind === 'rca') {
+      workflow.textAttachments = await loadTextAttachments(workflow.attachments, workflow.teamId);
+    }
+    if (!await runPipeline(workflow, steps, PIPELINE_HOOKS)) return;
+    await finishWorkflow(workflow, 'completed');
+  }).catch(async err => {
+    log.error(kind === 'rca' ? 'RCA re-run failed' : 'Test case regeneration failed', { workflowId, error: err });
+    if (workflow.status === 'running') {
+      await finishWorkflow(workflow, 'failed', err.message);
+    }
+    throw err;
+  });
+}
+
+/**
+ * Tell the requester where a queued re-run is in line (on the workflow's status message)
+ */
+async function notifyRerunPosition({ workflowId }, job, { position, reason }) {
+  const workflow = getWorkflow(workflowId);
+  if (!workflow) return;
+  log.info('Re-run waiting in the job queue', { workflowId, position, reason });
+  await notifyWorkflow(workflow, 'queued', { position, reason });
+}
+
+/**
+ * Channels (or API clients) take turns in the job queue
+ */
+function getFairnessKey({ channel, teamId, requestedBy }) {
+  return channel ? `${teamId || 'default'}:${channel}` : `api:${requestedBy || 'unknown'}`;
+}
+
+/**
+ * Workflow request for a report from Slack (see runWorkflow); progress goes to the Slack thread
+ */
+export function buildSlackRequest(slackEvent, githubRepo, issueDescription, attachments = [], options = {}) {
+  return {
+    source: 'slack',
+    user: slackEvent.user,
+    teamId: slackEvent.team || null,
+    channel: slackEvent.channel,
+    ts: slackEvent.ts || null,
+    text: slackEvent.text || '',
+    githubRepo,
+    issueDescription,
+    attachments,
+    options,
+    notifiers: [{ type: 'slack' }],
+  };
+}
+
+/**
+ * Queue a workflow on the durable job queue (see runWorkflow for the request fields)
+ * Concurrency is limited per repository and channels (or API clients) take turns; `checkpoint` resumes earlier work
+ */
+export function queueWorkflow(request, checkpoint = {}) {
+  return enqueueJob(RCA_JOB, request, {
+    concurrencyKey: request.githubRepo,
+    fairnessKey: getFairnessKey(request),
+    checkpoint,
+  });
+}
+
+/**
+ * Resume a failed or cancelled workflow from its first unfinished step, also after a restart
+ * Finished steps are not run again - the Jira ticket and the RCA of the earlier run are reused
+ * Returns an error message for the user, or null when the workflow was queued
+ */
+export async function resumeWorkflow(reference, userId) {
+  const saved = await findCheckpoint(reference);
+  if (!saved?.request) {
+    return `No saved progress found for \`${reference}\`. Checkpoints are kept for ${process.env.CHECKPOINT_TTL_DAYS || '30'} days.`;
+  }
+  const waiting = listJobs({ state: 'queued' }).some(job => job.checkpoint.workflowId === saved.workflowId);
+  if (waiting || getWorkflow(saved.workflowId)?.status === 'running') {
+    return `Workflow \`${saved.workflowId}\` is still running or waiting for a retry.`;
+  }
+  if (saved.status === 'completed') {
+    return `Workflow \`${saved.workflowId}\` already completed. Use re-run or regenerate test cases to redo a step.`;
+  }
+
+  const pipeline = resolvePipeline(resolveRoute(saved.channel).pipeline);
+  const nextStep = pipeline?.steps.find(({ step }) => !saved.steps[step]);
+  log.info('Resume requested', { workflowId: saved.workflowId, userId, nextStep: nextStep?.step || 'the end' });
+  const { messageTs, threadTs, ...request } = saved.request;
+  await queueWorkflow(request, { workflowId: saved.workflowId, messageTs, threadTs });
+  return null;
+}
+
+/**
+ * Cancel a running workflow: the RCA or test case agent is aborted mid-run (in-flight OpenAI
+ * request and commands included); other steps stop before the next one starts
+ * Returns an error message for the user, or null when the cancellation was recorded
+ */
+export async function cancelWorkflow(workflowId, userId) {
+  const workflow = getWorkflow(workflowId);
+  if (!workflow) {
+    return `Workflow \`${workflowId}\` is no longer available.`;
+  }
+  if (workflow.status !== 'running') {
+    return `Workflow \`${workflowId}\` is not running.`;
+  }
+
+  log.info('Cancellation requested', { workflowId, userId });
+  workflow.cancelRequested = userId;
+  workflow.error = `Cancellation requested by <@${userId}> - stopping`;
+  await notifyWorkflow(workflow, 'update');
+  // Not retried by the job queue (transient: false)
+  workflow.abortController?.abort(Object.assign(new Error(`Cancelled by <@${userId}>`), { name: 'AbortError', transient: false }));
+  // A job parked for the duplicate decision runs now and stops before its next step
+  const parkedJob = workflow.awaitingDuplicateDecision ? findParkedDuplicateJob(workflowId) : null;
+  if (parkedJob) {
+    await wakeJob(parkedJob.id);
+  }
+  return null;
+}
+
+/**
+ * Answer the duplicate ticket question of a running workflow (the buttons on its status message)
+ * Returns an error message for the user, or null when the decision was recorded
+ */
+export async function decideDuplicate(workflowId, userId, action) {
+  if (!DUPLICATE_ACTIONS.includes(action)) {
+    return `Unknown duplicate ticket decision \`${action}\`.`;
+  }
+  // Looked up in the job queue, so a click still counts after a restart
+  const job = findParkedDuplicateJob(workflowId);
+  if (!job) {
+    return `Workflow \`${workflowId}\` is not waiting for a duplicate ticket decision anymore.`;
+  }
+
+  log.info('Duplicate decision received', { workflowId, userId, action });
+  await wakeJob(job.id, { duplicateWait: { ...job.checkpoint.duplicateWait, decision: { action, decidedBy: userId } } });
+  return null;
+}
+
+/**
+ * Job handler for queued workflows (RCA_JOB); the payload is the workflow request
+ * A workflow that failed for good fails the job too, so it shows up in the dead-letter list
+ */
+async function runWorkflowJob(request, job) {
+  const workflow = await runWorkflow(request, job);
+  if (workflow?.status === 'failed') {
+    throw Object.assign(new Error(workflow.error || 'Workflow failed'), { transient: false });
+  }
+}
+
+/**
+ * Tell the requester where their queued workflow is in line
+ * The Slack message is saved on the job and becomes the workflow status message once it starts
+ */
+async function notifyQueuePosition(request, job, { position, reason }) {
+  log.info('Waiting in the job queue', { position, reason });
+
+  const pending = {
+    id: job.checkpoint.workflowId || job.id,
+    teamId: request.teamId,
+    channel: request.channel,
+    threadTs: job.checkpoint.threadTs || request.ts,
+    messageTs: job.checkpoint.messageTs || null,
+    issueDescription: request.issueDescription,
+    githubRepo: request.githubRepo,
+    notifiers: request.notifiers,
+  };
+  await notifyWorkflow(pending, 'queued', { position, reason });
+  if (pending.messageTs !== (job.checkpoint.messageTs || null)) {
+    await job.saveCheckpoint({ messageTs: pending.messageTs, threadTs: pending.threadTs });
+  }
+}
+
+registerJobHandler(RCA_JOB, runWorkflowJob, { onWaiting: notifyQueuePosition });
+registerJobHandler(RERUN_JOB, runRerunJob, { onWaiting: notifyRerunPosition });
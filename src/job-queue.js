@@ -0,0 +1,572 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger, withLogContext } from './logger.js';
+import { createGauge } from './metrics.js';
+
+/**
+ * Durable job queue for workflows
+ *
+ * Jobs are persisted before they run, so a restart or crash does not lose them: on startup,
+ * queued jobs are picked up again and jobs that were running are re-queued. A job that throws
+ * a transient error (rate limit, timeout, 5xx from OpenAI, Jira or Slack) is retried with
+ * exponential backoff; permanent errors and jobs out of attempts are dead-lettered - kept with
+ * state `failed` for inspection and manual re-queueing.
+ *
+ * Job states: queued -> running -> succeeded | failed (queued again between retries)
+ *
+ * A handler waiting on people (e.g. a button click) parks its job instead of holding a worker:
+ * job.park(delayMs, checkpoint) puts it back in the queue once the handler returns, and it runs
+ * again when wakeJob(jobId, checkpoint) is called or the delay runs out. Parking is not an attempt.
+ *
+ * At most JOB_CONCURRENCY jobs run at once, and at most JOB_CONCURRENCY_PER_REPO per
+ * concurrency key (the repository). Waiting jobs are taken round-robin across fairness keys
+ * (the Slack channel), so one busy channel cannot starve the others.
+ *
+ * Backends are selected with JOB_QUEUE_STORE (file | memory). Other backends (e.g. SQLite)
+ * can be plugged in with registerJobStoreBackend(name, factory), where the factory returns
+ * an object with `async loadJobs()`, `async saveJob(job)` and `async deleteJob(id)`.
+ */
+
+const JOB_QUEUE_PATH = process.env.JOB_QUEUE_PATH || path.join(process.cwd(), 'data', 'jobs.json');
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10);
+const JOB_RETRY_BASE_MS = parseInt(process.env.JOB_RETRY_BASE_SECONDS || '15', 10) * 1000;
+const JOB_RETRY_MAX_MS = parseInt(process.env.JOB_RETRY_MAX_SECONDS || '600', 10) * 1000;
+// Succeeded jobs kept on disk; dead-lettered jobs are never pruned
+const JOB_RETENTION = parseInt(process.env.JOB_RETENTION || '200', 10);
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '3', 10);
+const JOB_CONCURRENCY_PER_REPO = parseInt(process.env.JOB_CONCURRENCY_PER_REPO || '2', 10);
+const POLL_INTERVAL_MS = 1000;
+
+const log = createLogger('job-queue');
+
+// HTTP statuses and network error codes worth retrying
+const TRANSIENT_STATUS_CODES = [408, 425, 429, 500, 502, 503, 504];
+const TRANSIENT_ERROR_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH',
+  'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET',
+  'slack_webapi_rate_limited_error', 'slack_webapi_request_error',
+];
+// OpenAI SDK error classes for connection problems, rate limits and server errors
+const TRANSIENT_ERROR_NAMES = ['APIConnectionError', 'APIConnectionTimeoutError', 'RateLimitError', 'InternalServerError'];
+// Our own service errors carry the status in the message: "Jira API error: 503 ...", "download failed: 502"
+const STATUS_IN_MESSAGE = /\b(?:API error|failed):?\s+(\d{3})\b/;
+
+/**
+ * In-memory backend (jobs are lost on restart - for local development)
+ */
+function createMemoryJobStore() {
+  const jobs = new Map();
+
+  return {
+    async loadJobs() {
+      return Array.from(jobs.values());
+    },
+    async saveJob(job) {
+      jobs.set(job.id, job);
+    },
+    async deleteJob(id) {
+      jobs.delete(id);
+    },
+  };
+}
+
+/**
+ * File backend - all jobs in one JSON file, writes are serialized through a promise chain
+ */
+function createFileJobStore({ filePath = JOB_QUEUE_PATH } = {}) {
+  let jobs = null;
+  let queue = Promise.resolve();
+
+  const load = async () => {
+    if (jobs) return;
+    try {
+      jobs = new Map(Object.entries(JSON.parse(await fs.readFile(filePath, 'utf-8'))));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn('Job queue could not be read, starting empty', { path: filePath, error: error.message });
+      }
+      jobs = new Map();
+    }
+  };
+
+  const save = async () => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(Object.fromEntries(jobs)));
+    await fs.rename(tmpPath, filePath);
+  };
+
+  const serialize = (operation) => {
+    const result = queue.then(async () => {
+      await load();
+      return operation();
+    });
+    // Keep the chain alive even if one write fails
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  return {
+    loadJobs() {
+      return serialize(() => Array.from(jobs.values(), job => structuredClone(job)));
+    },
+    saveJob(job) {
+      return serialize(async () => {
+        jobs.set(job.id, structuredClone(job));
+        await save();
+      });
+    },
+    deleteJob(id) {
+      return serialize(async () => {
+        if (jobs.delete(id)) {
+          await save();
+        }
+      });
+    },
+  };
+}
+
+const backends = {
+  memory: createMemoryJobStore,
+  file: createFileJobStore,
+};
+
+const handlers = new Map();
+const jobs = new Map();
+const runningJobs = new Set();
+// Fairness key -> turn it was last served on (round-robin order), and pending waiting notifications per job
+const lastServed = new Map();
+const waitingNotifications = new Map();
+let serveTurn = 0;
+let store = null;
+let pollTimer = null;
+
+// Queue depth: queued (waiting for a worker or a retry), running, and dead-lettered (failed) jobs
+createGauge('rca_job_queue_jobs', 'Jobs in the job queue by state', () => ['queued', 'running', 'failed'].map(state => ({
+  labels: { state },
+  value: listJobs({ state }).length,
+})));
+
+/**
+ * Register an additional job store backend, selectable with JOB_QUEUE_STORE=<name>
+ */
+export function registerJobStoreBackend(name, factory) {
+  backends[name] = factory;
+}
+
+/**
+ * Register the function that runs jobs of a type
+ * The handler is called with (payload, job), where job is
+ * { id, attempt, maxAttempts, checkpoint, saveCheckpoint(fields) }; throwing fails or retries the job
+ * `onWaiting(payload, job, { position, reason })` is called when a job has to wait for a worker
+ * and whenever its position in line changes (reason: 'workers' | 'repo')
+ */
+export function registerJobHandler(type, handler, { onWaiting = null } = {}) {
+  handlers.set(type, { run: handler, onWaiting });
+}
+
+/**
+ * Get the configured job store (created on first use)
+ */
+function getJobStore() {
+  if (!store) {
+    const backendName = process.env.JOB_QUEUE_STORE || 'file';
+    const factory = backends[backendName];
+    if (!factory) {
+      throw new Error(`Unknown JOB_QUEUE_STORE backend: ${backendName} (available: ${Object.keys(backends).join(', ')})`);
+    }
+    store = factory();
+    log.info('Job queue ready', { backend: backendName, workers: JOB_CONCURRENCY, perRepo: JOB_CONCURRENCY_PER_REPO, maxAttempts: JOB_MAX_ATTEMPTS, backoffSeconds: JOB_RETRY_BASE_MS / 1000 });
+  }
+  return store;
+}
+
+/**
+ * Persist a job (non-blocking - a failed write must not stop the job itself)
+ */
+async function persistJob(job) {
+  job.updatedAt = Date.now();
+  try {
+    await getJobStore().saveJob(job);
+  } catch (error) {
+    log.warn('Failed to persist job (non-blocking)', { jobId: job.id, error: error.message });
+  }
+}
+
+/**
+ * Whether an error is worth retrying: rate limits, timeouts, dropped connections and 5xx responses
+ * Errors can opt in or out with `error.transient`; wrapped errors are checked through `error.cause`
+ */
+export function isTransientError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (typeof current.transient === 'boolean') return current.transient;
+
+    const status = current.status ?? current.statusCode ?? current.response?.status
+      ?? parseInt(current.message?.match(STATUS_IN_MESSAGE)?.[1], 10);
+    if (TRANSIENT_STATUS_CODES.includes(status)) return true;
+    if (TRANSIENT_ERROR_CODES.includes(current.code)) return true;
+    if (TRANSIENT_ERROR_NAMES.includes(current.constructor?.name) || TRANSIENT_ERROR_NAMES.includes(current.name)) return true;
+    if (current.name === 'AbortError' && current.type === 'request-timeout') return true;
+  }
+  return false;
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with jitter, capped at JOB_RETRY_MAX_SECONDS
+ */
+function getRetryDelay(attempt) {
+  const delay = Math.min(JOB_RETRY_MAX_MS, JOB_RETRY_BASE_MS * 2 ** (attempt - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Drop the oldest succeeded jobs beyond JOB_RETENTION
+ */
+async function pruneSucceededJobs() {
+  const succeeded = Array.from(jobs.values())
+    .filter(job => job.state === 'succeeded')
+    .sort((a, b) => b.finishedAt - a.finishedAt);
+
+  for (const job of succeeded.slice(JOB_RETENTION)) {
+    jobs.delete(job.id);
+    try {
+      await getJobStore().deleteJob(job.id);
+    } catch (error) {
+      log.warn('Failed to prune job (non-blocking)', { jobId: job.id, error: error.message });
+    }
+  }
+}
+
+/**
+ * Move a job to the dead-letter state
+ */
+async function deadLetterJob(job, reason) {
+  job.state = 'failed';
+  job.lastError = reason;
+  job.finishedAt = Date.now();
+  job.deadLetteredAt = job.finishedAt;
+  await persistJob(job);
+  log.error('Job dead-lettered', { jobId: job.id, type: job.type, attempts: job.attempts, reason });
+}
+
+/**
+ * The view of a job handed to handlers
+ */
+function createJobHandle(job) {
+  return {
+    id: job.id,
+    attempt: job.attempts,
+    maxAttempts: job.maxAttempts,
+    checkpoint: { ...job.checkpoint },
+    saveCheckpoint: async (fields) => {
+      job.checkpoint = { ...job.checkpoint, ...fields };
+      await persistJob(job);
+    },
+    // Queue the job again when the handler returns, to run in delayMs or when woken (see wakeJob)
+    park: (delayMs, fields = {}) => {
+      job.checkpoint = { ...job.checkpoint, ...fields };
+      job.parkedUntil = Date.now() + delayMs;
+    },
+  };
+}
+
+/**
+ * Run one attempt of a job and record the outcome
+ */
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  runningJobs.add(job.id);
+  job.state = 'running';
+  job.attempts++;
+  job.startedAt = Date.now();
+  job.position = null;
+  job.waitReason = null;
+  await persistJob(job);
+  log.info('Running job', { type: job.type, attempt: job.attempts, maxAttempts: job.maxAttempts });
+
+  try {
+    if (!handler) {
+      throw Object.assign(new Error(`No handler registered for job type ${job.type}`), { transient: false });
+    }
+
+    // A waiting notification still in flight may save a checkpoint (e.g. the Slack message to reuse)
+    await waitingNotifications.get(job.id);
+    waitingNotifications.delete(job.id);
+
+    await handler.run(job.payload, createJobHandle(job));
+
+    if (job.parkedUntil) {
+      const runAt = job.parkedUntil;
+      job.state = 'queued';
+      job.runAt = runAt;
+      job.parkedUntil = null;
+      // The next run continues this one - it does not use up an attempt
+      job.attempts--;
+      await persistJob(job);
+      log.info('Job parked', { type: job.type, resumeInSeconds: Math.max(0, Math.round((runAt - Date.now()) / 1000)) });
+      return;
+    }
+
+    job.state = 'succeeded';
+    job.lastError = null;
+    job.finishedAt = Date.now();
+    await persistJob(job);
+    log.info('Job succeeded', { type: job.type, durationMs: job.finishedAt - job.startedAt });
+    await pruneSucceededJobs();
+  } catch (error) {
+    job.parkedUntil = null;
+    if (isTransientError(error) && job.attempts < job.maxAttempts) {
+      const delay = getRetryDelay(job.attempts);
+      job.state = 'queued';
+      job.lastError = error.message;
+      job.runAt = Date.now() + delay;
+      await persistJob(job);
+      log.warn('Job failed with a transient error, retrying', { type: job.type, retryInSeconds: Math.round(delay / 1000), error: error.message });
+    } else {
+      await deadLetterJob(job, error.message);
+    }
+  } finally {
+    runningJobs.delete(job.id);
+    // A worker is free - start the next job without waiting for the poll
+    setImmediate(runDueJobs);
+  }
+}
+
+/**
+ * Queued jobs that are due, in the order they get a worker: round-robin across fairness keys,
+ * starting with the key served longest ago, first-in first-out within a key
+ */
+function getWaitingLine(now = Date.now()) {
+  const groups = new Map();
+  const due = Array.from(jobs.values())
+    .filter(job => job.state === 'queued' && job.runAt <= now && !runningJobs.has(job.id))
+    .sort((a, b) => a.runAt - b.runAt);
+  for (const job of due) {
+    const key = job.fairnessKey || '';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(job);
+  }
+
+  const queues = Array.from(groups, ([key, groupJobs]) => ({ turn: lastServed.get(key) || 0, jobs: groupJobs }))
+    .sort((a, b) => a.turn - b.turn || a.jobs[0].runAt - b.jobs[0].runAt);
+  const line = [];
+  for (let index = 0; line.length < due.length; index++) {
+    for (const queue of queues) {
+      if (queue.jobs[index]) line.push(queue.jobs[index]);
+    }
+  }
+  return line;
+}
+
+/**
+ * Count running jobs per concurrency key
+ */
+function countRunningByKey() {
+  const counts = new Map();
+  for (const jobId of runningJobs) {
+    const key = jobs.get(jobId)?.concurrencyKey;
+    if (key) counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Tell a waiting job's handler about its position in line (only when it changed)
+ * Notifications for one job run one after another so each sees the checkpoint of the last
+ */
+function notifyWaiting(job, position, reason) {
+  const onWaiting = handlers.get(job.type)?.onWaiting;
+  if (!onWaiting || (job.position === position && job.waitReason === reason)) return;
+  job.position = position;
+  job.waitReason = reason;
+
+  const previous = waitingNotifications.get(job.id) || Promise.resolve();
+  waitingNotifications.set(job.id, previous
+    .then(() => onWaiting(job.payload, createJobHandle(job), { position, reason }))
+    .catch(error => {
+      log.warn('Failed to notify queue position (non-blocking)', { jobId: job.id, error: error.message });
+    }));
+}
+
+/**
+ * Start due jobs while workers are free, then tell the jobs still waiting where they are in line
+ */
+function runDueJobs() {
+  const runningByKey = countRunningByKey();
+  const waiting = [];
+
+  for (const job of getWaitingLine()) {
+    const keyFull = job.concurrencyKey && (runningByKey.get(job.concurrencyKey) || 0) >= JOB_CONCURRENCY_PER_REPO;
+    if (runningJobs.size >= JOB_CONCURRENCY || keyFull) {
+      waiting.push({ job, reason: keyFull ? 'repo' : 'workers' });
+      continue;
+    }
+
+    if (job.concurrencyKey) {
+      runningByKey.set(job.concurrencyKey, (runningByKey.get(job.concurrencyKey) || 0) + 1);
+    }
+    lastServed.set(job.fairnessKey || '', ++serveTurn);
+    // Everything the job logs carries its id - not the context of whatever woke the queue up
+    withLogContext({ jobId: job.id }, () => runJob(job), { inherit: false }).catch(error => {
+      log.error('Job runner error', { jobId: job.id, error });
+    });
+  }
+
+  waiting.forEach(({ job, reason }, index) => notifyWaiting(job, index + 1, reason));
+}
+
+/**
+ * Add a job to the queue; it is persisted before this resolves and runs once a worker is free
+ * Options: { maxAttempts, concurrencyKey (e.g. the repository), fairnessKey (e.g. the Slack channel),
+ *            checkpoint (initial checkpoint, e.g. to resume earlier work) }
+ * Returns the job
+ */
+export async function enqueueJob(type, payload, { maxAttempts = JOB_MAX_ATTEMPTS, concurrencyKey = null, fairnessKey = null, checkpoint = {} } = {}) {
+  const now = Date.now();
+  const job = {
+    id: `job-${now}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    payload,
+    state: 'queued',
+    attempts: 0,
+    maxAttempts,
+    runAt: now,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+    lastError: null,
+    deadLetteredAt: null,
+    // Set by job.park() while the handler runs
+    parkedUntil: null,
+    concurrencyKey,
+    fairnessKey,
+    // Progress saved by the handler (e.g. the Jira key) so a retry does not redo finished work
+    checkpoint,
+  };
+
+  jobs.set(job.id, job);
+  await persistJob(job);
+  log.info('Queued job', { jobId: job.id, type });
+
+  if (pollTimer) {
+    setImmediate(runDueJobs);
+  }
+  return job;
+}
+
+/**
+ * Run a parked job now instead of when its delay runs out, adding `checkpoint` fields to its checkpoint
+ * (a job still finishing the run that parked it continues right after)
+ * Returns the job, or null if it is not parked or queued
+ */
+export async function wakeJob(jobId, checkpoint = {}) {
+  const job = jobs.get(jobId);
+  const parking = job?.state === 'running' && job.parkedUntil;
+  if (!job || (job.state !== 'queued' && !parking)) {
+    return null;
+  }
+
+  job.checkpoint = { ...job.checkpoint, ...checkpoint };
+  if (parking) {
+    job.parkedUntil = Date.now();
+  } else {
+    job.runAt = Date.now();
+    await persistJob(job);
+    if (pollTimer) {
+      setImmediate(runDueJobs);
+    }
+  }
+  log.info('Woke up job', { jobId: job.id, type: job.type });
+  return job;
+}
+
+/**
+ * Load persisted jobs, recover the ones interrupted by a restart and start processing the queue
+ */
+export async function startJobQueue() {
+  if (pollTimer) return;
+
+  const now = Date.now();
+  let recovered = 0;
+  for (const job of await getJobStore().loadJobs()) {
+    if (jobs.has(job.id)) continue;
+    jobs.set(job.id, job);
+    // Users are told their position again after a restart
+    job.position = null;
+    job.waitReason = null;
+
+    if (job.state === 'running') {
+      // Interrupted mid-run: try again, unless the job keeps taking the server down with it
+      if (job.attempts >= job.maxAttempts) {
+        await deadLetterJob(job, `Interrupted by a restart on its last attempt${job.lastError ? ` (last error: ${job.lastError})` : ''}`);
+        continue;
+      }
+      job.state = 'queued';
+      job.runAt = now;
+      await persistJob(job);
+    }
+    if (job.state === 'queued') {
+      recovered++;
+    }
+  }
+
+  if (recovered > 0) {
+    log.info('Recovered queued jobs', { count: recovered });
+  }
+
+  pollTimer = setInterval(runDueJobs, POLL_INTERVAL_MS);
+  pollTimer.unref();
+  runDueJobs();
+}
+
+/**
+ * Stop picking up new jobs (jobs already running finish on their own)
+ */
+export function stopJobQueue() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+/**
+ * Get a job by id, or null
+ */
+export function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+/**
+ * List jobs, newest first, optionally only those in one state
+ */
+export function listJobs({ state = null } = {}) {
+  return Array.from(jobs.values())
+    .filter(job => !state || job.state === state)
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * List dead-lettered jobs, newest first
+ */
+export function listDeadLetterJobs() {
+  return listJobs({ state: 'failed' });
+}
+
+/**
+ * Put a dead-lettered job back on the queue with a fresh set of attempts
+ * Returns the job, or null if there is no such dead-lettered job
+ */
+export async function requeueJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job || job.state !== 'failed') {
+    return null;
+  }
+
+  job.state = 'queued';
+  job.attempts = 0;
+  job.runAt = Date.now();
+  job.finishedAt = null;
+  job.deadLetteredAt = null;
+  await persistJob(job);
+  log.info('Re-queued dead-lettered job', { jobId: job.id, type: job.type });
+  return job;
+}
@@ -0,0 +1,185 @@
+/**
+ * Prometheus metrics
+ *
+ *   const stepDuration = createHistogram('rca_workflow_step_duration_seconds', 'Duration of pipeline steps', ['step']);
+ *   stepDuration.observe({ step: 'rca' }, 42.1);
+ *
+ * Counters and histograms live in memory and start from zero when the server restarts; gauges are
+ * read when /metrics is scraped. renderMetrics() writes everything in the Prometheus text format.
+ * Metrics shared by several modules (agents, external requests) are defined here; the others next
+ * to the code that updates them.
+ */
+
+// Seconds - from a quick Jira call to a long agent run
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+const metrics = new Map();
+
+/**
+ * Escape a label value (backslash, double quote and newline)
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * `{a="1",b="2"}` for a label set, or '' without labels
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length > 0 ? `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}` : '';
+}
+
+/**
+ * Only the metric's declared label names, in order (missing ones are empty)
+ */
+function pickLabels(labelNames, labels = {}) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+/**
+ * Add a metric to the registry - names are unique
+ */
+function registerMetric(metric) {
+  if (metrics.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  metrics.set(metric.name, metric);
+}
+
+/**
+ * Counter: inc(labels, value = 1)
+ */
+export function createCounter(name, help, labelNames = []) {
+  const series = new Map();
+  registerMetric({
+    name,
+    help,
+    type: 'counter',
+    render: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+  });
+
+  return {
+    inc: (labels, value = 1) => {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const entry = series.get(key) || { labels: picked, value: 0 };
+      entry.value += value;
+      series.set(key, entry);
+    },
+  };
+}
+
+/**
+ * Histogram: observe(labels, value) - cumulative buckets, sum and count per label set
+ */
+export function createHistogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  registerMetric({
+    name,
+    help,
+    type: 'histogram',
+    render: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+      `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${name}_sum${formatLabels(labels)} ${sum}`,
+      `${name}_count${formatLabels(labels)} ${count}`,
+    ]),
+  });
+
+  return {
+    observe: (labels, value) => {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const entry = series.get(key) || { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      series.set(key, entry);
+    },
+  };
+}
+
+/**
+ * Gauge read at scrape time: `collect` returns [{ labels, value }]
+ */
+export function createGauge(name, help, collect) {
+  registerMetric({
+    name,
+    help,
+    type: 'gauge',
+    render: () => collect().map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`),
+  });
+}
+
+// LLM agents (rca, test_cases)
+const agentIterations = createHistogram(
+  'rca_agent_iterations',
+  'Iterations used by an agent run',
+  ['agent'],
+  [1, 2, 5, 10, 15, 20, 25, 30],
+);
+const agentRuns = createCounter('rca_agent_runs_total', 'Agent runs by result (complete, incomplete, failed, cancelled)', ['agent', 'result']);
+export const agentToolCalls = createCounter('rca_agent_tool_calls_total', 'Tool calls made by agents', ['agent', 'tool']);
+
+/**
+ * Record how an agent run ended and the iterations it used
+ */
+export function recordAgentRun(agent, result, iterations) {
+  agentRuns.inc({ agent, result });
+  agentIterations.observe({ agent }, iterations);
+}
+
+// OpenAI, Jira and Slack requests
+const externalRequestDuration = createHistogram(
+  'rca_external_request_duration_seconds',
+  'Latency of OpenAI, Jira and Slack requests',
+  ['service', 'operation'],
+);
+const externalRequestErrors = createCounter(
+  'rca_external_request_errors_total',
+  'Failed OpenAI, Jira and Slack requests (thrown, or an HTTP error status)',
+  ['service', 'operation', 'reason'],
+);
+
+/**
+ * Time a request to an external service and count its failures
+ * `fn` returns the request's promise; a fetch response that is not ok counts as a failure too
+ */
+export async function trackRequest(service, operation, fn) {
+  const start = Date.now();
+  try {
+    const result = await fn();
+    if (result?.ok === false && result.status) {
+      externalRequestErrors.inc({ service, operation, reason: String(result.status) });
+    }
+    return result;
+  } catch (error) {
+    const reason = error.data?.error || error.status || error.code || error.name || 'error';
+    externalRequestErrors.inc({ service, operation, reason: String(reason) });
+    throw error;
+  } finally {
+    externalRequestDuration.observe({ service, operation }, (Date.now() - start) / 1000);
+  }
+}
+
+/**
+ * All metrics in the Prometheus text exposition format
+ */
+export function renderMetrics() {
+  const lines = [];
+  for (const metric of metrics.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render());
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * GET /metrics
+ */
+export function metricsHandler(req, res) {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
+}
@@ -0,0 +1,325 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { buildWorkflowMessage, buildQueuedMessage } from './slack-blocks.js';
+import { getSlackClient } from './slack-service.js';
+import { publishAppHome } from './app-home.js';
+import { serializeWorkflow } from './workflow-registry.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Workflow notifiers - where a workflow reports its progress
+ *
+ * A workflow carries a list of notifier specs ({ type, ...settings }), e.g. [{ type: 'slack' }] for a
+ * report from Slack or [{ type: 'callback', url }] for one from the REST API. Each type handles events:
+ *
+ *   queued(workflow, settings, { position, reason })  waiting in the job queue (workflow is a stub with id, channel, threadTs, messageTs)
+ *   started(workflow, settings)                      the workflow (or a re-run) started
+ *   update(workflow, settings)                       a step, the error or the retry state changed
+ *   finished(workflow, settings)                     completed, failed or cancelled
+ *   message(workflow, settings, { text })            a note for the requester (missing repo, cancellation)
+ *
+ * Missing handlers are skipped. Built-in types: 'slack' and 'callback'; add others with
+ * registerNotifier(type, handlers). Notifier failures are logged and never stop the workflow.
+ *
+ * Callbacks are delivered in the background, in order per URL, so a slow receiver never holds up
+ * a workflow. They only go to public addresses, or to the hosts listed in API_CALLBACK_HOSTS.
+ */
+
+const CALLBACK_TIMEOUT_MS = parseInt(process.env.CALLBACK_TIMEOUT_MS || '10000', 10);
+// Signs callback bodies (X-RCA-Signature: sha256=<hmac>) so receivers can verify them
+const CALLBACK_SECRET = process.env.API_CALLBACK_SECRET || null;
+// Hosts callbacks may go to (`hooks.example.com`, `*.example.com`); unset allows any public host
+const CALLBACK_HOSTS = (process.env.API_CALLBACK_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+// Events waiting for a slow receiver beyond this are dropped
+const CALLBACK_MAX_PENDING = 100;
+
+// Loopback, private, link-local (cloud metadata), multicast and reserved addresses - no callbacks there
+// (IPv4-mapped IPv6 addresses are checked against the IPv4 ranges)
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// Callback URL -> { pending, last } - the chain of its deliveries in flight
+const callbackQueues = new Map();
+
+const log = createLogger('notifiers');
+
+/**
+ * Post the workflow status message, or edit it in place once it exists
+ */
+async function publishSlackStatus(workflow) {
+  const slackClient = getSlackClient(workflow.teamId);
+  const message = buildWorkflowMessage(workflow);
+  if (workflow.messageTs) {
+    await slackClient.chat.update({
+      channel: workflow.channel,
+      ts: workflow.messageTs,
+      ...message,
+    });
+    return;
+  }
+
+  const response = await slackClient.chat.postMessage({
+    channel: workflow.channel,
+    thread_ts: workflow.threadTs,
+    ...message,
+  });
+  workflow.messageTs = response.ts;
+  // Slash commands have no triggering message - the status message becomes the thread root
+  workflow.threadTs = workflow.threadTs || response.ts;
+}
+
+/**
+ * Slack: one status message in the thread, edited in place, and the requester's App Home tab
+ */
+const slackNotifier = {
+  async queued(workflow, settings, { position, reason }) {
+    const message = buildQueuedMessage({ issueDescription: workflow.issueDescription, githubRepo: workflow.githubRepo, position, reason });
+    const slackClient = getSlackClient(workflow.teamId);
+    if (workflow.messageTs) {
+      await slackClient.chat.update({ channel: workflow.channel, ts: workflow.messageTs, ...message });
+      return;
+    }
+    const response = await slackClient.chat.postMessage({ channel: workflow.channel, thread_ts: workflow.threadTs, ...message });
+    // The queued message becomes the workflow status message once it starts
+    workflow.messageTs = response.ts;
+    workflow.threadTs = workflow.threadTs || response.ts;
+  },
+
+  async started(workflow) {
+    await publishSlackStatus(workflow);
+    await publishAppHome(workflow.user, workflow.teamId);
+  },
+
+  async update(workflow) {
+    await publishSlackStatus(workflow);
+  },
+
+  async finished(workflow) {
+    await publishSlackStatus(workflow);
+    await publishAppHome(workflow.user, workflow.teamId);
+  },
+
+  async message(workflow, settings, { text }) {
+    await getSlackClient(workflow.teamId).chat.postMessage({
+      channel: workflow.channel,
+      thread_ts: workflow.threadTs,
+      text,
+    });
+  },
+};
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not a public host
+ */
+function isPrivateAddress(address) {
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Whether a host is listed in API_CALLBACK_HOSTS (exactly, or under a `*.` entry)
+ */
+function isAllowedCallbackHost(hostname) {
+  const host = hostname.toLowerCase();
+  return CALLBACK_HOSTS.some(entry => (entry.startsWith('*.') ? host.endsWith(entry.slice(1)) : host === entry));
+}
+
+/**
+ * Resolve a host to its addresses, refusing hosts outside API_CALLBACK_HOSTS, or private ones when it is unset
+ * Returns the addresses ([{ address, family }]); throws when the host may not be called
+ */
+async function resolveCallbackHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  if (CALLBACK_HOSTS.length > 0 && !isAllowedCallbackHost(host)) {
+    throw new Error(`callback host ${hostname} is not in API_CALLBACK_HOSTS`);
+  }
+
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIPv6(host) ? 6 : 4 }]
+    : await dns.promises.lookup(host, { all: true, verbatim: true }).catch(() => {
+      throw new Error(`callback host ${hostname} could not be resolved`);
+    });
+
+  if (CALLBACK_HOSTS.length === 0 && addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(`callback host ${hostname} is a private, loopback or link-local address`);
+  }
+  return addresses;
+}
+
+/**
+ * Check that a callback URL may receive workflow data: http(s) to a public host, or to an API_CALLBACK_HOSTS host
+ * Returns an error message, or null when the URL is fine
+ */
+export async function checkCallbackUrl(url) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch {
+    return 'callback URL is not a valid URL';
+  }
+  if (!['http:', 'https:'].includes(target.protocol)) {
+    return 'callback URL must be http(s)';
+  }
+
+  // Listed hosts need not resolve yet; the rest must resolve to public addresses
+  if (CALLBACK_HOSTS.length > 0) {
+    return isAllowedCallbackHost(target.hostname) ? null : `callback host ${target.hostname} is not in API_CALLBACK_HOSTS`;
+  }
+  try {
+    await resolveCallbackHost(target.hostname);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * dns.lookup replacement for callback requests: the address connected to is checked too,
+ * so a host cannot pass checkCallbackUrl and then resolve to a private address
+ */
+function lookupCallbackHost(hostname, options, callback) {
+  resolveCallbackHost(hostname).then(
+    addresses => (options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family)),
+    error => callback(error),
+  );
+}
+
+/**
+ * POST a callback event as JSON, signed when API_CALLBACK_SECRET is set
+ * Redirects are not followed - they could point anywhere
+ */
+async function postCallback(url, body) {
+  const target = new URL(url);
+  // IP literals never go through the lookup
+  await resolveCallbackHost(target.hostname);
+
+  const json = JSON.stringify(body);
+  const headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(json) };
+  if (CALLBACK_SECRET) {
+    headers['X-RCA-Signature'] = `sha256=${crypto.createHmac('sha256', CALLBACK_SECRET).update(json).digest('hex')}`;
+  }
+
+  await new Promise((resolve, reject) => {
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      headers,
+      lookup: lookupCallbackHost,
+      timeout: CALLBACK_TIMEOUT_MS,
+    }, (response) => {
+      response.resume();
+      response.on('end', () => {
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve();
+        } else {
+          reject(new Error(`Callback failed: ${response.statusCode} ${response.statusMessage}`));
+        }
+      });
+    });
+    request.on('timeout', () => request.destroy(new Error(`Callback timed out after ${CALLBACK_TIMEOUT_MS}ms`)));
+    request.on('error', reject);
+    request.end(json);
+  });
+}
+
+/**
+ * Deliver a callback event in the background, after the earlier events for the same URL
+ */
+function queueCallback(url, body) {
+  const queue = callbackQueues.get(url) || { pending: 0, last: Promise.resolve() };
+  if (queue.pending >= CALLBACK_MAX_PENDING) {
+    log.warn('Callback receiver is falling behind, dropping event', { workflowId: body.workflowId, event: body.event, pending: queue.pending });
+    return;
+  }
+
+  queue.pending++;
+  queue.last = queue.last
+    .then(() => postCallback(url, body))
+    .catch((error) => {
+      log.warn('Failed to deliver callback (non-blocking)', { workflowId: body.workflowId, event: body.event, error: error.message });
+    })
+    .finally(() => {
+      queue.pending--;
+      if (queue.pending === 0) callbackQueues.delete(url);
+    });
+  callbackQueues.set(url, queue);
+}
+
+/**
+ * Wait until the callbacks queued so far are delivered (or failed)
+ */
+export async function flushCallbacks() {
+  await Promise.all([...callbackQueues.values()].map(queue => queue.last));
+}
+
+/**
+ * Callback URL: every event is POSTed as { event, workflowId, sentAt, workflow | ...details }
+ * (queued here and delivered in the background)
+ */
+const callbackNotifier = {
+  async queued(workflow, { url }, { position, reason }) {
+    queueCallback(url, { event: 'workflow.queued', workflowId: workflow.id, sentAt: new Date().toISOString(), position, reason });
+  },
+
+  async started(workflow, { url }) {
+    queueCallback(url, { event: 'workflow.started', workflowId: workflow.id, sentAt: new Date().toISOString(), workflow: serializeWorkflow(workflow, { details: false }) });
+  },
+
+  async update(workflow, { url }) {
+    queueCallback(url, { event: 'workflow.updated', workflowId: workflow.id, sentAt: new Date().toISOString(), workflow: serializeWorkflow(workflow, { details: false }) });
+  },
+
+  async finished(workflow, { url }) {
+    queueCallback(url, { event: 'workflow.finished', workflowId: workflow.id, sentAt: new Date().toISOString(), workflow: serializeWorkflow(workflow) });
+  },
+
+  async message(workflow, { url }, { text }) {
+    queueCallback(url, { event: 'workflow.message', workflowId: workflow.id, sentAt: new Date().toISOString(), text });
+  },
+};
+
+const notifiers = {
+  slack: slackNotifier,
+  callback: callbackNotifier,
+};
+
+/**
+ * Register a notifier type (see the module comment for the handlers)
+ */
+export function registerNotifier(type, handlers) {
+  notifiers[type] = handlers;
+}
+
+/**
+ * Whether a notifier type is registered
+ */
+export function hasNotifier(type) {
+  return !!notifiers[type];
+}
+
+/**
+ * Send a workflow event to each of the workflow's notifiers (non-blocking)
+ */
+export async function notifyWorkflow(workflow, event, details = {}) {
+  for (const { type, ...settings } of workflow.notifiers || []) {
+    const handler = notifiers[type]?.[event];
+    if (!handler) continue;
+
+    try {
+      await handler(workflow, settings, details);
+    } catch (error) {
+      log.warn('Failed to notify (non-blocking)', { workflowId: workflow.id, notifier: type, event, error: error.message });
+    }
+  }
+}
@@ -0,0 +1,247 @@
+import fs from 'fs';
+import path from 'path';
+import { getPipelineStep, listPipelineSteps, FAILURE_POLICIES, WORKFLOW_INPUTS } from './pipeline-runner.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Pipeline config
+ *
+ * Named pipelines: which steps a workflow runs, in which order, and what happens when one fails.
+ * Loaded from PIPELINE_CONFIG_PATH at startup, validated against the registered steps
+ * (pipeline-runner), and reloaded without a restart when the file changes or on SIGHUP.
+ *
+ * {
+ *   "pipelines": {
+ *     "default": { "steps": ["vision", "search", "ticket", "rca", "rca_comment", "test_cases", "test_cases_comment"] },
+ *     "rca_only": { "description": "RCA in Slack, no Jira ticket", "steps": ["vision", "search", "rca"] },
+ *     "ticket_only": { "steps": [{ "step": "ticket", "options": { "llmDraft": false } }] },
+ *     "strict": { "steps": ["search", "ticket", "rca", "rca_comment", { "step": "test_cases", "onFailure": "abort" }] }
+ *   }
+ * }
+ *
+ * A step is its name or { step, onFailure, options }; onFailure defaults to the step's own policy.
+ * Channels pick a pipeline with `pipeline` in the routing config; "default" (built in unless the
+ * file defines it) is used otherwise.
+ */
+
+const PIPELINE_CONFIG_PATH = process.env.PIPELINE_CONFIG_PATH || path.join(process.cwd(), 'config', 'pipelines.json');
+
+export const DEFAULT_PIPELINE = 'default';
+
+const log = createLogger('pipeline-config');
+
+// The workflow as it ran before pipelines were configurable
+const BUILT_IN_PIPELINES = {
+  [DEFAULT_PIPELINE]: {
+    description: 'Full workflow: ticket, RCA and test cases',
+    steps: ['vision', 'search', 'ticket', 'rca', 'rca_comment', 'test_cases', 'test_cases_comment'],
+  },
+};
+
+const OPTION_TYPES = {
+  boolean: value => typeof value === 'boolean',
+  string: value => typeof value === 'string' && value.length > 0,
+  number: value => typeof value === 'number' && Number.isFinite(value),
+};
+
+let configuredPipelines = {};
+let watching = false;
+
+/**
+ * Validate one step entry, collecting problems under the given label
+ * `available` holds the workflow fields set by the steps before it
+ * Returns the normalized entry, or null when the step is unknown
+ */
+function compileStep(entry, label, available, errors) {
+  const { step: name, onFailure, options = {}, ...rest } = typeof entry === 'string' ? { step: entry } : entry || {};
+  if (typeof name !== 'string' || !name) {
+    errors.push(`${label}: a step is its name or an object with "step"`);
+    return null;
+  }
+
+  const step = getPipelineStep(name);
+  if (!step) {
+    errors.push(`${label}: unknown step "${name}" (available: ${listPipelineSteps().join(', ')})`);
+    return null;
+  }
+
+  for (const key of Object.keys(rest)) {
+    errors.push(`${label}: unknown field "${key}"`);
+  }
+
+  if (onFailure !== undefined && !FAILURE_POLICIES.includes(onFailure)) {
+    errors.push(`${label}: "onFailure" must be one of ${FAILURE_POLICIES.join(', ')}`);
+  }
+
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    errors.push(`${label}: "options" must be an object`);
+  } else {
+    for (const [key, value] of Object.entries(options)) {
+      const type = step.options[key];
+      if (!type) {
+        errors.push(`${label}: step "${name}" has no option "${key}"`);
+      } else if (Array.isArray(type)) {
+        if (!type.includes(value)) {
+          errors.push(`${label}: option "${key}" must be one of ${type.join(', ')}`);
+        }
+      } else if (!OPTION_TYPES[type](value)) {
+        errors.push(`${label}: option "${key}" must be a ${type}`);
+      }
+    }
+  }
+
+  for (const input of step.inputs) {
+    if (!available.has(input)) {
+      const producers = listPipelineSteps().filter(other => getPipelineStep(other).outputs.includes(input));
+      errors.push(`${label}: step "${name}" needs ${input} - run ${producers.join(' or ') || 'a step that sets it'} before it`);
+    }
+  }
+  step.outputs.forEach(output => available.add(output));
+
+  return { step: name, label: step.label, onFailure: onFailure || step.onFailure, options };
+}
+
+/**
+ * Validate one pipeline definition and normalize its steps
+ */
+function compilePipeline(name, definition, errors) {
+  const label = `pipelines.${name}`;
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    errors.push(`${label}: must be an object with "steps"`);
+    return null;
+  }
+
+  for (const key of Object.keys(definition)) {
+    if (!['description', 'steps'].includes(key)) {
+      errors.push(`${label}: unknown field "${key}"`);
+    }
+  }
+
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+    errors.push(`${label}: "steps" must be a non-empty array`);
+    return null;
+  }
+
+  const available = new Set(WORKFLOW_INPUTS);
+  const steps = definition.steps
+    .map((entry, index) => compileStep(entry, `${label}.steps[${index}]`, available, errors))
+    .filter(Boolean);
+
+  const names = steps.map(({ step }) => step);
+  for (const duplicate of new Set(names.filter((step, index) => names.indexOf(step) !== index))) {
+    errors.push(`${label}: step "${duplicate}" is listed more than once`);
+  }
+
+  return { name, description: definition.description || null, steps };
+}
+
+/**
+ * Validate a parsed pipeline config
+ * Throws with every problem found so a bad file is fixed in one pass
+ */
+function compilePipelineConfig(raw) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Pipeline config must be a JSON object');
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (key !== 'pipelines') {
+      errors.push(`unknown top-level field "${key}"`);
+    }
+  }
+
+  const pipelines = raw.pipelines || {};
+  if (typeof pipelines !== 'object' || Array.isArray(pipelines)) {
+    errors.push('"pipelines" must be an object of named pipelines');
+  }
+
+  const compiled = {};
+  for (const [name, definition] of Object.entries(Array.isArray(pipelines) ? {} : pipelines)) {
+    if (!/^[a-z][a-z0-9_-]*$/.test(name)) {
+      errors.push(`pipelines.${name}: names are lowercase letters, digits, - and _`);
+      continue;
+    }
+    const pipeline = compilePipeline(name, definition, errors);
+    if (pipeline) {
+      compiled[name] = pipeline;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid pipeline config:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return compiled;
+}
+
+/**
+ * Load and validate the pipeline config file (a missing file means the built-in default pipeline only)
+ */
+export function loadPipelineConfig(configPath = PIPELINE_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) {
+    log.info('Pipeline config not found - every channel runs the default pipeline', { path: configPath });
+    configuredPipelines = {};
+    return configuredPipelines;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Pipeline config at ${configPath} could not be parsed: ${error.message}`);
+  }
+  configuredPipelines = compilePipelineConfig(raw);
+  log.info('Pipeline config loaded', { path: configPath, pipelines: Object.keys(configuredPipelines).join(', ') || 'none' });
+  return configuredPipelines;
+}
+
+/**
+ * Reload the pipeline config, keeping the previous one if the new file is invalid
+ */
+export function reloadPipelineConfig(configPath = PIPELINE_CONFIG_PATH) {
+  try {
+    loadPipelineConfig(configPath);
+    return true;
+  } catch (error) {
+    log.error('Failed to reload pipeline config (keeping previous config)', { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Reload the pipeline config when the file changes or on SIGHUP
+ */
+export function watchPipelineConfig(configPath = PIPELINE_CONFIG_PATH) {
+  if (watching) return;
+  watching = true;
+
+  fs.watchFile(configPath, { interval: 5000 }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) {
+      log.info('Pipeline config changed on disk - reloading');
+      reloadPipelineConfig(configPath);
+    }
+  });
+
+  process.on('SIGHUP', () => {
+    log.info('SIGHUP received - reloading pipeline config');
+    reloadPipelineConfig(configPath);
+  });
+}
+
+/**
+ * Resolve a pipeline by name (null for the default one)
+ * Returns { name, description, steps: [{ step, label, onFailure, options }] }, or null if there is no such pipeline
+ */
+export function resolvePipeline(name = null) {
+  const pipelineName = name || DEFAULT_PIPELINE;
+  if (configuredPipelines[pipelineName]) {
+    return configuredPipelines[pipelineName];
+  }
+  if (!BUILT_IN_PIPELINES[pipelineName]) {
+    return null;
+  }
+  // Compiled on use - the steps are registered by job-processor after this module loads
+  return compilePipelineConfig({ pipelines: { [pipelineName]: BUILT_IN_PIPELINES[pipelineName] } })[pipelineName];
+}
@@ -0,0 +1,136 @@
+import { createLogger, withLogContext } from './logger.js';
+import { createCounter, createHistogram } from './metrics.js';
+
+/**
+ * Pipeline step registry and runner
+ *
+ * Workflow steps are registered by name with what they read from and write to the workflow:
+ *
+ *   registerPipelineStep('rca', {
+ *     label: 'Root cause analysis',   // shown in the Slack status message
+ *     inputs: ['relevantFiles'],       // workflow fields that must be set, or the step is skipped
+ *     optionalInputs: ['imageDescriptions'],
+ *     outputs: ['rcaResult'],          // workflow fields the step sets
+ *     options: { llmDraft: 'boolean' },// per-pipeline options: their type, or a list of allowed values
+ *     onFailure: 'abort',              // default failure policy: 'abort' or 'continue'
+ *     failureMessage: 'Failed to perform RCA analysis',
+ *     run: async (workflow, options) => {},
+ *     onAbort: async (workflow, error) => {},  // optional, before an aborting failure finishes the workflow
+ *   });
+ *
+ * A pipeline (pipeline-config) is a list of { step, onFailure, options } run in order by runPipeline.
+ * Everything a step logs while it runs carries its name (`step` in the log context).
+ */
+
+export const FAILURE_POLICIES = ['abort', 'continue'];
+
+// Workflow fields set before the first step runs - every pipeline can read them
+export const WORKFLOW_INPUTS = ['issueDescription', 'githubRepo', 'branch', 'messageText', 'threadContext', 'attachments', 'textAttachments'];
+
+const pipelineSteps = new Map();
+
+const log = createLogger('pipeline');
+
+const stepRuns = createCounter('rca_workflow_steps_total', 'Pipeline steps by outcome (done, failed, skipped)', ['step', 'outcome']);
+const stepDuration = createHistogram('rca_workflow_step_duration_seconds', 'Duration of pipeline steps that ran', ['step', 'outcome']);
+const workflowFailures = createCounter('rca_workflow_failures_total', 'Workflows failed by a step (after their last retry)', ['step']);
+
+/**
+ * Register a named pipeline step (see the module comment for the definition fields)
+ */
+export function registerPipelineStep(name, definition) {
+  if (typeof definition?.run !== 'function') {
+    throw new Error(`Pipeline step ${name} needs a run function`);
+  }
+  pipelineSteps.set(name, {
+    name,
+    label: name,
+    inputs: [],
+    optionalInputs: [],
+    outputs: [],
+    options: {},
+    onFailure: 'abort',
+    failureMessage: `Step ${name} failed`,
+    ...definition,
+  });
+}
+
+/**
+ * Get a registered step, or null
+ */
+export function getPipelineStep(name) {
+  return pipelineSteps.get(name) || null;
+}
+
+/**
+ * Names of the registered steps
+ */
+export function listPipelineSteps() {
+  return [...pipelineSteps.keys()];
+}
+
+/**
+ * Required inputs of a step that the workflow does not have (unset, or skipped/failed upstream)
+ */
+function getMissingInputs(step, workflow) {
+  return step.inputs.filter(input => workflow[input] === null || workflow[input] === undefined);
+}
+
+/**
+ * Run pipeline steps in order on a workflow
+ * `steps` are pipeline entries ({ step, onFailure, options }); `hooks` are the workflow callbacks
+ * of job-processor: { setStepStatus, stopIfCancelled, stopCancelledStep, retryLater, finishWorkflow }
+ * A failing step with onFailure 'continue' is marked failed and the next step runs; with 'abort'
+ * the workflow finishes as failed. Transient failures are handed to retryLater, which throws.
+ * Returns true when the pipeline ran to the end, false when it stopped (failed or cancelled)
+ */
+export async function runPipeline(workflow, steps, hooks) {
+  for (const [index, entry] of steps.entries()) {
+    if (await hooks.stopIfCancelled(workflow)) return false;
+
+    const step = getPipelineStep(entry.step);
+    const missing = getMissingInputs(step, workflow);
+    if (missing.length > 0) {
+      log.info('Skipping step', { step: step.name, missing: missing.join(', ') });
+      await hooks.setStepStatus(workflow, step.name, 'skipped');
+      stepRuns.inc({ step: step.name, outcome: 'skipped' });
+      continue;
+    }
+
+    log.info('Step started', { step: step.name, position: `${index + 1}/${steps.length}` });
+    const stepStart = Date.now();
+
+    try {
+      await withLogContext({ step: step.name }, () => step.run(workflow, entry.options || {}));
+      log.info('Step finished', { step: step.name, durationMs: Date.now() - stepStart });
+      stepRuns.inc({ step: step.name, outcome: 'done' });
+      stepDuration.observe({ step: step.name, outcome: 'done' }, (Date.now() - stepStart) / 1000);
+    } catch (error) {
+      if (await hooks.stopCancelledStep(workflow, step.name)) return false;
+
+      log.error('Step failed', { step: step.name, durationMs: Date.now() - stepStart, error });
+      stepRuns.inc({ step: step.name, outcome: 'failed' });
+      stepDuration.observe({ step: step.name, outcome: 'failed' }, (Date.now() - stepStart) / 1000);
+
+      if (entry.onFailure === 'continue') {
+        // Outputs of a failed step stay unset, so steps that need them are skipped
+        for (const output of step.outputs) {
+          workflow[output] = null;
+        }
+        await hooks.setStepStatus(workflow, step.name, 'failed', error.message);
+        continue;
+      }
+
+      await hooks.setStepStatus(workflow, step.name, 'failed');
+      if (await hooks.retryLater(workflow, error)) throw error;
+      workflowFailures.inc({ step: step.name });
+      if (step.onAbort) {
+        await step.onAbort(workflow, error);
+      }
+      await hooks.finishWorkflow(workflow, 'failed', `${step.failureMessage}: ${error.message}`);
+      return false;
+    }
+  }
+
+  return true;
+}
@@ -1,5 +1,9 @@
 import OpenAI from 'openai';
 import { readFile, executeCommand, listDirectory, getRepoPath } from './github-service.js';
+import { readAttachment, describeAttachmentsForPrompt } from './attachment-service.js';
+import { formatStackTraces, getFrameFiles } from './stack-trace-parser.js';
+import { createLogger, setLogContext } from './logger.js';
+import { recordAgentRun, agentToolCalls, trackRequest } from './metrics.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -7,9 +11,10 @@ const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
 });
 
-const REPO_PATH = getRepoPath();
 const MAX_ITERATIONS = 30;
 
+const log = createLogger('rca');
+
 /**
  * Tool definitions for the AI agent
  */
@@ -65,6 +70,35 @@ const tools = [
       },
     },
   },
+  {
+    type: 'function',
+    function: {
+      name: 'read_attachment',
+      description: 'Read a file attached to the Slack report (log, text, JSON or HAR summary). Returns numbered lines - either a window of lines or the lines matching a pattern.',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: {
+            type: 'string',
+            description: 'Attachment name as listed under Attachments (e.g., "production.log")',
+          },
+          start_line: {
+            type: 'number',
+            description: 'First line to return (default 1)',
+          },
+          line_count: {
+            type: 'number',
+            description: 'Number of lines to return (default 200, max 500)',
+          },
+          pattern: {
+            type: 'string',
+            description: 'Only return lines containing this text (case-insensitive, not a regex; separate alternatives with |, e.g., "error|exception")',
+          },
+        },
+        required: ['name'],
+      },
+    },
+  },
   {
     type: 'function',
     function: {
@@ -89,6 +123,10 @@ const tools = [
             type: 'string',
             description: 'Optional additional technical details.',
           },
+          evidence: {
+            type: 'string',
+            description: 'Attachment lines and files that support the root cause, cited as `attachment-name:line` or `path/to/file.ext:line`. Required when attachments were provided.',
+          },
         },
         required: ['summary', 'root_cause', 'recommended_fix'],
       },
@@ -98,17 +136,20 @@ const tools = [
 
 /**
  * Execute tool calls from AI agent
+ * `context.attachments` are the text attachments available to read_attachment; `context.signal` aborts exec;
+ * `context.repoPath` is the checkout the file tools read (github-service prepareCheckout)
  */
-async function executeToolCall(toolCall, workflowId) {
+async function executeToolCall(toolCall, context = {}) {
   const { name, arguments: args } = toolCall.function;
   const parsedArgs = JSON.parse(args);
   
-  console.log(`   [${workflowId}] 🔧 Tool: ${name}(${JSON.stringify(parsedArgs)})`);
+  log.info('Tool call', { tool: name, args: parsedArgs });
+  agentToolCalls.inc({ agent: 'rca', tool: name });
   
   try {
     switch (name) {
       case 'read_file':
-        const content = await readFile(parsedArgs.file_path, workflowId);
+        const content = await readFile(parsedArgs.file_path, context.repoPath);
         return {
           tool_call_id: toolCall.id,
           role: 'tool',
@@ -117,7 +158,7 @@ async function executeToolCall(toolCall, workflowId) {
         };
         
       case 'exec':
-        const result = await executeCommand(parsedArgs.command, workflowId, 10000);
+        const result = await executeCommand(parsedArgs.command, 10000, context.signal, context.repoPath);
         return {
           tool_call_id: toolCall.id,
           role: 'tool',
@@ -130,13 +171,21 @@ async function executeToolCall(toolCall, workflowId) {
         };
         
       case 'list_directory':
-        const items = await listDirectory(parsedArgs.dir_path, workflowId);
+        const items = await listDirectory(parsedArgs.dir_path, context.repoPath);
         return {
           tool_call_id: toolCall.id,
           role: 'tool',
           name: 'list_directory',
           content: JSON.stringify({ items }),
         };
+
+      case 'read_attachment':
+        return {
+          tool_call_id: toolCall.id,
+          role: 'tool',
+          name: 'read_attachment',
+          content: JSON.stringify(readAttachment(context.attachments || [], parsedArgs)),
+        };
         
       case 'finish':
         return {
@@ -148,6 +197,7 @@ async function executeToolCall(toolCall, workflowId) {
             root_cause: parsedArgs.root_cause,
             recommended_fix: parsedArgs.recommended_fix,
             analysis_details: parsedArgs.analysis_details || '',
+            evidence: parsedArgs.evidence || '',
           }),
         };
         
@@ -155,7 +205,7 @@ async function executeToolCall(toolCall, workflowId) {
         throw new Error(`Unknown tool: ${name}`);
     }
   } catch (error) {
-    console.error(`   [${workflowId}] Tool execution error: ${error.message}`);
+    log.error('Tool call failed', { tool: name, error: error.message });
     return {
       tool_call_id: toolCall.id,
       role: 'tool',
@@ -167,33 +217,62 @@ async function executeToolCall(toolCall, workflowId) {
 
 /**
  * Perform Root Cause Analysis using iterative AI agent
+ * `attachments` are text attachments from attachment-service, previewed in the prompt and read with read_attachment
+ * `stackTraces` come from stack-trace-parser; their repo frames are shown with line hints
+ * `repoPath` is the checkout of `branch` the agent reads (defaults to the build-time clone)
+ * Aborting `signal` (workflow cancellation) stops between iterations and aborts the in-flight OpenAI request and commands
+ * `onUsage(model, usage)` receives the token usage of each OpenAI response (usage-tracker)
  */
-export async function performRCA({ githubRepo, issueDescription, slackMessage, relevantFiles }, workflowId = 'unknown') {
+export async function performRCA({ githubRepo, branch, repoPath = getRepoPath(), issueDescription, threadContext, slackMessage, relevantFiles, attachments = [], stackTraces = [] }, { signal = null, onUsage = null } = {}) {
   if (!process.env.OPENAI_API_KEY) {
     throw new Error('OPENAI_API_KEY not configured');
   }
   
-  console.log(`   [${workflowId}] Starting iterative RCA investigation...`);
-  console.log(`   [${workflowId}] Issue: ${issueDescription}`);
-  console.log(`   [${workflowId}] Relevant files found: ${relevantFiles.length}`);
-  console.log(`   [${workflowId}] Repository: ${REPO_PATH}`);
+  log.info('Starting iterative RCA investigation', {
+    relevantFiles: relevantFiles.length,
+    repository: repoPath,
+    textAttachments: attachments.length,
+    stackTraces: stackTraces.length,
+  });
+  log.debug('Issue description', { issueDescription });
   
   const model = process.env.OPENAI_MODEL || 'gpt-4-turbo-preview';
   const isNewModel = model.includes('gpt-4o') || model.includes('gpt-5') || model.includes('o1');
+  const hasAttachments = attachments.length > 0;
+  const availableTools = hasAttachments ? tools : tools.filter(tool => tool.function.name !== 'read_attachment');
+  const attachmentsSection = hasAttachments
+    ? `\n**Attachments (from the Slack report - read them with read_attachment):**\n${describeAttachmentsForPrompt(attachments)}\n`
+    : '';
+  const hasStackTraces = stackTraces.length > 0;
+  const stackTracesSection = hasStackTraces
+    ? `\n**Stack traces (from the report, frames mapped to repository paths):**\n\`\`\`\n${formatStackTraces(stackTraces)}\n\`\`\`\n`
+    : '';
+  // Relevant files from stack frames carry the lines the frames point at
+  const lineHints = new Map(getFrameFiles(stackTraces).map(({ path: filePath, lines }) => [filePath, lines]));
+  const relevantFilesList = relevantFiles.slice(0, 10)
+    .map(file => lineHints.has(file) ? `${file} (lines ${lineHints.get(file).join(', ')})` : file)
+    .join(', ');
+  const instructions = [
+    ...(hasStackTraces ? ['Start with the stack trace frames that are in the repository - read the code around those lines first'] : []),
+    'Investigate the codebase systematically',
+    ...(hasAttachments ? ['Read the attachments - errors and stack traces in them usually point at the failing code'] : []),
+    'Identify the root cause with evidence',
+    hasAttachments
+      ? "Call 'finish' with a CONCISE, well-structured report, citing the attachment lines you relied on in 'evidence' as `attachment-name:line`"
+      : "Call 'finish' with a CONCISE, well-structured report",
+  ];
   
   // Initial system message
   const systemMessage = `You are a senior software engineer performing Root Cause Analysis.
 
 **Issue:** ${issueDescription}
-**Repository:** ${githubRepo}
-**Relevant Files:** ${relevantFiles.slice(0, 10).join(', ')}${relevantFiles.length > 10 ? '...' : ''}
-
-**Tools:** read_file, exec, list_directory, finish
+**Repository:** ${githubRepo}${branch ? `\n**Branch:** ${branch}` : ''}
+**Relevant Files:** ${relevantFilesList}${relevantFiles.length > 10 ? '...' : ''}
+${stackTracesSection}${threadContext ? `\n**Slack Thread (reporter's repro steps, logs and discussion):**\n\`\`\`\n${threadContext}\n\`\`\`\n` : ''}${attachmentsSection}
+**Tools:** ${availableTools.map(tool => tool.function.name).join(', ')}
 
 **Instructions:**
-1. Investigate the codebase systematically
-2. Identify the root cause with evidence
-3. Call 'finish' with a CONCISE, well-structured report
+${instructions.map((instruction, index) => `${index + 1}. ${instruction}`).join('\n')}
 
 **CRITICAL FORMATTING RULES:**
 
@@ -271,13 +350,15 @@ Work efficiently. Max ${MAX_ITERATIONS} iterations.`;
   
   while (iteration < MAX_ITERATIONS && !rcaResult) {
     iteration++;
-    console.log(`   [${workflowId}] Iteration ${iteration}/${MAX_ITERATIONS}`);
+    setLogContext({ iteration });
+    log.debug('Iteration started', { maxIterations: MAX_ITERATIONS });
     
     try {
+      signal?.throwIfAborted();
       const completionParams = {
         model: model,
         messages: messages,
-        tools: tools,
+        tools: availableTools,
         tool_choice: 'auto',
         temperature: 0.3,
       };
@@ -288,7 +369,8 @@ Work efficiently. Max ${MAX_ITERATIONS} iterations.`;
         completionParams.max_tokens = 4000;
       }
       
-      const response = await openai.chat.completions.create(completionParams);
+      const response = await trackRequest('openai', 'chat.completions', () => openai.chat.completions.create(completionParams, { signal }));
+      onUsage?.(response.model || model, response.usage);
       const assistantMessage = response.choices[0].message;
       
       messages.push(assistantMessage);
@@ -298,20 +380,25 @@ Work efficiently. Max ${MAX_ITERATIONS} iterations.`;
         const toolResults = [];
         
         for (const toolCall of assistantMessage.tool_calls) {
-          const toolResult = await executeToolCall(toolCall, workflowId);
+          const toolResult = await executeToolCall(toolCall, { attachments, signal, repoPath });
           toolResults.push(toolResult);
           
           // If finish tool was called, extract the result
           if (toolCall.function.name === 'finish') {
             const finishData = JSON.parse(toolResult.content);
             const detailsSection = finishData.analysis_details ? `\n\n## Additional Details\n\n${finishData.analysis_details}` : '';
+            const evidenceSection = finishData.evidence ? `\n\n### Evidence\n\n${finishData.evidence}` : '';
             
             rcaResult = {
               summary: finishData.summary,
               rootCause: finishData.root_cause,
               recommendedFix: finishData.recommended_fix,
               details: finishData.analysis_details || '',
-              fullResponse: `## Root Cause Analysis\n\n### Summary\n\n${finishData.summary}\n\n### Root Cause\n\n${finishData.root_cause}\n\n### Recommended Fix\n\n${finishData.recommended_fix}${detailsSection}`,
+              evidence: finishData.evidence || '',
+              citedAttachments: attachments
+                .map(attachment => attachment.name)
+                .filter(name => `${finishData.root_cause}\n${finishData.evidence}`.includes(name)),
+              fullResponse: `## Root Cause Analysis\n\n### Summary\n\n${finishData.summary}\n\n### Root Cause\n\n${finishData.root_cause}${evidenceSection}\n\n### Recommended Fix\n\n${finishData.recommended_fix}${detailsSection}`,
             };
           }
         }
@@ -321,7 +408,7 @@ Work efficiently. Max ${MAX_ITERATIONS} iterations.`;
       } else {
         // Agent provided text response (might be reasoning or final answer)
         if (assistantMessage.content) {
-          console.log(`   [${workflowId}] Agent message: ${assistantMessage.content.substring(0, 200)}...`);
+          log.debug('Agent message', { content: assistantMessage.content });
         }
         
         // If no tool calls and we have content, might be done
@@ -344,13 +431,21 @@ Work efficiently. Max ${MAX_ITERATIONS} iterations.`;
         }
       }
     } catch (error) {
-      console.error(`   [${workflowId}] Error in iteration ${iteration}:`, error.message);
-      throw new Error(`RCA investigation failed: ${error.message}`);
+      if (signal?.aborted) {
+        log.info('RCA investigation aborted');
+        recordAgentRun('rca', 'cancelled', iteration);
+        throw signal.reason;
+      }
+      log.error('RCA iteration failed', { error: error.message });
+      recordAgentRun('rca', 'failed', iteration);
+      throw new Error(`RCA investigation failed: ${error.message}`, { cause: error });
     }
   }
   
+  setLogContext({ iteration: undefined });
+
   if (!rcaResult) {
-    console.log(`   [${workflowId}] ⚠️ Max iterations reached, generating best plausible RCA from investigation so far...`);
+    log.warn('Max iterations reached, generating best plausible RCA from investigation so far', { iterations: iteration });
     
     // Extract the most relevant information from the conversation
     const conversationSummary = messages
@@ -419,9 +514,11 @@ Work efficiently. Max ${MAX_ITERATIONS} iterations.`;
       incomplete: true, // Flag to indicate this is an incomplete analysis
     };
     
-    console.log(`   [${workflowId}] ⚠️ Returning best plausible RCA after ${iteration} iterations`);
+    log.warn('Returning best plausible RCA', { iterations: iteration });
+    recordAgentRun('rca', 'incomplete', iteration);
   } else {
-    console.log(`   [${workflowId}] ✅ RCA investigation completed in ${iteration} iterations`);
+    log.info('RCA investigation completed', { iterations: iteration });
+    recordAgentRun('rca', 'complete', iteration);
   }
   
   return rcaResult;
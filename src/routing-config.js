@@ -0,0 +1,253 @@
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+/**
+ * Channel routing config
+ *
+ * Maps Slack channels to the defaults a workflow runs with (repo, branch, Jira project,
+ * issue type, labels, components, screenshot descriptions, pipeline). Loaded from ROUTING_CONFIG_PATH at startup, validated,
+ * and reloaded without a restart when the file changes or the process receives SIGHUP.
+ *
+ * {
+ *   "defaults": { "jiraProject": "PROJ", "issueType": "Bug" },
+ *   "routes": [
+ *     { "channel": "C0123456789", "repo": "owner/api", "branch": "main", "jiraProject": "API", "labels": ["api"] },
+ *     { "channel": "C09*", "repo": "owner/web", "components": ["Frontend"] },
+ *     { "channel": "C1A*", "jiraProject": "OPS", "vision": false },
+ *     { "channel": "C1B*", "jiraProject": "OPS", "vision": false },
+ *     { "channel": "C2*", "pipeline": "rca_only" }
+ *   ]
+ * }
+ *
+ * `channel` is a channel ID or a glob with `*`. The first matching route wins;
+ * unset fields fall back to `defaults`, then to the environment variables.
+ * `pipeline` names a pipeline of the pipeline config (pipeline-config); unset means the default one.
+ */
+
+const ROUTING_CONFIG_PATH = process.env.ROUTING_CONFIG_PATH || path.join(process.cwd(), 'config', 'routing.json');
+
+const log = createLogger('routing-config');
+
+const ROUTE_FIELDS = ['repo', 'branch', 'jiraProject', 'issueType', 'labels', 'components', 'vision', 'pipeline'];
+
+let routingConfig = { defaults: {}, routes: [] };
+let watching = false;
+
+/**
+ * Defaults from environment variables (used when no config file sets a value)
+ */
+function getEnvDefaults() {
+  return {
+    repo: process.env.GITHUB_REPO || process.env.BACKEND_REPO_URL || null,
+    branch: process.env.BACKEND_BRANCH || null,
+    jiraProject: process.env.JIRA_PROJECT_KEY || 'PROJ',
+    issueType: process.env.JIRA_ISSUE_TYPE || 'Task',
+    labels: [],
+    components: [],
+    vision: process.env.VISION_ENABLED !== 'false',
+    pipeline: null,
+  };
+}
+
+/**
+ * Normalize a repo setting (owner/repo or GitHub URL) to a GitHub URL, or null if invalid
+ */
+function normalizeRepo(value) {
+  const match = String(value).match(/^(?:https?:\/\/)?(?:www\.)?(?:github\.com\/)?([\w\-\.]+)\/([\w\-\.]+?)(?:\.git)?\/?$/i);
+  return match ? `https://github.com/${match[1]}/${match[2]}` : null;
+}
+
+/**
+ * Validate one set of route fields, collecting problems under the given label
+ */
+function validateFields(fields, label, errors) {
+  for (const key of Object.keys(fields)) {
+    if (key !== 'channel' && !ROUTE_FIELDS.includes(key)) {
+      errors.push(`${label}: unknown field "${key}"`);
+    }
+  }
+
+  for (const key of ['repo', 'branch', 'jiraProject', 'issueType', 'pipeline']) {
+    if (fields[key] !== undefined && (typeof fields[key] !== 'string' || !fields[key].trim())) {
+      errors.push(`${label}: "${key}" must be a non-empty string`);
+    }
+  }
+
+  if (typeof fields.repo === 'string' && !normalizeRepo(fields.repo)) {
+    errors.push(`${label}: "repo" must be owner/repo or a GitHub URL`);
+  }
+
+  if (typeof fields.jiraProject === 'string' && !/^[A-Z][A-Z0-9_]+$/.test(fields.jiraProject)) {
+    errors.push(`${label}: "jiraProject" must be a Jira project key such as PROJ`);
+  }
+
+  for (const key of ['labels', 'components']) {
+    if (fields[key] !== undefined && (!Array.isArray(fields[key]) || fields[key].some(item => typeof item !== 'string' || !item))) {
+      errors.push(`${label}: "${key}" must be an array of non-empty strings`);
+    }
+  }
+
+  if (Array.isArray(fields.labels) && fields.labels.some(labelName => /\s/.test(labelName))) {
+    errors.push(`${label}: Jira labels cannot contain spaces`);
+  }
+
+  if (fields.vision !== undefined && typeof fields.vision !== 'boolean') {
+    errors.push(`${label}: "vision" must be true or false`);
+  }
+}
+
+/**
+ * Build a matcher for a route's channel pattern (ID, or glob with `*`)
+ * Regular expressions are not accepted: a pattern with catastrophic backtracking would block
+ * the event loop on every event
+ */
+function buildChannelMatcher(pattern) {
+  if (/^\/.+\/[a-z]*$/.test(pattern)) {
+    throw new Error('regular expressions are not supported - use a channel ID or a glob with *');
+  }
+
+  if (pattern.includes('*')) {
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    const regex = new RegExp(`^${escaped}$`);
+    return channel => regex.test(channel);
+  }
+
+  return channel => channel === pattern;
+}
+
+/**
+ * Validate a parsed routing config and compile its channel matchers
+ * Throws with every problem found so a bad file is fixed in one pass
+ */
+function compileRoutingConfig(raw) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Routing config must be a JSON object');
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (!['defaults', 'routes'].includes(key)) {
+      errors.push(`unknown top-level field "${key}"`);
+    }
+  }
+
+  const defaults = raw.defaults || {};
+  if (typeof defaults !== 'object' || Array.isArray(defaults)) {
+    errors.push('"defaults" must be an object');
+  } else {
+    if (defaults.channel !== undefined) {
+      errors.push('defaults: "channel" is only valid on routes');
+    }
+    validateFields(defaults, 'defaults', errors);
+  }
+
+  const routes = raw.routes || [];
+  if (!Array.isArray(routes)) {
+    errors.push('"routes" must be an array');
+  }
+
+  const compiledRoutes = [];
+  (Array.isArray(routes) ? routes : []).forEach((route, index) => {
+    const label = `routes[${index}]`;
+    if (!route || typeof route !== 'object' || Array.isArray(route)) {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    if (typeof route.channel !== 'string' || !route.channel) {
+      errors.push(`${label}: "channel" is required (channel ID or glob)`);
+      return;
+    }
+    validateFields(route, label, errors);
+
+    try {
+      compiledRoutes.push({ ...route, matches: buildChannelMatcher(route.channel) });
+    } catch (error) {
+      errors.push(`${label}: invalid channel pattern - ${error.message}`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid routing config:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return { defaults, routes: compiledRoutes };
+}
+
+/**
+ * Load and validate the routing config file (a missing file means env defaults only)
+ */
+export function loadRoutingConfig(configPath = ROUTING_CONFIG_PATH) {
+  if (!fs.existsSync(configPath)) {
+    log.info('Routing config not found - using environment defaults for all channels', { path: configPath });
+    routingConfig = { defaults: {}, routes: [] };
+    return routingConfig;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Routing config at ${configPath} could not be parsed: ${error.message}`);
+  }
+  routingConfig = compileRoutingConfig(raw);
+  log.info('Routing config loaded', { path: configPath, routes: routingConfig.routes.length });
+  return routingConfig;
+}
+
+/**
+ * Reload the routing config, keeping the previous one if the new file is invalid
+ */
+export function reloadRoutingConfig(configPath = ROUTING_CONFIG_PATH) {
+  try {
+    loadRoutingConfig(configPath);
+    return true;
+  } catch (error) {
+    log.error('Failed to reload routing config (keeping previous config)', { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Reload the routing config when the file changes or on SIGHUP
+ */
+export function watchRoutingConfig(configPath = ROUTING_CONFIG_PATH) {
+  if (watching) return;
+  watching = true;
+
+  fs.watchFile(configPath, { interval: 5000 }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) {
+      log.info('Routing config changed on disk - reloading');
+      reloadRoutingConfig(configPath);
+    }
+  });
+
+  process.on('SIGHUP', () => {
+    log.info('SIGHUP received - reloading routing config');
+    reloadRoutingConfig(configPath);
+  });
+}
+
+/**
+ * Resolve the workflow settings for a Slack channel
+ * Returns { repo, branch, jiraProject, issueType, labels, components, vision, pipeline, route }
+ */
+export function resolveRoute(channelId) {
+  const route = routingConfig.routes.find(candidate => candidate.matches(channelId || '')) || null;
+  const settings = { ...getEnvDefaults() };
+
+  for (const source of [routingConfig.defaults, route || {}]) {
+    for (const key of ROUTE_FIELDS) {
+      if (source[key] !== undefined) {
+        settings[key] = source[key];
+      }
+    }
+  }
+
+  return {
+    ...settings,
+    repo: settings.repo ? normalizeRepo(settings.repo) || settings.repo : null,
+    route: route ? route.channel : null,
+  };
+}
@@ -2,56 +2,140 @@
 import 'dotenv/config';
 
 import express from 'express';
-import { webhookHandler } from './webhook.js';
+import { webhookHandler, slashCommandHandler, interactionHandler } from './webhook.js';
+import { loadRoutingConfig, watchRoutingConfig } from './routing-config.js';
+import { loadPipelineConfig, watchPipelineConfig } from './pipeline-config.js';
+import { loadModelPrices, watchModelPrices } from './usage-tracker.js';
+import { startSocketMode } from './socket-mode.js';
+import { installHandler, oauthRedirectHandler } from './slack-oauth.js';
+import { startJobQueue } from './job-queue.js';
+import {
+  requireApiToken, requireApiAdmin, createRCAHandler, getWorkflowHandler, listWorkflowsHandler, listDeadLetterJobsHandler, requeueJobHandler,
+} from './api.js';
+import { createLogger } from './logger.js';
+import { metricsHandler } from './metrics.js';
+
+const log = createLogger('server');
+
+// Fail fast on an invalid routing or pipeline config or price table; later edits are reloaded without a restart
+loadRoutingConfig();
+watchRoutingConfig();
+loadPipelineConfig();
+watchPipelineConfig();
+loadModelPrices();
+watchModelPrices();
 
 const app = express();
 const PORT = process.env.PORT || 8000;
+const SOCKET_MODE = process.env.SLACK_SOCKET_MODE === 'true';
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Slack webhook endpoint with raw body parsing for signature verification
-// MUST be defined BEFORE express.json() middleware
-app.post('/webhook/slack', express.raw({ type: 'application/json' }), (req, res, next) => {
-  try {
-    // Store raw body for signature verification
-    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : String(req.body);
-    req.rawBody = rawBody;
-    
-    // Parse JSON body for processing
-    if (!rawBody || rawBody.length === 0) {
-      console.error('Empty request body');
-      return res.status(400).json({ error: 'Empty request body' });
-    }
-    
-    req.body = JSON.parse(rawBody);
-    console.log('Received webhook request:', {
-      type: req.body?.type,
-      eventType: req.body?.event?.type,
-      hasChallenge: !!req.body?.challenge,
-      bodyLength: rawBody.length,
-    });
-  } catch (error) {
-    console.error('JSON parse error:', error.message);
-    console.error('Raw body type:', typeof req.body, 'isBuffer:', Buffer.isBuffer(req.body));
-    if (req.rawBody) {
-      console.error('Raw body (first 500 chars):', req.rawBody.substring(0, 500));
-    }
-    return res.status(400).json({ error: 'Invalid JSON', details: error.message });
+// Prometheus metrics: workflows, steps, agents, OpenAI / Jira / Slack requests and the job queue
+app.get('/metrics', metricsHandler);
+
+/**
+ * Parse a form-encoded Slack request, keeping the raw body for signature verification
+ */
+function parseSlackForm(req, res, next) {
+  const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+  if (!rawBody) {
+    log.error('Empty form request body');
+    return res.status(400).json({ error: 'Empty request body' });
   }
+
+  req.rawBody = rawBody;
+  req.body = Object.fromEntries(new URLSearchParams(rawBody));
   next();
-}, webhookHandler);
+}
+
+// Slack's HTTP endpoints; in Socket Mode the same events arrive over the WebSocket instead,
+// so these stay unmounted and unsigned requests cannot reach the handlers
+if (!SOCKET_MODE) {
+  // Slack OAuth v2 install flow (multi-workspace installs)
+  app.get('/slack/install', installHandler);
+  app.get('/slack/oauth_redirect', oauthRedirectHandler);
+
+  // Slack webhook endpoint with raw body parsing for signature verification
+  // MUST be defined BEFORE express.json() middleware
+  app.post('/webhook/slack', express.raw({ type: 'application/json' }), (req, res, next) => {
+    try {
+      // Store raw body for signature verification
+      const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : String(req.body);
+      req.rawBody = rawBody;
+
+      // Parse JSON body for processing
+      if (!rawBody || rawBody.length === 0) {
+        log.error('Empty request body');
+        return res.status(400).json({ error: 'Empty request body' });
+      }
+
+      req.body = JSON.parse(rawBody);
+      log.info('Received webhook request', {
+        type: req.body?.type,
+        eventType: req.body?.event?.type,
+        hasChallenge: !!req.body?.challenge,
+        bodyLength: rawBody.length,
+      });
+    } catch (error) {
+      log.error('Webhook body is not valid JSON', { error: error.message, bodyType: typeof req.body, isBuffer: Buffer.isBuffer(req.body) });
+      if (req.rawBody) {
+        log.debug('Invalid webhook body', { rawBody: req.rawBody.substring(0, 500) });
+      }
+      return res.status(400).json({ error: 'Invalid JSON', details: error.message });
+    }
+    next();
+  }, webhookHandler);
+
+  // Slack slash command endpoint
+  app.post('/webhook/slack/commands', express.raw({ type: 'application/x-www-form-urlencoded' }), parseSlackForm, slashCommandHandler);
+
+  // Slack interactivity endpoint (Block Kit buttons)
+  app.post('/webhook/slack/interactions', express.raw({ type: 'application/x-www-form-urlencoded' }), parseSlackForm, interactionHandler);
+}
 
 // Middleware for other routes (after webhook route)
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// REST API for starting and inspecting workflows without Slack (bearer tokens from API_TOKENS)
+app.post('/api/rca', requireApiToken, createRCAHandler);
+app.get('/api/workflows', requireApiToken, listWorkflowsHandler);
+app.get('/api/workflows/:id', requireApiToken, getWorkflowHandler);
+// Dead-lettered jobs, for clients in API_ADMIN_CLIENTS
+app.get('/api/jobs/dead-letter', requireApiToken, requireApiAdmin, listDeadLetterJobsHandler);
+app.post('/api/jobs/:id/requeue', requireApiToken, requireApiAdmin, requeueJobHandler);
+
+// Pick up workflows queued or interrupted before the last restart
+startJobQueue().catch(error => {
+  log.error('Failed to start the job queue', { error: error.message });
+  process.exit(1);
+});
+
 // Start server
 app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Webhook endpoint: http://localhost:${PORT}/webhook/slack`);
-  console.log(`Repository location: /app/repo (cloned during Docker build)`);
+  log.info('Server running', {
+    port: PORT,
+    ...(!SOCKET_MODE && {
+      webhook: `http://localhost:${PORT}/webhook/slack`,
+      slashCommands: `http://localhost:${PORT}/webhook/slack/commands`,
+      interactions: `http://localhost:${PORT}/webhook/slack/interactions`,
+      install: `http://localhost:${PORT}/slack/install`,
+    }),
+    metrics: `http://localhost:${PORT}/metrics`,
+    api: `http://localhost:${PORT}/api/rca`,
+    repository: '/app/repo (cloned during Docker build)',
+  });
 });
 
+// Socket Mode receives the same events over a WebSocket - the HTTP server still serves /health, /metrics and the API
+if (SOCKET_MODE) {
+  startSocketMode().catch(error => {
+    log.error('Failed to start Socket Mode', { error: error.message });
+    process.exit(1);
+  });
+}
+
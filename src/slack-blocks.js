@@ -0,0 +1,580 @@
+import { formatUsage } from './usage-tracker.js';
+
+/**
+ * Block Kit builders for the workflow status message, the App Home tab and the modals
+ */
+
+// Slack rejects section text longer than 3000 characters
+const MAX_SECTION_TEXT = 2900;
+
+const STEP_STATUS_ICONS = {
+  pending: '⚪',
+  running: '⏳',
+  done: '✅',
+  failed: '❌',
+  skipped: '➖',
+  cancelled: '🚫',
+};
+
+const WORKFLOW_STATUS_TITLES = {
+  running: '🔍 RCA in progress',
+  completed: '✅ RCA completed',
+  failed: '❌ RCA failed',
+  cancelled: '🚫 RCA cancelled',
+};
+
+/**
+ * Truncate text to fit in a Block Kit section
+ */
+function truncate(text, maxLength = MAX_SECTION_TEXT) {
+  if (!text) return '';
+  return text.length > maxLength ? text.substring(0, maxLength - 3) + '...' : text;
+}
+
+/**
+ * Format a duration in milliseconds as e.g. "45s" or "3m 07s"
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return minutes > 0 ? `${minutes}m ${String(seconds).padStart(2, '0')}s` : `${seconds}s`;
+}
+
+/**
+ * Duration of a workflow or step so far (until now while it is still running)
+ */
+function elapsed({ startedAt, finishedAt }) {
+  return startedAt ? formatDuration((finishedAt || Date.now()) - startedAt) : null;
+}
+
+/**
+ * Steps of the workflow's pipeline (pipeline-config), in the order they run
+ */
+function getWorkflowSteps(workflow) {
+  return (workflow.pipelineSteps || []).map(({ step, label }) => ({ name: step, label }));
+}
+
+/**
+ * Build one line per workflow step with its status icon and optional detail
+ * `withTimings` adds each step's duration (used in the details modal)
+ */
+function buildStepLines(workflow, { withTimings = false } = {}) {
+  return getWorkflowSteps(workflow).map(({ name, label }) => {
+    const step = workflow.steps[name] || { status: 'pending' };
+    const icon = STEP_STATUS_ICONS[step.status] || STEP_STATUS_ICONS.pending;
+    const detail = step.detail ? ` - ${step.detail}` : '';
+    const duration = withTimings && elapsed(step) ? ` _(${elapsed(step)})_` : '';
+    return `${icon} ${label}${detail}${duration}`;
+  }).join('\n');
+}
+
+/**
+ * Get the step a workflow is on: the running step, or the last step that ran
+ */
+function getCurrentStep(workflow) {
+  const started = getWorkflowSteps(workflow).filter(({ name }) =>
+    workflow.steps[name] && ['running', 'done', 'failed'].includes(workflow.steps[name].status)
+  );
+  return started.find(({ name }) => workflow.steps[name].status === 'running') || started[started.length - 1] || null;
+}
+
+/**
+ * Build the action buttons for the current workflow state
+ */
+function buildActions(workflow) {
+  const elements = [];
+  const isRunning = workflow.status === 'running';
+
+  if (!isRunning && workflow.relevantFiles) {
+    elements.push({
+      type: 'button',
+      action_id: 'rerun_rca',
+      text: { type: 'plain_text', text: '🔁 Re-run RCA', emoji: true },
+      value: workflow.id,
+    });
+  }
+
+  if (['failed', 'cancelled'].includes(workflow.status)) {
+    elements.push({
+      type: 'button',
+      action_id: 'resume_workflow',
+      text: { type: 'plain_text', text: '▶️ Resume', emoji: true },
+      value: workflow.id,
+    });
+  }
+
+  if (!isRunning && workflow.rcaResult) {
+    elements.push({
+      type: 'button',
+      action_id: 'regenerate_test_cases',
+      text: { type: 'plain_text', text: '🧪 Regenerate test cases', emoji: true },
+      value: workflow.id,
+    });
+  }
+
+  if (workflow.issueUrl) {
+    elements.push({
+      type: 'button',
+      action_id: 'open_jira',
+      text: { type: 'plain_text', text: `🎫 Open ${workflow.issueKey} in Jira`, emoji: true },
+      url: workflow.issueUrl,
+      value: workflow.id,
+    });
+  }
+
+  if (isRunning) {
+    elements.push({
+      type: 'button',
+      action_id: 'cancel_workflow',
+      style: 'danger',
+      text: { type: 'plain_text', text: 'Cancel', emoji: true },
+      value: workflow.id,
+      confirm: {
+        title: { type: 'plain_text', text: 'Cancel this RCA?' },
+        text: { type: 'mrkdwn', text: 'The running analysis stops right away. A Jira ticket that was already created stays open.' },
+        confirm: { type: 'plain_text', text: 'Cancel RCA' },
+        deny: { type: 'plain_text', text: 'Keep running' },
+      },
+    });
+  }
+
+  return elements;
+}
+
+/**
+ * Build the duplicate ticket blocks: which ticket the report matched and, while the ticket step
+ * waits for a decision, the buttons to comment on it, link to it or create a new ticket anyway
+ */
+function buildDuplicateBlocks(workflow) {
+  const { duplicate } = workflow;
+  const outcome = {
+    comment: ' - commented on it instead of creating a new ticket',
+    link: ' - linked to it instead of creating a new ticket',
+    create: ' - a new ticket was created anyway',
+  }[duplicate.action] || '';
+  const blocks = [{
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: truncate(`🔁 *Possible duplicate of <${duplicate.url}|${duplicate.key}>*${outcome}\n${duplicate.summary}\n_${duplicate.reasons.join(', ')}_`),
+    },
+  }];
+
+  if (workflow.awaitingDuplicateDecision) {
+    blocks.push({
+      type: 'actions',
+      block_id: `duplicate_actions:${workflow.id}`,
+      elements: [
+        {
+          type: 'button',
+          action_id: 'duplicate_comment',
+          style: 'primary',
+          text: { type: 'plain_text', text: `💬 Comment on ${duplicate.key}`, emoji: true },
+          value: workflow.id,
+        },
+        {
+          type: 'button',
+          action_id: 'duplicate_link',
+          text: { type: 'plain_text', text: `🔗 Link to ${duplicate.key}`, emoji: true },
+          value: workflow.id,
+        },
+        {
+          type: 'button',
+          action_id: 'duplicate_create',
+          text: { type: 'plain_text', text: '🆕 Create a new ticket', emoji: true },
+          value: workflow.id,
+        },
+      ],
+    });
+  }
+  return blocks;
+}
+
+/**
+ * Build the workflow status message ({ text, blocks }) for chat.postMessage / chat.update
+ */
+export function buildWorkflowMessage(workflow) {
+  const title = WORKFLOW_STATUS_TITLES[workflow.status] || WORKFLOW_STATUS_TITLES.running;
+  const context = [`Repository: ${workflow.githubRepo}`];
+  if (workflow.branch) context.push(`Branch: \`${workflow.branch}\``);
+  if (workflow.dryRun) context.push('🧪 Dry run - no Jira ticket');
+  context.push(`Workflow: \`${workflow.id}\``);
+
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: truncate(`*${title}*\n📋 ${workflow.issueDescription}`) },
+    },
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: context.join('  •  ') }],
+    },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: buildStepLines(workflow) },
+    },
+  ];
+
+  if (workflow.duplicate) {
+    blocks.push(...buildDuplicateBlocks(workflow));
+  }
+
+  if (workflow.issueKey) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `🎫 Jira ticket: <${workflow.issueUrl}|${workflow.issueKey}>` },
+    });
+  }
+
+  if (workflow.rcaResult) {
+    const incompleteNote = workflow.rcaResult.incomplete ? ' ⚠️ _incomplete - iteration limit reached_' : '';
+    let rcaText = `*RCA summary*${incompleteNote}\n${workflow.rcaResult.summary}`;
+    if (workflow.rcaResult.citedAttachments?.length > 0) {
+      rcaText += `\n📎 _Evidence from ${workflow.rcaResult.citedAttachments.map(name => `\`${name}\``).join(', ')}_`;
+    }
+    if (workflow.dryRun) {
+      rcaText += `\n\n*Root cause*\n${workflow.rcaResult.rootCause}\n\n*Recommended fix*\n${workflow.rcaResult.recommendedFix}`;
+    }
+    blocks.push({ type: 'divider' });
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: truncate(rcaText) },
+    });
+  }
+
+  if (workflow.error) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: truncate(`⚠️ ${workflow.error}`) },
+    });
+  }
+
+  // LLM totals once the run is over
+  if (workflow.status !== 'running' && workflow.usage?.total.calls > 0) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `🪙 LLM usage: ${formatUsage(workflow.usage.total)}` }],
+    });
+  }
+
+  const actions = buildActions(workflow);
+  if (actions.length > 0) {
+    blocks.push({ type: 'actions', block_id: `workflow_actions:${workflow.id}`, elements: actions });
+  }
+
+  // Fallback text for notifications and clients without Block Kit support
+  const text = `${title}: ${workflow.issueDescription}${workflow.issueKey ? ` (${workflow.issueKey})` : ''}`;
+  return { text: truncate(text), blocks };
+}
+
+/**
+ * Build the status message of a workflow still waiting in the job queue
+ * reason: 'workers' (all workers busy) or 'repo' (the repository's concurrency limit is reached)
+ */
+export function buildQueuedMessage({ issueDescription, githubRepo, position, reason }) {
+  const waitingFor = reason === 'repo'
+    ? 'other RCAs on this repository to finish'
+    : 'a free worker';
+  const title = `⏳ RCA queued - position ${position}`;
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: truncate(`*${title}*\n📋 ${issueDescription}`) },
+    },
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `Waiting for ${waitingFor}${githubRepo ? `  •  Repository: ${githubRepo}` : ''}` }],
+    },
+  ];
+  return { text: truncate(`${title}: ${issueDescription}`), blocks };
+}
+
+/**
+ * Build the one-line status summary of a workflow for the App Home tab
+ */
+function buildWorkflowSummaryLine(workflow) {
+  const title = WORKFLOW_STATUS_TITLES[workflow.status] || WORKFLOW_STATUS_TITLES.running;
+  const currentStep = getCurrentStep(workflow);
+  const parts = [title];
+  if (currentStep) {
+    const stepStatus = workflow.steps[currentStep.name].status;
+    parts.push(`${STEP_STATUS_ICONS[stepStatus]} ${currentStep.label}`);
+  }
+  parts.push(`⏱️ ${elapsed(workflow)}`);
+  if (workflow.rcaResult?.incomplete) {
+    parts.push('⚠️ RCA incomplete');
+  }
+  return parts.join('  •  ');
+}
+
+/**
+ * Build the plain mrkdwn status of a workflow for the `@bot status` reply
+ */
+export function buildWorkflowStatusText(workflow) {
+  const ticket = workflow.issueKey ? `<${workflow.issueUrl}|${workflow.issueKey}>` : `\`${workflow.id}\``;
+  const lines = [
+    `${ticket}  ${truncate(workflow.issueDescription, 150)}`,
+    buildWorkflowSummaryLine(workflow),
+    buildStepLines(workflow, { withTimings: true }),
+  ];
+  if (workflow.error) {
+    lines.push(`⚠️ ${workflow.error}`);
+  }
+  return truncate(lines.join('\n'));
+}
+
+/**
+ * Build the App Home tab listing a user's in-flight and recent workflows
+ */
+export function buildAppHomeView(workflows) {
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: 'Your RCA workflows', emoji: true },
+    },
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `Updated <!date^${Math.floor(Date.now() / 1000)}^{date_short_pretty} {time}|${new Date().toISOString()}>` }],
+    },
+  ];
+
+  if (workflows.length === 0) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: 'No workflows yet. Mention the bot in a channel, add the trigger reaction to a message, or use `/rca` to start one.' },
+    });
+  }
+
+  const groups = [
+    { heading: '⏳ In progress', items: workflows.filter(workflow => workflow.status === 'running') },
+    { heading: '🕘 Recent', items: workflows.filter(workflow => workflow.status !== 'running') },
+  ];
+
+  for (const { heading, items } of groups) {
+    if (items.length === 0) continue;
+    blocks.push({ type: 'divider' });
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*${heading}*` } });
+
+    for (const workflow of items) {
+      const ticket = workflow.issueKey ? `*<${workflow.issueUrl}|${workflow.issueKey}>*` : (workflow.dryRun ? '_dry run_' : '_no ticket_');
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: truncate(`${ticket}  ${truncate(workflow.issueDescription, 150)}\n${buildWorkflowSummaryLine(workflow)}`),
+        },
+      });
+
+      const elements = [
+        {
+          type: 'button',
+          action_id: 'view_workflow_details',
+          text: { type: 'plain_text', text: 'Details', emoji: true },
+          value: workflow.id,
+        },
+      ];
+      if (workflow.status !== 'running' && workflow.relevantFiles) {
+        elements.push({
+          type: 'button',
+          action_id: 'rerun_rca',
+          text: { type: 'plain_text', text: '🔁 Re-run RCA', emoji: true },
+          value: workflow.id,
+        });
+      }
+      blocks.push({ type: 'actions', block_id: `home_actions:${workflow.id}`, elements });
+    }
+  }
+
+  return { type: 'home', blocks };
+}
+
+/**
+ * Build the workflow details modal opened from the App Home tab
+ */
+export function buildWorkflowDetailsModal(workflow) {
+  const context = [`Repository: ${workflow.githubRepo}`];
+  if (workflow.branch) context.push(`Branch: \`${workflow.branch}\``);
+  if (workflow.projectKey) context.push(`Project: ${workflow.projectKey}`);
+  context.push(`Channel: <#${workflow.channel}>`);
+  context.push(`Workflow: \`${workflow.id}\``);
+
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: truncate(`*${WORKFLOW_STATUS_TITLES[workflow.status] || WORKFLOW_STATUS_TITLES.running}*\n📋 ${workflow.issueDescription}`) },
+    },
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: context.join('  •  ') }],
+    },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `${buildStepLines(workflow, { withTimings: true })}\n\n⏱️ Total: ${elapsed(workflow)}` },
+    },
+  ];
+
+  if (workflow.duplicate) {
+    blocks.push(...buildDuplicateBlocks(workflow));
+  }
+
+  if (workflow.issueKey) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `🎫 Jira ticket: <${workflow.issueUrl}|${workflow.issueKey}>` },
+    });
+  }
+
+  if (workflow.rcaResult) {
+    const incompleteNote = workflow.rcaResult.incomplete ? ' ⚠️ _incomplete - iteration limit reached_' : '';
+    blocks.push({ type: 'divider' });
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: truncate(`*RCA summary*${incompleteNote}\n${workflow.rcaResult.summary}`) } });
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: truncate(`*Root cause*\n${workflow.rcaResult.rootCause}`) } });
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: truncate(`*Recommended fix*\n${workflow.rcaResult.recommendedFix}`) } });
+  }
+
+  if (workflow.error) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: truncate(`⚠️ ${workflow.error}`) },
+    });
+  }
+
+  return {
+    type: 'modal',
+    title: { type: 'plain_text', text: 'RCA workflow' },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks,
+  };
+}
+
+export const TICKET_MODAL_CALLBACK_ID = 'rca_ticket_modal';
+
+export const JIRA_PRIORITIES = ['Highest', 'High', 'Medium', 'Low', 'Lowest'];
+
+/**
+ * Build a static_select option
+ */
+function selectOption(value) {
+  return { text: { type: 'plain_text', text: value }, value };
+}
+
+/**
+ * Build the "Create RCA ticket" modal while the draft is being generated
+ */
+export function buildTicketDraftLoadingModal() {
+  return {
+    type: 'modal',
+    callback_id: TICKET_MODAL_CALLBACK_ID,
+    title: { type: 'plain_text', text: 'Create RCA ticket' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: '⏳ Drafting the Jira ticket from the message...' },
+      },
+    ],
+  };
+}
+
+/**
+ * Build the "Create RCA ticket" modal prefilled with the ticket draft
+ * `metadata` is round-tripped through private_metadata to the view_submission payload
+ */
+export function buildTicketDraftModal({ draft, githubRepo, projectKey, issueType, issueTypes, priority, metadata }) {
+  const issueTypeOptions = [...new Set([...issueTypes, issueType].filter(Boolean))].map(selectOption);
+  const priorityElement = {
+    type: 'static_select',
+    action_id: 'value',
+    placeholder: { type: 'plain_text', text: 'Project default' },
+    options: JIRA_PRIORITIES.map(selectOption),
+  };
+  if (priority) {
+    priorityElement.initial_option = selectOption(priority);
+  }
+
+  return {
+    type: 'modal',
+    callback_id: TICKET_MODAL_CALLBACK_ID,
+    private_metadata: JSON.stringify(metadata),
+    title: { type: 'plain_text', text: 'Create RCA ticket' },
+    submit: { type: 'plain_text', text: 'Create ticket' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'title',
+        label: { type: 'plain_text', text: 'Title' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          max_length: 255,
+          initial_value: draft.title,
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'summary',
+        label: { type: 'plain_text', text: 'Summary' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          multiline: true,
+          initial_value: draft.summary,
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'acceptance_criteria',
+        label: { type: 'plain_text', text: 'Acceptance criteria' },
+        optional: true,
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          multiline: true,
+          initial_value: draft.acceptanceCriteria || '',
+        },
+      },
+      { type: 'divider' },
+      {
+        type: 'input',
+        block_id: 'repo',
+        label: { type: 'plain_text', text: 'GitHub repository' },
+        hint: { type: 'plain_text', text: 'owner/repo or https://github.com/owner/repo' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          initial_value: githubRepo || '',
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'project',
+        label: { type: 'plain_text', text: 'Jira project key' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          initial_value: projectKey || '',
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'issue_type',
+        label: { type: 'plain_text', text: 'Issue type' },
+        element: {
+          type: 'static_select',
+          action_id: 'value',
+          options: issueTypeOptions,
+          initial_option: selectOption(issueType),
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'priority',
+        label: { type: 'plain_text', text: 'Priority' },
+        optional: true,
+        element: priorityElement,
+      },
+    ],
+  };
+}
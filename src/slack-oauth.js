@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import { WebClient } from '@slack/web-api';
+import { saveInstallation } from './installation-store.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Slack OAuth v2 install flow for multi-workspace installs
+ *
+ * GET /slack/install redirects to Slack's consent screen; GET /slack/oauth_redirect exchanges
+ * the code for a bot token and stores it per team_id in the installation store.
+ * The state is also set as a cookie, so only the browser that started the install can finish it.
+ * Org-wide (Enterprise Grid) installs have no team_id and are refused.
+ */
+
+const SLACK_CLIENT_ID = process.env.SLACK_CLIENT_ID;
+const SLACK_CLIENT_SECRET = process.env.SLACK_CLIENT_SECRET;
+const SLACK_OAUTH_REDIRECT_URL = process.env.SLACK_OAUTH_REDIRECT_URL;
+const SLACK_BOT_SCOPES = process.env.SLACK_BOT_SCOPES
+  || 'app_mentions:read,chat:write,channels:history,groups:history,users:read,users:read.email,reactions:read,commands,files:read';
+// The state parameter is only valid for this long (seconds)
+const OAUTH_STATE_TTL_SECONDS = 600;
+const STATE_COOKIE = 'slack_oauth_state';
+
+// Messages for the error codes Slack puts on the redirect - the code itself is never echoed back
+const INSTALL_ERROR_MESSAGES = {
+  access_denied: 'the install was cancelled in Slack',
+  invalid_scope: 'the app requested a scope Slack does not recognize (check SLACK_BOT_SCOPES)',
+  invalid_team_for_non_distributed_app: 'the app is not distributed to other workspaces',
+};
+
+const log = createLogger('slack-oauth');
+
+/**
+ * Sign an OAuth state value so the redirect can be verified without server-side storage
+ */
+function signState(value) {
+  return crypto.createHmac('sha256', SLACK_CLIENT_SECRET).update(value).digest('hex');
+}
+
+/**
+ * Create a state parameter: `<timestamp>.<nonce>.<signature>`
+ */
+function createState() {
+  const value = `${Math.floor(Date.now() / 1000)}.${crypto.randomBytes(16).toString('hex')}`;
+  return `${value}.${signState(value)}`;
+}
+
+/**
+ * Verify a state parameter's signature and age
+ */
+function isValidState(state) {
+  const [timestamp, nonce, signature] = String(state || '').split('.');
+  if (!timestamp || !nonce || !signature) {
+    return false;
+  }
+
+  const expected = signState(`${timestamp}.${nonce}`);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return false;
+  }
+
+  return Math.floor(Date.now() / 1000) - parseInt(timestamp, 10) <= OAUTH_STATE_TTL_SECONDS;
+}
+
+/**
+ * The state cookie set by installHandler, or null
+ */
+function getStateCookie(req) {
+  const cookie = String(req.headers?.cookie || '').split(';')
+    .map(part => part.trim().split('='))
+    .find(([name]) => name === STATE_COOKIE);
+  return cookie ? decodeURIComponent(cookie.slice(1).join('=')) : null;
+}
+
+/**
+ * Whether the redirect's state is the one given to this browser (constant-time)
+ */
+function matchesStateCookie(req, state) {
+  const cookie = getStateCookie(req);
+  return !!cookie && cookie.length === String(state).length && crypto.timingSafeEqual(Buffer.from(cookie), Buffer.from(String(state)));
+}
+
+/**
+ * Cookie options for the state: sent back on Slack's top-level redirect, not readable by scripts
+ */
+function stateCookieOptions(req) {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure || String(SLACK_OAUTH_REDIRECT_URL || '').startsWith('https:'),
+    path: '/slack',
+  };
+}
+
+/**
+ * Check that the OAuth app credentials are configured
+ */
+function isOAuthConfigured(res) {
+  if (SLACK_CLIENT_ID && SLACK_CLIENT_SECRET) {
+    return true;
+  }
+  res.status(501).send('Slack OAuth is not configured (set SLACK_CLIENT_ID and SLACK_CLIENT_SECRET)');
+  return false;
+}
+
+/**
+ * Redirect to Slack's OAuth v2 consent screen
+ */
+export function installHandler(req, res) {
+  if (!isOAuthConfigured(res)) return;
+
+  const state = createState();
+  const params = new URLSearchParams({
+    client_id: SLACK_CLIENT_ID,
+    scope: SLACK_BOT_SCOPES,
+    state,
+  });
+  if (SLACK_OAUTH_REDIRECT_URL) {
+    params.set('redirect_uri', SLACK_OAUTH_REDIRECT_URL);
+  }
+
+  res.cookie(STATE_COOKIE, state, { ...stateCookieOptions(req), maxAge: OAUTH_STATE_TTL_SECONDS * 1000 });
+  return res.redirect(`https://slack.com/oauth/v2/authorize?${params.toString()}`);
+}
+
+/**
+ * Handle the OAuth v2 redirect: exchange the code for a bot token and store it for the team
+ */
+export async function oauthRedirectHandler(req, res) {
+  if (!isOAuthConfigured(res)) return;
+
+  try {
+    // The query string is attacker-controlled: reply in plain text and never reflect it
+    res.type('text/plain');
+
+    if (req.query.error) {
+      log.warn('Slack install cancelled', { reason: String(req.query.error) });
+      const reason = Object.hasOwn(INSTALL_ERROR_MESSAGES, req.query.error) ? INSTALL_ERROR_MESSAGES[req.query.error] : 'Slack returned an error';
+      return res.status(400).send(`Slack install was not completed: ${reason}`);
+    }
+
+    if (!isValidState(req.query.state)) {
+      log.error('Slack OAuth redirect with an invalid or expired state');
+      return res.status(400).send('Invalid or expired install link - start again from /slack/install');
+    }
+    // A valid state from another browser (a forwarded or planted install link) is refused too
+    if (!matchesStateCookie(req, req.query.state)) {
+      log.error('Slack OAuth redirect without the state cookie of this browser');
+      return res.status(400).send('Install link was started in another browser - start again from /slack/install');
+    }
+    res.clearCookie(STATE_COOKIE, stateCookieOptions(req));
+
+    const response = await new WebClient().oauth.v2.access({
+      client_id: SLACK_CLIENT_ID,
+      client_secret: SLACK_CLIENT_SECRET,
+      code: req.query.code,
+      ...(SLACK_OAUTH_REDIRECT_URL ? { redirect_uri: SLACK_OAUTH_REDIRECT_URL } : {}),
+    });
+
+    // Installations are kept per workspace; an org-wide install has no workspace to keep it under
+    if (!response.team?.id) {
+      log.warn('Org-wide Slack install refused', { enterpriseId: response.enterprise?.id || null });
+      await new WebClient(response.access_token).auth.revoke().catch((error) => {
+        log.warn('Failed to revoke the org-wide install token (non-blocking)', { error: error.message });
+      });
+      return res.status(400).send('Org-wide installs are not supported - install the app in each workspace instead');
+    }
+
+    const installation = await saveInstallation({
+      teamId: response.team.id,
+      teamName: response.team?.name || null,
+      enterpriseId: response.enterprise?.id || null,
+      appId: response.app_id,
+      botToken: response.access_token,
+      botUserId: response.bot_user_id,
+      scope: response.scope,
+      installedBy: response.authed_user?.id || null,
+      installedAt: new Date().toISOString(),
+    });
+
+    log.info('Slack app installed', { teamId: installation.teamId, teamName: installation.teamName, installedBy: installation.installedBy });
+    return res.status(200).send(`Installed in ${installation.teamName || installation.teamId}. You can close this window and mention the bot in Slack.`);
+  } catch (error) {
+    log.error('Slack OAuth failed', { error: error.message });
+    return res.status(500).send('Slack install failed - check the server logs');
+  }
+}
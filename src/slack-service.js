@@ -0,0 +1,239 @@
+import { WebClient } from '@slack/web-api';
+import { getInstallation } from './installation-store.js';
+import { createLogger } from './logger.js';
+import { trackRequest } from './metrics.js';
+
+// Single-workspace token, used for teams without an OAuth installation
+const SLACK_BOT_TOKEN = process.env.SLACK_BOT_TOKEN;
+
+// Character budget for the thread transcript passed to Jira and the RCA prompt
+const THREAD_CONTEXT_MAX_CHARS = parseInt(process.env.SLACK_THREAD_CONTEXT_MAX_CHARS || '8000', 10);
+
+const log = createLogger('slack');
+
+const clientCache = new Map();
+const slackUserCache = new Map();
+const botIdentities = new Map();
+
+/**
+ * Get the bot token for a workspace: its OAuth installation, else SLACK_BOT_TOKEN
+ */
+export function getSlackBotToken(teamId) {
+  const token = getInstallation(teamId)?.botToken || SLACK_BOT_TOKEN;
+  if (!token) {
+    throw new Error(`No Slack installation for team ${teamId || 'unknown'} and SLACK_BOT_TOKEN is not set`);
+  }
+  return token;
+}
+
+/**
+ * WebClient whose Web API calls are timed and counted in the metrics
+ * Every method (chat.postMessage, views.publish, ...) goes through apiCall
+ */
+class TrackedWebClient extends WebClient {
+  apiCall(method, options) {
+    return trackRequest('slack', method, () => super.apiCall(method, options));
+  }
+}
+
+/**
+ * Get a WebClient authorized for the workspace an event came from (cached per token)
+ */
+export function getSlackClient(teamId) {
+  const token = getSlackBotToken(teamId);
+  if (!clientCache.has(token)) {
+    clientCache.set(token, new TrackedWebClient(token));
+  }
+  return clientCache.get(token);
+}
+
+/**
+ * Get the bot's own user id and bot id in a workspace (cached after the first auth.test call)
+ */
+export async function getBotIdentity(teamId) {
+  const key = teamId || 'default';
+  if (!botIdentities.has(key)) {
+    const auth = await getSlackClient(teamId).auth.test();
+    botIdentities.set(key, { userId: auth.user_id, botId: auth.bot_id });
+  }
+  return botIdentities.get(key);
+}
+
+/**
+ * Look up a Slack user with users.info (cached per workspace, null when the lookup fails)
+ */
+async function getSlackUser(userId, teamId) {
+  const cacheKey = `${teamId || 'default'}:${userId}`;
+  if (!slackUserCache.has(cacheKey)) {
+    let user = null;
+    try {
+      const response = await getSlackClient(teamId).users.info({ user: userId });
+      user = response.user || null;
+    } catch (error) {
+      log.warn('Failed to resolve Slack user', { userId, error: error.message });
+    }
+    slackUserCache.set(cacheKey, user);
+  }
+  return slackUserCache.get(cacheKey);
+}
+
+/**
+ * Resolve a Slack user id to a display name (cached, falls back to the id)
+ */
+export async function resolveUserName(userId, teamId) {
+  if (!userId) return 'unknown';
+  const user = await getSlackUser(userId, teamId);
+  return user?.profile?.display_name || user?.real_name || user?.name || userId;
+}
+
+/**
+ * Resolve a Slack user id to their email address (needs the users:read.email scope), or null
+ */
+export async function resolveUserEmail(userId, teamId) {
+  if (!userId) return null;
+  const user = await getSlackUser(userId, teamId);
+  return user?.is_bot ? null : user?.profile?.email || null;
+}
+
+/**
+ * Get the users @mentioned in Slack message texts (`<@U123>`), without duplicates or excluded ids
+ */
+export function getMentionedUsers(texts, excludeUserIds = []) {
+  const userIds = new Set();
+  for (const text of texts) {
+    for (const [, userId] of (text || '').matchAll(/<@([A-Z0-9]+)(?:\|[^>]*)?>/g)) {
+      if (!excludeUserIds.includes(userId)) userIds.add(userId);
+    }
+  }
+  return [...userIds];
+}
+
+/**
+ * Fetch a single message by channel and timestamp (top-level messages and thread replies)
+ */
+export async function fetchMessage(channel, ts, teamId) {
+  const slackClient = getSlackClient(teamId);
+  const history = await slackClient.conversations.history({
+    channel,
+    latest: ts,
+    inclusive: true,
+    limit: 1,
+  });
+  const message = history.messages?.find(msg => msg.ts === ts);
+  if (message) {
+    return message;
+  }
+
+  // Thread replies are not returned by conversations.history
+  const replies = await slackClient.conversations.replies({
+    channel,
+    ts,
+    latest: ts,
+    inclusive: true,
+  });
+  return replies.messages?.find(msg => msg.ts === ts) || null;
+}
+
+/**
+ * Fetch every message of a thread, following pagination cursors
+ */
+async function fetchThreadMessages(channel, threadTs, teamId) {
+  const slackClient = getSlackClient(teamId);
+  const messages = [];
+  let cursor;
+
+  do {
+    const response = await slackClient.conversations.replies({
+      channel,
+      ts: threadTs,
+      limit: 200,
+      cursor,
+    });
+    messages.push(...(response.messages || []));
+    cursor = response.response_metadata?.next_cursor;
+  } while (cursor);
+
+  return messages;
+}
+
+/**
+ * Render thread messages as a transcript that fits the character budget
+ * Keeps the parent message and the most recent replies, dropping the oldest replies first
+ */
+function buildTranscript(lines, maxChars) {
+  const fullTranscript = lines.join('\n');
+  if (fullTranscript.length <= maxChars || lines.length === 0) {
+    return fullTranscript.substring(0, maxChars);
+  }
+
+  const [parentLine, ...replyLines] = lines;
+  const head = parentLine.substring(0, Math.floor(maxChars / 2));
+  const kept = [];
+  let used = head.length;
+
+  for (let i = replyLines.length - 1; i >= 0; i--) {
+    // Reserve room for the omission note
+    if (used + replyLines[i].length + 1 > maxChars - 60) break;
+    kept.unshift(replyLines[i]);
+    used += replyLines[i].length + 1;
+  }
+
+  const omitted = replyLines.length - kept.length;
+  const note = omitted > 0 ? [`[... ${omitted} earlier ${omitted === 1 ? 'reply' : 'replies'} omitted ...]`] : [];
+  return [head, ...note, ...kept].join('\n');
+}
+
+/**
+ * Collect the Slack thread an event belongs to as issue context
+ * Skips the bot's own messages, resolves authors to display names and gathers files from every message
+ * `evt.team` selects the workspace token
+ * Returns { parentMessage, transcript, files, mentionedUsers, messageCount } or null when the message is not in a thread
+ */
+export async function getThreadContext(evt, maxChars = THREAD_CONTEXT_MAX_CHARS) {
+  if (!evt.thread_ts) {
+    return null;
+  }
+
+  log.info('Message is part of a thread, collecting thread context', { threadTs: evt.thread_ts });
+
+  try {
+    const [messages, bot] = await Promise.all([
+      fetchThreadMessages(evt.channel, evt.thread_ts, evt.team),
+      getBotIdentity(evt.team),
+    ]);
+
+    const humanMessages = messages.filter(msg =>
+      msg.user !== bot.userId && (!msg.bot_id || msg.bot_id !== bot.botId)
+    );
+    if (humanMessages.length === 0) {
+      return null;
+    }
+
+    const lines = [];
+    const files = [];
+    for (const msg of humanMessages) {
+      const author = msg.user ? await resolveUserName(msg.user, evt.team) : (msg.username || 'bot');
+      // Bot mentions carry no context - other mentions are kept so people can be identified
+      const text = (msg.text || '').replace(new RegExp(`<@${bot.userId}>`, 'g'), '').trim();
+      const fileNames = (msg.files || []).map(file => file.name);
+      const fileNote = fileNames.length > 0 ? ` [files: ${fileNames.join(', ')}]` : '';
+      lines.push(`${author}: ${text}${fileNote}`);
+      files.push(...(msg.files || []));
+    }
+
+    const transcript = buildTranscript(lines, maxChars);
+    log.info('Thread context collected', { messages: humanMessages.length, totalMessages: messages.length, files: files.length, chars: transcript.length });
+    log.debug('Thread transcript', { transcript });
+
+    return {
+      parentMessage: humanMessages[0],
+      transcript,
+      files,
+      mentionedUsers: getMentionedUsers(humanMessages.map(msg => msg.text), [bot.userId]),
+      messageCount: humanMessages.length,
+    };
+  } catch (error) {
+    log.error('Failed to collect thread context', { error: error.message });
+    return null;
+  }
+}
@@ -0,0 +1,67 @@
+import { SocketModeClient } from '@slack/socket-mode';
+import { dispatchEvent, dispatchSlashCommand, dispatchInteraction } from './event-dispatcher.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Socket Mode transport for Slack
+ *
+ * Receives events, slash commands and interactions over a WebSocket opened by the app,
+ * so no public endpoint is needed. Each envelope is handed to the same dispatcher as
+ * the HTTP webhook and acknowledged with the dispatcher's response.
+ * Enabled with SLACK_SOCKET_MODE=true and an app-level token in SLACK_APP_TOKEN.
+ */
+
+const log = createLogger('socket-mode');
+
+/**
+ * Dispatchers by envelope type - `envelope.body` is the same payload the HTTP endpoints receive
+ */
+const envelopeDispatchers = {
+  events_api: (envelope) => dispatchEvent(envelope.body, {
+    retryNum: envelope.retry_num,
+    retryReason: envelope.retry_reason,
+  }),
+  slash_commands: (envelope) => dispatchSlashCommand(envelope.body),
+  interactive: (envelope) => dispatchInteraction(envelope.body),
+};
+
+/**
+ * Connect to Slack in Socket Mode and start dispatching envelopes
+ * `clientOptions` are passed to the underlying WebClient (e.g. slackApiUrl)
+ */
+export async function startSocketMode({ appToken = process.env.SLACK_APP_TOKEN, clientOptions = {} } = {}) {
+  if (!appToken) {
+    throw new Error('SLACK_APP_TOKEN is required when SLACK_SOCKET_MODE is enabled');
+  }
+
+  const client = new SocketModeClient({ appToken, clientOptions });
+
+  client.on('slack_event', async (envelope) => {
+    const dispatcher = envelopeDispatchers[envelope.type];
+    if (!dispatcher) {
+      log.info('Ignoring unsupported Socket Mode envelope', { type: envelope.type });
+      await envelope.ack();
+      return;
+    }
+
+    try {
+      const response = await dispatcher(envelope);
+      // Only slash commands and some interactions (e.g. view_submission errors) accept a response payload
+      await envelope.ack(envelope.accepts_response_payload && response ? response : undefined);
+    } catch (error) {
+      // Not acknowledging lets Slack retry the envelope, like a 500 on the HTTP endpoints
+      log.error('Socket Mode handler error', { type: envelope.type, error });
+    }
+  });
+
+  client.on('connected', () => {
+    log.info('Socket Mode connected');
+  });
+
+  client.on('reconnecting', () => {
+    log.warn('Socket Mode connection lost - reconnecting');
+  });
+
+  await client.start();
+  return client;
+}
@@ -0,0 +1,255 @@
+/**
+ * Stack trace detection for Ruby/Rails, JS/Node, Python, Java and Go
+ *
+ * Pulls exception classes, messages and `file:line` frames out of pasted text so the file
+ * search can start from the exact files in the trace instead of keywords.
+ */
+
+const MAX_TRACES = 5;
+const MAX_FRAMES_PER_TRACE = 30;
+
+// Frame formats, checked in order (Java before JS - both start with "at")
+const FRAME_PATTERNS = [
+  {
+    // at com.acme.orders.OrderService.place(OrderService.java:42)
+    language: 'java',
+    regex: /^\s*at\s+(?:[\w.$-]+\/)?([\w$.<>]+)\(([\w$]+\.(?:java|kt|scala|groovy)):(\d+)\)/,
+    toFrame: ([, method, file, line]) => {
+      // Rebuild the source path from the package: com.acme.orders.OrderService.place -> com/acme/orders/OrderService.java
+      const packagePath = method.split('.').slice(0, -2).join('/');
+      return { file: packagePath ? `${packagePath}/${file}` : file, line, function: method.split('.').pop() };
+    },
+  },
+  {
+    // at Object.handler (/app/src/routes/users.js:42:13)  |  at /app/src/index.js:10:5
+    language: 'javascript',
+    regex: /^\s*at\s+(?:(?:async\s+)?(.+?)\s+\()?((?:[A-Za-z]:)?[^\s():]+\.(?:js|mjs|cjs|jsx|ts|tsx|vue)):(\d+)(?::\d+)?\)?\s*$/,
+    toFrame: ([, fn, file, line]) => ({ file, line, function: fn || null }),
+  },
+  {
+    // File "/app/orders/views.py", line 42, in create
+    language: 'python',
+    regex: /^\s*File "([^"]+)", line (\d+)(?:, in (.+))?/,
+    toFrame: ([, file, line, fn]) => ({ file, line, function: fn || null }),
+  },
+  {
+    // app/models/user.rb:42:in 'save'  |  from /app/lib/billing.rb:10:in `block in charge'
+    language: 'ruby',
+    regex: /^\s*(?:from\s+)?([^\s:]+\.(?:rb|rake|erb|haml|slim)):(\d+)(?::in\s+[`'](.+?)')?/,
+    toFrame: ([, file, line, fn]) => ({ file, line, function: fn || null }),
+  },
+  {
+    // \t/home/app/server/handler.go:42 +0x1d (the function is on the line before)
+    language: 'go',
+    regex: /^\s*((?:[A-Za-z]:)?[^\s:]+\.go):(\d+)(?:\s+\+0x[0-9a-f]+)?\s*$/,
+    toFrame: ([, file, line], previousLine) => ({
+      file,
+      line,
+      function: previousLine?.trim().replace(/\([^()]*\)$/, '') || null,
+    }),
+  },
+];
+
+// Exception lines: "TypeError: msg", "java.lang.IllegalStateException: msg", "Caused by: ...",
+// "Exception in thread "main" ...", "ActiveRecord::RecordNotFound (msg):", and Node's bare "Error: msg"
+const EXCEPTION_PATTERN = /^\s*(?:Exception in thread "[^"]*"\s+|Caused by:\s+|Uncaught\s+)?((?:[A-Za-z_$][\w$]*(?:\.|::))*(?:[A-Z][\w$]*(?:Error|Exception|Fault|Failure|Invalid|NotFound|Denied|Timeout)|Error|Exception))(?::\s*(.*?)|\s+\((.*)\):?)?\s*$/;
+// Go: "panic: runtime error: invalid memory address or nil pointer dereference"
+const GO_PANIC_PATTERN = /^\s*panic:\s*(.+?)\s*$/;
+// Ruby's first backtrace line carries the message: "app/models/user.rb:42:in 'save': undefined method 'x' for nil (NoMethodError)"
+const RUBY_INLINE_EXCEPTION_PATTERN = /:in\s+[`'].+?':\s*(.+)\s+\(([A-Z][\w:]*)\)\s*$/;
+const PYTHON_TRACEBACK_START = /^\s*Traceback \(most recent call last\):/;
+
+// Frames from these locations are never code in the repository
+const LIBRARY_PATH_PATTERN = /(^|\/)(node_modules|site-packages|dist-packages|gems|vendor\/bundle|\.rbenv|\.rvm|\.pyenv|go\/pkg\/mod|usr\/(local\/)?lib)\/|^node:|^internal\/|^<|^\(|^(java|javax|jdk|sun|kotlin|scala)\//;
+
+/**
+ * Undo Slack's escaping and code fences so pasted traces parse line by line
+ */
+function normalizeText(text) {
+  return text
+    .replace(/```/g, '\n')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Match one line against the frame formats
+ */
+function parseFrame(line, previousLine) {
+  for (const { language, regex, toFrame } of FRAME_PATTERNS) {
+    const match = line.match(regex);
+    if (match) {
+      const frame = toFrame(match, previousLine);
+      return { language, frame: { ...frame, line: parseInt(frame.line, 10), library: LIBRARY_PATH_PATTERN.test(frame.file) } };
+    }
+  }
+  return null;
+}
+
+/**
+ * Match one line against the exception formats
+ * Returns { exception, message } or null
+ */
+function parseException(line) {
+  const panic = line.match(GO_PANIC_PATTERN);
+  if (panic) {
+    return { exception: 'panic', message: panic[1], language: 'go' };
+  }
+  const match = line.match(EXCEPTION_PATTERN);
+  if (match) {
+    return { exception: match[1], message: (match[2] ?? match[3] ?? '').trim() || null };
+  }
+  return null;
+}
+
+/**
+ * Find the stack traces in a block of text, or in several (a trace never spans two texts)
+ * Returns [{ language, exception, message, frames: [{ file, line, function, library }] }]
+ */
+export function parseStackTraces(texts) {
+  const traces = [];
+  let current = null;
+  const startTrace = (fields = {}) => {
+    current = { language: null, exception: null, message: null, frames: [], ...fields };
+    traces.push(current);
+    return current;
+  };
+
+  const lines = [].concat(texts)
+    .filter(Boolean)
+    .flatMap(text => [...normalizeText(text).split('\n'), null]);
+  lines.forEach((line, index) => {
+    if (line === null) {
+      current = null;
+      return;
+    }
+
+    if (PYTHON_TRACEBACK_START.test(line)) {
+      startTrace({ language: 'python' });
+      return;
+    }
+
+    const parsedFrame = parseFrame(line, lines[index - 1]);
+    if (parsedFrame) {
+      // A frame in another language, or after a finished Python traceback, belongs to a new trace
+      const continues = current
+        && (!current.language || current.language === parsedFrame.language)
+        && !(current.language === 'python' && current.exception);
+      const trace = continues ? current : startTrace();
+      trace.language = trace.language || parsedFrame.language;
+      if (trace.frames.length < MAX_FRAMES_PER_TRACE) {
+        trace.frames.push(parsedFrame.frame);
+      }
+
+      const inline = parsedFrame.language === 'ruby' && line.match(RUBY_INLINE_EXCEPTION_PATTERN);
+      if (inline && !trace.exception) {
+        trace.exception = inline[2];
+        trace.message = inline[1];
+      }
+      return;
+    }
+
+    const parsedException = parseException(line);
+    if (parsedException) {
+      // Python prints the exception after its frames; everything else prints it first
+      if (current && current.language === 'python' && !current.exception && current.frames.length > 0) {
+        current.exception = parsedException.exception;
+        current.message = parsedException.message;
+      } else {
+        startTrace({ language: parsedException.language || null, exception: parsedException.exception, message: parsedException.message });
+      }
+    }
+  });
+
+  // Drop exception lines that had no frames, and traces pasted more than once
+  const seen = new Set();
+  return traces
+    .filter(trace => trace.frames.length > 0)
+    .filter(trace => {
+      const key = `${trace.exception}|${trace.frames.map(frame => `${frame.file}:${frame.line}`).join(',')}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_TRACES);
+}
+
+/**
+ * Map frame files to paths in the repository checkout by the longest matching path suffix
+ * (traces carry absolute paths from wherever the code ran, e.g. /app/src/x.js or /home/deploy/releases/42/app/x.rb)
+ * Sets `path` on each frame that matches a file in `repoFiles` (paths relative to the repo root)
+ */
+export function mapFramesToRepo(traces, repoFiles) {
+  const filesByName = new Map();
+  for (const file of repoFiles) {
+    const name = file.split('/').pop();
+    if (!filesByName.has(name)) filesByName.set(name, []);
+    filesByName.get(name).push(file);
+  }
+
+  for (const trace of traces) {
+    for (const frame of trace.frames) {
+      frame.path = null;
+      if (frame.library) continue;
+
+      const segments = frame.file.replace(/\\/g, '/').split('/').filter(segment => segment && segment !== '.');
+      const candidates = filesByName.get(segments[segments.length - 1]) || [];
+      let best = null;
+      let bestScore = 0;
+      for (const candidate of candidates) {
+        const candidateSegments = candidate.split('/');
+        let score = 0;
+        while (
+          score < segments.length
+          && score < candidateSegments.length
+          && segments[segments.length - 1 - score] === candidateSegments[candidateSegments.length - 1 - score]
+        ) {
+          score++;
+        }
+        if (score > bestScore) {
+          best = candidate;
+          bestScore = score;
+        }
+      }
+      // A bare file name only counts when it is unique in the repo or the file sits at the repo root
+      if (best && (bestScore > 1 || candidates.length === 1 || !best.includes('/'))) {
+        frame.path = best;
+      }
+    }
+  }
+  return traces;
+}
+
+/**
+ * Repository files referenced by the traces, in trace order, with the lines each frame points at
+ * Returns [{ path, lines }]
+ */
+export function getFrameFiles(traces) {
+  const files = new Map();
+  for (const trace of traces) {
+    for (const frame of trace.frames) {
+      if (!frame.path) continue;
+      if (!files.has(frame.path)) files.set(frame.path, []);
+      if (!files.get(frame.path).includes(frame.line)) files.get(frame.path).push(frame.line);
+    }
+  }
+  return Array.from(files, ([path, lines]) => ({ path, lines }));
+}
+
+/**
+ * Format traces as plain text for the RCA prompt and the Jira ticket
+ * Frames found in the repository show their repo path; library frames are marked
+ */
+export function formatStackTraces(traces) {
+  return traces.map(trace => {
+    const heading = trace.exception
+      ? `${trace.exception}${trace.message ? `: ${trace.message}` : ''}`
+      : 'Stack trace';
+    const frames = trace.frames.map(frame => {
+      const location = frame.path ? `${frame.path}:${frame.line}` : `${frame.file}:${frame.line} (${frame.library ? 'library' : 'not in repo'})`;
+      return `  at ${location}${frame.function ? ` in ${frame.function}` : ''}`;
+    });
+    return [`${heading} [${trace.language}]`, ...frames].join('\n');
+  }).join('\n\n');
+}
@@ -1,5 +1,7 @@
 import OpenAI from 'openai';
 import { readFile, executeCommand, listDirectory, getRepoPath } from './github-service.js';
+import { createLogger, setLogContext } from './logger.js';
+import { recordAgentRun, agentToolCalls, trackRequest } from './metrics.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -7,9 +9,10 @@ const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
 });
 
-const REPO_PATH = getRepoPath();
 const MAX_ITERATIONS = 20;
 
+const log = createLogger('test-cases');
+
 /**
  * Tool definitions for the AI agent
  */
@@ -137,18 +140,19 @@ const tools = [
 ];
 
 /**
- * Execute tool calls from AI agent
+ * Execute tool calls from AI agent (`signal` aborts exec, `repoPath` is the checkout the file tools read)
  */
-async function executeToolCall(toolCall, workflowId) {
+async function executeToolCall(toolCall, { signal = null, repoPath } = {}) {
   const { name, arguments: args } = toolCall.function;
   const parsedArgs = JSON.parse(args);
   
-  console.log(`   [${workflowId}] 🔧 Tool: ${name}(${JSON.stringify(parsedArgs)})`);
+  log.info('Tool call', { tool: name, args: parsedArgs });
+  agentToolCalls.inc({ agent: 'test_cases', tool: name });
   
   try {
     switch (name) {
       case 'read_file':
-        const content = await readFile(parsedArgs.file_path, workflowId);
+        const content = await readFile(parsedArgs.file_path, repoPath);
         return {
           tool_call_id: toolCall.id,
           role: 'tool',
@@ -157,7 +161,7 @@ async function executeToolCall(toolCall, workflowId) {
         };
         
       case 'exec':
-        const result = await executeCommand(parsedArgs.command, workflowId, 10000);
+        const result = await executeCommand(parsedArgs.command, 10000, signal, repoPath);
         return {
           tool_call_id: toolCall.id,
           role: 'tool',
@@ -170,7 +174,7 @@ async function executeToolCall(toolCall, workflowId) {
         };
         
       case 'list_directory':
-        const items = await listDirectory(parsedArgs.dir_path, workflowId);
+        const items = await listDirectory(parsedArgs.dir_path, repoPath);
         return {
           tool_call_id: toolCall.id,
           role: 'tool',
@@ -194,7 +198,7 @@ async function executeToolCall(toolCall, workflowId) {
         throw new Error(`Unknown tool: ${name}`);
     }
   } catch (error) {
-    console.error(`   [${workflowId}] Tool execution error: ${error.message}`);
+    log.error('Tool call failed', { tool: name, error: error.message });
     return {
       tool_call_id: toolCall.id,
       role: 'tool',
@@ -205,27 +209,28 @@ async function executeToolCall(toolCall, workflowId) {
 }
 
 /**
- * Generate test cases based on RCA analysis and relevant files
+ * Generate test cases based on RCA analysis and relevant files (`rcaResult` may be null)
+ * Aborting `signal` (workflow cancellation) stops between iterations and aborts the in-flight OpenAI request and commands
+ * `onUsage(model, usage)` receives the token usage of each OpenAI response (usage-tracker)
+ * `repoPath` is the checkout the agent reads (defaults to the build-time clone)
  */
-export async function generateTestCases({ rcaResult, relevantFiles, githubRepo, issueDescription }, workflowId = 'unknown') {
+export async function generateTestCases({ rcaResult, relevantFiles, githubRepo, repoPath = getRepoPath(), issueDescription }, { signal = null, onUsage = null } = {}) {
   if (!process.env.OPENAI_API_KEY) {
     throw new Error('OPENAI_API_KEY not configured');
   }
   
-  console.log(`   [${workflowId}] Starting test case generation...`);
-  console.log(`   [${workflowId}] Issue: ${issueDescription}`);
-  console.log(`   [${workflowId}] Relevant files: ${relevantFiles.length}`);
-  console.log(`   [${workflowId}] Repository: ${REPO_PATH}`);
+  log.info('Starting test case generation', { relevantFiles: relevantFiles.length, repository: repoPath });
+  log.debug('Issue description', { issueDescription });
   
   const model = process.env.OPENAI_MODEL || 'gpt-4-turbo-preview';
   const isNewModel = model.includes('gpt-4o') || model.includes('gpt-5') || model.includes('o1');
   
-  // Build context from RCA results
-  const rcaContext = `
+  // Build context from RCA results (pipelines without the RCA step generate test cases from the report alone)
+  const rcaContext = rcaResult ? `
 Root Cause: ${rcaResult.rootCause}
 Recommended Fix: ${rcaResult.recommendedFix}
 Summary: ${rcaResult.summary}
-  `.trim();
+  `.trim() : 'No root cause analysis was run for this issue. Investigate the relevant files to work out the likely cause.';
   
   // Initial system message
   const systemMessage = `You are a senior QA engineer generating comprehensive test cases to validate a fix for a reported issue.
@@ -284,9 +289,11 @@ Work efficiently. Maximum ${MAX_ITERATIONS} iterations.`;
   
   while (iteration < MAX_ITERATIONS && !testCasesResult) {
     iteration++;
-    console.log(`   [${workflowId}] Iteration ${iteration}/${MAX_ITERATIONS}`);
+    setLogContext({ iteration });
+    log.debug('Iteration started', { maxIterations: MAX_ITERATIONS });
     
     try {
+      signal?.throwIfAborted();
       const completionParams = {
         model: model,
         messages: messages,
@@ -301,7 +308,8 @@ Work efficiently. Maximum ${MAX_ITERATIONS} iterations.`;
         completionParams.max_tokens = 4000;
       }
       
-      const response = await openai.chat.completions.create(completionParams);
+      const response = await trackRequest('openai', 'chat.completions', () => openai.chat.completions.create(completionParams, { signal }));
+      onUsage?.(response.model || model, response.usage);
       const assistantMessage = response.choices[0].message;
       
       messages.push(assistantMessage);
@@ -311,7 +319,7 @@ Work efficiently. Maximum ${MAX_ITERATIONS} iterations.`;
         const toolResults = [];
         
         for (const toolCall of assistantMessage.tool_calls) {
-          const toolResult = await executeToolCall(toolCall, workflowId);
+          const toolResult = await executeToolCall(toolCall, { signal, repoPath });
           toolResults.push(toolResult);
           
           // If finish tool was called, extract the result
@@ -331,7 +339,7 @@ Work efficiently. Maximum ${MAX_ITERATIONS} iterations.`;
       } else {
         // Agent provided text response (might be reasoning or final answer)
         if (assistantMessage.content) {
-          console.log(`   [${workflowId}] Agent message: ${assistantMessage.content.substring(0, 200)}...`);
+          log.debug('Agent message', { content: assistantMessage.content });
         }
         
         // If no tool calls and we have content, might be done
@@ -354,17 +362,26 @@ Work efficiently. Maximum ${MAX_ITERATIONS} iterations.`;
         }
       }
     } catch (error) {
-      console.error(`   [${workflowId}] Error in iteration ${iteration}:`, error.message);
-      throw new Error(`Test case generation failed: ${error.message}`);
+      if (signal?.aborted) {
+        log.info('Test case generation aborted');
+        recordAgentRun('test_cases', 'cancelled', iteration);
+        throw signal.reason;
+      }
+      log.error('Test case iteration failed', { error: error.message });
+      recordAgentRun('test_cases', 'failed', iteration);
+      throw new Error(`Test case generation failed: ${error.message}`, { cause: error });
     }
   }
   
+  setLogContext({ iteration: undefined });
+
   if (!testCasesResult) {
+    recordAgentRun('test_cases', 'incomplete', iteration);
     throw new Error(`Test case generation incomplete after ${MAX_ITERATIONS} iterations`);
   }
   
-  console.log(`   [${workflowId}] ✅ Test case generation completed in ${iteration} iterations`);
-  console.log(`   [${workflowId}] Generated ${testCasesResult.testCases.length} test cases`);
+  log.info('Test case generation completed', { iterations: iteration, testCases: testCasesResult.testCases.length });
+  recordAgentRun('test_cases', 'complete', iteration);
   return testCasesResult;
 }
 
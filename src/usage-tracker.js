@@ -0,0 +1,233 @@
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+/**
+ * LLM token and cost accounting
+ *
+ * The OpenAI calls of a workflow report their `response.usage` through an `onUsage(model, usage)`
+ * callback; the tokens are summed per step and per workflow and priced with the model price table.
+ * Prices are USD per million tokens, loaded from MODEL_PRICES_PATH on top of the built-in list:
+ *
+ * {
+ *   "models": {
+ *     "gpt-4o": { "input": 2.5, "output": 10 },
+ *     "my-azure-deployment": { "input": 1, "output": 4 }
+ *   }
+ * }
+ *
+ * A model is priced by the longest name it starts with (gpt-4o-2024-08-06 uses gpt-4o).
+ * LLM_BUDGET_TOKENS and LLM_BUDGET_USD stop a run once its usage passes them (0 = no limit).
+ */
+
+const MODEL_PRICES_PATH = process.env.MODEL_PRICES_PATH || path.join(process.cwd(), 'config', 'model-prices.json');
+const LLM_BUDGET_TOKENS = parseInt(process.env.LLM_BUDGET_TOKENS || '0', 10);
+const LLM_BUDGET_USD = parseFloat(process.env.LLM_BUDGET_USD || '0');
+
+const log = createLogger('usage');
+
+// List prices of the models the bot uses by default (USD per million tokens)
+const BUILT_IN_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+};
+
+let modelPrices = { ...BUILT_IN_PRICES };
+let watching = false;
+// Models already warned about, so an unpriced model is logged once
+const unpricedWarnings = new Set();
+
+/**
+ * Validate a parsed price table
+ * Throws with every problem found so a bad file is fixed in one pass
+ */
+function compileModelPrices(raw) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Model price table must be a JSON object');
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (key !== 'models') {
+      errors.push(`unknown top-level field "${key}"`);
+    }
+  }
+
+  const models = raw.models || {};
+  if (typeof models !== 'object' || Array.isArray(models)) {
+    errors.push('"models" must be an object of model names');
+  }
+
+  const compiled = {};
+  for (const [model, price] of Object.entries(Array.isArray(models) ? {} : models)) {
+    const label = `models.${model}`;
+    if (!price || typeof price !== 'object' || Array.isArray(price)) {
+      errors.push(`${label}: must be an object with "input" and "output"`);
+      continue;
+    }
+    for (const key of Object.keys(price)) {
+      if (!['input', 'output'].includes(key)) {
+        errors.push(`${label}: unknown field "${key}"`);
+      }
+    }
+    for (const key of ['input', 'output']) {
+      if (typeof price[key] !== 'number' || !Number.isFinite(price[key]) || price[key] < 0) {
+        errors.push(`${label}: "${key}" must be a price in USD per million tokens`);
+      }
+    }
+    compiled[model] = { input: price.input, output: price.output };
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid model price table:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return compiled;
+}
+
+/**
+ * Load and validate the price table file (a missing file means the built-in prices only)
+ */
+export function loadModelPrices(configPath = MODEL_PRICES_PATH) {
+  if (!fs.existsSync(configPath)) {
+    log.info('Model price table not found - using built-in prices', { path: configPath, models: Object.keys(BUILT_IN_PRICES).join(', ') });
+    modelPrices = { ...BUILT_IN_PRICES };
+    return modelPrices;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Model price table at ${configPath} could not be parsed: ${error.message}`);
+  }
+  const configured = compileModelPrices(raw);
+  modelPrices = { ...BUILT_IN_PRICES, ...configured };
+  unpricedWarnings.clear();
+  log.info('Model price table loaded', { path: configPath, models: Object.keys(configured).join(', ') || 'none' });
+  return modelPrices;
+}
+
+/**
+ * Reload the price table, keeping the previous one if the new file is invalid
+ */
+export function reloadModelPrices(configPath = MODEL_PRICES_PATH) {
+  try {
+    loadModelPrices(configPath);
+    return true;
+  } catch (error) {
+    log.error('Failed to reload model price table (keeping previous prices)', { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Reload the price table when the file changes or on SIGHUP
+ */
+export function watchModelPrices(configPath = MODEL_PRICES_PATH) {
+  if (watching) return;
+  watching = true;
+
+  fs.watchFile(configPath, { interval: 5000 }, (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs) {
+      log.info('Model price table changed on disk - reloading');
+      reloadModelPrices(configPath);
+    }
+  });
+
+  process.on('SIGHUP', () => {
+    log.info('SIGHUP received - reloading model price table');
+    reloadModelPrices(configPath);
+  });
+}
+
+/**
+ * Price of a model ({ input, output } per million tokens) by the longest matching name, or null
+ */
+export function getModelPrice(model) {
+  const name = Object.keys(modelPrices)
+    .filter(candidate => model === candidate || model.startsWith(`${candidate}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return name ? modelPrices[name] : null;
+}
+
+/**
+ * Empty token and cost counters
+ */
+function emptyCounts() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 };
+}
+
+/**
+ * New usage record of a workflow: totals, per-step counters, and the totals when the current run started
+ * `unpricedModels` lists models missing from the price table - their tokens are counted but cost nothing
+ */
+export function createUsage() {
+  return { total: emptyCounts(), steps: {}, runStart: emptyCounts(), unpricedModels: [] };
+}
+
+/**
+ * Add one OpenAI response's usage ({ prompt_tokens, completion_tokens }) to a step and the workflow totals
+ */
+export function addUsage(usage, stepName, model, { prompt_tokens: promptTokens = 0, completion_tokens: completionTokens = 0 } = {}) {
+  const price = getModelPrice(model);
+  if (!price && !usage.unpricedModels.includes(model)) {
+    usage.unpricedModels.push(model);
+    if (!unpricedWarnings.has(model)) {
+      unpricedWarnings.add(model);
+      log.warn('Model is not in the price table - its tokens are counted without cost', { model });
+    }
+  }
+  const costUsd = price ? (promptTokens * price.input + completionTokens * price.output) / 1e6 : 0;
+
+  usage.steps[stepName] = usage.steps[stepName] || emptyCounts();
+  for (const counts of [usage.steps[stepName], usage.total]) {
+    counts.calls += 1;
+    counts.promptTokens += promptTokens;
+    counts.completionTokens += completionTokens;
+    counts.totalTokens += promptTokens + completionTokens;
+    counts.costUsd += costUsd;
+  }
+}
+
+/**
+ * Start a new run (first run, re-run or resume) - budgets apply to the usage of one run
+ */
+export function startUsageRun(usage) {
+  usage.runStart = { ...usage.total };
+}
+
+/**
+ * Check the current run against LLM_BUDGET_TOKENS and LLM_BUDGET_USD
+ * Returns a message saying which budget was passed, or null
+ */
+export function checkBudget(usage) {
+  const tokens = usage.total.totalTokens - usage.runStart.totalTokens;
+  const costUsd = usage.total.costUsd - usage.runStart.costUsd;
+  if (LLM_BUDGET_TOKENS > 0 && tokens > LLM_BUDGET_TOKENS) {
+    return `LLM budget exceeded: ${tokens.toLocaleString('en-US')} tokens used, the limit is ${LLM_BUDGET_TOKENS.toLocaleString('en-US')}`;
+  }
+  if (LLM_BUDGET_USD > 0 && costUsd > LLM_BUDGET_USD) {
+    return `LLM budget exceeded: ${formatCost(costUsd)} spent, the limit is ${formatCost(LLM_BUDGET_USD)}`;
+  }
+  return null;
+}
+
+/**
+ * Format a cost in USD with enough digits for small amounts ($0.0042, $1.27)
+ */
+function formatCost(costUsd) {
+  return `$${costUsd < 1 ? costUsd.toFixed(4) : costUsd.toFixed(2)}`;
+}
+
+/**
+ * One-line summary of counters: "12,345 tokens (10,000 prompt + 2,345 completion), $0.0421"
+ */
+export function formatUsage(counts) {
+  const tokens = `${counts.totalTokens.toLocaleString('en-US')} tokens (${counts.promptTokens.toLocaleString('en-US')} prompt + ${counts.completionTokens.toLocaleString('en-US')} completion)`;
+  return `${tokens}, ${formatCost(counts.costUsd)}`;
+}
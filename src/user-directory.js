@@ -0,0 +1,74 @@
+import { resolveUserEmail, resolveUserName } from './slack-service.js';
+import { findJiraAccountByEmail } from './jira-service.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Slack user → Jira account mapping
+ *
+ * A Slack user's email (users.info) is matched to a Jira account with Jira user search.
+ * Results, including "no account", are cached per workspace and user.
+ */
+
+// How long a Slack user → Jira account lookup is cached (seconds)
+const USER_MAPPING_CACHE_TTL_MS = parseInt(process.env.USER_MAPPING_CACHE_TTL_SECONDS || '3600', 10) * 1000;
+
+const accountCache = new Map();
+
+const log = createLogger('user-directory');
+
+/**
+ * Resolve a Slack user to a Jira accountId, or null when they have no email or no Jira account
+ */
+export async function resolveJiraAccountId(slackUserId, teamId) {
+  if (!slackUserId) return null;
+
+  const cacheKey = `${teamId || 'default'}:${slackUserId}`;
+  const cached = accountCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.accountId;
+  }
+
+  let accountId = null;
+  try {
+    const email = await resolveUserEmail(slackUserId, teamId);
+    if (email) {
+      accountId = await findJiraAccountByEmail(email);
+    } else {
+      log.info('No email for Slack user (is the users:read.email scope granted?)', { slackUserId });
+    }
+  } catch (error) {
+    // Not cached - a Jira outage should not hide the account for an hour
+    log.warn('Failed to map Slack user to Jira (non-blocking)', { slackUserId, error: error.message });
+    return null;
+  }
+
+  accountCache.set(cacheKey, { accountId, expiresAt: Date.now() + USER_MAPPING_CACHE_TTL_MS });
+  return accountId;
+}
+
+/**
+ * Resolve the people on a ticket from Slack user ids
+ * Returns { reporterName, reporterAccountId, assigneeAccountId, watcherAccountIds } for createJiraTicket
+ */
+export async function resolveJiraPeople({ reporter = null, assignee = null, watchers = [] }, teamId) {
+  const [reporterName, reporterAccountId, assigneeAccountId] = await Promise.all([
+    reporter ? resolveUserName(reporter, teamId) : null,
+    resolveJiraAccountId(reporter, teamId),
+    resolveJiraAccountId(assignee, teamId),
+  ]);
+
+  const watcherAccountIds = [];
+  for (const userId of watchers) {
+    const accountId = await resolveJiraAccountId(userId, teamId);
+    if (accountId && accountId !== reporterAccountId && !watcherAccountIds.includes(accountId)) {
+      watcherAccountIds.push(accountId);
+    }
+  }
+
+  if (assignee && !assigneeAccountId) {
+    log.warn('Requested assignee has no matching Jira account - leaving the ticket unassigned', { assignee });
+  }
+  log.info('Jira people resolved', { reporter: reporterAccountId || 'API user', assignee: assigneeAccountId || 'none', watchers: watcherAccountIds.length });
+
+  return { reporterName, reporterAccountId, assigneeAccountId, watcherAccountIds };
+}
@@ -0,0 +1,115 @@
+import fetch from 'node-fetch';
+import OpenAI from 'openai';
+import { getSlackBotToken } from './slack-service.js';
+import { createLogger } from './logger.js';
+import { trackRequest } from './metrics.js';
+
+const openai = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY,
+});
+
+const VISION_MODEL = process.env.VISION_MODEL || 'gpt-4o';
+// Images larger than this are skipped (bytes)
+const VISION_MAX_IMAGE_BYTES = parseInt(process.env.VISION_MAX_IMAGE_BYTES || String(5 * 1024 * 1024), 10);
+const MAX_IMAGES = 4;
+
+const SUPPORTED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+const log = createLogger('vision');
+
+/**
+ * OpenAI prompt for describing a bug report screenshot
+ */
+const VISION_PROMPT = `You are helping an engineer triage a bug report. Describe this screenshot from the report.
+
+Include, when visible:
+- Error messages, toasts and validation text, transcribed verbatim
+- The URL in the address bar
+- Which page or screen is shown and the UI state (open dialogs, disabled buttons, empty lists, spinners)
+- IDs, timestamps, HTTP status codes or stack traces
+
+Be factual and concise (max 120 words). Do not guess at causes. If it is not a UI screenshot, say what it shows.`;
+
+/**
+ * Check whether a Slack file is an image the vision model can read
+ */
+export function isImageAttachment(file) {
+  return SUPPORTED_IMAGE_TYPES.includes(file.mimetype);
+}
+
+/**
+ * Download an image from Slack and describe it with the vision model
+ */
+async function describeImage(file, teamId, onUsage) {
+  const response = await trackRequest('slack', 'files.download', () => fetch(file.url_private_download || file.url_private, {
+    headers: { Authorization: `Bearer ${getSlackBotToken(teamId)}` },
+    size: VISION_MAX_IMAGE_BYTES,
+  }));
+  if (!response.ok) {
+    throw new Error(`download failed: ${response.status}`);
+  }
+  const imageBuffer = Buffer.from(await response.arrayBuffer());
+
+  const completion = await trackRequest('openai', 'chat.completions', () => openai.chat.completions.create({
+    model: VISION_MODEL,
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: VISION_PROMPT },
+          { type: 'image_url', image_url: { url: `data:${file.mimetype};base64,${imageBuffer.toString('base64')}` } },
+        ],
+      },
+    ],
+    max_tokens: 400,
+    temperature: 0.2,
+  }));
+  onUsage?.(completion.model || VISION_MODEL, completion.usage);
+
+  const description = completion.choices[0]?.message?.content?.trim();
+  if (!description) {
+    throw new Error('empty response from vision model');
+  }
+  log.info('Described image', { file: file.name, chars: description.length });
+  log.debug('Image description', { file: file.name, description });
+  return description;
+}
+
+/**
+ * Describe the screenshots attached to a report
+ * Returns [{ name, description }]; images over VISION_MAX_IMAGE_BYTES or that fail are skipped
+ * `onUsage(model, usage)` receives the token usage of each OpenAI response (usage-tracker)
+ */
+export async function describeImages(files = [], teamId = null, { onUsage = null } = {}) {
+  const images = files.filter(isImageAttachment);
+  if (images.length === 0) {
+    return [];
+  }
+
+  log.info('Describing images', { count: Math.min(images.length, MAX_IMAGES), model: VISION_MODEL });
+  const descriptions = [];
+  for (const file of images.slice(0, MAX_IMAGES)) {
+    if (file.size && file.size > VISION_MAX_IMAGE_BYTES) {
+      log.warn('Skipping image over VISION_MAX_IMAGE_BYTES', { file: file.name, bytes: file.size, limit: VISION_MAX_IMAGE_BYTES });
+      continue;
+    }
+
+    try {
+      descriptions.push({ name: file.name, description: await describeImage(file, teamId, onUsage) });
+    } catch (error) {
+      log.warn('Skipping image', { file: file.name, error: error.message });
+    }
+  }
+  return descriptions;
+}
+
+/**
+ * Append screenshot descriptions to an issue description
+ */
+export function withImageDescriptions(issueDescription, imageDescriptions = []) {
+  if (imageDescriptions.length === 0) {
+    return issueDescription;
+  }
+  const sections = imageDescriptions.map(({ name, description }) => `Screenshot ${name}: ${description}`);
+  return `${issueDescription}\n\n${sections.join('\n\n')}`;
+}
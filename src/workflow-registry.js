@@ -0,0 +1,112 @@
+/**
+ * In-memory registry of workflows so Slack interactions can act on a previous run
+ * and the App Home tab can list a user's recent workflows
+ */
+
+const MAX_WORKFLOWS = parseInt(process.env.WORKFLOW_REGISTRY_SIZE || '200', 10);
+
+const workflows = new Map();
+
+/**
+ * Register a new workflow (evicts the oldest finished entries beyond MAX_WORKFLOWS)
+ * Running workflows - parked ones included - are never evicted, so their buttons, cancel and
+ * status keep working; the registry only grows past MAX_WORKFLOWS while that many are running
+ */
+export function registerWorkflow(workflow) {
+  workflows.set(workflow.id, workflow);
+
+  let excess = workflows.size - MAX_WORKFLOWS;
+  for (const [id, candidate] of workflows) {
+    if (excess <= 0) break;
+    if (candidate.status !== 'running' && candidate !== workflow) {
+      workflows.delete(id);
+      excess--;
+    }
+  }
+
+  return workflow;
+}
+
+/**
+ * Get a workflow by id
+ */
+export function getWorkflow(workflowId) {
+  return workflows.get(workflowId) || null;
+}
+
+/**
+ * Find a workflow by id or by its Jira issue key (the newest run for that key)
+ */
+export function findWorkflow(reference) {
+  if (!reference) return null;
+  const issueKey = reference.toUpperCase();
+  return getWorkflow(reference)
+    || listWorkflows({ limit: MAX_WORKFLOWS }).find(workflow => workflow.issueKey === issueKey)
+    || null;
+}
+
+/**
+ * List workflows, newest first
+ * Filters: { user, requestedBy, teamId, status, source, githubRepo, channel, limit }
+ */
+export function listWorkflows({ user = null, requestedBy = null, teamId = null, status = null, source = null, githubRepo = null, channel = null, limit = 20 } = {}) {
+  return [...workflows.values()]
+    .filter(workflow => !user || workflow.user === user)
+    .filter(workflow => !requestedBy || workflow.requestedBy === requestedBy)
+    .filter(workflow => !teamId || workflow.teamId === teamId)
+    .filter(workflow => !status || workflow.status === status)
+    .filter(workflow => !source || workflow.source === source)
+    .filter(workflow => !githubRepo || workflow.githubRepo === githubRepo)
+    .filter(workflow => !channel || workflow.channel === channel)
+    .sort((a, b) => b.startedAt - a.startedAt)
+    .slice(0, limit);
+}
+
+/**
+ * JSON view of a workflow for the REST API and callbacks
+ * Leaves out the runtime handles (abort controller, job) and the report's attachments
+ * `details: false` also leaves out the RCA and test case results (used for lists)
+ */
+export function serializeWorkflow(workflow, { details = true } = {}) {
+  const steps = (workflow.pipelineSteps || []).map(({ step, label }) => {
+    const { status = 'pending', detail = null, startedAt = null, finishedAt = null } = workflow.steps?.[step] || {};
+    return {
+      name: step,
+      label,
+      status,
+      detail,
+      startedAt,
+      finishedAt,
+      durationMs: startedAt && finishedAt ? finishedAt - startedAt : null,
+    };
+  });
+
+  return {
+    id: workflow.id,
+    status: workflow.status,
+    source: workflow.source || 'slack',
+    requestedBy: workflow.requestedBy || workflow.user || null,
+    channel: workflow.channel || null,
+    pipeline: workflow.pipeline || null,
+    githubRepo: workflow.githubRepo,
+    branch: workflow.branch || null,
+    projectKey: workflow.projectKey || null,
+    dryRun: !!workflow.dryRun,
+    issueDescription: workflow.issueDescription,
+    issueKey: workflow.issueKey || null,
+    issueUrl: workflow.issueUrl || null,
+    duplicateOf: workflow.duplicate
+      ? { key: workflow.duplicate.key, url: workflow.duplicate.url, score: workflow.duplicate.score, reasons: workflow.duplicate.reasons, action: workflow.duplicate.action }
+      : null,
+    error: workflow.error || null,
+    startedAt: workflow.startedAt || null,
+    finishedAt: workflow.finishedAt || null,
+    steps,
+    // LLM tokens and cost (usage-tracker): { total, steps: { [step]: counts } }
+    usage: workflow.usage ? { total: workflow.usage.total, steps: workflow.usage.steps } : null,
+    ...(details && {
+      rcaResult: workflow.rcaResult || null,
+      testCasesResult: workflow.testCasesResult || null,
+    }),
+  };
+}
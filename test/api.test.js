@@ -0,0 +1,119 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+process.env.LOG_LEVEL = 'error';
+process.env.OPENAI_API_KEY = 'sk-test';
+process.env.JOB_QUEUE_STORE = 'memory';
+process.env.ROUTING_CONFIG_PATH = '/nonexistent/routing.json';
+process.env.API_TOKENS = 'ops:ops-token,ci:ci-token';
+process.env.API_ADMIN_CLIENTS = 'ops';
+
+const {
+  requireApiToken, requireApiAdmin, createRCAHandler, getWorkflowHandler, listWorkflowsHandler, listDeadLetterJobsHandler, requeueJobHandler,
+} = await import('../src/api.js');
+const { registerWorkflow } = await import('../src/workflow-registry.js');
+const { registerJobHandler, enqueueJob, getJob, startJobQueue, stopJobQueue } = await import('../src/job-queue.js');
+
+let server;
+let baseUrl;
+
+/**
+ * Call the API as one of the clients of API_TOKENS
+ */
+async function request(method, path, token, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Wait until `condition` holds (polling), or fail after `timeoutMs`
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+before(async () => {
+  await startJobQueue();
+  // Same routes as server.js
+  const app = express();
+  app.use(express.json());
+  app.post('/api/rca', requireApiToken, createRCAHandler);
+  app.get('/api/workflows/:id', requireApiToken, getWorkflowHandler);
+  app.get('/api/workflows', requireApiToken, listWorkflowsHandler);
+  app.get('/api/jobs/dead-letter', requireApiToken, requireApiAdmin, listDeadLetterJobsHandler);
+  app.post('/api/jobs/:id/requeue', requireApiToken, requireApiAdmin, requeueJobHandler);
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  stopJobQueue();
+  server?.close();
+});
+
+test('requests without a valid token are refused', async () => {
+  assert.equal((await request('GET', '/api/jobs/dead-letter', 'wrong')).status, 401);
+});
+
+test('only admin clients may manage the job queue', async () => {
+  const { status, body } = await request('GET', '/api/jobs/dead-letter', 'ci-token');
+  assert.equal(status, 403);
+  assert.match(body.error, /API_ADMIN_CLIENTS/);
+});
+
+test('dead-lettered jobs are listed without their payload and can be re-queued', async () => {
+  let fail = true;
+  registerJobHandler('api_dead_letter', async () => {
+    if (fail) throw Object.assign(new Error('Jira project missing'), { transient: false });
+  });
+  const job = await enqueueJob('api_dead_letter', { githubRepo: 'https://github.com/owner/api', threadContext: 'secret thread' }, { checkpoint: { workflowId: 'workflow-1' } });
+  await waitFor(() => getJob(job.id).state === 'failed');
+
+  const listed = await request('GET', '/api/jobs/dead-letter', 'ops-token');
+  assert.equal(listed.status, 200);
+  const entry = listed.body.jobs.find(candidate => candidate.id === job.id);
+  assert.equal(entry.workflowId, 'workflow-1');
+  assert.equal(entry.githubRepo, 'https://github.com/owner/api');
+  assert.equal(entry.lastError, 'Jira project missing');
+  assert.equal(JSON.stringify(entry).includes('secret thread'), false);
+
+  fail = false;
+  assert.deepEqual((await request('POST', `/api/jobs/${job.id}/requeue`, 'ops-token')).body, { id: job.id, type: 'api_dead_letter', state: 'queued' });
+  await waitFor(() => getJob(job.id).state === 'succeeded');
+  assert.equal((await request('POST', `/api/jobs/${job.id}/requeue`, 'ops-token')).status, 404);
+});
+
+test('callback URLs on internal addresses are refused', async () => {
+  for (const callbackUrl of ['http://169.254.169.254/latest/meta-data/', 'http://localhost:8080/hook', 'http://10.1.2.3/hook']) {
+    const { status, body } = await request('POST', '/api/rca', 'ci-token', { description: 'Checkout fails', repo: 'owner/api', callbackUrl });
+    assert.equal(status, 400);
+    assert.match(body.details.join('\n'), /"callbackUrl" is not allowed: .*private, loopback or link-local/);
+  }
+});
+
+test('Slack channels outside the routing config are refused', async () => {
+  const { status, body } = await request('POST', '/api/rca', 'ci-token', { description: 'Checkout fails', repo: 'owner/api', slackChannel: 'C0SECRET1' });
+  assert.equal(status, 400);
+  assert.deepEqual(body.details, ['"slackChannel" must be a channel of the routing config']);
+});
+
+test('clients only see the workflows they started', async () => {
+  const startedAt = Date.now();
+  registerWorkflow({ id: 'workflow-ci', source: 'api', requestedBy: 'api:ci', status: 'completed', startedAt });
+  registerWorkflow({ id: 'workflow-ops', source: 'api', requestedBy: 'api:ops', status: 'completed', startedAt });
+  registerWorkflow({ id: 'workflow-slack', source: 'slack', user: 'U123', requestedBy: 'U123', channel: 'C0123', status: 'completed', startedAt });
+
+  assert.equal((await request('GET', '/api/workflows/workflow-ci', 'ci-token')).body.id, 'workflow-ci');
+  assert.equal((await request('GET', '/api/workflows/workflow-ops', 'ci-token')).status, 404);
+  assert.equal((await request('GET', '/api/workflows/workflow-slack', 'ci-token')).status, 404);
+  assert.deepEqual((await request('GET', '/api/workflows', 'ci-token')).body.workflows.map(workflow => workflow.id), ['workflow-ci']);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+
+const { readAttachment, describeAttachmentsForPrompt } = await import('../src/attachment-service.js');
+
+const attachments = [{
+  name: 'server.log',
+  kind: 'log',
+  truncated: false,
+  note: null,
+  lines: [
+    'GET /health 200',
+    'ERROR connect ECONNREFUSED 127.0.0.1:5432',
+    'retrying (a+)+ in 5s',
+    'Timeout after 30000ms',
+    'GET /orders 500',
+  ],
+}];
+
+test('a pattern matches lines containing it, case-insensitively', () => {
+  const result = readAttachment(attachments, { name: 'server.log', pattern: 'econnrefused' });
+  assert.equal(result.lines, '2: ERROR connect ECONNREFUSED 127.0.0.1:5432');
+  assert.equal(result.total_lines, 5);
+});
+
+test('| separates alternatives', () => {
+  const result = readAttachment(attachments, { name: 'server.log', pattern: 'timeout | 500' });
+  assert.equal(result.lines, '4: Timeout after 30000ms\n5: GET /orders 500');
+});
+
+test('patterns are plain text, never regular expressions', () => {
+  assert.equal(readAttachment(attachments, { name: 'server.log', pattern: '(a+)+' }).lines, '3: retrying (a+)+ in 5s');
+  assert.equal(readAttachment(attachments, { name: 'server.log', pattern: 'GET.*500' }).lines, '');
+});
+
+test('without a pattern a window of lines is returned', () => {
+  const result = readAttachment(attachments, { name: 'server.log', start_line: 4, line_count: 10 });
+  assert.equal(result.lines, '4: Timeout after 30000ms\n5: GET /orders 500');
+});
+
+test('an unknown attachment name lists the available ones', () => {
+  assert.throws(() => readAttachment(attachments, { name: 'other.log' }), /No attachment named "other.log". Available: server.log/);
+});
+
+test('the prompt preview shows notable lines first', () => {
+  const description = describeAttachmentsForPrompt(attachments);
+  assert.match(description, /`server.log` \(log, 5 lines\)/);
+  assert.match(description, /2: ERROR connect ECONNREFUSED/);
+  assert.doesNotMatch(description, /GET \/health/);
+});
@@ -0,0 +1,74 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'checkpoint-test-'));
+process.env.CHECKPOINT_DIR = dir;
+process.env.CHECKPOINT_TTL_DAYS = '1';
+process.env.LOG_LEVEL = 'error';
+
+const {
+  saveWorkflowRequest, saveStepOutput, saveWorkflowStatus, clearStepOutputs, loadCheckpoint, findCheckpoint, findCheckpointForThread,
+} = await import('../src/checkpoint-store.js');
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const request = { source: 'slack', channel: 'C1', threadTs: '1700000000.000100', issueDescription: 'Checkout fails' };
+
+test('step outputs are saved under the workflow id and the ticket key is kept', async () => {
+  assert.equal(await loadCheckpoint('workflow-1-aaaa'), null);
+  await saveWorkflowRequest('workflow-1-aaaa', request);
+  await Promise.all([
+    saveStepOutput('workflow-1-aaaa', 'search', { relevantFiles: ['src/cart.js'] }),
+    saveStepOutput('workflow-1-aaaa', 'ticket', { issueKey: 'OPS-7' }),
+    saveStepOutput('workflow-1-aaaa', 'rca', { rcaResult: 'Null total' }),
+  ]);
+  await saveWorkflowStatus('workflow-1-aaaa', 'failed');
+
+  const checkpoint = await loadCheckpoint('workflow-1-aaaa');
+  assert.deepEqual(checkpoint.request, request);
+  assert.equal(checkpoint.issueKey, 'OPS-7');
+  assert.equal(checkpoint.status, 'failed');
+  assert.deepEqual(Object.keys(checkpoint.steps), ['search', 'ticket', 'rca']);
+  assert.deepEqual(checkpoint.steps.ticket.output, { issueKey: 'OPS-7' });
+});
+
+test('saving the request again keeps the finished steps, and cleared steps are forgotten', async () => {
+  await saveWorkflowRequest('workflow-1-aaaa', { ...request, messageTs: '1700000000.000200' });
+  await clearStepOutputs('workflow-1-aaaa', ['rca']);
+
+  const checkpoint = await loadCheckpoint('workflow-1-aaaa');
+  assert.equal(checkpoint.request.messageTs, '1700000000.000200');
+  assert.deepEqual(Object.keys(checkpoint.steps), ['search', 'ticket']);
+});
+
+test('checkpoints are found by workflow id, Jira key or Slack thread', async () => {
+  assert.equal((await findCheckpoint('workflow-1-aaaa')).workflowId, 'workflow-1-aaaa');
+  assert.equal((await findCheckpoint('ops-7')).workflowId, 'workflow-1-aaaa');
+  assert.equal((await findCheckpointForThread('C1', '1700000000.000100')).workflowId, 'workflow-1-aaaa');
+  assert.equal(await findCheckpoint('OPS-8'), null);
+  assert.equal(await findCheckpointForThread('C2', '1700000000.000100'), null);
+});
+
+test('a step saved without a checkpoint is dropped, and ids cannot leave the directory', async () => {
+  await saveStepOutput('workflow-unknown', 'rca', { rcaResult: 'lost' });
+  assert.equal(await loadCheckpoint('workflow-unknown'), null);
+
+  await saveWorkflowRequest('../escaped', request);
+  assert.equal((await loadCheckpoint('escaped')).workflowId, '../escaped');
+  await assert.rejects(fs.access(path.join(dir, '..', 'escaped.json')));
+});
+
+test('expired checkpoints are removed when searched', async () => {
+  await saveWorkflowRequest('workflow-2-bbbb', { ...request, threadTs: '1600000000.000100' });
+  const filePath = path.join(dir, 'workflow-2-bbbb.json');
+  const checkpoint = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  await fs.writeFile(filePath, JSON.stringify({ ...checkpoint, updatedAt: Date.now() - 2 * 24 * 60 * 60 * 1000 }));
+
+  assert.equal(await findCheckpointForThread('C1', '1600000000.000100'), null);
+  await assert.rejects(fs.access(filePath));
+});
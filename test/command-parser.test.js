@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeGithubRepo, extractIssueAndRepo, parseMentionCommand, parseSlashCommandText,
+} from '../src/command-parser.js';
+
+test('normalizeGithubRepo accepts owner/repo, URLs and Slack links', () => {
+  assert.equal(normalizeGithubRepo('owner/api'), 'https://github.com/owner/api');
+  assert.equal(normalizeGithubRepo('https://github.com/owner/api.git'), 'https://github.com/owner/api');
+  assert.equal(normalizeGithubRepo('<https://github.com/owner/api|owner/api>'), 'https://github.com/owner/api');
+  assert.equal(normalizeGithubRepo('not a repo'), null);
+  assert.equal(normalizeGithubRepo(''), null);
+});
+
+test('extractIssueAndRepo takes the GitHub URL out of the description', () => {
+  assert.deepEqual(extractIssueAndRepo('<@U1> The login button is broken. Analyze https://github.com/owner/web'), {
+    githubRepo: 'https://github.com/owner/web',
+    issueDescription: 'The login button is broken.',
+  });
+  assert.deepEqual(extractIssueAndRepo('search and/or filter fails'), { githubRepo: null, issueDescription: 'search and/or filter fails' });
+  assert.equal(extractIssueAndRepo('https://github.com/owner/web').issueDescription, 'Analyze repository: https://github.com/owner/web');
+});
+
+test('subcommands only match their exact shape', () => {
+  assert.deepEqual(parseMentionCommand('<@UBOT> help'), { command: 'help' });
+  assert.deepEqual(parseMentionCommand('<@UBOT> status OPS-12'), { command: 'status', target: 'OPS-12' });
+  assert.deepEqual(parseMentionCommand('<@UBOT> cancel'), { command: 'cancel', target: null });
+  assert.deepEqual(parseMentionCommand('<@UBOT> rerun OPS-12'), { command: 'rerun', target: 'OPS-12' });
+  assert.deepEqual(parseMentionCommand('<@UBOT> resume workflow-1717000000000-3f2a9c1e'), { command: 'resume', target: 'workflow-1717000000000-3f2a9c1e' });
+  assert.deepEqual(parseMentionCommand('<@UBOT> status workflow-1717000000000'), { command: 'status', target: 'workflow-1717000000000' });
+  assert.match(parseMentionCommand('<@UBOT> rerun').error, /Usage/);
+  assert.equal(parseMentionCommand('<@UBOT> status page is down').issueDescription, 'status page is down');
+});
+
+test('mention options are parsed anywhere in the text', () => {
+  assert.deepEqual(
+    parseMentionCommand('<@UBOT> rca repo:org/api branch:release-2 priority:high project:ops assignee:<@U42> Checkout returns 500'),
+    {
+      command: 'rca',
+      githubRepo: 'https://github.com/org/api',
+      issueDescription: 'Checkout returns 500',
+      options: { branch: 'release-2', priority: 'High', projectKey: 'OPS', assignee: 'U42' },
+    },
+  );
+});
+
+test('word:value text that is not a known option stays in the description', () => {
+  assert.deepEqual(parseMentionCommand('<@UBOT> API on localhost:3000 fails with code:ECONNRESET at 10:30'), {
+    command: 'rca',
+    githubRepo: null,
+    issueDescription: 'API on localhost:3000 fails with code:ECONNRESET at 10:30',
+    options: {},
+  });
+});
+
+test('mistyped options are errors that name the option they look like', () => {
+  assert.match(parseMentionCommand('<@UBOT> proj:OPS checkout fails').error, /Unknown option `proj:` - did you mean `project:`/);
+  assert.match(parseMentionCommand('<@UBOT> checkout fails prio:high').error, /did you mean `priority:`/);
+  assert.match(parseMentionCommand('<@UBOT> repository:org/api checkout fails').error, /did you mean `repo:`/);
+  assert.match(parseMentionCommand('<@UBOT> brnach:main checkout fails').error, /did you mean `branch:`/);
+});
+
+test('URLs, ports and unrelated word:value text are not mistaken for options', () => {
+  for (const text of [
+    'fails on localhost:3000 with code:ECONNRESET',
+    'see https://status.example.com and error:timeout',
+    'started at 10:30 on host:db-1',
+  ]) {
+    const parsed = parseMentionCommand(`<@UBOT> ${text}`);
+    assert.equal(parsed.error, undefined, text);
+    assert.equal(parsed.issueDescription, text);
+  }
+});
+
+test('invalid option values are errors', () => {
+  assert.match(parseMentionCommand('<@UBOT> repo:nope broken').error, /not a valid GitHub repository/);
+  assert.match(parseMentionCommand('<@UBOT> priority:urgent broken').error, /not a Jira priority/);
+  assert.match(parseMentionCommand('<@UBOT> assignee:bob broken').error, /not a Slack user/);
+  assert.match(parseMentionCommand('<@UBOT> project:1x broken').error, /not a Jira project key/);
+});
+
+test('slash commands parse flags and a trailing GitHub URL', () => {
+  assert.deepEqual(parseSlashCommandText('Checkout fails https://github.com/owner/shop --branch=main --project OPS --dry-run'), {
+    githubRepo: 'https://github.com/owner/shop',
+    issueDescription: 'Checkout fails',
+    options: { dryRun: true, branch: 'main', projectKey: 'OPS' },
+  });
+  assert.equal(parseSlashCommandText('Checkout fails --repo owner/shop').githubRepo, 'https://github.com/owner/shop');
+});
+
+test('a trailing owner/repo word without github.com stays in the description', () => {
+  assert.deepEqual(parseSlashCommandText('search results differ in and/or'), {
+    githubRepo: null,
+    issueDescription: 'search results differ in and/or',
+    options: { dryRun: false },
+  });
+  assert.equal(parseSlashCommandText('broken after deploy v2/api').issueDescription, 'broken after deploy v2/api');
+});
+
+test('slash command errors', () => {
+  assert.match(parseSlashCommandText('broken --bogus').error, /Unknown option `--bogus`/);
+  assert.match(parseSlashCommandText('broken --branch').error, /requires a value/);
+  assert.match(parseSlashCommandText('broken --repo nope').error, /not a valid GitHub repository/);
+  assert.match(parseSlashCommandText('').error, /Please describe the issue/);
+});
@@ -0,0 +1,50 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dedup-test-'));
+const storePath = path.join(dir, 'dedup.json');
+process.env.DEDUP_STORE = 'file';
+process.env.DEDUP_STORE_PATH = storePath;
+process.env.LOG_LEVEL = 'error';
+
+let claimFirstDelivery;
+
+before(async () => {
+  ({ claimFirstDelivery } = await import('../src/dedup-store.js'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('the first delivery is claimed, a repeat is a duplicate', async () => {
+  assert.equal(await claimFirstDelivery(['event:Ev1']), true);
+  assert.equal(await claimFirstDelivery(['event:Ev1']), false);
+});
+
+test('a delivery matching any earlier key is a duplicate', async () => {
+  assert.equal(await claimFirstDelivery(['event:Ev2', 'msg:m2']), true);
+  assert.equal(await claimFirstDelivery(['event:Ev3', 'msg:m2']), false);
+  // The new key was still claimed, so a later delivery matching only it is a duplicate too
+  assert.equal(await claimFirstDelivery(['event:Ev3']), false);
+});
+
+test('keys can be claimed again after their TTL', async () => {
+  assert.equal(await claimFirstDelivery(['event:short'], 20), true);
+  await new Promise(resolve => setTimeout(resolve, 40));
+  assert.equal(await claimFirstDelivery(['event:short'], 20), true);
+});
+
+test('concurrent claims of one key let exactly one through', async () => {
+  const results = await Promise.all([1, 2, 3].map(() => claimFirstDelivery(['event:race'])));
+  assert.deepEqual(results.filter(Boolean), [true]);
+});
+
+test('claimed keys are written to the store file with their expiry', async () => {
+  await claimFirstDelivery(['event:saved']);
+  const saved = JSON.parse(await fs.readFile(storePath, 'utf-8'));
+  assert.ok(saved['event:saved'] > Date.now());
+});
@@ -0,0 +1,98 @@
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+process.env.LOG_LEVEL = 'error';
+process.env.OPENAI_API_KEY = 'sk-test';
+process.env.JIRA_USER = 'bot@example.com';
+process.env.JIRA_API_TOKEN = 'jira-token';
+process.env.DUPLICATE_LOOKBACK_DAYS = '7';
+process.env.DUPLICATE_THRESHOLD = '0.5';
+
+// Jira stand-in: answers every search with `issues` and records the JQL it was sent
+let issues = [];
+const searches = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    searches.push(JSON.parse(body));
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ issues }));
+  });
+});
+await new Promise(resolve => { server.listen(0, '127.0.0.1', resolve); });
+process.env.JIRA_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+
+const { findDuplicateTicket } = await import('../src/duplicate-detector.js');
+
+/**
+ * A Jira search result whose description has the given paragraphs and ## sections
+ */
+function issue(key, summary, description, sections = {}) {
+  const paragraph = text => ({ type: 'paragraph', content: [{ type: 'text', text }] });
+  const content = [paragraph(description)];
+  for (const [heading, lines] of Object.entries(sections)) {
+    content.push({ type: 'heading', attrs: { level: 2 }, content: [{ type: 'text', text: heading }] });
+    content.push(...lines.map(paragraph));
+  }
+  return { key, fields: { summary, description: { type: 'doc', content }, status: { name: 'To Do' } } };
+}
+
+const checkoutTrace = {
+  exception: 'TypeError',
+  frames: [{ path: 'src/cart/checkout.js', line: 42 }, { path: 'src/cart/total.js', line: 7 }],
+};
+
+after(() => server.close());
+beforeEach(() => {
+  issues = [];
+  searches.length = 0;
+});
+
+test('recent open Slack tickets of the project are searched', async () => {
+  assert.equal(await findDuplicateTicket({ projectKey: 'OPS', issueDescription: 'Checkout fails' }), null);
+  assert.equal(searches[0].jql, 'project = "OPS" AND labels = "slack-generated" AND statusCategory != Done AND created >= -7d ORDER BY created DESC');
+  assert.equal(searches[0].maxResults, 50);
+});
+
+test('quotes and backslashes in the project are escaped in the JQL', async () => {
+  await findDuplicateTicket({ projectKey: 'OPS" OR project = "HR\\', issueDescription: 'Checkout fails' });
+  assert.match(searches[0].jql, /^project = "OPS\\" OR project = \\"HR\\\\" AND labels = "slack-generated"/);
+});
+
+test('the closest ticket at or above the threshold is the duplicate', async () => {
+  issues = [
+    issue('OPS-1', 'Login page is slow', 'The login page takes a minute to load for every user.'),
+    issue('OPS-2', 'Checkout button crashes the cart', 'Clicking the checkout button crashes the cart page with a blank screen.'),
+  ];
+  const duplicate = await findDuplicateTicket({
+    projectKey: 'OPS',
+    issueDescription: 'The checkout button crashes the cart page, leaving a blank screen',
+  });
+  assert.equal(duplicate.key, 'OPS-2');
+  assert.equal(duplicate.url, `${process.env.JIRA_BASE_URL}/browse/OPS-2`);
+  assert.ok(duplicate.score >= 0.5);
+  assert.match(duplicate.reasons[0], /% similar text$/);
+});
+
+test('tickets below the threshold are not duplicates', async () => {
+  issues = [issue('OPS-1', 'Login page is slow', 'The login page takes a minute to load for every user.')];
+  assert.equal(await findDuplicateTicket({ projectKey: 'OPS', issueDescription: 'Checkout button crashes the cart page' }), null);
+});
+
+test('a matching stack trace and relevant files count towards the score', async () => {
+  issues = [issue('OPS-3', 'Cart errors', 'Customers see errors in the cart.', {
+    'Stack Traces': ['TypeError: total is undefined [javascript]', '  at src/cart/checkout.js:40 in submit'],
+    'Relevant Files': ['- `src/cart/checkout.js`', '- `src/cart/total.js`'],
+  })];
+  const report = { projectKey: 'OPS', issueDescription: 'Orders cannot be placed since this morning' };
+
+  assert.equal(await findDuplicateTicket(report), null);
+  const duplicate = await findDuplicateTicket({ ...report, stackTraces: [checkoutTrace], relevantFiles: ['src/cart/total.js', 'src/cart/checkout.js', 'src/api/orders.js'] });
+  assert.equal(duplicate.key, 'OPS-3');
+  assert.deepEqual(duplicate.reasons.slice(1), [
+    'matching stack trace (TypeError, frames in src/cart/checkout.js)',
+    '2 of 2 relevant files in common',
+  ]);
+});
@@ -0,0 +1,117 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-service-'));
+const originPath = path.join(tmpDir, 'origin');
+const clonePath = path.join(tmpDir, 'clone');
+const checkoutsPath = path.join(tmpDir, 'checkouts');
+// Other repositories, served to git in place of https://github.com/
+const githubPath = path.join(tmpDir, 'github');
+
+process.env.LOG_LEVEL = 'error';
+process.env.GITHUB_REPO_PATH = clonePath;
+process.env.REPO_CHECKOUTS_PATH = checkoutsPath;
+// The build-time clone's origin is a local path, so its GitHub name comes from GITHUB_REPO
+process.env.GITHUB_REPO = 'https://github.com/owner/app';
+process.env.GIT_CONFIG_COUNT = '1';
+process.env.GIT_CONFIG_KEY_0 = `url.file://${githubPath}/.insteadOf`;
+process.env.GIT_CONFIG_VALUE_0 = 'https://github.com/';
+
+const { prepareCheckout, readFile, listDirectory } = await import('../src/github-service.js');
+
+/**
+ * Run git in a directory with a fixed identity
+ */
+function git(cwd, ...args) {
+  return execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd, encoding: 'utf-8' });
+}
+
+/**
+ * Commit a file on the current branch of a repository
+ */
+function commitFile(name, content, repoPath = originPath) {
+  fs.writeFileSync(path.join(repoPath, name), content);
+  git(repoPath, 'add', name);
+  git(repoPath, 'commit', '-q', '-m', `update ${name}`);
+}
+
+// Origin with main and release-2, the "build-time" clone of main, and a second repository owner/other
+before(() => {
+  fs.mkdirSync(originPath);
+  git(originPath, 'init', '-q', '-b', 'main');
+  commitFile('app.js', 'main\n');
+  git(originPath, 'checkout', '-q', '-b', 'release-2');
+  commitFile('app.js', 'release-2\n');
+  git(originPath, 'checkout', '-q', 'main');
+  git(tmpDir, 'clone', '-q', `file://${originPath}`, clonePath);
+
+  const otherPath = path.join(githubPath, 'owner', 'other.git');
+  fs.mkdirSync(otherPath, { recursive: true });
+  git(otherPath, 'init', '-q', '-b', 'trunk');
+  commitFile('other.js', 'other\n', otherPath);
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('no branch and the cloned branch use the build-time clone', async () => {
+  assert.equal(await prepareCheckout('https://github.com/owner/app', null), clonePath);
+  assert.equal(await prepareCheckout('https://github.com/owner/app', 'main'), clonePath);
+});
+
+test('another branch is cloned into its own checkout', async () => {
+  const checkoutPath = await prepareCheckout('https://github.com/owner/app', 'release-2');
+  assert.equal(checkoutPath, path.join(checkoutsPath, 'owner', 'app', 'release-2'));
+  assert.equal(await readFile('app.js', checkoutPath), 'release-2\n');
+  assert.equal(await readFile('app.js', clonePath), 'main\n');
+});
+
+test('a reused checkout moves to the branch head and drops files left behind', async () => {
+  const checkoutPath = await prepareCheckout('https://github.com/owner/app', 'release-2');
+  fs.writeFileSync(path.join(checkoutPath, 'scratch.txt'), 'left by an agent');
+  git(originPath, 'checkout', '-q', 'release-2');
+  commitFile('app.js', 'release-2 fixed\n');
+  git(originPath, 'checkout', '-q', 'main');
+
+  assert.equal(await prepareCheckout('https://github.com/owner/app', 'release-2'), checkoutPath);
+  assert.equal(await readFile('app.js', checkoutPath), 'release-2 fixed\n');
+  assert.equal(fs.existsSync(path.join(checkoutPath, 'scratch.txt')), false);
+});
+
+test('concurrent workflows on the same branch share one clone', async () => {
+  const paths = await Promise.all([
+    prepareCheckout('https://github.com/owner/app', 'release-2'),
+    prepareCheckout('https://github.com/owner/app', 'release-2'),
+  ]);
+  assert.equal(paths[0], paths[1]);
+});
+
+test('a branch that cannot be checked out fails instead of falling back to the clone', async () => {
+  await assert.rejects(prepareCheckout('https://github.com/owner/app', 'no-such-branch'), /Could not check out branch no-such-branch of https:\/\/github.com\/owner\/app/);
+  assert.deepEqual(fs.readdirSync(path.join(checkoutsPath, 'owner', 'app')), ['release-2']);
+  await assert.rejects(prepareCheckout('https://github.com/owner/app', '--upload-pack=touch'), /not a valid branch name/);
+  await assert.rejects(prepareCheckout('https://github.com/owner/app', 'a..b'), /not a valid branch name/);
+});
+
+test('another repository is cloned at its default branch instead of reading the build-time clone', async () => {
+  const checkoutPath = await prepareCheckout('https://github.com/Owner/Other', null);
+  assert.equal(checkoutPath, path.join(checkoutsPath, 'owner', 'other', '@default'));
+  assert.equal(await readFile('other.js', checkoutPath), 'other\n');
+  assert.equal(await prepareCheckout('https://github.com/owner/other', 'trunk'), path.join(checkoutsPath, 'owner', 'other', 'trunk'));
+});
+
+test('a repository that cannot be cloned fails the checkout', async () => {
+  await assert.rejects(prepareCheckout('https://github.com/owner/missing', null), /Could not check out https:\/\/github.com\/owner\/missing/);
+  await assert.rejects(prepareCheckout('https://github.com/owner/..', null), /not a GitHub repository/);
+});
+
+test('file tools stay inside the checkout', async () => {
+  await assert.rejects(readFile('../clone/app.js', path.join(tmpDir, 'clon')), /outside repository/);
+  await assert.rejects(listDirectory('..', clonePath), /outside repository/);
+  assert.deepEqual((await listDirectory('.', clonePath)).map(entry => entry.name).sort(), ['.git', 'app.js']);
+});
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+process.env.OPENAI_API_KEY = 'sk-test';
+process.env.JOB_QUEUE_STORE = 'memory';
+process.env.DEDUP_STORE = 'memory';
+process.env.ROUTING_CONFIG_PATH = '/nonexistent/routing.json';
+
+const { createWorkflowId } = await import('../src/job-processor.js');
+
+test('workflow ids started in the same millisecond do not collide', () => {
+  const ids = Array.from({ length: 100 }, () => createWorkflowId());
+  assert.equal(new Set(ids).size, ids.length);
+  for (const id of ids) {
+    assert.match(id, /^workflow-\d{13}-[0-9a-f]{8}$/);
+  }
+});
@@ -0,0 +1,193 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+process.env.JOB_QUEUE_STORE = 'memory';
+process.env.JOB_CONCURRENCY = '2';
+process.env.JOB_CONCURRENCY_PER_REPO = '1';
+// Retries run right away
+process.env.JOB_RETRY_BASE_SECONDS = '0';
+
+const {
+  registerJobHandler, enqueueJob, wakeJob, getJob, startJobQueue, stopJobQueue, isTransientError, listDeadLetterJobs, requeueJob,
+} = await import('../src/job-queue.js');
+
+/**
+ * Wait until `condition` holds (polling), or fail after `timeoutMs`
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+before(() => startJobQueue());
+after(() => stopJobQueue());
+
+test('transient errors are recognized by status, code and message', () => {
+  assert.equal(isTransientError(Object.assign(new Error('rate limited'), { status: 429 })), true);
+  assert.equal(isTransientError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.equal(isTransientError(new Error('Jira API error: 503 Service Unavailable')), true);
+  assert.equal(isTransientError(Object.assign(new Error('bad request'), { status: 400 })), false);
+  assert.equal(isTransientError(Object.assign(new Error('rate limited'), { status: 429, transient: false })), false);
+});
+
+test('transient failures are retried and permanent ones dead-lettered', async () => {
+  const attempts = [];
+  registerJobHandler('flaky', async (payload, job) => {
+    attempts.push(job.attempt);
+    throw Object.assign(new Error(payload.message), { status: payload.status });
+  });
+
+  const transient = await enqueueJob('flaky', { message: 'Service Unavailable', status: 503 }, { maxAttempts: 3 });
+  await waitFor(() => getJob(transient.id).state === 'failed');
+  assert.deepEqual(attempts, [1, 2, 3]);
+  assert.equal(getJob(transient.id).lastError, 'Service Unavailable');
+
+  attempts.length = 0;
+  const permanent = await enqueueJob('flaky', { message: 'bad request', status: 400 }, { maxAttempts: 3 });
+  await waitFor(() => getJob(permanent.id).state === 'failed');
+  assert.deepEqual(attempts, [1]);
+  assert.equal(getJob(permanent.id).lastError, 'bad request');
+  assert.ok(getJob(permanent.id).deadLetteredAt);
+  assert.deepEqual(listDeadLetterJobs().map(job => job.id).slice(0, 2), [permanent.id, transient.id]);
+});
+
+test('a dead-lettered job is re-queued with a fresh set of attempts', async () => {
+  let fail = true;
+  registerJobHandler('fixed_later', async () => {
+    if (fail) throw Object.assign(new Error('Jira project missing'), { transient: false });
+  });
+
+  const job = await enqueueJob('fixed_later', {}, { maxAttempts: 2 });
+  await waitFor(() => getJob(job.id).state === 'failed');
+  assert.equal(await requeueJob('job-unknown'), null);
+
+  fail = false;
+  assert.equal(await requeueJob(job.id), getJob(job.id));
+  assert.equal(getJob(job.id).deadLetteredAt, null);
+  await waitFor(() => getJob(job.id).state === 'succeeded');
+  assert.equal(getJob(job.id).attempts, 1);
+  assert.equal(listDeadLetterJobs().some(candidate => candidate.id === job.id), false);
+  // Only dead-lettered jobs can be re-queued
+  assert.equal(await requeueJob(job.id), null);
+});
+
+test('a parked job frees its worker and continues from its checkpoint when woken', async () => {
+  const runs = [];
+  registerJobHandler('parking', async (payload, job) => {
+    runs.push({ name: payload.name, attempt: job.attempt, checkpoint: job.checkpoint });
+    if (payload.name === 'waiting' && !job.checkpoint.answer) {
+      job.park(60000, { question: 'which?' });
+    }
+  });
+
+  const waiting = await enqueueJob('parking', { name: 'waiting' }, { concurrencyKey: 'parking-repo' });
+  await waitFor(() => getJob(waiting.id).state === 'queued' && runs.length === 1);
+
+  // The repository's only slot is free again
+  const other = await enqueueJob('parking', { name: 'other' }, { concurrencyKey: 'parking-repo' });
+  await waitFor(() => getJob(other.id).state === 'succeeded');
+
+  assert.equal(await wakeJob(waiting.id, { answer: 'this one' }), getJob(waiting.id));
+  await waitFor(() => getJob(waiting.id).state === 'succeeded');
+
+  const continued = runs.filter(run => run.name === 'waiting');
+  assert.equal(continued.length, 2);
+  assert.deepEqual(continued[1].checkpoint, { question: 'which?', answer: 'this one' });
+  // Parking does not use up an attempt
+  assert.equal(continued[1].attempt, 1);
+  assert.equal(await wakeJob(waiting.id), null);
+});
+
+test('a parked job runs again once its delay runs out', async () => {
+  let runs = 0;
+  registerJobHandler('timeout', async (payload, job) => {
+    runs++;
+    if (runs === 1) job.park(50);
+  });
+
+  const job = await enqueueJob('timeout', {});
+  await waitFor(() => getJob(job.id).state === 'succeeded', 5000);
+  assert.equal(runs, 2);
+});
+
+test('waking a job while the run that parks it is finishing continues it right away', async () => {
+  let release;
+  const runs = [];
+  registerJobHandler('racing', async (payload, job) => {
+    runs.push(job.checkpoint.answer || null);
+    if (runs.length === 1) {
+      job.park(60000);
+      await new Promise(resolve => { release = resolve; });
+    }
+  });
+
+  const job = await enqueueJob('racing', {});
+  await waitFor(() => release);
+  assert.ok(await wakeJob(job.id, { answer: 'early' }));
+  release();
+  await waitFor(() => getJob(job.id).state === 'succeeded');
+  assert.deepEqual(runs, [null, 'early']);
+});
+
+test('waiting jobs are taken round-robin across channels and told their position', async () => {
+  const releases = [];
+  const runs = [];
+  const positions = {};
+  registerJobHandler('fair', async (payload) => {
+    runs.push(payload.name);
+    if (payload.block) await new Promise(resolve => { releases.push(resolve); });
+  }, {
+    onWaiting: async (payload, job, { position, reason }) => {
+      (positions[payload.name] ||= []).push(`${position} ${reason}`);
+    },
+  });
+
+  // Both workers busy with one channel
+  await enqueueJob('fair', { name: 'busy-1', block: true }, { fairnessKey: 'C-busy' });
+  await enqueueJob('fair', { name: 'busy-2', block: true }, { fairnessKey: 'C-busy' });
+  await waitFor(() => releases.length === 2);
+
+  await enqueueJob('fair', { name: 'a-1' }, { fairnessKey: 'C-a' });
+  await waitFor(() => positions['a-1']);
+  await enqueueJob('fair', { name: 'a-2' }, { fairnessKey: 'C-a' });
+  await waitFor(() => positions['a-2']);
+  await enqueueJob('fair', { name: 'b-1' }, { fairnessKey: 'C-b' });
+  await waitFor(() => positions['b-1']);
+
+  assert.deepEqual(positions, { 'a-1': ['1 workers'], 'a-2': ['2 workers', '3 workers'], 'b-1': ['2 workers'] });
+
+  // One worker works through the line; the second channel does not wait for the first one's backlog
+  releases[0]();
+  await waitFor(() => runs.length === 5);
+  assert.deepEqual(runs.slice(2), ['a-1', 'b-1', 'a-2']);
+  releases[1]();
+});
+
+test('jobs of a repository at its limit wait while other repositories run', async () => {
+  let release;
+  const runs = [];
+  const waited = [];
+  registerJobHandler('per_repo', async (payload) => {
+    runs.push(payload.name);
+    if (payload.block) await new Promise(resolve => { release = resolve; });
+  }, {
+    onWaiting: async (payload, job, { position, reason }) => { waited.push([payload.name, position, reason]); },
+  });
+
+  await enqueueJob('per_repo', { name: 'api-1', block: true }, { concurrencyKey: 'acme/api' });
+  await waitFor(() => release);
+  const second = await enqueueJob('per_repo', { name: 'api-2' }, { concurrencyKey: 'acme/api' });
+  const other = await enqueueJob('per_repo', { name: 'web-1' }, { concurrencyKey: 'acme/web' });
+
+  await waitFor(() => getJob(other.id).state === 'succeeded');
+  assert.equal(getJob(second.id).state, 'queued');
+  assert.deepEqual(waited, [['api-2', 1, 'repo']]);
+
+  release();
+  await waitFor(() => getJob(second.id).state === 'succeeded');
+  assert.deepEqual(runs, ['api-1', 'web-1', 'api-2']);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createCounter, createHistogram, createGauge, trackRequest, renderMetrics, metricsHandler,
+} from '../src/metrics.js';
+
+/**
+ * The lines of the rendered metrics that belong to one metric (HELP, TYPE and samples)
+ */
+function metricLines(name) {
+  return renderMetrics().split('\n').filter(line => line.includes(` ${name} `) || line.startsWith(name));
+}
+
+test('counters render HELP, TYPE and one sample per label set', () => {
+  const counter = createCounter('test_events_total', 'Events seen', ['kind']);
+  counter.inc({ kind: 'a' });
+  counter.inc({ kind: 'a' }, 2);
+  counter.inc({ kind: 'b', ignored: 'x' });
+
+  assert.deepEqual(metricLines('test_events_total'), [
+    '# HELP test_events_total Events seen',
+    '# TYPE test_events_total counter',
+    'test_events_total{kind="a"} 3',
+    'test_events_total{kind="b"} 1',
+  ]);
+});
+
+test('label values are escaped', () => {
+  const counter = createCounter('test_escaped_total', 'Escaping', ['value']);
+  counter.inc({ value: 'say "hi"\\\nbye' });
+  assert.ok(renderMetrics().includes('test_escaped_total{value="say \\"hi\\"\\\\\\nbye"} 1'));
+});
+
+test('histograms render cumulative buckets, +Inf, sum and count', () => {
+  const histogram = createHistogram('test_duration_seconds', 'Durations', ['step'], [1, 5]);
+  histogram.observe({ step: 'rca' }, 0.5);
+  histogram.observe({ step: 'rca' }, 3);
+  histogram.observe({ step: 'rca' }, 10);
+
+  assert.deepEqual(metricLines('test_duration_seconds'), [
+    '# HELP test_duration_seconds Durations',
+    '# TYPE test_duration_seconds histogram',
+    'test_duration_seconds_bucket{step="rca",le="1"} 1',
+    'test_duration_seconds_bucket{step="rca",le="5"} 2',
+    'test_duration_seconds_bucket{step="rca",le="+Inf"} 3',
+    'test_duration_seconds_sum{step="rca"} 13.5',
+    'test_duration_seconds_count{step="rca"} 3',
+  ]);
+});
+
+test('gauges are collected when rendered', () => {
+  let depth = 1;
+  createGauge('test_queue_depth', 'Queue depth', () => [{ value: depth }, { labels: { state: 'failed' }, value: 0 }]);
+  depth = 4;
+  assert.deepEqual(metricLines('test_queue_depth').slice(2), ['test_queue_depth 4', 'test_queue_depth{state="failed"} 0']);
+});
+
+test('metric names are unique', () => {
+  assert.throws(() => createCounter('test_events_total', 'Again'), /already registered/);
+});
+
+test('trackRequest counts thrown errors and HTTP error responses', async () => {
+  await trackRequest('jira', 'test.ok', async () => ({ ok: true, status: 200 }));
+  await trackRequest('jira', 'test.status', async () => ({ ok: false, status: 503 }));
+  await assert.rejects(trackRequest('slack', 'test.throw', async () => {
+    throw Object.assign(new Error('nope'), { data: { error: 'channel_not_found' } });
+  }), /nope/);
+
+  const text = renderMetrics();
+  assert.ok(text.includes('rca_external_request_errors_total{service="jira",operation="test.status",reason="503"} 1'));
+  assert.ok(text.includes('rca_external_request_errors_total{service="slack",operation="test.throw",reason="channel_not_found"} 1'));
+  assert.ok(!text.includes('operation="test.ok",reason='));
+  assert.ok(text.includes('rca_external_request_duration_seconds_count{service="jira",operation="test.ok"} 1'));
+});
+
+test('the /metrics handler serves the text exposition format', () => {
+  const res = { headers: {}, body: null };
+  res.set = (name, value) => { res.headers[name] = value; };
+  res.send = (body) => { res.body = body; };
+  metricsHandler({}, res);
+
+  assert.equal(res.headers['Content-Type'], 'text/plain; version=0.0.4; charset=utf-8');
+  assert.ok(res.body.endsWith('\n'));
+  assert.ok(res.body.includes('# TYPE rca_agent_runs_total counter'));
+});
@@ -0,0 +1,106 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+process.env.LOG_LEVEL = 'error';
+
+const { checkCallbackUrl, registerNotifier, hasNotifier, notifyWorkflow } = await import('../src/notifiers.js');
+
+// A second copy of the module, loaded with an allowlist
+process.env.API_CALLBACK_HOSTS = 'localhost,*.hooks.example.com';
+const allowlisted = await import('../src/notifiers.js?allowlisted');
+delete process.env.API_CALLBACK_HOSTS;
+
+let server;
+let receiverUrl;
+const received = [];
+
+// A receiver that takes its time with every event
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => setTimeout(() => {
+      received.push(JSON.parse(body));
+      res.end('ok');
+    }, 100));
+  });
+  await new Promise(resolve => { server.listen(0, '127.0.0.1', resolve); });
+  receiverUrl = `http://localhost:${server.address().port}/hooks/rca`;
+});
+
+after(() => server?.close());
+
+test('callbacks to loopback, private and metadata addresses are refused', async () => {
+  for (const url of [
+    'http://127.0.0.1:8080/hook',
+    'http://localhost/hook',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://10.0.0.5/hook',
+    'https://172.16.1.1/hook',
+    'http://192.168.1.10/hook',
+    'http://[::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://[fd00::1]/hook',
+  ]) {
+    assert.match(await checkCallbackUrl(url), /private, loopback or link-local/, url);
+  }
+  assert.match(await checkCallbackUrl('ftp://93.184.216.34/hook'), /must be http\(s\)/);
+  assert.match(await checkCallbackUrl('not a url'), /not a valid URL/);
+  assert.equal(await checkCallbackUrl('https://93.184.216.34/hook'), null);
+});
+
+test('with API_CALLBACK_HOSTS only the listed hosts are accepted, private or not', async () => {
+  assert.equal(await allowlisted.checkCallbackUrl('http://localhost:3000/hook'), null);
+  assert.equal(await allowlisted.checkCallbackUrl('https://ci.hooks.example.com/hook'), null);
+  assert.match(await allowlisted.checkCallbackUrl('http://127.0.0.1:3000/hook'), /not in API_CALLBACK_HOSTS/);
+  assert.match(await allowlisted.checkCallbackUrl('https://93.184.216.34/hook'), /not in API_CALLBACK_HOSTS/);
+});
+
+test('callbacks are delivered in the background, in order', async () => {
+  const workflow = { id: 'wf-callback', notifiers: [{ type: 'callback', url: receiverUrl }] };
+
+  const start = Date.now();
+  for (const text of ['first', 'second', 'third']) {
+    await allowlisted.notifyWorkflow(workflow, 'message', { text });
+  }
+  assert.ok(Date.now() - start < 100, 'the workflow does not wait for the receiver');
+  assert.equal(received.length, 0);
+
+  await allowlisted.flushCallbacks();
+  assert.deepEqual(received.map(event => [event.event, event.workflowId, event.text]), [
+    ['workflow.message', 'wf-callback', 'first'],
+    ['workflow.message', 'wf-callback', 'second'],
+    ['workflow.message', 'wf-callback', 'third'],
+  ]);
+});
+
+test('events fan out to every notifier of the workflow, past failing ones', async () => {
+  const calls = [];
+  registerNotifier('audit', {
+    async started(workflow, settings) { calls.push(['audit', workflow.id, settings.target]); },
+  });
+  registerNotifier('pager', {
+    async started() { throw new Error('pager is down'); },
+  });
+  registerNotifier('chat', {
+    async started(workflow, settings) { calls.push(['chat', workflow.id, settings.target]); },
+    async message(workflow, settings, { text }) { calls.push(['chat', workflow.id, text]); },
+  });
+  assert.equal(hasNotifier('audit'), true);
+  assert.equal(hasNotifier('fax'), false);
+
+  const workflow = {
+    id: 'wf-fanout',
+    notifiers: [{ type: 'audit', target: 'log' }, { type: 'pager' }, { type: 'fax' }, { type: 'chat', target: '#ops' }],
+  };
+  await notifyWorkflow(workflow, 'started');
+  await notifyWorkflow(workflow, 'message', { text: 'Repository not found' });
+
+  assert.deepEqual(calls, [
+    ['audit', 'wf-fanout', 'log'],
+    ['chat', 'wf-fanout', '#ops'],
+    ['chat', 'wf-fanout', 'Repository not found'],
+  ]);
+  await notifyWorkflow({ id: 'wf-none' }, 'started');
+});
@@ -0,0 +1,110 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+process.env.LOG_LEVEL = 'error';
+process.env.OPENAI_API_KEY = 'sk-test';
+
+// The steps are registered by job-processor
+await import('../src/job-processor.js');
+const { loadPipelineConfig, reloadPipelineConfig, resolvePipeline } = await import('../src/pipeline-config.js');
+
+let dir;
+let configPath;
+
+/**
+ * Write a pipeline config file and load it
+ */
+function load(config) {
+  fs.writeFileSync(configPath, JSON.stringify(config));
+  return loadPipelineConfig(configPath);
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-test-'));
+  configPath = path.join(dir, 'pipelines.json');
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  loadPipelineConfig(path.join(dir, 'missing.json'));
+});
+
+test('without a config file only the built-in default pipeline exists', () => {
+  const pipeline = resolvePipeline();
+  assert.equal(pipeline.name, 'default');
+  assert.deepEqual(pipeline.steps.map(({ step }) => step), ['vision', 'search', 'ticket', 'rca', 'rca_comment', 'test_cases', 'test_cases_comment']);
+  assert.equal(resolvePipeline('rca_only'), null);
+});
+
+test('steps are normalized with their label, failure policy and options', () => {
+  load({
+    pipelines: {
+      strict: { description: 'No skipping', steps: ['search', 'ticket', { step: 'test_cases', onFailure: 'abort' }] },
+      ticket_only: { steps: [{ step: 'ticket', options: { llmDraft: false, duplicates: 'off' } }] },
+    },
+  });
+
+  const strict = resolvePipeline('strict');
+  assert.equal(strict.description, 'No skipping');
+  assert.deepEqual(strict.steps.map(({ step, onFailure }) => `${step}:${onFailure}`), ['search:abort', 'ticket:abort', 'test_cases:abort']);
+  assert.ok(strict.steps[0].label);
+  assert.deepEqual(resolvePipeline('ticket_only').steps[0].options, { llmDraft: false, duplicates: 'off' });
+  // A file without "default" keeps the built-in one
+  assert.equal(resolvePipeline().name, 'default');
+});
+
+test('a configured default replaces the built-in one', () => {
+  load({ pipelines: { default: { steps: ['search', 'rca'] } } });
+  assert.deepEqual(resolvePipeline().steps.map(({ step }) => step), ['search', 'rca']);
+});
+
+test('every problem in an invalid config is reported at once', () => {
+  assert.throws(() => load({
+    pipelines: {
+      Bad: { steps: ['search'] },
+      broken: {
+        steps: ['search', 'nope', { step: 'ticket', options: { llmDraft: 'yes', duplicates: 'maybe', color: 1 }, onFailure: 'retry' }, 'search'],
+        extra: true,
+      },
+      early: { steps: ['rca'] },
+      empty: { steps: [] },
+    },
+    other: {},
+  }), error => {
+    for (const problem of [
+      'unknown top-level field "other"',
+      'pipelines.Bad: names are lowercase letters, digits, - and _',
+      'pipelines.broken: unknown field "extra"',
+      'pipelines.broken.steps[1]: unknown step "nope"',
+      'pipelines.broken.steps[2]: "onFailure" must be one of abort, continue',
+      'pipelines.broken.steps[2]: option "llmDraft" must be a boolean',
+      'pipelines.broken.steps[2]: option "duplicates" must be one of',
+      'pipelines.broken.steps[2]: step "ticket" has no option "color"',
+      'pipelines.broken: step "search" is listed more than once',
+      'pipelines.early.steps[0]: step "rca" needs relevantFiles - run search before it',
+      'pipelines.empty: "steps" must be a non-empty array',
+    ]) {
+      assert.ok(error.message.includes(problem), `missing: ${problem}`);
+    }
+    return true;
+  });
+});
+
+test('a failed reload keeps the previous config', () => {
+  load({ pipelines: { quick: { steps: ['search'] } } });
+  fs.writeFileSync(configPath, '{ not json');
+  assert.equal(reloadPipelineConfig(configPath), false);
+  assert.ok(resolvePipeline('quick'));
+});
+
+test('the example pipeline config is valid', () => {
+  const pipelines = loadPipelineConfig(fileURLToPath(new URL('../config/pipelines.example.json', import.meta.url)));
+  assert.deepEqual(Object.keys(pipelines), ['default', 'rca_only', 'ticket_only', 'test_cases_only']);
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+
+const { registerPipelineStep, runPipeline } = await import('../src/pipeline-runner.js');
+
+const runs = [];
+
+registerPipelineStep('t_search', {
+  inputs: ['issueDescription'],
+  outputs: ['relevantFiles'],
+  run: async (workflow) => {
+    runs.push('t_search');
+    if (workflow.searchFails) throw new Error('search crashed');
+    workflow.relevantFiles = ['src/cart.js'];
+  },
+});
+registerPipelineStep('t_rca', {
+  inputs: ['relevantFiles'],
+  outputs: ['rcaResult'],
+  failureMessage: 'Failed to perform RCA analysis',
+  run: async (workflow, options) => {
+    runs.push(`t_rca ${JSON.stringify(options)}`);
+    if (workflow.cancelDuringRca) workflow.cancelled = true;
+    if (workflow.rcaError) throw workflow.rcaError;
+    workflow.rcaResult = 'Null total';
+  },
+  onAbort: async (workflow, error) => { runs.push(`t_rca aborted: ${error.message}`); },
+});
+registerPipelineStep('t_report', {
+  run: async () => { runs.push('t_report'); },
+});
+
+/**
+ * Workflow hooks that record what the runner asked for
+ * `retryable` errors are handed back to the runner to throw
+ */
+function createHooks() {
+  const calls = [];
+  return {
+    calls,
+    setStepStatus: async (workflow, step, status, detail) => { calls.push(['status', step, status, detail]); },
+    stopIfCancelled: async (workflow) => !!workflow.cancelled,
+    stopCancelledStep: async (workflow, step) => {
+      if (!workflow.cancelled) return false;
+      calls.push(['cancelled', step]);
+      return true;
+    },
+    retryLater: async (workflow, error) => !!error.retryable,
+    finishWorkflow: async (workflow, status, detail) => { calls.push(['finish', status, detail]); },
+  };
+}
+
+const pipeline = [
+  { step: 't_search', onFailure: 'continue' },
+  { step: 't_rca', onFailure: 'abort', options: { llmDraft: true } },
+  { step: 't_report', onFailure: 'continue' },
+];
+
+test('steps run in order with their options', async () => {
+  runs.length = 0;
+  const hooks = createHooks();
+  const workflow = { issueDescription: 'Checkout fails' };
+
+  assert.equal(await runPipeline(workflow, pipeline, hooks), true);
+  assert.deepEqual(runs, ['t_search', 't_rca {"llmDraft":true}', 't_report']);
+  assert.equal(workflow.rcaResult, 'Null total');
+  assert.deepEqual(hooks.calls, []);
+});
+
+test('a failed step with onFailure continue clears its outputs and steps needing them are skipped', async () => {
+  runs.length = 0;
+  const hooks = createHooks();
+  const workflow = { issueDescription: 'Checkout fails', searchFails: true, relevantFiles: ['stale.js'] };
+
+  assert.equal(await runPipeline(workflow, pipeline, hooks), true);
+  assert.deepEqual(runs, ['t_search', 't_report']);
+  assert.equal(workflow.relevantFiles, null);
+  assert.deepEqual(hooks.calls, [
+    ['status', 't_search', 'failed', 'search crashed'],
+    ['status', 't_rca', 'skipped', undefined],
+  ]);
+});
+
+test('a failed step with onFailure abort finishes the workflow as failed', async () => {
+  runs.length = 0;
+  const hooks = createHooks();
+  const workflow = { issueDescription: 'Checkout fails', rcaError: new Error('model refused') };
+
+  assert.equal(await runPipeline(workflow, pipeline, hooks), false);
+  assert.deepEqual(runs, ['t_search', 't_rca {"llmDraft":true}', 't_rca aborted: model refused']);
+  assert.deepEqual(hooks.calls, [
+    ['status', 't_rca', 'failed', undefined],
+    ['finish', 'failed', 'Failed to perform RCA analysis: model refused'],
+  ]);
+});
+
+test('a transient failure is thrown for a retry instead of finishing the workflow', async () => {
+  runs.length = 0;
+  const hooks = createHooks();
+  const error = Object.assign(new Error('rate limited'), { retryable: true });
+
+  await assert.rejects(runPipeline({ issueDescription: 'Checkout fails', rcaError: error }, pipeline, hooks), error);
+  assert.deepEqual(hooks.calls, [['status', 't_rca', 'failed', undefined]]);
+  assert.equal(runs.includes('t_rca aborted: rate limited'), false);
+});
+
+test('a cancelled workflow stops before the next step, or when its step fails', async () => {
+  runs.length = 0;
+  const hooks = createHooks();
+  assert.equal(await runPipeline({ issueDescription: 'Checkout fails', cancelDuringRca: true }, pipeline, hooks), false);
+  assert.deepEqual(runs, ['t_search', 't_rca {"llmDraft":true}']);
+  assert.deepEqual(hooks.calls, []);
+
+  runs.length = 0;
+  const aborted = Object.assign(new Error('Request was aborted'), { name: 'AbortError' });
+  assert.equal(await runPipeline({ issueDescription: 'Checkout fails', cancelDuringRca: true, rcaError: aborted }, pipeline, hooks), false);
+  // Cancelled, not failed: no failure status, abort handler or failed finish
+  assert.deepEqual(hooks.calls, [['cancelled', 't_rca']]);
+  assert.deepEqual(runs, ['t_search', 't_rca {"llmDraft":true}']);
+});
@@ -0,0 +1,130 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+process.env.LOG_LEVEL = 'error';
+process.env.JIRA_PROJECT_KEY = 'ENV';
+process.env.JIRA_ISSUE_TYPE = 'Task';
+delete process.env.GITHUB_REPO;
+delete process.env.BACKEND_REPO_URL;
+delete process.env.BACKEND_BRANCH;
+
+const { loadRoutingConfig, reloadRoutingConfig, resolveRoute } = await import('../src/routing-config.js');
+
+let dir;
+let configPath;
+
+/**
+ * Write a routing config file and load it
+ */
+function load(config) {
+  fs.writeFileSync(configPath, JSON.stringify(config));
+  return loadRoutingConfig(configPath);
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routing-test-'));
+  configPath = path.join(dir, 'routing.json');
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  loadRoutingConfig(path.join(dir, 'missing.json'));
+});
+
+test('without a config file every channel gets the environment defaults', () => {
+  assert.deepEqual(resolveRoute('C123'), {
+    repo: null,
+    branch: null,
+    jiraProject: 'ENV',
+    issueType: 'Task',
+    labels: [],
+    components: [],
+    vision: true,
+    pipeline: null,
+    route: null,
+  });
+});
+
+test('the first matching route wins and unset fields fall back to defaults', () => {
+  load({
+    defaults: { issueType: 'Bug', labels: ['slack'] },
+    routes: [
+      { channel: 'C0123456789', repo: 'owner/api', jiraProject: 'API' },
+      { channel: 'C01*', repo: 'https://github.com/owner/web.git', components: ['Frontend'] },
+    ],
+  });
+
+  const exact = resolveRoute('C0123456789');
+  assert.equal(exact.route, 'C0123456789');
+  assert.equal(exact.repo, 'https://github.com/owner/api');
+  assert.equal(exact.jiraProject, 'API');
+  assert.equal(exact.issueType, 'Bug');
+  assert.deepEqual(exact.labels, ['slack']);
+
+  const glob = resolveRoute('C01ABCDEF');
+  assert.equal(glob.route, 'C01*');
+  assert.equal(glob.repo, 'https://github.com/owner/web');
+  assert.equal(glob.jiraProject, 'ENV');
+  assert.deepEqual(glob.components, ['Frontend']);
+
+  assert.equal(resolveRoute('C99').route, null);
+  assert.equal(resolveRoute(null).route, null);
+});
+
+test('glob characters other than * match literally', () => {
+  load({ routes: [{ channel: 'C.1*', jiraProject: 'DOT' }] });
+  assert.equal(resolveRoute('C.12').jiraProject, 'DOT');
+  assert.equal(resolveRoute('CX12').jiraProject, 'ENV');
+});
+
+test('every problem in an invalid config is reported at once', () => {
+  assert.throws(() => load({
+    routes: [
+      { channel: 'C1', repo: 'not a repo', jiraProject: 'lower', labels: ['has space'], vision: 'yes', color: 'red' },
+      { repo: 'owner/api' },
+    ],
+    extra: true,
+  }), error => {
+    for (const problem of [
+      'unknown top-level field "extra"',
+      'routes[0]: unknown field "color"',
+      'routes[0]: "repo" must be owner/repo or a GitHub URL',
+      'routes[0]: "jiraProject" must be a Jira project key',
+      'routes[0]: Jira labels cannot contain spaces',
+      'routes[0]: "vision" must be true or false',
+      'routes[1]: "channel" is required',
+    ]) {
+      assert.ok(error.message.includes(problem), `missing: ${problem}`);
+    }
+    return true;
+  });
+});
+
+test('a failed reload keeps the previous config', () => {
+  load({ routes: [{ channel: 'C1', jiraProject: 'KEEP' }] });
+  fs.writeFileSync(configPath, '{ not json');
+  assert.equal(reloadRoutingConfig(configPath), false);
+  assert.equal(resolveRoute('C1').jiraProject, 'KEEP');
+});
+
+test('regular expression channel patterns are rejected', () => {
+  assert.throws(
+    () => load({ routes: [{ channel: '/^(C+)+$/', jiraProject: 'OPS' }] }),
+    /routes\[0\]: invalid channel pattern - regular expressions are not supported/,
+  );
+});
+
+test('the example routing config is valid', () => {
+  const example = loadRoutingConfig(fileURLToPath(new URL('../config/routing.example.json', import.meta.url)));
+  assert.ok(example.routes.length > 0);
+  // One glob per channel prefix replaces the /^C1(A|B)/ regular expression of older examples
+  assert.equal(resolveRoute('C1A2345678').jiraProject, 'OPS');
+  assert.equal(resolveRoute('C1B2345678').jiraProject, 'OPS');
+});
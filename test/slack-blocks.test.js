@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildWorkflowMessage, buildTicketDraftModal, TICKET_MODAL_CALLBACK_ID } from '../src/slack-blocks.js';
+
+const PIPELINE_STEPS = [
+  { step: 'search', label: 'Search relevant files' },
+  { step: 'ticket', label: 'Create Jira ticket' },
+  { step: 'rca', label: 'Root cause analysis' },
+];
+
+/**
+ * A workflow as the job processor registers it, with overrides
+ */
+function workflow(fields = {}) {
+  return {
+    id: 'workflow-1',
+    status: 'running',
+    githubRepo: 'https://github.com/owner/api',
+    issueDescription: 'Checkout fails with a 500',
+    pipelineSteps: PIPELINE_STEPS,
+    steps: {},
+    ...fields,
+  };
+}
+
+/**
+ * The action_ids of a status message's buttons
+ */
+function actionIds(message) {
+  const actions = message.blocks.find(block => block.type === 'actions');
+  return actions ? actions.elements.map(element => element.action_id) : [];
+}
+
+test('a running workflow shows its steps and only the cancel button', () => {
+  const message = buildWorkflowMessage(workflow({
+    steps: { search: { status: 'done', detail: '4 files' }, ticket: { status: 'running' } },
+  }));
+
+  assert.equal(message.text, '🔍 RCA in progress: Checkout fails with a 500');
+  assert.equal(message.blocks[2].text.text, [
+    '✅ Search relevant files - 4 files',
+    '⏳ Create Jira ticket',
+    '⚪ Root cause analysis',
+  ].join('\n'));
+  assert.deepEqual(actionIds(message), ['cancel_workflow']);
+  assert.equal(message.blocks.at(-1).block_id, 'workflow_actions:workflow-1');
+});
+
+test('a completed workflow offers re-running, test cases and the Jira ticket', () => {
+  const message = buildWorkflowMessage(workflow({
+    status: 'completed',
+    relevantFiles: ['src/checkout.js'],
+    rcaResult: { summary: 'Null cart total', rootCause: '', recommendedFix: '' },
+    issueKey: 'OPS-12',
+    issueUrl: 'https://jira.example.com/browse/OPS-12',
+  }));
+
+  assert.equal(message.text, '✅ RCA completed: Checkout fails with a 500 (OPS-12)');
+  assert.deepEqual(actionIds(message), ['rerun_rca', 'regenerate_test_cases', 'open_jira']);
+  const openJira = message.blocks.at(-1).elements.find(element => element.action_id === 'open_jira');
+  assert.equal(openJira.url, 'https://jira.example.com/browse/OPS-12');
+});
+
+test('long descriptions are cut to fit a section block', () => {
+  const message = buildWorkflowMessage(workflow({ issueDescription: 'x'.repeat(5000) }));
+  assert.equal(message.blocks[0].text.text.length, 2900);
+  assert.ok(message.blocks[0].text.text.endsWith('...'));
+});
+
+test('the ticket draft modal is prefilled and carries the message in its metadata', () => {
+  const modal = buildTicketDraftModal({
+    draft: { title: 'Checkout fails', summary: 'Orders cannot be placed', acceptanceCriteria: '- Orders go through' },
+    githubRepo: 'https://github.com/owner/api',
+    projectKey: 'OPS',
+    issueType: 'Bug',
+    issueTypes: ['Task', 'Bug'],
+    priority: null,
+    metadata: { channel: 'C1', messageTs: '1.1', threadTs: '1.0' },
+  });
+  const element = blockId => modal.blocks.find(block => block.block_id === blockId).element;
+
+  assert.equal(modal.callback_id, TICKET_MODAL_CALLBACK_ID);
+  assert.deepEqual(JSON.parse(modal.private_metadata), { channel: 'C1', messageTs: '1.1', threadTs: '1.0' });
+  assert.equal(element('title').initial_value, 'Checkout fails');
+  assert.equal(element('summary').initial_value, 'Orders cannot be placed');
+  assert.equal(element('acceptance_criteria').initial_value, '- Orders go through');
+  assert.equal(element('repo').initial_value, 'https://github.com/owner/api');
+  assert.equal(element('project').initial_value, 'OPS');
+  assert.deepEqual(element('issue_type').options.map(option => option.value), ['Task', 'Bug']);
+  assert.equal(element('issue_type').initial_option.value, 'Bug');
+  // No priority means the project default
+  assert.equal(element('priority').initial_option, undefined);
+});
+
+test('the configured issue type is offered even when the project does not list it', () => {
+  const modal = buildTicketDraftModal({
+    draft: { title: 't', summary: 's' },
+    issueType: 'Incident',
+    issueTypes: ['Task'],
+    priority: 'High',
+    metadata: {},
+  });
+  const element = blockId => modal.blocks.find(block => block.block_id === blockId).element;
+  assert.deepEqual(element('issue_type').options.map(option => option.value), ['Task', 'Incident']);
+  assert.equal(element('priority').initial_option.value, 'High');
+  assert.equal(element('acceptance_criteria').initial_value, '');
+});
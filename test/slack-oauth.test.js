@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_LEVEL = 'error';
+process.env.SLACK_CLIENT_ID = '123.456';
+process.env.SLACK_CLIENT_SECRET = 'client-secret-for-tests';
+
+const { installHandler, oauthRedirectHandler } = await import('../src/slack-oauth.js');
+
+/**
+ * Minimal Express response that records the status, content type and body
+ */
+function fakeResponse() {
+  const res = { statusCode: 200, contentType: null, body: null, cookies: {}, location: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.type = (type) => { res.contentType = type; return res; };
+  res.send = (body) => { res.body = body; return res; };
+  res.cookie = (name, value, options) => { res.cookies[name] = { value, options }; return res; };
+  res.clearCookie = (name) => { delete res.cookies[name]; return res; };
+  res.redirect = (location) => { res.location = location; return res; };
+  return res;
+}
+
+test('a known Slack error code gets a fixed plain-text message', async () => {
+  const res = fakeResponse();
+  await oauthRedirectHandler({ query: { error: 'access_denied' } }, res);
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.contentType, 'text/plain');
+  assert.equal(res.body, 'Slack install was not completed: the install was cancelled in Slack');
+});
+
+test('an unknown error value is never reflected in the response', async () => {
+  for (const error of ['<script>alert(1)</script>', 'constructor', ['a', 'b']]) {
+    const res = fakeResponse();
+    await oauthRedirectHandler({ query: { error } }, res);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.contentType, 'text/plain');
+    assert.equal(res.body, 'Slack install was not completed: Slack returned an error');
+  }
+});
+
+test('a redirect with an invalid state is rejected', async () => {
+  const res = fakeResponse();
+  await oauthRedirectHandler({ query: { code: 'abc', state: '1.2.forged' } }, res);
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body, /Invalid or expired install link/);
+});
+
+test('the install sets the state as an HttpOnly cookie for the redirect', () => {
+  const res = fakeResponse();
+  installHandler({ secure: true }, res);
+  const state = new URL(res.location).searchParams.get('state');
+  assert.equal(res.cookies.slack_oauth_state.value, state);
+  assert.equal(res.cookies.slack_oauth_state.options.httpOnly, true);
+  assert.equal(res.cookies.slack_oauth_state.options.sameSite, 'lax');
+  assert.equal(res.cookies.slack_oauth_state.options.secure, true);
+});
+
+test('a valid state from another browser is rejected', async () => {
+  const install = fakeResponse();
+  installHandler({ secure: true }, install);
+  const state = new URL(install.location).searchParams.get('state');
+
+  const other = fakeResponse();
+  installHandler({ secure: true }, other);
+
+  for (const cookie of [undefined, `slack_oauth_state=${other.cookies.slack_oauth_state.value}`]) {
+    const res = fakeResponse();
+    await oauthRedirectHandler({ query: { code: 'abc', state }, headers: { cookie } }, res);
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body, /started in another browser/);
+  }
+});
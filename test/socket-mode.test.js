@@ -0,0 +1,130 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { WebSocketServer } from 'ws';
+
+process.env.LOG_LEVEL = 'error';
+process.env.DEDUP_STORE = 'memory';
+process.env.ROUTING_CONFIG_PATH = '/nonexistent/routing.json';
+process.env.OPENAI_API_KEY = 'sk-test';
+
+const { startSocketMode } = await import('../src/socket-mode.js');
+
+let server;
+let wss;
+let socket;
+let client;
+// envelope_id -> resolve(ack message)
+const pendingAcks = new Map();
+
+/**
+ * Fake Slack: apps.connections.open over HTTP returns the URL of a local WebSocket server,
+ * which says hello and collects acknowledgments
+ */
+function startFakeSlack() {
+  server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    if (req.url.startsWith('/api/apps.connections.open')) {
+      res.end(JSON.stringify({ ok: true, url: `ws://127.0.0.1:${server.address().port}/socket` }));
+    } else {
+      res.end(JSON.stringify({ ok: false, error: 'unknown_method' }));
+    }
+  });
+  wss = new WebSocketServer({ server });
+  wss.on('connection', (connection) => {
+    socket = connection;
+    connection.on('message', (data) => {
+      const ack = JSON.parse(data.toString());
+      pendingAcks.get(ack.envelope_id)?.(ack);
+    });
+    connection.send(JSON.stringify({ type: 'hello', num_connections: 1 }));
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+}
+
+/**
+ * Send an envelope to the app and wait for its acknowledgment
+ */
+function sendEnvelope(envelope) {
+  const acked = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No ack for ${envelope.envelope_id}`)), 5000);
+    pendingAcks.set(envelope.envelope_id, (ack) => {
+      clearTimeout(timer);
+      resolve(ack);
+    });
+  });
+  socket.send(JSON.stringify(envelope));
+  return acked;
+}
+
+before(async () => {
+  await startFakeSlack();
+  client = await startSocketMode({
+    appToken: 'xapp-test-token',
+    clientOptions: { slackApiUrl: `http://127.0.0.1:${server.address().port}/api/` },
+  });
+});
+
+after(async () => {
+  await client?.disconnect();
+  wss?.close();
+  server?.close();
+});
+
+test('startSocketMode requires an app-level token', async () => {
+  await assert.rejects(startSocketMode({ appToken: '' }), /SLACK_APP_TOKEN is required/);
+});
+
+test('events_api envelopes are dispatched and acknowledged with an empty payload', async () => {
+  const ack = await sendEnvelope({
+    envelope_id: 'env-event',
+    type: 'events_api',
+    accepts_response_payload: false,
+    retry_num: 0,
+    payload: {
+      type: 'event_callback',
+      event_id: 'Ev-socket-1',
+      team_id: 'T1',
+      event: { type: 'member_joined_channel', user: 'U1', channel: 'C1' },
+    },
+  });
+  assert.deepEqual(ack, { envelope_id: 'env-event', payload: {} });
+});
+
+test('slash_commands envelopes are acknowledged with the dispatcher response', async () => {
+  const ack = await sendEnvelope({
+    envelope_id: 'env-command',
+    type: 'slash_commands',
+    accepts_response_payload: true,
+    payload: { command: '/rca', text: 'login fails --bogus', user_id: 'U1', channel_id: 'C1', team_id: 'T1' },
+  });
+  assert.equal(ack.envelope_id, 'env-command');
+  assert.equal(ack.payload.response_type, 'ephemeral');
+  assert.match(ack.payload.text, /Unknown option `--bogus`/);
+});
+
+test('interactive envelopes are acknowledged with view validation errors', async () => {
+  const ack = await sendEnvelope({
+    envelope_id: 'env-interactive',
+    type: 'interactive',
+    accepts_response_payload: true,
+    payload: {
+      type: 'view_submission',
+      user: { id: 'U1' },
+      team: { id: 'T1' },
+      view: {
+        callback_id: 'rca_ticket_modal',
+        private_metadata: JSON.stringify({ channel: 'C1', messageTs: '1.1' }),
+        state: { values: { repo: { value: { value: 'not a repo' } } } },
+      },
+    },
+  });
+  assert.equal(ack.envelope_id, 'env-interactive');
+  assert.equal(ack.payload.response_action, 'errors');
+  assert.ok(ack.payload.errors.repo);
+});
+
+test('unsupported envelope types are acknowledged', async () => {
+  const ack = await sendEnvelope({ envelope_id: 'env-unknown', type: 'something_new', payload: {} });
+  assert.deepEqual(ack, { envelope_id: 'env-unknown', payload: {} });
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseStackTraces, mapFramesToRepo, getFrameFiles, formatStackTraces } from '../src/stack-trace-parser.js';
+
+test('Node traces keep the exception, message and frames, and mark library frames', () => {
+  const [trace] = parseStackTraces([
+    'TypeError: Cannot read properties of undefined (reading \'id\')',
+    '    at Object.handler (/app/src/routes/users.js:42:13)',
+    '    at async Router.dispatch (/app/node_modules/express/lib/router.js:10:5)',
+    '    at node:internal/process/task_queues:95:5',
+  ].join('\n'));
+
+  assert.equal(trace.language, 'javascript');
+  assert.equal(trace.exception, 'TypeError');
+  assert.equal(trace.message, 'Cannot read properties of undefined (reading \'id\')');
+  assert.deepEqual(trace.frames.map(({ file, line, library }) => [file, line, library]), [
+    ['/app/src/routes/users.js', 42, false],
+    ['/app/node_modules/express/lib/router.js', 10, true],
+  ]);
+  assert.equal(trace.frames[0].function, 'Object.handler');
+});
+
+test('Python tracebacks take the exception printed after their frames', () => {
+  const [trace] = parseStackTraces(`Traceback (most recent call last):
+  File "/srv/app/orders/views.py", line 42, in create
+    order.save()
+  File "/usr/lib/python3.11/site-packages/django/db/models.py", line 7, in save
+ValueError: invalid quantity`);
+
+  assert.equal(trace.language, 'python');
+  assert.equal(trace.exception, 'ValueError');
+  assert.equal(trace.message, 'invalid quantity');
+  assert.deepEqual(trace.frames.map(frame => frame.library), [false, true]);
+  assert.equal(trace.frames[0].function, 'create');
+});
+
+test('Java frames rebuild the source path from the package', () => {
+  const [trace] = parseStackTraces(`Exception in thread "main" java.lang.IllegalStateException: closed
+\tat com.acme.orders.OrderService.place(OrderService.java:42)
+\tat java.base/java.lang.Thread.run(Thread.java:833)`);
+
+  assert.equal(trace.language, 'java');
+  assert.equal(trace.exception, 'java.lang.IllegalStateException');
+  assert.deepEqual(trace.frames[0], { file: 'com/acme/orders/OrderService.java', line: 42, function: 'place', library: false });
+});
+
+test('Ruby traces read the exception from the first frame', () => {
+  const [trace] = parseStackTraces(`app/models/user.rb:42:in 'save': undefined method 'name' for nil (NoMethodError)
+\tfrom /app/lib/billing.rb:10:in \`block in charge'`);
+
+  assert.equal(trace.language, 'ruby');
+  assert.equal(trace.exception, 'NoMethodError');
+  assert.equal(trace.message, "undefined method 'name' for nil");
+  assert.deepEqual(trace.frames.map(frame => `${frame.file}:${frame.line}`), ['app/models/user.rb:42', '/app/lib/billing.rb:10']);
+});
+
+test('Go panics take the function from the line before each frame', () => {
+  const [trace] = parseStackTraces(`panic: runtime error: invalid memory address or nil pointer dereference
+
+goroutine 1 [running]:
+main.handler(0x0)
+\t/home/app/server/handler.go:42 +0x1d`);
+
+  assert.equal(trace.language, 'go');
+  assert.equal(trace.exception, 'panic');
+  assert.deepEqual(trace.frames[0], { file: '/home/app/server/handler.go', line: 42, function: 'main.handler', library: false });
+});
+
+test('Slack escaping is undone, duplicates dropped and exception lines without frames ignored', () => {
+  const pasted = '```Error: boom\n    at run (/app/index.js:1:1)```';
+  const traces = parseStackTraces([pasted, pasted, 'RuntimeError: no frames here', null]);
+  assert.equal(traces.length, 1);
+  assert.equal(traces[0].exception, 'Error');
+  assert.equal(traces[0].message, 'boom');
+  assert.equal(parseStackTraces('Just a &lt;normal&gt; message').length, 0);
+});
+
+test('frames map to repo files by the longest path suffix', () => {
+  const traces = parseStackTraces(`Error: boom
+    at a (/app/src/routes/users.js:42:1)
+    at b (/app/src/routes/users.js:50:1)
+    at c (/deploy/index.js:3:1)
+    at d (/deploy/lib/util.js:7:1)
+    at e (/app/node_modules/x/index.js:1:1)`);
+  mapFramesToRepo(traces, ['src/routes/users.js', 'web/routes/users.js', 'index.js', 'lib/a/util.js', 'lib/b/util.js']);
+
+  assert.deepEqual(traces[0].frames.map(frame => frame.path), ['src/routes/users.js', 'src/routes/users.js', 'index.js', null, null]);
+  assert.deepEqual(getFrameFiles(traces), [
+    { path: 'src/routes/users.js', lines: [42, 50] },
+    { path: 'index.js', lines: [3] },
+  ]);
+  assert.equal(formatStackTraces(traces), [
+    'Error: boom [javascript]',
+    '  at src/routes/users.js:42 in a',
+    '  at src/routes/users.js:50 in b',
+    '  at index.js:3 in c',
+    '  at /deploy/lib/util.js:7 (not in repo) in d',
+    '  at /app/node_modules/x/index.js:1 (library) in e',
+  ].join('\n'));
+});
@@ -0,0 +1,95 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.LOG_LEVEL = 'error';
+process.env.MODEL_PRICES_PATH = '/nonexistent/model-prices.json';
+process.env.LLM_BUDGET_TOKENS = '10000';
+process.env.LLM_BUDGET_USD = '0.05';
+
+const {
+  loadModelPrices, getModelPrice, createUsage, addUsage, startUsageRun, checkBudget, formatUsage,
+} = await import('../src/usage-tracker.js');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-tracker-'));
+
+after(() => {
+  loadModelPrices();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Write a price table to a temporary file and return its path
+ */
+function writePrices(table) {
+  const filePath = path.join(tmpDir, `prices-${Date.now()}-${Math.random()}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(table));
+  return filePath;
+}
+
+test('models are priced by the longest name they start with', () => {
+  loadModelPrices();
+  assert.deepEqual(getModelPrice('gpt-4o'), { input: 2.5, output: 10 });
+  assert.deepEqual(getModelPrice('gpt-4o-2024-08-06'), { input: 2.5, output: 10 });
+  assert.deepEqual(getModelPrice('gpt-4o-mini-2024-07-18'), { input: 0.15, output: 0.6 });
+  assert.equal(getModelPrice('gpt-4omni'), null);
+  assert.equal(getModelPrice('claude-unknown'), null);
+});
+
+test('the price table file adds models and overrides built-in prices', () => {
+  loadModelPrices(writePrices({ models: { 'gpt-4o': { input: 5, output: 15 }, 'my-deployment': { input: 1, output: 4 } } }));
+  assert.deepEqual(getModelPrice('gpt-4o-2024-08-06'), { input: 5, output: 15 });
+  assert.deepEqual(getModelPrice('my-deployment'), { input: 1, output: 4 });
+  assert.deepEqual(getModelPrice('gpt-4o-mini'), { input: 0.15, output: 0.6 });
+
+  assert.throws(
+    () => loadModelPrices(writePrices({ models: { bad: { input: -1, output: 'free', extra: 1 } }, other: {} })),
+    /unknown top-level field "other"[\s\S]*models.bad: unknown field "extra"[\s\S]*"input" must be a price[\s\S]*"output" must be a price/,
+  );
+  loadModelPrices();
+});
+
+test('usage is summed per step and for the workflow', () => {
+  const usage = createUsage();
+  addUsage(usage, 'rca', 'gpt-4o', { prompt_tokens: 1000, completion_tokens: 200 });
+  addUsage(usage, 'rca', 'gpt-4o', { prompt_tokens: 500, completion_tokens: 100 });
+  addUsage(usage, 'testCases', 'gpt-4o-mini', { prompt_tokens: 2000, completion_tokens: 1000 });
+
+  const { costUsd, ...rca } = usage.steps.rca;
+  assert.deepEqual(rca, { calls: 2, promptTokens: 1500, completionTokens: 300, totalTokens: 1800 });
+  assert.equal(costUsd.toFixed(5), '0.00675');
+  assert.equal(usage.steps.testCases.totalTokens, 3000);
+  assert.equal(usage.total.calls, 3);
+  assert.equal(usage.total.totalTokens, 4800);
+  assert.equal(formatUsage(usage.total), '4,800 tokens (3,500 prompt + 1,300 completion), $0.0076');
+});
+
+test('tokens of unknown models are counted without cost', () => {
+  const usage = createUsage();
+  addUsage(usage, 'rca', 'unknown-model', { prompt_tokens: 100, completion_tokens: 50 });
+  addUsage(usage, 'rca', 'unknown-model', { prompt_tokens: 100, completion_tokens: 50 });
+  addUsage(usage, 'rca', 'gpt-4o', {});
+
+  assert.equal(usage.total.totalTokens, 300);
+  assert.equal(usage.total.costUsd, 0);
+  assert.equal(usage.total.calls, 3);
+  assert.deepEqual(usage.unpricedModels, ['unknown-model']);
+});
+
+test('budgets apply to the tokens and cost of the current run', () => {
+  const usage = createUsage();
+  addUsage(usage, 'rca', 'gpt-4o-mini', { prompt_tokens: 9000, completion_tokens: 1000 });
+  assert.equal(checkBudget(usage), null);
+
+  addUsage(usage, 'rca', 'gpt-4o-mini', { prompt_tokens: 1, completion_tokens: 0 });
+  assert.equal(checkBudget(usage), 'LLM budget exceeded: 10,001 tokens used, the limit is 10,000');
+
+  // A re-run starts with a fresh budget
+  startUsageRun(usage);
+  assert.equal(checkBudget(usage), null);
+
+  addUsage(usage, 'rca', 'gpt-4', { prompt_tokens: 1000, completion_tokens: 500 });
+  assert.equal(checkBudget(usage), 'LLM budget exceeded: $0.0600 spent, the limit is $0.0500');
+});
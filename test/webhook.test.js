@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+process.env.LOG_LEVEL = 'error';
+process.env.OPENAI_API_KEY = 'sk-test';
+process.env.DEDUP_STORE = 'memory';
+process.env.ROUTING_CONFIG_PATH = '/nonexistent/routing.json';
+process.env.SLACK_SIGNING_SECRET = 'signing-secret-for-tests';
+
+const { interactionHandler } = await import('../src/webhook.js');
+
+/**
+ * A form-encoded interaction request, signed with `secret` at `timestamp`
+ */
+function interactionRequest(payload, { secret = process.env.SLACK_SIGNING_SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const rawBody = new URLSearchParams({ payload: typeof payload === 'string' ? payload : JSON.stringify(payload) }).toString();
+  const signature = `v0=${crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${rawBody}`).digest('hex')}`;
+  return {
+    rawBody,
+    body: Object.fromEntries(new URLSearchParams(rawBody)),
+    headers: { 'x-slack-signature': signature, 'x-slack-request-timestamp': String(timestamp) },
+  };
+}
+
+/**
+ * Minimal Express response that records the status and body
+ */
+function fakeResponse() {
+  const res = { statusCode: 200, body: undefined };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.send = (body) => { res.body = body; return res; };
+  return res;
+}
+
+test('interactions with a wrong or stale signature are rejected', async () => {
+  for (const req of [
+    interactionRequest({ type: 'block_actions' }, { secret: 'wrong-secret' }),
+    interactionRequest({ type: 'block_actions' }, { timestamp: Math.floor(Date.now() / 1000) - 600 }),
+    { ...interactionRequest({ type: 'block_actions' }), headers: {} },
+  ]) {
+    const res = fakeResponse();
+    await interactionHandler(req, res);
+    assert.equal(res.statusCode, 401);
+  }
+});
+
+test('signed interactions are parsed and acknowledged', async () => {
+  const res = fakeResponse();
+  await interactionHandler(interactionRequest({ type: 'shortcut', callback_id: 'unknown' }), res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body, undefined);
+
+  const invalid = fakeResponse();
+  await interactionHandler(interactionRequest('{not json'), invalid);
+  assert.equal(invalid.statusCode, 400);
+});
+
+test('ticket draft submissions with an invalid repository or project keep the modal open with errors', async () => {
+  const submission = values => interactionRequest({
+    type: 'view_submission',
+    user: { id: 'U1' },
+    team: { id: 'T1' },
+    view: { callback_id: 'rca_ticket_modal', private_metadata: JSON.stringify({ channel: 'C1', messageTs: '1.1' }), state: { values } },
+  });
+
+  const badRepo = fakeResponse();
+  await interactionHandler(submission({ repo: { value: { value: 'not a repo' } }, project: { value: { value: 'OPS' } } }), badRepo);
+  assert.equal(badRepo.body.response_action, 'errors');
+  assert.deepEqual(Object.keys(badRepo.body.errors), ['repo']);
+
+  const badProject = fakeResponse();
+  await interactionHandler(submission({ repo: { value: { value: 'owner/api' } }, project: { value: { value: '1-ops' } } }), badProject);
+  assert.equal(badProject.body.response_action, 'errors');
+  assert.deepEqual(Object.keys(badProject.body.errors), ['project']);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.WORKFLOW_REGISTRY_SIZE = '3';
+
+const { registerWorkflow, getWorkflow, findWorkflow, listWorkflows } = await import('../src/workflow-registry.js');
+
+test('the oldest finished workflows are evicted, running ones are kept', () => {
+  let startedAt = 0;
+  const register = (id, status) => registerWorkflow({ id, status, startedAt: ++startedAt });
+
+  register('running-1', 'running');
+  register('done-1', 'completed');
+  register('running-2', 'running');
+  register('done-2', 'failed');
+  assert.equal(getWorkflow('done-1'), null);
+  assert.deepEqual(listWorkflows().map(workflow => workflow.id), ['done-2', 'running-2', 'running-1']);
+
+  // With every entry running the registry grows past its size rather than drop one
+  register('running-3', 'running');
+  register('running-4', 'running');
+  assert.equal(getWorkflow('done-2'), null);
+  assert.deepEqual(listWorkflows().map(workflow => workflow.id), ['running-4', 'running-3', 'running-2', 'running-1']);
+
+  // Once one finishes, the next registration evicts it
+  getWorkflow('running-1').status = 'cancelled';
+  register('running-5', 'running');
+  assert.equal(getWorkflow('running-1'), null);
+  assert.equal(listWorkflows().length, 4);
+});
+
+test('workflows are found by id or by the Jira key of their newest run', () => {
+  registerWorkflow({ id: 'wf-a', status: 'running', issueKey: 'OPS-7', startedAt: 100 });
+  registerWorkflow({ id: 'wf-b', status: 'running', issueKey: 'OPS-7', startedAt: 200 });
+  assert.equal(findWorkflow('wf-a').id, 'wf-a');
+  assert.equal(findWorkflow('ops-7').id, 'wf-b');
+  assert.equal(findWorkflow('OPS-8'), null);
+});